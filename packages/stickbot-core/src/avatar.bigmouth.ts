@@ -6,6 +6,8 @@
  */
 
 import type { AvatarExpressionParams } from './emotion/expression-mapping.js';
+import { FALLBACK_VISEME_SHAPES, NEUTRAL_SHAPE } from './viseme-shapes.js';
+import type { VisemeShape } from './viseme-shapes.js';
 
 /**
  * BigMouthAvatar 的配置项。
@@ -270,6 +272,8 @@ export interface MouthFrame {
   visemeId?: number;
   /** 可选音素描述。 */
   phoneme?: string;
+  /** 可选多通道口型，缺省时按 `visemeId` 推断唇形。 */
+  shape?: VisemeShape | null;
 }
 
 /** Sprite 配置。 */
@@ -302,6 +306,10 @@ export class BigMouthAvatar {
 
   private currentPhoneme = 'idle';
 
+  private currentShape: VisemeShape = { jawOpen: 0.1, ...FALLBACK_VISEME_SHAPES[0] };
+
+  private targetShape: VisemeShape = { jawOpen: 0.1, ...FALLBACK_VISEME_SHAPES[0] };
+
   private rafId: number | null = null;
 
   private lastTimestamp = 0;
@@ -355,7 +363,7 @@ export class BigMouthAvatar {
   }
 
   /**
-   * 更新目标 mouth 帧。
+   * 更新目标 mouth 帧。帧未携带多通道口型时按口型编号推断唇形。
    *
    * @param frame - mouth 帧数据。
    */
@@ -363,6 +371,27 @@ export class BigMouthAvatar {
     this.targetMouth = clamp(frame.value, 0, 1);
     this.targetViseme = frame.visemeId ?? 0;
     this.currentPhoneme = frame.phoneme ?? 'unknown';
+    const shape = frame.shape ?? this.inferShape(this.targetViseme);
+    this.targetShape = {
+      jawOpen: clamp(parseNumber(frame.shape?.jawOpen, this.targetMouth), 0, 1),
+      lipWidth: clamp(parseNumber(shape.lipWidth, NEUTRAL_SHAPE.lipWidth), 0, 1),
+      lipRound: clamp(parseNumber(shape.lipRound, NEUTRAL_SHAPE.lipRound), 0, 1),
+      teethVisible: clamp(parseNumber(shape.teethVisible, NEUTRAL_SHAPE.teethVisible), 0, 1),
+    };
+  }
+
+  /**
+   * 按口型编号推断唇形，主题的 `roundedViseme` 对应的口型总是圆唇。
+   *
+   * @param visemeId - 口型编号。
+   */
+  private inferShape(visemeId: number): Omit<VisemeShape, 'jawOpen'> {
+    const rounded = Math.round(visemeId);
+    const shape = FALLBACK_VISEME_SHAPES[rounded] ?? NEUTRAL_SHAPE;
+    if (rounded === this.theme.mouth.roundedViseme) {
+      return { ...shape, lipWidth: Math.min(shape.lipWidth, 0.3), lipRound: 1 };
+    }
+    return shape;
   }
 
   /**
@@ -465,6 +494,9 @@ export class BigMouthAvatar {
     const blendFactor = 1 - Math.pow(1 - smoothing, delta * 60);
     this.currentMouth += (this.targetMouth - this.currentMouth) * blendFactor;
     this.currentViseme += (this.targetViseme - this.currentViseme) * blendFactor;
+    for (const channel of Object.keys(this.currentShape) as (keyof VisemeShape)[]) {
+      this.currentShape[channel] += (this.targetShape[channel] - this.currentShape[channel]) * blendFactor;
+    }
 
     const now = timestamp / 1000;
     const blinkBias = this.expression.eyeBlinkBias;
@@ -550,16 +582,16 @@ export class BigMouthAvatar {
     const headTheme = theme.head;
     const eyeTheme = theme.eye;
 
+    const { jawOpen, lipWidth, lipRound, teethVisible } = this.currentShape;
     const nodOffset = Math.sin(this.headNodPhase) * (6 + this.expression.headNodAmp * 12);
-    const headY = -150 - this.currentMouth * 8 + nodOffset;
+    const headY = -150 - jawOpen * 8 + nodOffset;
     const headRadius = 48;
 
     const mouthWidthBase = 70 * mouthTheme.widthScale;
-    const mouthHeightBase = (8 + this.currentMouth * 48) * mouthTheme.heightScale;
+    const mouthHeightBase = (8 + jawOpen * 48) * mouthTheme.heightScale;
     const mouthHeight = mouthHeightBase * this.expression.mouthOpenScale;
-    const visemeRounded = Math.round(this.currentViseme);
-    const roundedLip = visemeRounded === mouthTheme.roundedViseme;
-    const widthFactor = roundedLip ? 0.65 : 1;
+    // lipWidth 0.5 为原始宽度；圆唇时嘴角向内收拢，完全圆唇约为原宽度的 65%。
+    const widthFactor = (0.7 + lipWidth * 0.6) * (1 - lipRound * 0.35);
     const lipTensionFactor = clamp(1 - this.expression.lipTension * 0.35, 0.5, 1.4);
     const mouthWidth = mouthWidthBase * widthFactor * lipTensionFactor;
 
@@ -587,7 +619,8 @@ export class BigMouthAvatar {
     const lipTopY = headY + 18 - cornerBias * 10;
     const lipBottomY = lipTopY + mouthHeight + cornerBias * 16;
     const controlOffsetBase = mouthHeight * 0.7;
-    const controlOffset = controlOffsetBase * (1 + cornerBias * 0.4);
+    // 圆唇时上下唇弧度更大，整体接近椭圆。
+    const controlOffset = controlOffsetBase * (1 + cornerBias * 0.4) * (1 + lipRound * 0.3);
 
     ctx.lineWidth = mouthTheme.lineWidth;
     ctx.strokeStyle = mouthTheme.stroke;
@@ -639,13 +672,13 @@ export class BigMouthAvatar {
     ctx.closePath();
     ctx.fill();
 
-    if (mouthHeight > 12 * mouthTheme.heightScale) {
+    if (mouthHeight > 12 * mouthTheme.heightScale && teethVisible > 0.05) {
       ctx.fillStyle = mouthTheme.toothFill;
       const widthRatio = mouthWidthBase === 0 ? 1 : clamp(mouthWidth / mouthWidthBase, 0.6, 1.6);
       const estimatedCount = Math.max(1, Math.round(mouthTheme.toothCount * mouthTheme.toothScale * widthRatio));
       const toothCount = Math.max(1, estimatedCount);
       const toothWidth = (mouthWidth * 1.8) / toothCount / 2;
-      const toothHeight = Math.min(12 * mouthTheme.heightScale, mouthHeight * 0.4);
+      const toothHeight = Math.min(12 * mouthTheme.heightScale, mouthHeight * 0.4) * teethVisible;
       for (let i = 0; i < toothCount; i += 1) {
         const ratio = toothCount === 1 ? 0 : (i / (toothCount - 1)) * 2 - 1;
         const x = toothCount === 1 ? 0 : ratio * mouthWidth * 0.7;
@@ -653,7 +686,8 @@ export class BigMouthAvatar {
       }
     }
 
-    if (roundedLip && mouthTheme.highlightWidth > 0) {
+    if (lipRound > 0.3 && mouthTheme.highlightWidth > 0) {
+      ctx.globalAlpha = clamp((lipRound - 0.3) / 0.5, 0, 1);
       ctx.strokeStyle = mouthTheme.highlightStroke;
       ctx.lineWidth = mouthTheme.highlightWidth;
       ctx.beginPath();
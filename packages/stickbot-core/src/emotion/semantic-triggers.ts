@@ -1,6 +1,7 @@
 /**
  * @module emotion/semantic-triggers
  * 根据文本语义触发表情与手势时间轴，可与 mouthTimeline 融合驱动头像。
+ * 服务端 `server/src/realtime/semanticTimelines.js` 有一份不含情绪基线的副本，由 `server/test/semanticTimelines.test.js` 比对。
  */
 
 import type { SentimentEstimate } from './sentiment-heuristics.js';
@@ -14,9 +14,17 @@ export type {
   SpriteOptions,
 } from './avatar.bigmouth.js';
 
+export {
+  decodeMouthTimeline,
+  mixShapes,
+  FALLBACK_VISEME_SHAPES,
+  NEUTRAL_SHAPE,
+  SHAPE_CHANNELS,
+} from './viseme-shapes.js';
+export type { CompactMouthTimeline, MouthTimelineFrame, VisemeShape } from './viseme-shapes.js';
+
 export { TimelinePlayer } from './timeline-player.js';
 export type {
-  MouthTimelineFrame,
   ExpressionTimelineKeyframe,
   TimelinePlayerFrame,
   TimelinePlayerOptions,
@@ -3,22 +3,10 @@
  * 提供用于驱动嘴型与表情的时间线播放器。
  */
 
+import { decodeMouthTimeline, mixShapes } from './viseme-shapes.js';
+import type { CompactMouthTimeline, MouthTimelineFrame, VisemeShape } from './viseme-shapes.js';
 import type { AvatarExpressionParams } from './emotion/expression-mapping.js';
 
-/**
- * 单个 mouth 关键帧。
- */
-export interface MouthTimelineFrame {
-  /** 时间戳（秒）。 */
-  t: number;
-  /** mouth 数值，0-1。 */
-  value: number;
-  /** 可选的 viseme 标识，用于 Sprite 口型切换。 */
-  visemeId?: number;
-  /** 可选的音素标签，仅用于调试或日志。 */
-  phoneme?: string;
-}
-
 /**
  * 表情时间线关键帧。
  */
@@ -84,6 +72,8 @@ export interface TimelinePlayerFrame {
   visemeId: number;
   /** 可选的音素标签。 */
   phoneme?: string;
+  /** 时间轴带有多通道口型时的插值结果，可直接传给 {@link BigMouthAvatar#setMouthFrame}。 */
+  shape?: VisemeShape;
   /** 当前表情参数。 */
   expression: AvatarExpressionParams;
 }
@@ -231,7 +221,7 @@ const sampleKeyframes = (
 const sampleMouthFrame = (
   timeline: MouthTimelineFrame[],
   time: number,
-): { value: number; visemeId: number; phoneme?: string } => {
+): { value: number; visemeId: number; phoneme?: string; shape?: VisemeShape } => {
   if (timeline.length === 0) {
     return { value: 0, visemeId: 0 };
   }
@@ -241,6 +231,7 @@ const sampleMouthFrame = (
       value: first.value,
       visemeId: first.visemeId ?? 0,
       phoneme: first.phoneme,
+      shape: first.shape,
     };
   }
   if (time >= timeline[timeline.length - 1].t) {
@@ -249,6 +240,7 @@ const sampleMouthFrame = (
       value: last.value,
       visemeId: last.visemeId ?? 0,
       phoneme: last.phoneme,
+      shape: last.shape,
     };
   }
   for (let i = 0; i < timeline.length - 1; i += 1) {
@@ -260,7 +252,7 @@ const sampleMouthFrame = (
       const value = lerp(current.value, next.value, factor);
       const viseme = lerp(current.visemeId ?? 0, next.visemeId ?? 0, factor);
       const phoneme = factor > 0.5 ? next.phoneme ?? current.phoneme : current.phoneme;
-      return { value, visemeId: viseme, phoneme };
+      return { value, visemeId: viseme, phoneme, shape: mixShapes(current.shape, next.shape, factor) };
     }
   }
   const fallback = timeline[timeline.length - 1];
@@ -268,6 +260,7 @@ const sampleMouthFrame = (
     value: fallback.value,
     visemeId: fallback.visemeId ?? 0,
     phoneme: fallback.phoneme,
+    shape: fallback.shape,
   };
 };
 
@@ -304,10 +297,10 @@ export class TimelinePlayer {
   private lastSampleTime: number | null = null;
 
   constructor(
-    mouthTimeline: MouthTimelineFrame[],
+    mouthTimeline: MouthTimelineFrame[] | CompactMouthTimeline,
     options: TimelinePlayerOptions = {},
   ) {
-    this.mouthTimeline = [...mouthTimeline].sort((a, b) => a.t - b.t);
+    this.mouthTimeline = [...decodeMouthTimeline(mouthTimeline)].sort((a, b) => a.t - b.t);
     this.expressionTimeline = groupExpressionKeyframes(options.expressionTimeline ?? []);
     this.emoteTimeline = groupExpressionKeyframes(options.emoteTimeline ?? []);
     this.gestureTimeline = groupExpressionKeyframes(options.gestureTimeline ?? []);
@@ -335,7 +328,7 @@ export class TimelinePlayer {
    * @returns {@link TimelinePlayerFrame} 包含口型、viseme 与表情的状态。
    */
   getFrameAt(time: number): TimelinePlayerFrame {
-    const { value: rawValue, visemeId, phoneme } = sampleMouthFrame(this.mouthTimeline, time);
+    const { value: rawValue, visemeId, phoneme, shape } = sampleMouthFrame(this.mouthTimeline, time);
     const smoothed = this.applySmoothing(rawValue, time);
     const expression = this.sampleExpression(time);
     const scaledExpression = scaleExpression(expression, this.expressionScale);
@@ -363,6 +356,7 @@ export class TimelinePlayer {
       value: finalValue,
       visemeId,
       phoneme,
+      shape,
       expression: adjustedExpression,
     };
   }
@@ -0,0 +1,119 @@
+/**
+ * @module viseme-shapes
+ * 多通道口型的通道顺序、默认唇形与紧凑时间轴解码，供头像绘制与时间线播放器共用。
+ * 取值须与服务端默认口型配置一致，`server/test/clientVisemeShapes.test.js` 会逐项比对。
+ */
+
+/**
+ * 多通道口型，各通道取值 0-1。
+ */
+export interface VisemeShape {
+  /** 下颌张开程度，决定嘴部张开高度。 */
+  jawOpen: number;
+  /** 嘴唇横向宽度，0.5 为自然宽度，越大越扁。 */
+  lipWidth: number;
+  /** 圆唇程度，越大嘴唇越向前收拢。 */
+  lipRound: number;
+  /** 牙齿露出程度。 */
+  teethVisible: number;
+}
+
+/** 多通道口型的通道名，顺序与紧凑时间轴中的位置一致。 */
+export const SHAPE_CHANNELS: readonly (keyof VisemeShape)[] = ['jawOpen', 'lipWidth', 'lipRound', 'teethVisible'];
+
+/**
+ * 时间轴未携带多通道口型时按口型编号推断的唇形，与服务端默认口型配置一致。
+ * `jawOpen` 由 mouth 数值决定，不在此列出。
+ */
+export const FALLBACK_VISEME_SHAPES: Record<number, Omit<VisemeShape, 'jawOpen'>> = {
+  0: { lipWidth: 0.5, lipRound: 0.1, teethVisible: 0 },
+  1: { lipWidth: 0.55, lipRound: 0, teethVisible: 0.9 },
+  2: { lipWidth: 0.6, lipRound: 0, teethVisible: 0.8 },
+  3: { lipWidth: 0.4, lipRound: 0.5, teethVisible: 0.5 },
+  4: { lipWidth: 0.55, lipRound: 0.1, teethVisible: 0.4 },
+  5: { lipWidth: 0.3, lipRound: 0.8, teethVisible: 0.2 },
+  6: { lipWidth: 0.9, lipRound: 0, teethVisible: 0.7 },
+  7: { lipWidth: 0.75, lipRound: 0, teethVisible: 0.5 },
+  8: { lipWidth: 0.6, lipRound: 0.05, teethVisible: 0.3 },
+  9: { lipWidth: 0.2, lipRound: 1, teethVisible: 0 },
+};
+
+/** 未知口型编号使用的中性唇形，与服务端口型配置一致。 */
+export const NEUTRAL_SHAPE: Omit<VisemeShape, 'jawOpen'> = { lipWidth: 0.5, lipRound: 0, teethVisible: 0 };
+
+/**
+ * 单个 mouth 关键帧。
+ */
+export interface MouthTimelineFrame {
+  /** 时间戳（秒）。 */
+  t: number;
+  /** mouth 数值，0-1。 */
+  value: number;
+  /** 可选的 viseme 标识，用于 Sprite 口型切换。 */
+  visemeId?: number;
+  /** 可选的音素标签，仅用于调试或日志。 */
+  phoneme?: string;
+  /** 可选的多通道口型（下颌、唇宽、圆唇、露齿）。 */
+  shape?: VisemeShape;
+}
+
+/**
+ * 服务端 `?timeline=compact` 返回的紧凑 mouth 时间轴。
+ */
+export interface CompactMouthTimeline {
+  /** 编码格式。 */
+  format: 'keyframes';
+  /** 服务端压缩时允许的 mouth 值误差。 */
+  tolerance: number;
+  /** 压缩前的帧数。 */
+  frameCount: number;
+  /** 音素字典，`frames` 中以下标引用。 */
+  phonemes: string[];
+  /** 关键帧 `[t, v, visemeId, 音素下标]`，按时间升序；带多通道口型时追加 `jawOpen, lipWidth, lipRound, teethVisible`。 */
+  frames: number[][];
+}
+
+/**
+ * 将紧凑时间轴还原为 {@link MouthTimelineFrame} 数组，逐帧数组原样返回。
+ * 关键帧之间按线性插值采样，与逐帧时间轴的误差不超过 `tolerance`。
+ */
+export const decodeMouthTimeline = (
+  timeline: MouthTimelineFrame[] | CompactMouthTimeline | null | undefined,
+): MouthTimelineFrame[] => {
+  if (Array.isArray(timeline)) {
+    return timeline;
+  }
+  if (!timeline || timeline.format !== 'keyframes' || !Array.isArray(timeline.frames)) {
+    return [];
+  }
+  const phonemes = Array.isArray(timeline.phonemes) ? timeline.phonemes : [];
+  return timeline.frames.map(([t, value, visemeId, phonemeIndex, ...channels]) => {
+    const frame: MouthTimelineFrame = { t, value, visemeId, phoneme: phonemes[phonemeIndex] };
+    if (channels.length >= SHAPE_CHANNELS.length) {
+      const shape = {} as VisemeShape;
+      SHAPE_CHANNELS.forEach((channel, index) => {
+        shape[channel] = channels[index];
+      });
+      frame.shape = shape;
+    }
+    return frame;
+  });
+};
+
+/**
+ * 在两个多通道口型之间线性插值，任一缺失时返回另一个。
+ */
+export const mixShapes = (
+  from: VisemeShape | undefined,
+  to: VisemeShape | undefined,
+  factor: number,
+): VisemeShape | undefined => {
+  if (!from || !to) {
+    return to ?? from;
+  }
+  const mixed = { ...from };
+  for (const channel of SHAPE_CHANNELS) {
+    mixed[channel] = from[channel] + (to[channel] - from[channel]) * factor;
+  }
+  return mixed;
+};
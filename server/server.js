@@ -6,12 +6,37 @@
 import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
-import { createHash } from 'crypto';
+import { createHash, randomUUID } from 'crypto';
 import express from 'express';
+import busboy from 'busboy';
 import helmet from 'helmet';
 import { loadServerConfig, ensureTmpDir } from './src/config.js';
+import { createCacheStore } from './src/cache/cacheStoreFactory.js';
 import { createProviders } from './src/tts/providerFactory.js';
-import { generateWordTimeline } from './src/tts/utils/wordTimeline.js';
+import { SynthQueue, SynthJobCancelledError, SYNTH_PRIORITY } from './src/tts/SynthQueue.js';
+import { ProviderHealth, ProviderUnavailableError } from './src/tts/ProviderHealth.js';
+import { AudioTranscoder, isAudioFormat, mimeTypeForFile, parseAcceptedFormats } from './src/tts/AudioTranscoder.js';
+import { generateWordTimeline, generateWordTimelineWithBreaks } from './src/tts/utils/wordTimeline.js';
+import { decodeWav } from './src/tts/utils/audioEnergy.js';
+import { buildLipsyncTimeline } from './src/tts/utils/alignment.js';
+import { parseSsml } from './src/tts/utils/ssml.js';
+import { splitTextIntoSegments } from './src/tts/utils/segmenter.js';
+import { compressTimeline } from './src/tts/utils/timeline.js';
+import { VisemeProfileRegistry } from './src/tts/VisemeProfileRegistry.js';
+import { UnmappedPhonemeTracker } from './src/tts/UnmappedPhonemeTracker.js';
+import { ApiKeyRegistry, extractApiKey, hasQueryApiKey, matchesVoice } from './src/auth/ApiKeyRegistry.js';
+import { AudioUrlSigner } from './src/auth/AudioUrlSigner.js';
+import { IssuedAudioRegistry } from './src/auth/IssuedAudioRegistry.js';
+import { createAudioRoute } from './src/audio/audioRoute.js';
+import { TokenBucketLimiter } from './src/ratelimit/TokenBucketLimiter.js';
+import { PrometheusRegistry, PROMETHEUS_CONTENT_TYPE } from './src/metrics/PrometheusRegistry.js';
+import { AuditLogger, summarizeAudit } from './src/audit/AuditLogger.js';
+import { matchesAuditFilters, parseAuditQuery } from './src/audit/auditQuery.js';
+import { createChatProviders } from './src/chat/chatProviderFactory.js';
+import { ChatSessionStore } from './src/chat/ChatSessionStore.js';
+import { buildPersonaPrompt } from './src/chat/persona.js';
+import { RealtimeHub } from './src/realtime/RealtimeHub.js';
+import { attachWebSocketServer } from './src/realtime/transports.js';
 
 /**
  * 加载配置与初始化资源目录。
@@ -20,66 +45,224 @@ const config = await loadServerConfig();
 ensureTmpDir(config.tmpDir);
 ensureTmpDir(config.logDir);
 const providers = createProviders(config);
+/**
+ * provider 熔断与回退：请求的 provider 连续失败达到 `PROVIDER_FAILURE_THRESHOLD` 次后熔断 `PROVIDER_COOLDOWN_MS`，
+ * 失败或熔断时按 `TTS_FALLBACK_ORDER` 换用其他 provider。
+ */
+const providerHealth = new ProviderHealth({
+  failureThreshold: config.fallback.failureThreshold,
+  cooldownMs: config.fallback.cooldownMs,
+});
+for (const key of config.fallback.order) {
+  if (!providers[key]) {
+    console.warn(`[tts] TTS_FALLBACK_ORDER 中的 provider ${key} 未启用，回退时将跳过`);
+  }
+}
+/**
+ * 音频转码：provider 统一输出 WAV，按请求格式转为 MP3/Ogg/Opus。启动时探测本机编码器，
+ * `AUDIO_FORMAT` 指定的默认格式不可用时退回 WAV。
+ */
+const transcoder = new AudioTranscoder({
+  ffmpegCommand: config.audio.ffmpegCommand,
+  opusencCommand: config.audio.opusencCommand,
+  bitrateKbps: config.audio.bitrateKbps,
+  timeoutMs: config.audio.transcodeTimeoutMs,
+});
+await transcoder.detect();
+let defaultAudioFormat = config.audio.defaultFormat;
+if (!transcoder.supports(defaultAudioFormat)) {
+  console.warn(`[audio] 未找到 ${defaultAudioFormat} 编码器（ffmpeg/opusenc），默认输出 WAV`);
+  defaultAudioFormat = 'wav';
+}
+/**
+ * `/audio` 地址签名：配置 `AUDIO_URL_SECRET` 后，返回给客户端的 `audioUrl` 带有过期时间与 HMAC 签名。
+ */
+const audioUrlSigner = new AudioUrlSigner({ secret: config.audio.urlSecret, ttlMs: config.audio.urlTtlMs });
+if (!audioUrlSigner.enabled && process.env.NODE_ENV === 'production') {
+  console.warn('[audio] 未配置 AUDIO_URL_SECRET，/audio 地址未签名，知道文件名即可下载音频');
+}
+/**
+ * 本进程签发过的 `/audio` 文件名，音频清理后用于区分 410 与 404。
+ */
+const issuedAudio = new IssuedAudioRegistry();
+
+/**
+ * 返回给客户端前签名响应体中的 `audioUrl`，并记录签发的文件名。
+ * @template {Record<string, any>} T
+ * @param {T} payload - 响应体。
+ * @returns {T} 签名后的响应体。
+ */
+const issueAudioPayload = (payload) => {
+  if (typeof payload?.audioUrl === 'string') {
+    issuedAudio.record(payload.audioUrl);
+  }
+  return audioUrlSigner.signPayload(payload);
+};
+const chatProviders = createChatProviders(config);
+const chatSessions = new ChatSessionStore({
+  maxMessages: config.chat.historyMaxMessages,
+  ttlMs: config.chat.sessionTtlMs,
+});
+/**
+ * 按语言区分的口型映射档案，合成时按请求的 `visemeProfile` 或音色选择。
+ */
+const visemeProfiles = new VisemeProfileRegistry({
+  dir: config.visemeProfilesDir,
+  base: config.visemeConfig,
+});
+/**
+ * 合成时按 `default` 兜底的音素，按档案汇总，见 `GET /visemes/unmapped`。
+ */
+const unmappedPhonemes = new UnmappedPhonemeTracker();
+const apiKeys = new ApiKeyRegistry({
+  keys: config.auth.keys,
+  required: config.auth.required,
+});
+/**
+ * 按客户端隔离的令牌桶：携带 API key 的请求按 key 计数，匿名请求按客户端 IP 计数。
+ */
+const rateLimiter = new TokenBucketLimiter({
+  capacity: config.limits.rateLimitBurst,
+  refillPerSec: config.limits.rateLimitRps,
+});
 sweepTmpFiles();
 
 const metricsState = {
   activeSynths: 0,
   dailyCount: 0,
   totalElapsedMs: 0,
+  cacheHits: 0,
+  cacheMisses: 0,
+  rateLimited: 0,
   dayStamp: getDayStamp(),
 };
 
-const RATE_LIMIT_WINDOW_MS = 1000;
-const requestTimestamps = [];
-
 /**
- * @typedef {{ payload: ReturnType<typeof buildResponsePayload>, expiresAt: number, size: number }} TtsCacheEntry
+ * Prometheus 指标，由 `GET /metrics/prometheus` 输出。计数器与直方图在请求处理过程中累加，
+ * 仪表类指标在抓取时从队列、缓存等模块读取。
  */
+const prometheus = new PrometheusRegistry();
+const promMetrics = {
+  requests: prometheus.counter({
+    name: 'stickbot_requests_total',
+    help: '按接口、provider、音色与结果统计的合成/对话请求数。',
+    labelNames: ['endpoint', 'provider', 'voice', 'outcome'],
+  }),
+  synthSeconds: prometheus.histogram({
+    name: 'stickbot_synthesis_duration_seconds',
+    help: '单次合成或对话调用的耗时（秒），不含排队时间。',
+    labelNames: ['endpoint', 'provider'],
+  }),
+  queueWaitSeconds: prometheus.histogram({
+    name: 'stickbot_tts_queue_wait_seconds',
+    help: '合成任务从入队到开始执行的等待时间（秒）。',
+  }),
+  characters: prometheus.counter({
+    name: 'stickbot_characters_total',
+    help: '已合成的字数（对话接口为回复字数）。',
+    labelNames: ['endpoint', 'provider', 'voice'],
+  }),
+  audioSeconds: prometheus.counter({
+    name: 'stickbot_audio_duration_seconds_total',
+    help: '已合成音频的总时长（秒）。',
+    labelNames: ['endpoint', 'provider', 'voice'],
+  }),
+  errors: prometheus.counter({
+    name: 'stickbot_errors_total',
+    help: '按类型统计的错误数，类型与响应体中的 code 一致。',
+    labelNames: ['type'],
+  }),
+  cacheHits: prometheus.counter({ name: 'stickbot_tts_cache_hits_total', help: 'TTS 缓存命中次数。' }),
+  cacheMisses: prometheus.counter({ name: 'stickbot_tts_cache_misses_total', help: 'TTS 缓存未命中并进入合成队列的次数。' }),
+  cacheEvictions: prometheus.counter({
+    name: 'stickbot_tts_cache_evictions_total',
+    help: '因超出条目上限或过期被淘汰的缓存条目数（redis 后端不统计）。',
+  }),
+  queueRejected: prometheus.counter({ name: 'stickbot_tts_queue_rejected_total', help: '因合成队列已满被拒绝的任务数。' }),
+  activeSynths: prometheus.gauge({ name: 'stickbot_active_synths', help: '正在执行的合成任务数。' }),
+  queueDepth: prometheus.gauge({ name: 'stickbot_tts_queue_depth', help: '排队中的合成任务数。' }),
+  queueRunning: prometheus.gauge({ name: 'stickbot_tts_queue_running', help: '合成队列中执行中的任务数。' }),
+  cacheEntries: prometheus.gauge({ name: 'stickbot_tts_cache_entries', help: '当前缓存条目数（redis 后端不统计）。' }),
+  providerState: prometheus.gauge({
+    name: 'stickbot_tts_provider_state',
+    help: 'provider 熔断状态：0 正常，1 半开（等待试探），2 熔断中。',
+    labelNames: ['provider'],
+  }),
+  providerFallbacks: prometheus.counter({
+    name: 'stickbot_tts_provider_fallbacks_total',
+    help: '请求的 provider 失败或熔断、改由回退链上其他 provider 合成的次数。',
+    labelNames: ['from', 'to'],
+  }),
+  cacheBytes: prometheus.gauge({ name: 'stickbot_tts_cache_bytes', help: '缓存占用的字节数（redis 后端不统计）。' }),
+  chatSessions: prometheus.gauge({ name: 'stickbot_chat_sessions', help: '内存中的对话会话数。' }),
+  realtimeSessions: prometheus.gauge({ name: 'stickbot_realtime_sessions', help: '实时会话数。' }),
+  realtimeConnections: prometheus.gauge({ name: 'stickbot_realtime_connections', help: '已加入实时会话的连接数。' }),
+  rateLimitClients: prometheus.gauge({ name: 'stickbot_rate_limit_clients', help: '限流器当前跟踪的客户端数。' }),
+  unmappedPhonemes: prometheus.counter({
+    name: 'stickbot_viseme_unmapped_phonemes_total',
+    help: '没有显式口型映射、按 default 兜底的音素出现次数，明细见 GET /visemes/unmapped。',
+    labelNames: ['profile', 'provider'],
+  }),
+};
 
-/** @type {Map<string, TtsCacheEntry>} */
-const ttsCache = new Map();
-/** @type {number} */
-let ttsCacheBytes = 0;
-/** @type {Map<string, Promise<any>>} */
-const pendingSynths = new Map();
+/**
+ * 音色来自用户输入，只有形如常见音色名的值才作为标签，其余归为 `other`，避免时间序列膨胀。
+ * @param {string | undefined} voice - 音色。
+ * @returns {string} 标签值。
+ */
+const toVoiceLabel = (voice) => {
+  if (!voice) {
+    return 'default';
+  }
+  return /^[A-Za-z0-9_.+-]{1,64}$/.test(voice) ? voice : 'other';
+};
 
-class AuditLogger {
-  constructor(dir) {
-    this.dir = dir;
+/**
+ * 汇总一次合成中按 `default` 兜底的音素。
+ * @param {string} profile - 口型映射档案名。
+ * @param {string} provider - 实际合成的 provider。
+ * @param {Record<string, number> | undefined} counts - 合成结果的 `unmappedPhonemes`。
+ */
+const recordUnmappedPhonemes = (profile, provider, counts) => {
+  const recorded = unmappedPhonemes.record(profile, provider, counts);
+  if (recorded > 0) {
+    promMetrics.unmappedPhonemes.inc({ profile, provider }, recorded);
   }
+};
 
-  /**
-   * 写入一条审计日志。
-   * @param {{ endpoint: string, provider: string, voice?: string, chars: number, durationSec: number, timelinePoints: number, elapsedMs: number, error: string | null, segment?: string | null }} entry - 日志内容。
-   */
-  async log(entry) {
-    const now = new Date();
-    const iso = now.toISOString();
-    const day = iso.slice(0, 10);
-    const filePath = path.join(this.dir, `${day}.log`);
-    const duration = Number.isFinite(entry.durationSec) ? entry.durationSec.toFixed(3) : '0.000';
-    const elapsed = Number.isFinite(entry.elapsedMs) ? entry.elapsedMs.toFixed(2) : '0.00';
-    const sanitizedError = entry.error ? entry.error.replace(/\s+/g, ' ').slice(0, 200) : 'none';
-    const lineParts = [
-      `[${iso}]`,
-      `endpoint=${entry.endpoint}`,
-      `provider=${entry.provider}`,
-      `voice=${entry.voice ?? '-'}`,
-    ];
-    if (entry.segment) {
-      lineParts.push(`segment=${entry.segment}`);
-    }
-    lineParts.push(
-      `chars=${entry.chars}`,
-      `duration=${duration}`,
-      `timelinePoints=${entry.timelinePoints}`,
-      `elapsedMs=${elapsed}`,
-      `error=${sanitizedError}`,
-    );
-    const line = lineParts.join(' ');
-    await fs.promises.appendFile(filePath, `${line}\n`);
+/**
+ * 按错误码累加错误计数。
+ * @param {string} type - 错误码，如 `rate_limited`、`synthesis_failed`。
+ */
+const countError = (type) => {
+  promMetrics.errors.inc({ type });
+};
+
+/**
+ * TTS 缓存存储，按 `TTS_CACHE_BACKEND` 选择内存、文件系统或 Redis 实现。
+ * 文件系统后端的缓存目录独立于临时目录，临时文件清理任务不会删除仍被缓存引用的音频；
+ * Redis 后端可让负载均衡后的多个实例共享合成结果。
+ */
+const cacheStore = await createCacheStore(config);
+try {
+  const restored = await cacheStore.init();
+  if (restored > 0) {
+    // eslint-disable-next-line no-console -- Demo 项目允许直接输出日志
+    console.log(`[tts-cache] 已恢复 ${restored} 条缓存`);
   }
+} catch (error) {
+  console.warn(`[tts-cache] 初始化 ${config.cache.backend} 缓存失败`, error);
 }
+/**
+ * 合成队列：并发槽位（`MAX_CONCURRENCY`）占满时请求排队等待，队列超过 `TTS_QUEUE_MAX_DEPTH` 才返回 429。
+ */
+const synthQueue = new SynthQueue({
+  concurrency: config.limits.maxConcurrency,
+  maxDepth: config.queue.maxDepth,
+  jobTtlMs: config.queue.jobTtlMs,
+});
+/** @type {Map<string, import('./src/tts/SynthQueue.js').SynthJob>} 进行中的同键合成任务，用于并发去重。 */
+const pendingSynths = new Map();
 
 function getDayStamp() {
   return new Date().toISOString().slice(0, 10);
@@ -100,121 +283,137 @@ function recordSynthMetrics(elapsedMs) {
   metricsState.totalElapsedMs += Math.max(0, elapsedMs);
 }
 
-function consumeRateLimit() {
-  const limit = config.limits.rateLimitRps;
-  if (!Number.isFinite(limit) || limit <= 0) {
-    return true;
-  }
-  const now = Date.now();
-  while (requestTimestamps.length > 0 && now - requestTimestamps[0] > RATE_LIMIT_WINDOW_MS) {
-    requestTimestamps.shift();
+/**
+ * 生成限流使用的客户端标识：携带 API key 时按 key，否则按客户端 IP。
+ * IP 由 Express 根据 `TRUST_PROXY` 解析，位于受信任代理之后时取 `X-Forwarded-For` 中的真实地址。
+ * @param {string | undefined} clientIp - 客户端 IP。
+ * @param {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} apiKey - 调用方 key。
+ * @returns {string} 客户端标识。
+ */
+const resolveClientId = (clientIp, apiKey) => (apiKey ? `key:${apiKey.id}` : `ip:${clientIp || 'unknown'}`);
+
+/**
+ * 从客户端的令牌桶中消耗一个令牌，key 配置了 `rateLimitRps`/`rateLimitBurst` 时使用 key 自己的桶参数。
+ * @param {string} clientId - `resolveClientId` 生成的客户端标识。
+ * @param {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} [apiKey] - 调用方 key。
+ * @returns {import('./src/ratelimit/TokenBucketLimiter.js').RateLimitResult} 限流结果。
+ */
+function consumeRateLimit(clientId, apiKey = null) {
+  const result = rateLimiter.consume(clientId, {
+    refillPerSec: apiKey?.rateLimitRps ?? undefined,
+    capacity: apiKey?.rateLimitBurst ?? apiKey?.rateLimitRps ?? undefined,
+  });
+  if (!result.allowed) {
+    metricsState.rateLimited += 1;
+    countError('rate_limited');
   }
-  if (requestTimestamps.length >= limit) {
-    return false;
+  return result;
+}
+
+/**
+ * 写入 `RateLimit-*` 响应头，被拒绝时附带 `Retry-After`。
+ * @param {import('express').Response} res - 响应对象。
+ * @param {import('./src/ratelimit/TokenBucketLimiter.js').RateLimitResult} result - 限流结果。
+ */
+function applyRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.resetSec));
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.retryAfterSec));
   }
-  requestTimestamps.push(now);
-  return true;
 }
 
+/**
+ * 构造限流拒绝的错误结果。
+ * @param {import('./src/ratelimit/TokenBucketLimiter.js').RateLimitResult} result - 限流结果。
+ * @returns {{ ok: false, status: 429, code: 'rate_limited', message: string, retryAfterSec: number }} 错误结果。
+ */
+const rateLimitedFailure = (result) => ({
+  ok: false,
+  status: 429,
+  code: 'rate_limited',
+  message: `请求过于频繁，请 ${result.retryAfterSec} 秒后再试。`,
+  retryAfterSec: result.retryAfterSec,
+});
+
 function measureElapsedMs(start) {
   const diff = Number(process.hrtime.bigint() - start);
   return diff / 1e6;
 }
 
-const auditLogger = new AuditLogger(config.logDir);
+/**
+ * 审计日志：JSON Lines 格式，按大小与日期轮转并压缩，超过保留天数后删除。
+ */
+const auditLogger = new AuditLogger({
+  dir: config.logDir,
+  maxBytes: config.audit.maxBytes,
+  retentionDays: config.audit.retentionDays,
+});
+try {
+  await auditLogger.init();
+} catch (error) {
+  console.warn('[audit] 初始化审计日志失败', error);
+}
 
-const estimatePayloadBytes = (payload) => {
-  try {
-    return Buffer.byteLength(JSON.stringify(payload), 'utf-8');
-  } catch (error) {
-    console.warn('[tts-cache] 序列化缓存条目失败', error);
-    return 0;
+/**
+ * 写入审计日志并同步累加 Prometheus 指标，审计日志写入失败不影响请求。
+ * 命中缓存的记录只写日志，缓存命中数由 `stickbot_tts_cache_hits_total` 统计。
+ * @param {import('./src/audit/AuditLogger.js').AuditEntry} entry - 日志内容。
+ */
+const recordAudit = (entry) => {
+  const record = {
+    ...entry,
+    error: entry.error ? entry.error.slice(0, 500) : null,
+    errorCode: entry.errorCode ?? (entry.error ? (entry.endpoint === 'chat' ? 'llm_failed' : 'synthesis_failed') : null),
+    cacheHit: entry.cacheHit === true,
+  };
+  auditLogger.log(record).catch((error) => {
+    console.warn('写入审计日志失败', error);
+  });
+  if (record.cacheHit) {
+    return;
+  }
+  const voice = toVoiceLabel(entry.voice);
+  const outcome = entry.error ? 'error' : 'ok';
+  promMetrics.requests.inc({ endpoint: entry.endpoint, provider: entry.provider, voice, outcome });
+  promMetrics.synthSeconds.observe({ endpoint: entry.endpoint, provider: entry.provider }, entry.elapsedMs / 1000);
+  if (record.errorCode) {
+    countError(record.errorCode);
+  } else {
+    promMetrics.characters.inc({ endpoint: entry.endpoint, provider: entry.provider, voice }, entry.chars);
+    promMetrics.audioSeconds.inc({ endpoint: entry.endpoint, provider: entry.provider, voice }, entry.durationSec);
   }
 };
 
-const buildCacheKey = ({ text, voice, rate, provider, segmentIndex, segmentCount, segmentTag }) => {
+const buildCacheKey = ({
+  text,
+  ssml,
+  voice,
+  rate,
+  pitch,
+  provider,
+  segmentIndex,
+  segmentCount,
+  segmentTag,
+  format,
+  visemeProfile,
+}) => {
   const normalizedVoice = voice || 'default';
   const normalizedRate = Number.isFinite(rate) ? Number(rate).toFixed(3) : 'auto';
+  const normalizedPitch = Number.isFinite(pitch) ? Number(pitch).toFixed(3) : 'auto';
   const normalizedSegmentIndex = Number.isFinite(segmentIndex) ? String(segmentIndex) : 'none';
   const normalizedSegmentCount = Number.isFinite(segmentCount) ? String(segmentCount) : 'none';
   const normalizedSegmentTag = segmentTag ? String(segmentTag) : 'none';
-  const base = `${provider}|${normalizedVoice}|${normalizedRate}|${normalizedSegmentIndex}|${normalizedSegmentCount}|${normalizedSegmentTag}|${text}`;
+  const input = ssml ? `ssml:${ssml}` : `text:${text}`;
+  const normalizedFormat = format || 'wav';
+  const normalizedProfile = visemeProfile || 'default';
+  const base = `${provider}|${normalizedVoice}|${normalizedRate}|${normalizedPitch}|${normalizedSegmentIndex}|${normalizedSegmentCount}|${normalizedSegmentTag}|${normalizedFormat}|${normalizedProfile}|${input}`;
   return createHash('sha1').update(base).digest('hex');
 };
 
-const removeCacheEntry = (key, entry) => {
-  if (!entry) {
-    entry = ttsCache.get(key);
-  }
-  if (!entry) {
-    return;
-  }
-  ttsCache.delete(key);
-  ttsCacheBytes -= entry.size;
-  if (ttsCacheBytes < 0) {
-    ttsCacheBytes = 0;
-  }
-};
-
-const pruneExpiredEntries = () => {
-  if (ttsCache.size === 0) {
-    return;
-  }
-  const now = Date.now();
-  for (const [key, entry] of ttsCache.entries()) {
-    if (entry.expiresAt <= now) {
-      removeCacheEntry(key, entry);
-    }
-  }
-};
-
-const enforceCacheLimit = () => {
-  if (ttsCache.size <= config.cache.maxEntries) {
-    return;
-  }
-  const limit = Math.max(0, config.cache.maxEntries);
-  while (ttsCache.size > limit) {
-    const oldestKey = ttsCache.keys().next().value;
-    if (typeof oldestKey === 'undefined') {
-      break;
-    }
-    const oldestEntry = ttsCache.get(oldestKey);
-    removeCacheEntry(oldestKey, oldestEntry);
-  }
-};
-
-const setCacheEntry = (key, payload) => {
-  pruneExpiredEntries();
-  if (ttsCache.has(key)) {
-    removeCacheEntry(key, ttsCache.get(key));
-  }
-  const size = estimatePayloadBytes(payload);
-  const entry = {
-    payload,
-    expiresAt: Date.now() + config.cache.ttlMs,
-    size,
-  };
-  ttsCache.set(key, entry);
-  ttsCacheBytes += size;
-  enforceCacheLimit();
-};
-
-const getCacheEntry = (key) => {
-  const entry = ttsCache.get(key);
-  if (!entry) {
-    return null;
-  }
-  if (entry.expiresAt <= Date.now()) {
-    removeCacheEntry(key, entry);
-    return null;
-  }
-  ttsCache.delete(key);
-  ttsCache.set(key, entry);
-  return entry.payload;
-};
-
-const buildResponsePayload = (result, providerKey) => {
-  const audioFilename = `${result.id}.wav`;
+const buildResponsePayload = (result, providerKey, visemeProfile) => {
+  const audioFilename = `${result.id}${path.extname(result.audioPath) || '.wav'}`;
   return {
     audioUrl: `/audio/${audioFilename}`,
     audioType: result.audioType,
@@ -222,10 +421,31 @@ const buildResponsePayload = (result, providerKey) => {
     wordTimeline: result.wordTimeline,
     duration: result.duration,
     provider: providerKey,
+    visemeProfile,
     sampleRate: config.sampleRate,
   };
 };
 
+/**
+ * 读取 `timeline` 查询参数：值为 `compact` 时响应中的 mouthTimeline 压缩为关键帧格式，
+ * 其余情况保持逐帧数组，未升级的客户端不受影响。POST 请求同样通过查询参数协商。
+ * @param {import('express').Request} req - 请求对象。
+ * @returns {boolean} 是否使用紧凑格式。
+ */
+const wantsCompactTimeline = (req) => req.query.timeline === 'compact';
+
+/**
+ * 按协商结果编码响应中的 mouthTimeline，缓存中始终保存逐帧数组。
+ * @template {{ mouthTimeline?: any }} T
+ * @param {T} payload - 响应体。
+ * @param {boolean} compact - 是否使用紧凑格式。
+ * @returns {T} 编码后的响应体。
+ */
+const encodeTimelinePayload = (payload, compact) =>
+  compact && Array.isArray(payload?.mouthTimeline)
+    ? { ...payload, mouthTimeline: compressTimeline(payload.mouthTimeline, config.timeline.compactTolerance) }
+    : payload;
+
 const resolveSegmentLabel = (segmentIndex, segmentCount, segmentTag) => {
   if (segmentTag) {
     return segmentTag;
@@ -243,6 +463,171 @@ const resolveSegmentLabel = (segmentIndex, segmentCount, segmentTag) => {
   return null;
 };
 
+/**
+ * @typedef {Object} TtsRequestInput
+ * @property {string} text - 纯文本；SSML 输入时为去除标签后的文本。
+ * @property {string} [ssml] - 原始 SSML。
+ * @property {number} charCount - 按纯文本计算的字数。
+ * @property {string} providerKey - provider 标识。
+ * @property {import('./src/tts/ITtsProvider.js').ITtsProvider} provider - provider 实例。
+ * @property {string} [voice] - 发音人。
+ * @property {number} [rate] - 语速。
+ * @property {number} [pitch] - 音高。
+ * @property {number} [segmentIndex] - 分段序号。
+ * @property {number} [segmentCount] - 分段总数。
+ * @property {string} [segmentTag] - 分段标识。
+ * @property {import('./src/tts/AudioTranscoder.js').AudioFormat} format - 输出音频格式。
+ * @property {import('./src/tts/VisemeProfileRegistry.js').VisemeProfile} visemeProfile - 口型映射档案，未指定时按音色自动选择。
+ */
+
+/**
+ * 将可选数值参数转换为有限数字，空值或非法值返回 undefined。
+ * @param {unknown} value - 原始值。
+ * @returns {number|undefined} 数值。
+ */
+const parseOptionalNumber = (value) => {
+  if (typeof value === 'undefined' || value === null || value === '') {
+    return undefined;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+/**
+ * 协商输出格式：显式的 `format` 参数优先，其次按 `Accept` 中本机可输出的第一个音频类型，都没有时使用默认格式。
+ * @param {unknown} requested - `format` 参数。
+ * @param {string | undefined} accept - `Accept` 请求头。
+ * @returns {{ ok: true, format: import('./src/tts/AudioTranscoder.js').AudioFormat } | { ok: false, status: number, code: string, message: string }} 协商结果。
+ */
+const negotiateAudioFormat = (requested, accept) => {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    const format = String(requested).trim().toLowerCase();
+    if (!isAudioFormat(format)) {
+      return { ok: false, status: 400, code: 'unsupported_format', message: `不支持的音频格式: ${format}` };
+    }
+    if (!transcoder.supports(format)) {
+      return {
+        ok: false,
+        status: 406,
+        code: 'format_unavailable',
+        message: `服务端未安装 ${format} 编码器，可用格式：${transcoder.availableFormats().join(', ')}`,
+      };
+    }
+    return { ok: true, format };
+  }
+  const accepted = parseAcceptedFormats(accept).find((format) => transcoder.supports(format));
+  return { ok: true, format: accepted ?? defaultAudioFormat };
+};
+
+/**
+ * 从查询参数（GET）或 JSON 请求体（POST）中解析 TTS 输入，两种来源字段保持一致。
+ * @param {Record<string, any>} source - `req.query` 或 `req.body`。
+ * @param {{ accept?: string }} [options] - `accept` 为请求的 `Accept` 头，用于协商输出格式。
+ * @returns {{ ok: true, input: TtsRequestInput } | { ok: false, status: number, message: string, code?: string }} 解析结果。
+ */
+const parseTtsInput = (source, options = {}) => {
+  const body = source && typeof source === 'object' ? source : {};
+  const rawSsml = typeof body.ssml === 'string' ? body.ssml.trim() : '';
+  let text;
+  let ssml;
+  if (rawSsml) {
+    text = parseSsml(rawSsml).text;
+    ssml = rawSsml;
+    if (!text) {
+      return { ok: false, status: 400, message: 'ssml 中未包含可朗读的文本。' };
+    }
+  } else {
+    text = String(body.text || '').trim();
+    if (!text) {
+      return { ok: false, status: 400, message: 'text 或 ssml 参数不能为空。' };
+    }
+  }
+  const charCount = Array.from(text).length;
+  if (charCount > config.limits.maxTextLen) {
+    return { ok: false, status: 413, message: `文本长度超出限制（最大 ${config.limits.maxTextLen} 字）。` };
+  }
+
+  const providerKey = String(body.provider || config.defaultProvider);
+  const provider = providers[providerKey];
+  if (!provider) {
+    return { ok: false, status: 400, message: `未找到 provider: ${providerKey}` };
+  }
+
+  const negotiated = negotiateAudioFormat(body.format, options.accept);
+  if (!negotiated.ok) {
+    return negotiated;
+  }
+
+  const voice = body.voice ? String(body.voice) : undefined;
+  const requestedProfile = body.visemeProfile ? String(body.visemeProfile).trim() : '';
+  // 未指定音色时按 provider 的默认音色选择档案。
+  const visemeProfile = visemeProfiles.resolve({ profile: requestedProfile, voice: voice ?? provider.voice });
+  if (!visemeProfile) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'unknown_viseme_profile',
+      message: `未找到口型映射档案: ${requestedProfile}`,
+    };
+  }
+
+  const segmentTag = body.segmentId ? String(body.segmentId) : body.segmentKey ? String(body.segmentKey) : undefined;
+  return {
+    ok: true,
+    input: {
+      text,
+      ssml,
+      charCount,
+      providerKey,
+      provider,
+      voice,
+      rate: parseOptionalNumber(body.rate) || undefined,
+      pitch: parseOptionalNumber(body.pitch),
+      segmentIndex: parseOptionalNumber(body.segmentIndex),
+      segmentCount: parseOptionalNumber(body.segmentCount),
+      segmentTag,
+      format: negotiated.format,
+      visemeProfile,
+    },
+  };
+};
+
+/**
+ * 读取单个 provider 的音色列表，未实现 `listVoices` 或获取失败时返回空列表。
+ * @param {string} providerKey - provider 名称。
+ * @returns {Promise<import('./src/tts/ITtsProvider.js').TtsVoice[]>} 音色列表。
+ */
+const listProviderVoices = async (providerKey) => {
+  const provider = providers[providerKey];
+  if (typeof provider?.listVoices !== 'function') {
+    return [];
+  }
+  return provider.listVoices().catch(() => []);
+};
+
+/**
+ * 汇总各 provider 的音色列表：未实现 `listVoices` 的 provider 跳过，单个 provider 失败时记录错误而不影响其他 provider。
+ * @returns {Promise<{ voices: import('./src/tts/ITtsProvider.js').TtsVoice[], errors: { provider: string, message: string }[] }>} 音色与失败的 provider。
+ */
+const listAllVoices = async () => {
+  const results = await Promise.all(
+    Object.entries(providers).map(async ([providerKey, provider]) => {
+      if (typeof provider.listVoices !== 'function') {
+        return { voices: [] };
+      }
+      try {
+        return { voices: await provider.listVoices() };
+      } catch (error) {
+        return { voices: [], error: { provider: providerKey, message: error instanceof Error ? error.message : String(error) } };
+      }
+    }),
+  );
+  return {
+    voices: results.flatMap((result) => result.voices),
+    errors: results.flatMap((result) => (result.error ? [result.error] : [])),
+  };
+};
+
 const rolesDir = path.resolve(process.cwd(), 'roles');
 const ROLE_CACHE_TTL_MS = 10_000;
 
@@ -255,10 +640,36 @@ const ROLE_CACHE_TTL_MS = 10_000;
  * @property {Record<string, number>} [preset] - 表情预设。
  * @property {string} [theme] - 主题皮肤标识。
  * @property {string} [renderMode] - 默认渲染模式。
+ * @property {string} [persona] - 对话人设，`/chat` 会将其作为 system 提示词。
  */
 
 /** @type {{ list: RoleProfile[], map: Map<string, RoleProfile>, loadedAt: number }} */
 let rolesCache = { list: [], map: new Map(), loadedAt: 0 };
+/** @type {Set<string>} 已告警过的 `<角色>:<音色>`，角色缓存定期刷新时不重复告警。 */
+const warnedRoleVoices = new Set();
+
+/**
+ * 检查角色档案引用的音色是否出现在任一 provider 的音色列表中，未找到时告警一次。
+ * 所有 provider 都无法列出音色（如未安装 eSpeak NG）时跳过检查。
+ * @param {RoleProfile[]} roles - 角色档案。
+ */
+const warnUnknownRoleVoices = async (roles) => {
+  const { voices } = await listAllVoices();
+  if (voices.length === 0) {
+    return;
+  }
+  for (const role of roles) {
+    if (typeof role.voice !== 'string' || !role.voice.trim()) {
+      continue;
+    }
+    const key = `${role.id}:${role.voice}`;
+    if (warnedRoleVoices.has(key) || voices.some((entry) => matchesVoice(entry, role.voice))) {
+      continue;
+    }
+    warnedRoleVoices.add(key);
+    console.warn(`[roles] 角色 ${role.id} 引用的音色 ${role.voice} 不在任何 provider 的音色列表中，请检查 GET /voices`);
+  }
+};
 
 /**
  * 从磁盘读取角色档案目录。
@@ -294,6 +705,8 @@ async function loadRolesFromDisk() {
       const nameB = String(b.name || b.id || '');
       return nameA.localeCompare(nameB, 'zh-Hans-CN');
     });
+    // 音色列表可能需要请求远端接口，不阻塞角色加载。
+    warnUnknownRoleVoices(roles).catch(() => {});
     return { list: roles, map: new Map(roles.map((role) => [role.id, role])) };
   } catch (error) {
     if (error && typeof error === 'object' && /** @type {{ code?: string }} */ (error).code === 'ENOENT') {
@@ -323,7 +736,25 @@ async function getRoles(forceReload = false) {
  * 初始化 Express 应用。
  */
 const app = express();
+// 位于 nginx 等反向代理之后时，按 `TRUST_PROXY` 信任代理写入的 `X-Forwarded-For`，供限流识别真实客户端 IP。
+app.set('trust proxy', config.limits.trustProxy);
 app.use(helmet());
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * 为每个请求分配请求 ID：沿用网关传入的 `X-Request-Id`（格式合法时），否则生成 UUID。
+ * 请求 ID 写入响应头与审计日志，便于把客户端报错与日志对应起来。
+ */
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+  res.locals.requestId = requestId;
+  res.setHeader('X-Request-Id', requestId);
+  next();
+});
+// `POST /tts` 需要承载长文本与 SSML，单独放宽请求体上限；其余接口仍保持 10KB。
+app.use('/tts', express.json({ limit: config.limits.ttsBodyLimit }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: false, limit: '10kb' }));
 
@@ -332,6 +763,18 @@ if (fs.existsSync(themesDir)) {
   app.use('/themes', express.static(themesDir, { extensions: ['json'] }));
 }
 
+/**
+ * 判断请求来源是否在跨域白名单内，HTTP 接口与 WebSocket 握手共用同一策略。
+ * @param {string | undefined} origin - 请求头中的 Origin。
+ * @returns {boolean} 是否允许。
+ */
+const isOriginAllowed = (origin) => {
+  if (!origin || !config.cors.enabled) {
+    return true;
+  }
+  return config.cors.allowAllOrigins || config.cors.whitelist.includes(origin);
+};
+
 /**
  * 本地开发默认允许任意来源跨域，生产环境可在 .env 中配置白名单。
  */
@@ -342,17 +785,12 @@ if (config.cors.enabled) {
       next();
       return;
     }
-    let allowed = false;
-    if (config.cors.allowAllOrigins) {
-      allowed = true;
-    } else if (config.cors.whitelist.includes(origin)) {
-      allowed = true;
-    }
-    if (allowed) {
+    if (isOriginAllowed(origin)) {
       res.header('Access-Control-Allow-Origin', origin);
       res.header('Access-Control-Allow-Credentials', 'true');
-      res.header('Access-Control-Allow-Headers', 'Content-Type');
-      res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Request-Id');
+      res.header('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+      res.header('Access-Control-Expose-Headers', 'Location, X-Queue-Position, X-Request-Id, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset');
     }
     if (req.method === 'OPTIONS') {
       res.sendStatus(204);
@@ -362,6 +800,99 @@ if (config.cors.enabled) {
   });
 }
 
+/**
+ * 校验请求头中的 API key，成功后写入 `res.locals.apiKey`（匿名调用为 null）。
+ * 失败时返回 401，响应体带有 `missing_api_key` 或 `invalid_api_key` 错误码；
+ * 通过 `?api_key=` 传 key 返回 400（`api_key_in_query`），查询参数只在 `WS /ws` 升级请求中接受。
+ * @type {import('express').RequestHandler}
+ */
+const requireApiKey = (req, res, next) => {
+  if (hasQueryApiKey(req.originalUrl)) {
+    countError('api_key_in_query');
+    res.status(400).json({
+      message: 'HTTP 接口不接受查询参数中的 API key，请改用 Authorization 或 X-API-Key 请求头。',
+      code: 'api_key_in_query',
+    });
+    return;
+  }
+  const result = apiKeys.authenticate(extractApiKey(req));
+  if (!result.ok) {
+    countError(result.code);
+    res.status(result.status).json({ message: result.message, code: result.code });
+    return;
+  }
+  res.locals.apiKey = result.apiKey;
+  res.locals.clientId = resolveClientId(req.ip, result.apiKey);
+  next();
+};
+
+/**
+ * 管理接口鉴权，需放在 `requireApiKey` 之后：只有配置了 `"admin": true` 的 key 可以访问，
+ * 未启用鉴权时同样要求携带管理员 key。
+ * @type {import('express').RequestHandler}
+ */
+const requireAdmin = (_req, res, next) => {
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey;
+  if (!apiKey) {
+    countError('missing_api_key');
+    res.status(401).json({ message: '管理接口需要携带管理员 API key。', code: 'missing_api_key' });
+    return;
+  }
+  if (!apiKey.admin) {
+    countError('admin_required');
+    res.status(403).json({ message: '该 API key 无权访问管理接口。', code: 'admin_required' });
+    return;
+  }
+  next();
+};
+
+/**
+ * 按客户端令牌桶限流，放在 `requireApiKey` 之后时按 key 计数，单独使用时按 IP 计数。
+ * 超限返回 429，并通过 `Retry-After` 告知客户端何时重试。
+ * @type {import('express').RequestHandler}
+ */
+const rateLimit = (req, res, next) => {
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey ?? null;
+  const result = consumeRateLimit(res.locals.clientId ?? resolveClientId(req.ip, apiKey), apiKey);
+  applyRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    const failure = rateLimitedFailure(result);
+    res.status(failure.status).json({ message: failure.message, code: failure.code, retryAfterSec: failure.retryAfterSec });
+    return;
+  }
+  next();
+};
+
+/**
+ * 检查 key 是否允许本次合成使用的 provider 与音色、配额是否足够，`charge` 为 true 时同时扣减字数配额。
+ * 匿名调用不做限制。
+ * @param {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} apiKey - 调用方 key。
+ * @param {TtsRequestInput} input - 解析后的请求参数。
+ * @param {{ charge?: boolean }} [options] - 是否扣减配额，默认扣减。
+ * @returns {Promise<{ ok: true } | import('./src/auth/ApiKeyRegistry.js').AuthFailure>} 检查结果。
+ */
+const authorizeTts = async (apiKey, input, options = {}) => {
+  if (!apiKey) {
+    return { ok: true };
+  }
+  // 按 provider 的音色列表判断别名，与 `/voices` 的过滤一致；列表获取失败时只按请求的音色匹配。
+  const voices = apiKey.allowedVoices && input.voice ? await listProviderVoices(input.providerKey) : [];
+  const result = apiKeys.authorize(apiKey, {
+    provider: input.providerKey,
+    voice: input.voice,
+    voices,
+    chars: input.charCount,
+  });
+  if (!result.ok) {
+    countError(result.code);
+  } else if (options.charge !== false) {
+    apiKeys.recordUsage(apiKey, input.charCount);
+  }
+  return result;
+};
+
 /**
  * 健康检查。
  */
@@ -370,15 +901,21 @@ app.get('/', (_req, res) => {
     name: 'stickbot-server',
     status: 'ok',
     providers: Object.keys(providers),
+    chatProviders: Object.keys(chatProviders),
+    authRequired: config.auth.required,
+    audioFormats: transcoder.availableFormats(),
+    defaultAudioFormat,
     tmpDir: config.tmpDir,
     sampleRate: config.sampleRate,
+    fallbackOrder: config.fallback.order,
+    providerHealth: Object.fromEntries(Object.keys(providers).map((key) => [key, providerHealth.snapshot(key)])),
   });
 });
 
 /**
  * 返回全部角色档案列表。
  */
-app.get('/roles', async (_req, res) => {
+app.get('/roles', rateLimit, async (_req, res) => {
   try {
     const { list } = await getRoles();
     res.json({ roles: list });
@@ -391,7 +928,7 @@ app.get('/roles', async (_req, res) => {
 /**
  * 返回指定角色档案，若缓存未命中会尝试刷新一次。
  */
-app.get('/roles/:id', async (req, res) => {
+app.get('/roles/:id', rateLimit, async (req, res) => {
   const rawId = String(req.params.id || '').trim();
   if (!rawId) {
     res.status(400).json({ message: '缺少角色 ID。' });
@@ -417,178 +954,821 @@ app.get('/roles/:id', async (req, res) => {
 });
 
 /**
- * 聊天接口保留占位实现，确保第一轮调用仍能使用。
+ * 返回各 provider 的可用音色，可按 `provider` 与 `language`（前缀匹配，不区分大小写）过滤。
+ * 携带的 API key 限制了 provider 或音色时，只返回该 key 可用的音色。
  */
-app.post('/chat', (req, res) => {
-  const { messages = [] } = req.body || {};
+app.get('/voices', requireApiKey, rateLimit, async (req, res) => {
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey;
+  const providerFilter = typeof req.query.provider === 'string' ? req.query.provider.trim() : '';
+  const languageFilter = typeof req.query.language === 'string' ? req.query.language.trim().toLowerCase() : '';
+  if (providerFilter && !providers[providerFilter]) {
+    res.status(400).json({ message: `未找到 provider: ${providerFilter}`, code: 'unknown_provider' });
+    return;
+  }
+  const { voices, errors } = await listAllVoices();
+  const filtered = apiKeys.filterVoices(
+    apiKey,
+    voices.filter(
+      (voice) =>
+        (!providerFilter || voice.provider === providerFilter) &&
+        (!languageFilter || String(voice.language ?? '').toLowerCase().startsWith(languageFilter)),
+    ),
+  );
   res.json({
-    reply: 'stickbot 第二轮：聊天接口仍为占位实现，请接入真实 LLM。',
-    echo: messages,
-    hint: '可在此处接入 OpenAI/智谱/通义千问等模型，注意密钥管理。',
+    voices: filtered,
+    defaultProvider: config.defaultProvider,
+    errors: errors.filter((error) => !providerFilter || error.provider === providerFilter),
   });
 });
 
 /**
- * 将临时目录下的音频暴露为下载路由，路径形如 `/audio/<uuid>.wav`。
+ * 列出口型映射档案及各档案的口型说明（`visemeMeta`），供调试工具与编辑器展示。
+ * `default` 为基础映射，其余档案叠加在其上，`languages` 为自动选择档案时匹配的语言代码；
+ * 未通过校验而被跳过的档案文件列在 `invalid` 中。
  */
-app.get('/audio/:filename', (req, res) => {
-  const { filename } = req.params;
-  if (!/^[a-z0-9-]+\.wav$/i.test(filename)) {
-    res.status(400).json({ message: '非法文件名。' });
-    return;
-  }
-  const filePath = path.join(config.tmpDir, filename);
-  if (!fs.existsSync(filePath)) {
-    res.status(404).json({ message: '文件不存在或已过期。' });
-    return;
-  }
-  res.type('audio/wav');
-  res.sendFile(filePath);
+app.get('/visemes', requireApiKey, rateLimit, (_req, res) => {
+  res.json({
+    profiles: visemeProfiles.list().map((profile) => ({
+      name: profile.name,
+      description: profile.description,
+      languages: profile.languages,
+      visemeMeta: profile.config.visemeMeta ?? {},
+    })),
+    invalid: visemeProfiles.invalid,
+  });
+});
+
+const UNMAPPED_REPORT_MAX_LIMIT = 1000;
+
+/**
+ * 按出现次数列出合成时按 `default` 兜底的音素，可按 `profile` 过滤、以 `limit` 限制条数，用于根据真实流量补充映射。
+ */
+app.get('/visemes/unmapped', requireApiKey, rateLimit, (req, res) => {
+  const profile = typeof req.query.profile === 'string' ? req.query.profile.trim().toLowerCase() : '';
+  const limit = Math.min(UNMAPPED_REPORT_MAX_LIMIT, Math.max(0, parseOptionalNumber(req.query.limit) ?? 100));
+  res.json(unmappedPhonemes.report({ profile: profile || undefined, limit }));
 });
 
+const CHAT_SESSION_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 规范化客户端传入的完整对话，仅保留 user/assistant 文本消息；system 人设始终由服务端根据角色生成。
+ * @param {unknown[]} messages - 原始消息数组。
+ * @returns {import('./src/chat/IChatProvider.js').ChatMessage[]} 规范化后的消息。
+ */
+const normalizeChatMessages = (messages) =>
+  messages
+    .filter(
+      (item) =>
+        item &&
+        typeof item === 'object' &&
+        (item.role === 'user' || item.role === 'assistant') &&
+        typeof item.content === 'string' &&
+        item.content.trim(),
+    )
+    .map((item) => ({ role: item.role, content: item.content.trim() }));
+
 /**
- * 核心 TTS 接口：根据 provider 调用适配器并返回音频 URL 与 mouth 时间轴。
+ * 对话接口：按 `sessionId` 保存历史，使用角色档案中的人设调用 LLM，
+ * 传入 `tts` 时直接把回复交给 TTS，一次请求即可拿到回复文本、音频与时间轴。
  */
-app.get('/tts', async (req, res) => {
-  const text = String(req.query.text || '').trim();
-  if (!text) {
-    res.status(400).json({ message: 'text 参数不能为空。' });
+app.post('/chat', requireApiKey, rateLimit, async (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey;
+  const rawSessionId = typeof body.sessionId === 'string' ? body.sessionId.trim() : '';
+  if (rawSessionId && !CHAT_SESSION_ID_RE.test(rawSessionId)) {
+    res.status(400).json({ message: 'sessionId 仅支持 1-64 位字母、数字、下划线或连字符。' });
     return;
   }
-  const charCount = Array.from(text).length;
-  if (charCount > config.limits.maxTextLen) {
-    res.status(413).json({ message: `文本长度超出限制（最大 ${config.limits.maxTextLen} 字）。` });
+  const sessionId = rawSessionId || randomUUID();
+  const providerKey = String(body.provider || config.chat.defaultProvider);
+  const chatProvider = chatProviders[providerKey];
+  if (!chatProvider) {
+    res.status(400).json({ message: `不支持的对话模型 provider：${providerKey}` });
     return;
   }
 
-  const providerKey = /** @type {'espeak' | 'azure'} */ (req.query.provider || config.defaultProvider);
-  const provider = providers[providerKey];
-  if (!provider) {
-    res.status(400).json({ message: `未找到 provider: ${providerKey}` });
+  // 不同 key 的会话相互隔离，即使客户端使用了相同的 sessionId。
+  const session = chatSessions.get(apiKey ? `${apiKey.id}:${sessionId}` : sessionId);
+  if (body.reset === true) {
+    session.messages = [];
+  }
+  /** @type {import('./src/chat/IChatProvider.js').ChatMessage[]} */
+  let history;
+  if (typeof body.message === 'string') {
+    const message = body.message.trim();
+    if (!message) {
+      res.status(400).json({ message: 'message 参数不能为空。' });
+      return;
+    }
+    history = [...session.messages, { role: 'user', content: message }];
+  } else if (Array.isArray(body.messages)) {
+    // 兼容无状态客户端：直接提交完整对话时以其为准，覆盖服务端保存的历史。
+    history = normalizeChatMessages(body.messages);
+  } else {
+    res.status(400).json({ message: 'message 参数不能为空。' });
     return;
   }
-  const voice = req.query.voice ? String(req.query.voice) : undefined;
-  const rate = req.query.rate ? Number(req.query.rate) : undefined;
-
-  const rawSegmentIndex = req.query.segmentIndex;
-  const rawSegmentCount = req.query.segmentCount;
-  const parsedSegmentIndex = typeof rawSegmentIndex !== 'undefined' ? Number(rawSegmentIndex) : undefined;
-  const parsedSegmentCount = typeof rawSegmentCount !== 'undefined' ? Number(rawSegmentCount) : undefined;
-  const segmentIndex = Number.isFinite(parsedSegmentIndex) ? parsedSegmentIndex : undefined;
-  const segmentCount = Number.isFinite(parsedSegmentCount) ? parsedSegmentCount : undefined;
-  const segmentTag = req.query.segmentId
-    ? String(req.query.segmentId)
-    : req.query.segmentKey
-      ? String(req.query.segmentKey)
-      : undefined;
+  const lastMessage = history[history.length - 1];
+  if (!lastMessage || lastMessage.role !== 'user') {
+    res.status(400).json({ message: 'messages 的最后一条必须是用户消息。' });
+    return;
+  }
+  if (Array.from(lastMessage.content).length > config.chat.maxMessageChars) {
+    res.status(413).json({ message: `消息长度超过上限（${config.chat.maxMessageChars} 字）。` });
+    return;
+  }
+
+  const requestedRoleId = typeof body.roleId === 'string' ? body.roleId.trim() : '';
+  const roleId = requestedRoleId || session.roleId || 'default';
+  let role = null;
+  try {
+    const { map } = await getRoles();
+    role = map.get(roleId) || null;
+  } catch (error) {
+    console.warn('[chat] 读取角色档案失败', error);
+  }
+  if (requestedRoleId && !role) {
+    res.status(404).json({ message: `未找到角色：${requestedRoleId}` });
+    return;
+  }
+
+  const started = process.hrtime.bigint();
+  let completion;
+  try {
+    completion = await chatProvider.complete([{ role: 'system', content: buildPersonaPrompt(role) }, ...history]);
+  } catch (error) {
+    const detail = error instanceof Error ? error.message : String(error);
+    recordAudit({
+      endpoint: 'chat',
+      provider: providerKey,
+      voice: role?.voice,
+      chars: 0,
+      durationSec: 0,
+      timelinePoints: 0,
+      elapsedMs: measureElapsedMs(started),
+      error: detail,
+      keyId: apiKey?.id,
+      clientId: res.locals.clientId,
+      requestId: res.locals.requestId,
+    });
+    res.status(502).json({ message: '对话模型调用失败', detail });
+    return;
+  }
+
+  const reply = completion.content;
+  session.messages = [...history, { role: 'assistant', content: reply }];
+  session.roleId = role?.id ?? null;
+  chatSessions.save(session);
+  recordAudit({
+    endpoint: 'chat',
+    provider: providerKey,
+    voice: role?.voice,
+    chars: Array.from(reply).length,
+    durationSec: 0,
+    timelinePoints: 0,
+    elapsedMs: measureElapsedMs(started),
+    error: null,
+    keyId: apiKey?.id,
+    clientId: res.locals.clientId,
+    requestId: res.locals.requestId,
+  });
+
+  const response = {
+    sessionId,
+    reply,
+    chatProvider: providerKey,
+    model: completion.model,
+    roleId: role?.id ?? null,
+  };
+  if (!body.tts) {
+    res.json(response);
+    return;
+  }
+
+  // `tts: true` 使用角色默认音色；也可以传入对象覆盖 voice/rate/pitch/provider。
+  const ttsOptions = typeof body.tts === 'object' ? body.tts : {};
+  const parsed = parseTtsInput({
+    text: reply,
+    voice: ttsOptions.voice || role?.voice || undefined,
+    rate: ttsOptions.rate,
+    pitch: ttsOptions.pitch,
+    provider: ttsOptions.provider,
+    format: ttsOptions.format,
+    visemeProfile: ttsOptions.visemeProfile,
+  });
+  if (!parsed.ok) {
+    res.json({ ...response, ttsError: parsed.message, ...(parsed.code ? { ttsErrorCode: parsed.code } : {}) });
+    return;
+  }
+  const authorized = await authorizeTts(apiKey, parsed.input);
+  if (!authorized.ok) {
+    res.json({ ...response, ttsError: authorized.message, ttsErrorCode: authorized.code });
+    return;
+  }
+  // 速率限制已在对话阶段计入，这里不重复扣减。
+  const ttsResult = await resolveTtsPayload(parsed.input, {
+    enforceLimits: false,
+    apiKey,
+    clientId: res.locals.clientId,
+    requestId: res.locals.requestId,
+  });
+  if (!ttsResult.ok) {
+    res.json({ ...response, ttsError: ttsResult.message, ...(ttsResult.code ? { ttsErrorCode: ttsResult.code } : {}) });
+    return;
+  }
+  res.json({ ...encodeTimelinePayload(ttsResult.payload, wantsCompactTimeline(req)), ...response });
+});
+
+/**
+ * 清空指定会话的对话历史。
+ */
+app.delete('/chat/:sessionId', requireApiKey, (req, res) => {
+  const sessionId = String(req.params.sessionId || '').trim();
+  if (!CHAT_SESSION_ID_RE.test(sessionId)) {
+    res.status(400).json({ message: 'sessionId 仅支持 1-64 位字母、数字、下划线或连字符。' });
+    return;
+  }
+  const apiKey = res.locals.apiKey;
+  res.json({ sessionId, deleted: chatSessions.delete(apiKey ? `${apiKey.id}:${sessionId}` : sessionId) });
+});
+
+/**
+ * 将临时目录或缓存存储中的音频暴露为下载路由，见 {@link createAudioRoute}。
+ */
+app.get(
+  '/audio/:filename',
+  createAudioRoute({ tmpDir: config.tmpDir, cleanupTTL: config.cleanupTTL, cacheStore, audioUrlSigner, issuedAudio }),
+);
+
+const SHARED_CACHE_POLL_MS = 200;
+
+/**
+ * 跨实例去重合成：先在缓存存储上占用合成权，占用失败说明其他实例正在合成同一缓存键，
+ * 此时轮询等待其写入缓存；对方释放占用但没有产出结果（合成失败）或等待超过占用有效期时，由本实例自行合成。
+ * @param {string} cacheKey - 缓存键。
+ * @param {() => Promise<Record<string, any>>} synthesize - 实际合成并写入缓存的函数。
+ * @returns {Promise<Record<string, any>>} 响应体。
+ */
+const synthesizeShared = async (cacheKey, synthesize) => {
+  const lockTtlMs = config.cache.lockTtlMs;
+  let claimed = await cacheStore.claim(cacheKey, lockTtlMs);
+  const deadline = Date.now() + lockTtlMs;
+  while (!claimed && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, SHARED_CACHE_POLL_MS));
+    const payload = await cacheStore.get(cacheKey);
+    if (payload) {
+      return payload;
+    }
+    claimed = await cacheStore.claim(cacheKey, lockTtlMs);
+  }
+  try {
+    return await synthesize();
+  } finally {
+    if (claimed) {
+      await cacheStore.release(cacheKey).catch(() => {});
+    }
+  }
+};
+
+/**
+ * 提交一次 TTS 合成：优先命中缓存，其次复用进行中的同键任务，最后才进入合成队列。
+ * 未显式指定优先级时，分段序号大于 0 的请求（正在播放的句子的后续分段）以 `SEGMENT` 优先级插队。
+ * key 的 provider/音色/配额检查由调用方通过 `authorizeTts` 完成，这里只按客户端令牌桶计速率并记录归属，
+ * 命中缓存与复用进行中任务的请求不消耗令牌。
+ * @param {TtsRequestInput} input - 解析后的请求参数。
+ * @param {{ enforceLimits?: boolean, priority?: number, apiKey?: import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null, clientId?: string | null, requestId?: string | null }} [options] - `enforceLimits=false` 时跳过速率检查（流式接口逐段合成时使用），`clientId` 为限流使用的客户端标识，`requestId` 写入审计日志。
+ * @returns {Promise<{ ok: true, payload: ReturnType<typeof buildResponsePayload> } | { ok: true, job: import('./src/tts/SynthQueue.js').SynthJob, rateLimit?: import('./src/ratelimit/TokenBucketLimiter.js').RateLimitResult } | { ok: false, status: number, code: string, message: string, retryAfterSec?: number, rateLimit?: import('./src/ratelimit/TokenBucketLimiter.js').RateLimitResult }>} 缓存结果、合成任务或错误，消耗过令牌时附带限流结果。
+ */
+const submitTtsJob = async (input, options = {}) => {
+  const enforceLimits = options.enforceLimits !== false;
+  const keyId = options.apiKey?.id ?? null;
+  const {
+    text,
+    ssml,
+    charCount,
+    providerKey,
+    voice,
+    rate,
+    pitch,
+    segmentIndex,
+    segmentCount,
+    segmentTag,
+    format,
+    visemeProfile,
+  } = input;
+  const priority =
+    options.priority ?? (Number(segmentIndex) > 0 ? SYNTH_PRIORITY.SEGMENT : SYNTH_PRIORITY.NORMAL);
 
   const cacheKey = buildCacheKey({
     text,
+    ssml,
     voice,
     rate,
+    pitch,
     provider: providerKey,
     segmentIndex,
     segmentCount,
     segmentTag,
+    format,
+    visemeProfile: visemeProfile.name,
   });
-  const cachedPayload = getCacheEntry(cacheKey);
+  const cachedPayload = await cacheStore.get(cacheKey);
   if (cachedPayload) {
-    res.json(cachedPayload);
+    metricsState.cacheHits += 1;
+    promMetrics.cacheHits.inc();
+    recordAudit({
+      endpoint: 'tts',
+      provider: providerKey,
+      voice,
+      chars: charCount,
+      durationSec: cachedPayload.duration ?? 0,
+      timelinePoints: Array.isArray(cachedPayload.mouthTimeline) ? cachedPayload.mouthTimeline.length : 0,
+      elapsedMs: 0,
+      error: null,
+      segment: resolveSegmentLabel(segmentIndex, segmentCount, segmentTag),
+      keyId,
+      clientId: options.clientId ?? null,
+      requestId: options.requestId ?? null,
+      cacheHit: true,
+    });
+    return { ok: true, payload: issueAudioPayload(cachedPayload) };
+  }
+
+  const pending = pendingSynths.get(cacheKey);
+  if (pending) {
+    synthQueue.promote(pending.id, priority);
+    if (!pending.meta.keyIds.includes(keyId)) {
+      pending.meta.keyIds.push(keyId);
+    }
+    return { ok: true, job: pending };
+  }
+  /** @type {import('./src/ratelimit/TokenBucketLimiter.js').RateLimitResult | undefined} */
+  let rateLimitResult;
+  if (enforceLimits) {
+    const apiKey = options.apiKey ?? null;
+    rateLimitResult = consumeRateLimit(options.clientId ?? resolveClientId(undefined, apiKey), apiKey);
+    if (!rateLimitResult.allowed) {
+      return { ...rateLimitedFailure(rateLimitResult), rateLimit: rateLimitResult };
+    }
+  }
+  const enqueuedAt = Date.now();
+  const job = synthQueue.enqueue(
+    () => {
+      promMetrics.queueWaitSeconds.observe({}, (Date.now() - enqueuedAt) / 1000);
+      return synthesizeShared(cacheKey, () =>
+        synthesizeAndCache({
+          providerKey,
+          text,
+          ssml,
+          voice,
+          rate,
+          pitch,
+          charCount,
+          cacheKey,
+          segmentIndex,
+          segmentCount,
+          segmentTag,
+          format,
+          visemeProfile,
+          keyId,
+          allowedProviders: options.apiKey?.allowedProviders ?? null,
+          clientId: options.clientId ?? null,
+          requestId: options.requestId ?? null,
+        }),
+      );
+    },
+    { priority, meta: { provider: providerKey, chars: charCount, segmentIndex, segmentCount, keyIds: [keyId] } },
+  );
+  if (!job) {
+    countError('queue_full');
+    return { ok: false, status: 429, code: 'queue_full', message: '合成队列已满，请稍后再试。', rateLimit: rateLimitResult };
+  }
+  metricsState.cacheMisses += 1;
+  promMetrics.cacheMisses.inc();
+  pendingSynths.set(cacheKey, job);
+  job.promise
+    .finally(() => {
+      if (pendingSynths.get(cacheKey) === job) {
+        pendingSynths.delete(cacheKey);
+      }
+    })
+    .catch(() => {});
+  return { ok: true, job, rateLimit: rateLimitResult };
+};
+
+/**
+ * 等待合成任务结束并转换为统一的结果结构。
+ * @param {import('./src/tts/SynthQueue.js').SynthJob} job - 合成任务。
+ * @returns {Promise<{ ok: true, payload: ReturnType<typeof buildResponsePayload> } | { ok: false, status: number, code: string, message: string, detail?: string }>} 合成结果。
+ */
+const awaitTtsJob = async (job) => {
+  try {
+    const payload = await job.promise;
+    return { ok: true, payload: issueAudioPayload(payload) };
+  } catch (error) {
+    if (error instanceof SynthJobCancelledError) {
+      countError('job_cancelled');
+      return { ok: false, status: 409, code: 'job_cancelled', message: error.message };
+    }
+    if (error instanceof ProviderUnavailableError) {
+      countError('provider_unavailable');
+      return { ok: false, status: 503, code: 'provider_unavailable', message: error.message };
+    }
+    return {
+      ok: false,
+      status: 500,
+      code: 'synthesis_failed',
+      message: 'TTS 处理失败',
+      detail: error instanceof Error ? error.message : String(error),
+    };
+  }
+};
+
+/**
+ * 获取一次 TTS 合成结果，必要时在队列中等待。
+ * @param {TtsRequestInput} input - 解析后的请求参数。
+ * @param {{ enforceLimits?: boolean, priority?: number, apiKey?: import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null, clientId?: string | null, requestId?: string | null }} [options] - 同 `submitTtsJob`。
+ * @returns {Promise<{ ok: true, payload: ReturnType<typeof buildResponsePayload> } | { ok: false, status: number, code: string, message: string, detail?: string }>} 合成结果。
+ */
+const resolveTtsPayload = async (input, options = {}) => {
+  const submitted = await submitTtsJob(input, options);
+  if (!submitted.ok || 'payload' in submitted) {
+    return submitted;
+  }
+  return awaitTtsJob(submitted.job);
+};
+
+/**
+ * 将合成任务转换为 `/tts/jobs/:id` 的响应体。
+ * @param {import('./src/tts/SynthQueue.js').SynthJob} job - 合成任务。
+ * @param {boolean} [compactTimeline] - 结果中的 mouthTimeline 是否使用紧凑格式。
+ * @returns {Record<string, any>} 任务状态。
+ */
+const describeJob = (job, compactTimeline = false) => ({
+  jobId: job.id,
+  status: job.status,
+  priority: job.priority,
+  position: synthQueue.position(job.id),
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  waitMs: (job.startedAt ?? job.finishedAt ?? Date.now()) - job.createdAt,
+  statusUrl: `/tts/jobs/${job.id}`,
+  ...(job.status === 'done'
+    ? { result: encodeTimelinePayload(issueAudioPayload(job.result), compactTimeline) }
+    : {}),
+  ...(job.error ? { error: job.error } : {}),
+});
+
+/**
+ * 判断请求是否要求异步返回任务 ID。
+ * @param {Record<string, any>} source - 查询参数或 JSON 请求体。
+ * @returns {boolean} 是否异步。
+ */
+const isAsyncRequest = (source) => source?.async === true || source?.async === '1' || source?.async === 'true';
+
+/**
+ * 核心 TTS 处理流程：根据 provider 调用适配器并返回音频 URL 与 mouth 时间轴。
+ * @param {Record<string, any>} source - 查询参数或 JSON 请求体。
+ * @param {import('express').Response} res - 响应对象。
+ */
+const handleTtsRequest = async (source, res) => {
+  const parsed = parseTtsInput(source, { accept: res.req.get('Accept') });
+  if (!parsed.ok) {
+    res.status(parsed.status).json({ message: parsed.message, ...(parsed.code ? { code: parsed.code } : {}) });
     return;
   }
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey;
+  // 速率限制在 submitTtsJob 中按缓存未命中计入，被拒绝的请求不扣减配额。
+  const authorized = await authorizeTts(apiKey, parsed.input, { charge: false });
+  if (!authorized.ok) {
+    res.status(authorized.status).json({ message: authorized.message, code: authorized.code });
+    return;
+  }
+  const submitted = await submitTtsJob(parsed.input, {
+    apiKey,
+    clientId: res.locals.clientId,
+    requestId: res.locals.requestId,
+  });
+  if ('rateLimit' in submitted && submitted.rateLimit) {
+    applyRateLimitHeaders(res, submitted.rateLimit);
+  }
+  if (!submitted.ok) {
+    res.status(submitted.status).json({
+      message: submitted.message,
+      code: submitted.code,
+      ...('retryAfterSec' in submitted ? { retryAfterSec: submitted.retryAfterSec } : {}),
+    });
+    return;
+  }
+  if (apiKey) {
+    apiKeys.recordUsage(apiKey, parsed.input.charCount);
+  }
+  const compactTimeline = wantsCompactTimeline(res.req);
+  if ('payload' in submitted) {
+    res.json(encodeTimelinePayload(submitted.payload, compactTimeline));
+    return;
+  }
+  const { job } = submitted;
+  if (isAsyncRequest(source)) {
+    res.status(202).location(`/tts/jobs/${job.id}`).json(describeJob(job, compactTimeline));
+    return;
+  }
+  res.setHeader('X-Queue-Position', String(synthQueue.position(job.id)));
+  const result = await awaitTtsJob(job);
+  if (!result.ok) {
+    res.status(result.status).json({
+      message: result.message,
+      ...(result.code ? { code: result.code } : {}),
+      ...(result.detail ? { detail: result.detail } : {}),
+    });
+    return;
+  }
+  res.json(encodeTimelinePayload(result.payload, compactTimeline));
+};
+
+/**
+ * `GET /tts`：通过查询参数传入文本，适合短文本与旧客户端。
+ */
+app.get('/tts', requireApiKey, (req, res) => handleTtsRequest(req.query, res));
 
-  let synthPromise = pendingSynths.get(cacheKey);
-  if (!synthPromise) {
-    if (!consumeRateLimit()) {
-      res.status(429).json({ message: '请求过于频繁，请稍后再试。' });
+/**
+ * `POST /tts`：通过 JSON 请求体传入 `text` 或 `ssml`，适合长文本与富文本输入。
+ */
+app.post('/tts', requireApiKey, (req, res) => handleTtsRequest(req.body, res));
+
+/**
+ * 查找调用方有权访问的合成任务：只有提交过该任务的 key（或匿名调用方）才能查询与取消。
+ * @param {string} id - 任务 ID。
+ * @param {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} apiKey - 调用方 key。
+ * @returns {import('./src/tts/SynthQueue.js').SynthJob | undefined} 任务。
+ */
+const findOwnJob = (id, apiKey) => {
+  const job = synthQueue.get(id);
+  return job && Array.isArray(job.meta.keyIds) && job.meta.keyIds.includes(apiKey?.id ?? null) ? job : undefined;
+};
+
+/**
+ * 查询合成任务状态，完成后 `result` 为与 `/tts` 相同的响应体。
+ */
+app.get('/tts/jobs/:id', requireApiKey, (req, res) => {
+  const job = findOwnJob(req.params.id, res.locals.apiKey);
+  if (!job) {
+    res.status(404).json({ message: '任务不存在或已过期。' });
+    return;
+  }
+  res.json(describeJob(job, wantsCompactTimeline(req)));
+});
+
+/**
+ * 取消仍在排队的合成任务。同一缓存键的并发请求共享任务，取消后这些请求都会收到 409。
+ */
+app.delete('/tts/jobs/:id', requireApiKey, (req, res) => {
+  const job = findOwnJob(req.params.id, res.locals.apiKey);
+  if (!job) {
+    res.status(404).json({ message: '任务不存在或已过期。' });
+    return;
+  }
+  if (!synthQueue.cancel(job.id)) {
+    res.status(409).json({ message: '任务已开始执行或已结束，无法取消。', ...describeJob(job) });
+    return;
+  }
+  res.json(describeJob(job));
+});
+
+/**
+ * 流式 TTS：服务端按标点切分文本并逐段合成，每完成一段即以一行 JSON（NDJSON）推送，
+ * 客户端拿到首段即可开始播放，无需等待整段合成或逐段发起 `/tts` 请求。
+ * 事件依次为 `start` → 若干 `segment` → `end`，失败时推送 `error` 并结束。
+ * @param {Record<string, any>} source - 查询参数或 JSON 请求体。
+ * @param {import('express').Response} res - 响应对象。
+ */
+const handleTtsStreamRequest = async (source, res) => {
+  const parsed = parseTtsInput(source, { accept: res.req.get('Accept') });
+  if (!parsed.ok) {
+    res.status(parsed.status).json({ message: parsed.message, ...(parsed.code ? { code: parsed.code } : {}) });
+    return;
+  }
+  const { input } = parsed;
+  // SSML 的停顿与韵律标签跨越句子边界，无法安全切分，整体作为一段合成。
+  const segments = input.ssml
+    ? [input.text]
+    : splitTextIntoSegments(input.text, {
+        minChars: parseOptionalNumber(source?.segmentMinChars) ?? config.stream.segmentMinChars,
+        maxChars: parseOptionalNumber(source?.segmentMaxChars) ?? config.stream.segmentMaxChars,
+      });
+
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey;
+  // 整段文本一次性扣减配额，避免流式推送到一半才因配额不足中断。
+  const authorized = await authorizeTts(apiKey, input);
+  if (!authorized.ok) {
+    res.status(authorized.status).json({ message: authorized.message, code: authorized.code });
+    return;
+  }
+
+  let closed = false;
+  res.on('close', () => {
+    closed = !res.writableEnded;
+  });
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  // 关闭 Nginx 代理缓冲，保证每段结果即时下发。
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const writeEvent = (event) => {
+    if (!closed) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+
+  const compactTimeline = wantsCompactTimeline(res.req);
+  const segmentCount = segments.length;
+  writeEvent({ type: 'start', segmentCount, segments });
+  let offset = 0;
+  for (let index = 0; index < segmentCount; index += 1) {
+    if (closed) {
+      // 客户端已断开，停止合成剩余片段。
       return;
     }
-    if (config.limits.maxConcurrency > 0 && metricsState.activeSynths >= config.limits.maxConcurrency) {
-      res.status(429).json({ message: '当前合成请求过多，请稍后再试。' });
+    const segmentText = segments[index];
+    const segmentInput =
+      segmentCount === 1
+        ? input
+        : {
+            ...input,
+            text: segmentText,
+            charCount: Array.from(segmentText).length,
+            segmentIndex: index,
+            segmentCount,
+            // 与网页端分段请求的 segmentId 保持一致，两种方式可共享缓存。
+            segmentTag: `seg-${index + 1}-of-${segmentCount}`,
+          };
+    const result = await resolveTtsPayload(segmentInput, {
+      enforceLimits: false,
+      apiKey,
+      clientId: res.locals.clientId,
+      requestId: res.locals.requestId,
+    });
+    if (!result.ok) {
+      writeEvent({
+        type: 'error',
+        index,
+        message: result.message,
+        ...(result.code ? { code: result.code } : {}),
+        ...(result.detail ? { detail: result.detail } : {}),
+      });
+      res.end();
       return;
     }
-    synthPromise = synthesizeAndCache({
-      provider,
-      providerKey,
-      text,
-      voice,
-      rate,
-      charCount,
-      cacheKey,
-      segmentIndex,
+    writeEvent({
+      type: 'segment',
+      index,
       segmentCount,
-      segmentTag,
-    });
-    pendingSynths.set(cacheKey, synthPromise);
-    synthPromise.finally(() => {
-      pendingSynths.delete(cacheKey);
+      text: segmentText,
+      offset,
+      ...encodeTimelinePayload(result.payload, compactTimeline),
     });
+    offset += Number.isFinite(result.payload.duration) ? Math.max(0, result.payload.duration) : 0;
   }
+  writeEvent({ type: 'end', segmentCount, duration: offset });
+  res.end();
+};
 
-  try {
-    const payload = await synthPromise;
-    res.json(payload);
-  } catch (error) {
-    res.status(500).json({ message: 'TTS 处理失败', detail: error instanceof Error ? error.message : String(error) });
+/**
+ * `POST /tts/stream` 与 `GET /tts/stream`：参数与 `/tts` 一致，可额外传入 `segmentMinChars`、`segmentMaxChars`。
+ */
+app.get('/tts/stream', requireApiKey, rateLimit, (req, res) => handleTtsStreamRequest(req.query, res));
+app.post('/tts/stream', requireApiKey, rateLimit, (req, res) => handleTtsStreamRequest(req.body, res));
+
+/**
+ * 按回退链合成：先调用请求的 provider，失败或处于熔断时依次尝试 `TTS_FALLBACK_ORDER` 中已启用、且 API key 允许的 provider。
+ * 换用其他 provider 时不再传入音色（各 provider 的音色名互不通用），使用其默认音色。
+ * 所有 provider 都失败时抛出最后一个错误；均处于熔断而未调用时抛出 `ProviderUnavailableError`。
+ * @param {string} providerKey - 请求的 provider。
+ * @param {string} text - 输入文本。
+ * @param {import('./src/tts/ITtsProvider.js').TtsSynthesizeOptions} options - 合成参数。
+ * @param {string[] | null} [allowedProviders] - API key 允许的 provider，null 表示不限。
+ * @returns {Promise<{ result: import('./src/tts/ITtsProvider.js').TtsSynthesizeResult, providerKey: string }>} 合成结果与实际提供服务的 provider。
+ */
+const synthesizeWithFallback = async (providerKey, text, options, allowedProviders = null) => {
+  const chain = [...new Set([providerKey, ...config.fallback.order])].filter(
+    (key) => key === providerKey || (providers[key] && (!allowedProviders || allowedProviders.includes(key))),
+  );
+  const skipped = [];
+  let lastError = null;
+  for (const key of chain) {
+    if (!providerHealth.tryAcquire(key)) {
+      skipped.push(key);
+      continue;
+    }
+    const started = process.hrtime.bigint();
+    try {
+      const result = await providers[key].synthesize(text, key === providerKey ? options : { ...options, voice: undefined });
+      providerHealth.recordSuccess(key, measureElapsedMs(started));
+      if (key !== providerKey) {
+        promMetrics.providerFallbacks.inc({ from: providerKey, to: key });
+      }
+      return { result, providerKey: key };
+    } catch (error) {
+      providerHealth.recordFailure(key, error, measureElapsedMs(started));
+      console.warn(`[tts] provider ${key} 合成失败`, error instanceof Error ? error.message : error);
+      lastError = error;
+    }
   }
-});
+  throw lastError ?? new ProviderUnavailableError(skipped);
+};
 
+/**
+ * 合成并写入缓存。由回退链上其他 provider 合成的结果不写缓存（缓存键对应请求的 provider），
+ * 响应的 `provider` 为实际提供服务的 provider，并以 `fallbackFrom` 标明原请求的 provider。
+ */
 const synthesizeAndCache = async ({
-  provider,
   providerKey,
   text,
+  ssml,
   voice,
   rate,
+  pitch,
   charCount,
   cacheKey,
   segmentIndex,
   segmentCount,
   segmentTag,
+  format = 'wav',
+  visemeProfile,
+  keyId,
+  allowedProviders,
+  clientId,
+  requestId,
 }) => {
   metricsState.activeSynths += 1;
   const started = process.hrtime.bigint();
   let synthResult;
   try {
-    synthResult = await provider.synthesize(text, { voice, rate });
+    const served = await synthesizeWithFallback(
+      providerKey,
+      text,
+      { voice, rate, pitch, ssml, visemeConfig: visemeProfile.config },
+      allowedProviders,
+    );
+    synthResult = served.result;
+    recordUnmappedPhonemes(visemeProfile.name, served.providerKey, synthResult.unmappedPhonemes);
+    if (format !== 'wav') {
+      Object.assign(synthResult, await transcoder.transcode(synthResult.audioPath, format));
+    }
     const elapsedMs = measureElapsedMs(started);
     recordSynthMetrics(elapsedMs);
-    const payload = buildResponsePayload(synthResult, providerKey);
-    setCacheEntry(cacheKey, payload);
+    let payload = buildResponsePayload(synthResult, served.providerKey, visemeProfile.name);
+    if (served.providerKey !== providerKey) {
+      payload.fallbackFrom = providerKey;
+    } else {
+      try {
+        payload = await cacheStore.set(cacheKey, payload, synthResult.audioPath);
+      } catch (error) {
+        // 写入缓存失败时仍返回临时目录中的音频，由临时文件清理任务回收。
+        console.warn('[tts-cache] 写入缓存失败', error);
+      }
+    }
     const segmentLabel = resolveSegmentLabel(segmentIndex, segmentCount, segmentTag);
-    auditLogger
-      .log({
-        endpoint: 'tts',
-        provider: providerKey,
-        voice,
-        chars: charCount,
-        durationSec: synthResult.duration ?? 0,
-        timelinePoints: Array.isArray(synthResult.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
-        elapsedMs,
-        error: null,
-        segment: segmentLabel,
-      })
-      .catch((error) => {
-        console.warn('写入审计日志失败', error);
-      });
+    recordAudit({
+      endpoint: 'tts',
+      provider: served.providerKey,
+      voice: served.providerKey === providerKey ? voice : undefined,
+      chars: charCount,
+      durationSec: synthResult.duration ?? 0,
+      timelinePoints: Array.isArray(synthResult.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
+      elapsedMs,
+      error: null,
+      segment: segmentLabel,
+      keyId,
+      clientId,
+      requestId,
+    });
     return payload;
   } catch (error) {
     const elapsedMs = measureElapsedMs(started);
     const segmentLabel = resolveSegmentLabel(segmentIndex, segmentCount, segmentTag);
-    auditLogger
-      .log({
-        endpoint: 'tts',
-        provider: providerKey,
-        voice,
-        chars: charCount,
-        durationSec: synthResult?.duration ?? 0,
-        timelinePoints: Array.isArray(synthResult?.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
-        elapsedMs,
-        error: error instanceof Error ? error.message : String(error),
-        segment: segmentLabel,
-      })
-      .catch((logError) => {
-        console.warn('写入审计日志失败', logError);
-      });
+    recordAudit({
+      endpoint: 'tts',
+      provider: providerKey,
+      voice,
+      chars: charCount,
+      durationSec: synthResult?.duration ?? 0,
+      timelinePoints: Array.isArray(synthResult?.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
+      elapsedMs,
+      error: error instanceof Error ? error.message : String(error),
+      segment: segmentLabel,
+      keyId,
+      clientId,
+      requestId,
+    });
     throw error;
   } finally {
     metricsState.activeSynths = Math.max(0, metricsState.activeSynths - 1);
@@ -612,63 +1792,78 @@ const formatVttTimestamp = (seconds) => {
 };
 
 /**
- * 新增 WebVTT 导出接口，返回逐词字幕文本，不落盘。
+ * WebVTT 导出流程，返回逐词字幕文本，不落盘。
+ * @param {Record<string, any>} source - 查询参数或 JSON 请求体。
+ * @param {import('express').Response} res - 响应对象。
  */
-app.get('/tts/vtt', async (req, res) => {
-  const text = String(req.query.text || '').trim();
-  if (!text) {
-    res.status(400).json({ message: 'text 参数不能为空。' });
-    return;
-  }
-  const charCount = Array.from(text).length;
-  if (charCount > config.limits.maxTextLen) {
-    res.status(413).json({ message: `文本长度超出限制（最大 ${config.limits.maxTextLen} 字）。` });
+const handleTtsVttRequest = async (source, res) => {
+  const parsed = parseTtsInput(source);
+  if (!parsed.ok) {
+    res.status(parsed.status).json({ message: parsed.message });
     return;
   }
+  const { text, ssml, charCount, providerKey, voice, rate, pitch } = parsed.input;
 
-  const providerKey = /** @type {'espeak' | 'azure'} */ (req.query.provider || config.defaultProvider);
-  const provider = providers[providerKey];
-  if (!provider) {
-    res.status(400).json({ message: `未找到 provider: ${providerKey}` });
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey;
+  const authorized = await authorizeTts(apiKey, parsed.input);
+  if (!authorized.ok) {
+    res.status(authorized.status).json({ message: authorized.message, code: authorized.code });
     return;
   }
-  const voice = req.query.voice ? String(req.query.voice) : undefined;
-  const rate = req.query.rate ? Number(req.query.rate) : undefined;
-
-  if (!consumeRateLimit()) {
-    res.status(429).json({ message: '请求过于频繁，请稍后再试。' });
-    return;
-  }
-  if (config.limits.maxConcurrency > 0 && metricsState.activeSynths >= config.limits.maxConcurrency) {
-    res.status(429).json({ message: '当前合成请求过多，请稍后再试。' });
+  let started = process.hrtime.bigint();
+  // 与 `/tts` 共用合成队列与并发槽位，耗时从真正开始合成时计算。
+  const job = synthQueue.enqueue(
+    async () => {
+      metricsState.activeSynths += 1;
+      promMetrics.queueWaitSeconds.observe({}, measureElapsedMs(started) / 1000);
+      started = process.hrtime.bigint();
+      try {
+        return await synthesizeWithFallback(
+          providerKey,
+          text,
+          { voice, rate, pitch, ssml },
+          apiKey?.allowedProviders ?? null,
+        );
+      } finally {
+        metricsState.activeSynths = Math.max(0, metricsState.activeSynths - 1);
+      }
+    },
+    { meta: { provider: providerKey, chars: charCount, endpoint: 'tts_vtt', keyIds: [apiKey?.id ?? null] } },
+  );
+  if (!job) {
+    countError('queue_full');
+    res.status(429).json({ message: '合成队列已满，请稍后再试。', code: 'queue_full' });
     return;
   }
 
-  metricsState.activeSynths += 1;
-  const started = process.hrtime.bigint();
   let synthResult;
   try {
-    synthResult = await provider.synthesize(text, { voice, rate });
+    const served = await job.promise;
+    synthResult = served.result;
     const elapsedMs = measureElapsedMs(started);
     recordSynthMetrics(elapsedMs);
-    auditLogger
-      .log({
-        endpoint: 'tts_vtt',
-        provider: providerKey,
-        voice,
-        chars: charCount,
-        durationSec: synthResult.duration ?? 0,
-        timelinePoints: Array.isArray(synthResult.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
-        elapsedMs,
-        error: null,
-      })
-      .catch((error) => {
-        console.warn('写入审计日志失败', error);
-      });
+    recordAudit({
+      endpoint: 'tts_vtt',
+      keyId: apiKey?.id,
+      clientId: res.locals.clientId,
+      requestId: res.locals.requestId,
+      provider: served.providerKey,
+      voice: served.providerKey === providerKey ? voice : undefined,
+      chars: charCount,
+      durationSec: synthResult.duration ?? 0,
+      timelinePoints: Array.isArray(synthResult.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
+      elapsedMs,
+      error: null,
+    });
 
     const sourceTimeline = Array.isArray(synthResult.wordTimeline) ? synthResult.wordTimeline : [];
     const wordTimeline =
-      sourceTimeline.length > 0 ? sourceTimeline : generateWordTimeline(text, synthResult.duration ?? 0);
+      sourceTimeline.length > 0
+        ? sourceTimeline
+        : ssml
+          ? generateWordTimelineWithBreaks(text, synthResult.duration ?? 0, parseSsml(ssml).breaks)
+          : generateWordTimeline(text, synthResult.duration ?? 0);
 
     const blocks = wordTimeline.map((item, index) => {
       const start = formatVttTimestamp(item.tStart ?? item.t ?? 0);
@@ -684,53 +1879,524 @@ app.get('/tts/vtt', async (req, res) => {
     res.type('text/vtt').send(body);
   } catch (error) {
     const elapsedMs = measureElapsedMs(started);
-    auditLogger
-      .log({
-        endpoint: 'tts_vtt',
-        provider: providerKey,
-        voice,
-        chars: charCount,
-        durationSec: synthResult?.duration ?? 0,
-        timelinePoints: Array.isArray(synthResult?.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
-        elapsedMs,
-        error: error instanceof Error ? error.message : String(error),
-      })
-      .catch((logError) => {
-        console.warn('写入审计日志失败', logError);
-      });
+    recordAudit({
+      endpoint: 'tts_vtt',
+      keyId: apiKey?.id,
+      clientId: res.locals.clientId,
+      requestId: res.locals.requestId,
+      provider: providerKey,
+      voice,
+      chars: charCount,
+      durationSec: synthResult?.duration ?? 0,
+      timelinePoints: Array.isArray(synthResult?.mouthTimeline) ? synthResult.mouthTimeline.length : 0,
+      elapsedMs,
+      error: error instanceof Error ? error.message : String(error),
+    });
+    if (error instanceof ProviderUnavailableError) {
+      countError('provider_unavailable');
+      res.status(503).json({ message: error.message, code: 'provider_unavailable' });
+      return;
+    }
     res
       .status(500)
       .json({ message: '生成 WebVTT 失败', detail: error instanceof Error ? error.message : String(error) });
   } finally {
-    metricsState.activeSynths = Math.max(0, metricsState.activeSynths - 1);
     if (synthResult?.audioPath) {
       fs.promises.unlink(synthResult.audioPath).catch(() => {});
     }
   }
+};
+
+/**
+ * `GET /tts/vtt` 与 `POST /tts/vtt`：参数与 `/tts` 保持一致。
+ */
+app.get('/tts/vtt', requireApiKey, rateLimit, (req, res) => handleTtsVttRequest(req.query, res));
+app.post('/tts/vtt', requireApiKey, rateLimit, (req, res) => handleTtsVttRequest(req.body, res));
+
+/**
+ * 识别上传音频的容器格式：`RIFF....WAVE` 为 WAV，ID3 标签或 MPEG 帧同步字为 MP3，其余返回 null。
+ * 只看文件头，不信任客户端声明的 Content-Type 与文件名。
+ * @param {Buffer} header - 文件开头至少 12 个字节。
+ * @returns {'wav' | 'mp3' | null} 格式。
+ */
+const sniffUploadFormat = (header) => {
+  if (header.length >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (header.length >= 3 && header.toString('ascii', 0, 3) === 'ID3') {
+    return 'mp3';
+  }
+  if (header.length >= 2 && header[0] === 0xff && (header[1] & 0xe0) === 0xe0) {
+    return 'mp3';
+  }
+  return null;
+};
+
+/**
+ * 接收 `/lipsync` 上传的音频并写入 `uploadPath`，大小上限为 `LIPSYNC_MAX_BYTES`，与 JSON 请求体的 10KB 上限互不影响。
+ * 支持两种请求体：`multipart/form-data`（文件字段 `audio`，文本字段 `transcript`、`voice`），
+ * 或直接以 `audio/*`、`application/octet-stream` 上传音频，此时 `transcript`、`voice` 通过查询参数传入。
+ * @param {import('express').Request} req - 请求对象。
+ * @param {string} uploadPath - 上传文件的落盘路径。
+ * @returns {Promise<{ ok: true, fields: Record<string, unknown> } | { ok: false, status: number, code: string, message: string }>} 文本字段或错误。
+ */
+const receiveLipsyncUpload = (req, uploadPath) =>
+  new Promise((resolve) => {
+    const maxBytes = config.lipsync.maxBytes;
+    const tooLarge = {
+      ok: false,
+      status: 413,
+      code: 'upload_too_large',
+      message: `音频文件超出大小限制（最大 ${maxBytes} 字节）。`,
+    };
+    const contentType = String(req.get('Content-Type') || '').toLowerCase();
+
+    if (contentType.startsWith('audio/') || contentType.startsWith('application/octet-stream')) {
+      if (Number(req.get('Content-Length')) > maxBytes) {
+        req.resume();
+        resolve(tooLarge);
+        return;
+      }
+      const output = fs.createWriteStream(uploadPath);
+      let received = 0;
+      let failure = null;
+      req.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes && !failure) {
+          failure = tooLarge;
+          req.unpipe(output);
+          output.destroy();
+          req.resume();
+        }
+      });
+      req.on('error', () => {
+        failure = failure ?? { ok: false, status: 400, code: 'upload_aborted', message: '音频上传中断。' };
+        output.destroy();
+      });
+      output.on('error', (error) => {
+        failure = failure ?? { ok: false, status: 500, code: 'upload_failed', message: `保存音频失败：${error.message}` };
+      });
+      output.on('close', () => resolve(failure ?? { ok: true, fields: req.query }));
+      req.pipe(output);
+      return;
+    }
+
+    if (!contentType.startsWith('multipart/form-data')) {
+      req.resume();
+      resolve({
+        ok: false,
+        status: 415,
+        code: 'unsupported_media_type',
+        message: '请以 multipart/form-data（字段 audio）或 audio/* 请求体上传音频。',
+      });
+      return;
+    }
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fields: 8, fileSize: maxBytes, fieldSize: config.limits.maxTextLen * 4 },
+      });
+    } catch (error) {
+      req.resume();
+      resolve({ ok: false, status: 400, code: 'invalid_upload', message: '无法解析 multipart 请求体。' });
+      return;
+    }
+    /** @type {Record<string, unknown>} */
+    const fields = {};
+    /** @type {Promise<void> | null} */
+    let written = null;
+    let failure = null;
+    parser.on('file', (name, stream) => {
+      if (name !== 'audio' || written) {
+        stream.resume();
+        return;
+      }
+      const output = fs.createWriteStream(uploadPath);
+      written = new Promise((done) => output.on('close', done));
+      output.on('error', (error) => {
+        failure = failure ?? { ok: false, status: 500, code: 'upload_failed', message: `保存音频失败：${error.message}` };
+      });
+      stream.on('limit', () => {
+        failure = failure ?? tooLarge;
+        stream.unpipe(output);
+        output.destroy();
+        stream.resume();
+      });
+      stream.pipe(output);
+    });
+    parser.on('field', (name, value, info) => {
+      if (info.valueTruncated) {
+        failure = failure ?? {
+          ok: false,
+          status: 413,
+          code: 'text_too_long',
+          message: `文本长度超出限制（最大 ${config.limits.maxTextLen} 字）。`,
+        };
+      }
+      fields[name] = value;
+    });
+    parser.on('error', (error) => {
+      req.unpipe(parser);
+      req.resume();
+      resolve({ ok: false, status: 400, code: 'invalid_upload', message: `无法解析 multipart 请求体：${error.message}` });
+    });
+    parser.on('close', async () => {
+      await written;
+      if (failure) {
+        resolve(failure);
+      } else if (!written) {
+        resolve({ ok: false, status: 400, code: 'missing_audio', message: '缺少 audio 文件字段。' });
+      } else {
+        resolve({ ok: true, fields });
+      }
+    });
+    req.pipe(parser);
+  });
+
+/**
+ * 分析上传的录音：MP3 先用 ffmpeg 解码为临时 WAV，再按音量与频段能量生成口型时间轴。
+ * 提供文稿且启用了 eSpeak NG 时，先朗读文稿得到带音素时长的参考音频，再用 DTW 把参考口型与逐词时间对齐到录音上；
+ * 参考音频合成失败时退回纯能量分析。
+ * @param {{ id: string, audioPath: string, format: 'wav' | 'mp3', transcript: string, voice?: string, visemeProfile: import('./src/tts/VisemeProfileRegistry.js').VisemeProfile }} params - 录音、文稿与口型映射档案。
+ * @returns {Promise<{ ok: true, result: import('./src/tts/utils/alignment.js').LipsyncResult } | { ok: false, status: number, code: string, message: string }>} 分析结果或错误。
+ */
+const analyzeLipsyncUpload = async ({ id, audioPath, format, transcript, voice, visemeProfile }) => {
+  const pcmPath = format === 'wav' ? audioPath : path.join(config.tmpDir, `${id}-pcm.wav`);
+  let recording;
+  try {
+    if (format !== 'wav') {
+      await transcoder.decodeToWav(audioPath, pcmPath);
+    }
+    recording = decodeWav(await fs.promises.readFile(pcmPath));
+  } catch (error) {
+    return {
+      ok: false,
+      status: 400,
+      code: 'invalid_audio',
+      message: `无法解析上传的音频：${error instanceof Error ? error.message : String(error)}`,
+    };
+  } finally {
+    if (pcmPath !== audioPath) {
+      fs.promises.unlink(pcmPath).catch(() => {});
+    }
+  }
+  if (recording.duration <= 0) {
+    return { ok: false, status: 400, code: 'invalid_audio', message: '上传的音频为空。' };
+  }
+  if (recording.duration > config.lipsync.maxDurationSec) {
+    return {
+      ok: false,
+      status: 413,
+      code: 'audio_too_long',
+      message: `音频时长超出限制（最大 ${config.lipsync.maxDurationSec} 秒）。`,
+    };
+  }
+
+  let reference = null;
+  if (transcript && providers.espeak) {
+    let synthResult;
+    try {
+      synthResult = await providers.espeak.synthesize(transcript, { voice, visemeConfig: visemeProfile.config });
+      recordUnmappedPhonemes(visemeProfile.name, 'espeak', synthResult.unmappedPhonemes);
+      reference = {
+        audio: decodeWav(await fs.promises.readFile(synthResult.audioPath)),
+        mouthTimeline: synthResult.mouthTimeline,
+        wordTimeline: Array.isArray(synthResult.wordTimeline) ? synthResult.wordTimeline : [],
+      };
+    } catch (error) {
+      console.warn('[lipsync] 合成文稿参考音频失败，改用能量分析', error);
+    } finally {
+      if (synthResult?.audioPath) {
+        fs.promises.unlink(synthResult.audioPath).catch(() => {});
+      }
+    }
+  }
+  return {
+    ok: true,
+    result: buildLipsyncTimeline({
+      recording,
+      transcript,
+      reference,
+      sampleRate: config.sampleRate,
+      visemeConfig: visemeProfile.config,
+    }),
+  };
+};
+
+/**
+ * `POST /lipsync`：上传预先录制的 WAV/MP3（可附带文稿），返回口型与逐词时间轴。
+ * 录音保存在临时目录，按 `TMP_FILE_TTL_MS` 由临时文件清理任务回收，期间可通过返回的 `audioUrl` 播放。
+ * 分析与 TTS 合成共用合成队列的并发槽位。
+ */
+app.post('/lipsync', requireApiKey, rateLimit, async (req, res) => {
+  /** @type {import('./src/auth/ApiKeyRegistry.js').ApiKeyRecord | null} */
+  const apiKey = res.locals.apiKey;
+  const id = randomUUID();
+  const uploadPath = path.join(config.tmpDir, `${id}.upload`);
+  let audioPath = null;
+  let transcript = '';
+  let voice;
+  /** @type {import('./src/tts/VisemeProfileRegistry.js').VisemeProfile | null} */
+  let visemeProfile = null;
+  let started = process.hrtime.bigint();
+  /**
+   * 返回错误并删除已保存的录音。
+   * @param {{ status: number, code: string, message: string }} failure - 错误。
+   */
+  const fail = (failure) => {
+    countError(failure.code);
+    if (audioPath) {
+      fs.promises.unlink(audioPath).catch(() => {});
+    }
+    res.status(failure.status).json({ message: failure.message, code: failure.code });
+  };
+  try {
+    const received = await receiveLipsyncUpload(req, uploadPath);
+    if (!received.ok) {
+      fail(received);
+      return;
+    }
+    transcript = typeof received.fields.transcript === 'string' ? received.fields.transcript.trim() : '';
+    voice = typeof received.fields.voice === 'string' && received.fields.voice.trim() ? received.fields.voice.trim() : undefined;
+    const requestedProfile =
+      typeof received.fields.visemeProfile === 'string' ? received.fields.visemeProfile.trim() : '';
+    visemeProfile = visemeProfiles.resolve({ profile: requestedProfile, voice: voice ?? providers.espeak?.voice });
+    if (!visemeProfile) {
+      fail({ status: 400, code: 'unknown_viseme_profile', message: `未找到口型映射档案: ${requestedProfile}` });
+      return;
+    }
+    if (Array.from(transcript).length > config.limits.maxTextLen) {
+      fail({ status: 413, code: 'text_too_long', message: `文本长度超出限制（最大 ${config.limits.maxTextLen} 字）。` });
+      return;
+    }
+
+    const handle = await fs.promises.open(uploadPath, 'r');
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0).finally(() => handle.close());
+    const format = sniffUploadFormat(header.subarray(0, bytesRead));
+    if (!format) {
+      fail({ status: 415, code: 'unsupported_media_type', message: '只支持 WAV 或 MP3 音频。' });
+      return;
+    }
+    if (format === 'mp3' && !transcoder.ffmpegAvailable) {
+      fail({ status: 415, code: 'unsupported_media_type', message: '服务端未安装 ffmpeg，只能分析 WAV 音频。' });
+      return;
+    }
+    audioPath = path.join(config.tmpDir, `${id}.${format}`);
+    await fs.promises.rename(uploadPath, audioPath);
+
+    const job = synthQueue.enqueue(
+      async () => {
+        metricsState.activeSynths += 1;
+        promMetrics.queueWaitSeconds.observe({}, measureElapsedMs(started) / 1000);
+        started = process.hrtime.bigint();
+        try {
+          return await analyzeLipsyncUpload({ id, audioPath, format, transcript, voice, visemeProfile });
+        } finally {
+          metricsState.activeSynths = Math.max(0, metricsState.activeSynths - 1);
+        }
+      },
+      { meta: { provider: 'lipsync', chars: Array.from(transcript).length, endpoint: 'lipsync', keyIds: [apiKey?.id ?? null] } },
+    );
+    if (!job) {
+      fail({ status: 429, code: 'queue_full', message: '合成队列已满，请稍后再试。' });
+      return;
+    }
+    const analyzed = await job.promise;
+    const elapsedMs = measureElapsedMs(started);
+    if (!analyzed.ok) {
+      fail(analyzed);
+      return;
+    }
+    const { result } = analyzed;
+    recordAudit({
+      endpoint: 'lipsync',
+      keyId: apiKey?.id,
+      clientId: res.locals.clientId,
+      requestId: res.locals.requestId,
+      provider: 'lipsync',
+      voice,
+      chars: Array.from(transcript).length,
+      durationSec: result.duration,
+      timelinePoints: result.mouthTimeline.length,
+      elapsedMs,
+      error: null,
+    });
+    const filename = path.basename(audioPath);
+    res.json(
+      encodeTimelinePayload(
+        issueAudioPayload({
+          audioUrl: `/audio/${filename}`,
+          audioType: mimeTypeForFile(filename),
+          mouthTimeline: result.mouthTimeline,
+          wordTimeline: result.wordTimeline,
+          duration: result.duration,
+          sampleRate: config.sampleRate,
+          alignment: result.alignment,
+          visemeProfile: visemeProfile.name,
+        }),
+        wantsCompactTimeline(req),
+      ),
+    );
+  } catch (error) {
+    recordAudit({
+      endpoint: 'lipsync',
+      keyId: apiKey?.id,
+      clientId: res.locals.clientId,
+      requestId: res.locals.requestId,
+      provider: 'lipsync',
+      voice,
+      chars: Array.from(transcript).length,
+      durationSec: 0,
+      timelinePoints: 0,
+      elapsedMs: measureElapsedMs(started),
+      error: error instanceof Error ? error.message : String(error),
+    });
+    if (audioPath) {
+      fs.promises.unlink(audioPath).catch(() => {});
+    }
+    res.status(500).json({ message: '分析音频失败', detail: error instanceof Error ? error.message : String(error) });
+  } finally {
+    fs.promises.unlink(uploadPath).catch(() => {});
+  }
+});
+
+/**
+ * 实时会话中枢：操作者通过 WebSocket 推送文本或 LLM token，服务端逐句合成后广播给同一会话的所有观众。
+ * 每个会话内片段串行合成，单个会话最多占用一个合成槽位，因此只在每轮发言开始时做速率检查。
+ */
+const realtimeHub = new RealtimeHub({
+  synthesize: async (text, options) => {
+    const { context, ...speakOptions } = options;
+    const parsed = parseTtsInput({ ...speakOptions, text });
+    if (!parsed.ok) {
+      return { ok: false, message: parsed.message, ...(parsed.code ? { code: parsed.code } : {}) };
+    }
+    const apiKey = context?.apiKey ?? null;
+    const authorized = await authorizeTts(apiKey, parsed.input);
+    if (!authorized.ok) {
+      return authorized;
+    }
+    // 实时会话的片段即将被所有观众同步播放，与分段续播请求一样插队。
+    return resolveTtsPayload(parsed.input, {
+      enforceLimits: false,
+      priority: SYNTH_PRIORITY.SEGMENT,
+      apiKey,
+      clientId: context?.clientId ?? null,
+    });
+  },
+  segmentText: (text) =>
+    splitTextIntoSegments(text, {
+      minChars: config.stream.segmentMinChars,
+      maxChars: config.stream.segmentMaxChars,
+    }),
+  // WebSocket 消息与 HTTP 请求共用同一客户端的令牌桶。
+  admit: (context) => {
+    const apiKey = context?.apiKey ?? null;
+    const result = consumeRateLimit(context?.clientId ?? resolveClientId(undefined, apiKey), apiKey);
+    return result.allowed ? { ok: true } : rateLimitedFailure(result);
+  },
+  leadMs: config.realtime.leadMs,
+  maxBufferChars: config.realtime.maxBufferChars,
 });
 
 app.get('/metrics', async (_req, res) => {
   ensureDailyCounters();
-  pruneExpiredEntries();
+  await cacheStore.sweep().catch(() => 0);
   let tmpFileCount = 0;
   try {
-    const entries = await fs.promises.readdir(config.tmpDir);
-    tmpFileCount = entries.filter((name) => !name.startsWith('.')).length;
+    const entries = await fs.promises.readdir(config.tmpDir, { withFileTypes: true });
+    tmpFileCount = entries.filter((entry) => entry.isFile() && !entry.name.startsWith('.')).length;
   } catch (error) {
     // 读取失败时忽略，保持默认值 0。
   }
+  const realtimeStats = realtimeHub.stats();
+  const cacheStats = cacheStore.stats();
+  const queueStats = synthQueue.stats();
   const avgSeconds = metricsState.dailyCount > 0 ? metricsState.totalElapsedMs / metricsState.dailyCount / 1000 : 0;
   const lines = [
     `active_synth=${metricsState.activeSynths}`,
     `daily_synth_count=${metricsState.dailyCount}`,
     `avg_synth_seconds=${avgSeconds.toFixed(3)}`,
     `tmp_files=${tmpFileCount}`,
-    `tts_cache_entries=${ttsCache.size}`,
-    `tts_cache_bytes=${ttsCacheBytes}`,
+    `tts_queue_depth=${queueStats.depth}`,
+    `tts_queue_running=${queueStats.running}`,
+    `tts_queue_max_depth=${queueStats.maxDepth}`,
+    `tts_queue_rejected=${queueStats.rejected}`,
+    `tts_queue_wait_avg_ms=${queueStats.avgWaitMs.toFixed(1)}`,
+    `tts_queue_wait_max_ms=${queueStats.maxWaitMs}`,
+    `tts_cache_backend=${config.cache.backend}`,
+    ...(typeof cacheStats.entries === 'number' ? [`tts_cache_entries=${cacheStats.entries}`] : []),
+    ...(typeof cacheStats.bytes === 'number' ? [`tts_cache_bytes=${cacheStats.bytes}`] : []),
+    `tts_cache_hits=${metricsState.cacheHits}`,
+    `tts_cache_misses=${metricsState.cacheMisses}`,
+    `rate_limit_clients=${rateLimiter.size}`,
+    `rate_limit_rejected=${metricsState.rateLimited}`,
+    `chat_sessions=${chatSessions.size}`,
+    `realtime_sessions=${realtimeStats.sessions}`,
+    `realtime_connections=${realtimeStats.connections}`,
+    `viseme_unmapped_phonemes=${unmappedPhonemes.total}`,
+    `viseme_unmapped_distinct=${unmappedPhonemes.size}`,
   ];
   res.type('text/plain').send(lines.join('\n'));
 });
 
+/**
+ * Prometheus 文本暴露格式的指标。`/metrics` 的 `key=value` 输出保持不变，供已有脚本继续使用。
+ */
+app.get('/metrics/prometheus', async (_req, res) => {
+  await cacheStore.sweep().catch(() => 0);
+  const realtimeStats = realtimeHub.stats();
+  const cacheStats = cacheStore.stats();
+  const queueStats = synthQueue.stats();
+  promMetrics.activeSynths.set({}, metricsState.activeSynths);
+  promMetrics.queueDepth.set({}, queueStats.depth);
+  promMetrics.queueRunning.set({}, queueStats.running);
+  promMetrics.queueRejected.setTotal({}, queueStats.rejected);
+  if (typeof cacheStats.entries === 'number') {
+    promMetrics.cacheEntries.set({}, cacheStats.entries);
+  }
+  if (typeof cacheStats.bytes === 'number') {
+    promMetrics.cacheBytes.set({}, cacheStats.bytes);
+  }
+  if (typeof cacheStats.evictions === 'number') {
+    promMetrics.cacheEvictions.setTotal({}, cacheStats.evictions);
+  }
+  promMetrics.chatSessions.set({}, chatSessions.size);
+  promMetrics.realtimeSessions.set({}, realtimeStats.sessions);
+  promMetrics.realtimeConnections.set({}, realtimeStats.connections);
+  promMetrics.rateLimitClients.set({}, rateLimiter.size);
+  for (const key of Object.keys(providers)) {
+    const { state } = providerHealth.snapshot(key);
+    promMetrics.providerState.set({ provider: key }, state === 'open' ? 2 : state === 'half_open' ? 1 : 0);
+  }
+  res.type(PROMETHEUS_CONTENT_TYPE).send(prometheus.render());
+});
+
+/**
+ * 查询审计日志：按时间范围与 provider、接口、key、音色过滤，返回聚合统计与最近的明细。
+ * 时间范围默认最近 24 小时，最长 31 天。
+ */
+app.get('/admin/audit', requireApiKey, requireAdmin, async (req, res) => {
+  const query = parseAuditQuery(req.query);
+  if (!query.ok) {
+    res.status(query.status).json({ message: query.message, code: query.code });
+    return;
+  }
+  const { from, to, limit, filters } = query;
+  try {
+    const summary = await summarizeAudit(auditLogger.query(from, to), {
+      filter: (record) => matchesAuditFilters(record, filters),
+      limit,
+    });
+    res.json({ from: new Date(from).toISOString(), to: new Date(to).toISOString(), filters, ...summary });
+  } catch (error) {
+    console.warn('[audit] 查询审计日志失败', error);
+    res.status(500).json({ message: '查询审计日志失败', detail: error instanceof Error ? error.message : String(error) });
+  }
+});
+
 /**
  * 定时清理临时目录，移除过期的音频文件。
  */
@@ -740,7 +2406,7 @@ function sweepTmpFiles() {
     .readdir(config.tmpDir)
     .then((files) => {
       files
-        .filter((name) => name.endsWith('.wav') || name.endsWith('.pho'))
+        .filter((name) => name.endsWith('.pho') || mimeTypeForFile(name))
         .forEach((name) => {
           const filePath = path.join(config.tmpDir, name);
           fs.promises
@@ -757,12 +2423,61 @@ function sweepTmpFiles() {
 }
 
 setInterval(sweepTmpFiles, config.cleanupIntervalMs).unref();
+setInterval(() => {
+  cacheStore.sweep().catch((error) => {
+    console.warn('[tts-cache] 清理过期缓存失败', error);
+  });
+}, config.cleanupIntervalMs).unref();
+setInterval(() => chatSessions.sweep(), config.cleanupIntervalMs).unref();
+setInterval(() => synthQueue.sweep(), Math.min(config.cleanupIntervalMs, config.queue.jobTtlMs)).unref();
+setInterval(() => rateLimiter.sweep(), 60_000).unref();
+setInterval(() => {
+  auditLogger.sweep().catch((error) => console.warn('[audit] 清理过期审计日志失败', error));
+}, config.cleanupIntervalMs).unref();
 
 /**
  * 启动服务器。
  */
-app.listen(config.port, () => {
+const server = app.listen(config.port, () => {
   // eslint-disable-next-line no-console -- Demo 项目允许直接输出日志
   console.log(`stickbot server listening on ${config.port}`);
 });
 
+/**
+ * 解析原生 HTTP 请求（WebSocket 升级请求）的客户端 IP，规则与 Express 的 `req.ip` 相同：
+ * 从直连地址开始沿 `X-Forwarded-For` 向左回溯，第一个不受 `trust proxy` 信任的地址即为客户端。
+ * @param {import('http').IncomingMessage} request - 升级请求。
+ * @returns {string} 客户端 IP。
+ */
+const resolveRequestIp = (request) => {
+  const trust = app.get('trust proxy fn');
+  const forwarded = String(request.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .reverse();
+  const chain = [request.socket.remoteAddress || '', ...forwarded];
+  for (let index = 0; index < chain.length - 1; index += 1) {
+    if (!trust(chain[index], index)) {
+      return chain[index];
+    }
+  }
+  return chain[chain.length - 1];
+};
+
+if (config.realtime.enabled) {
+  attachWebSocketServer(server, {
+    hub: realtimeHub,
+    path: config.realtime.path,
+    maxPayload: config.realtime.maxPayloadBytes,
+    isOriginAllowed,
+    // 浏览器 WebSocket 无法自定义请求头，可通过 `?api_key=` 传入。
+    authenticate: (request) => {
+      const result = apiKeys.authenticate(extractApiKey(request, { allowQuery: true }));
+      return result.ok
+        ? { ok: true, context: { apiKey: result.apiKey, clientId: resolveClientId(resolveRequestIp(request), result.apiKey) } }
+        : result;
+    },
+  });
+}
+
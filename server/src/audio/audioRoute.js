@@ -0,0 +1,126 @@
+/**
+ * @file audioRoute.js
+ * @description `/audio/:filename` 下载路由：按合成 ID 设置强 ETag 与缓存头，支持 `HEAD`、`Range`（206）与 `If-None-Match`（304），
+ *              区分已过期（410）与从未签发（404）的音频。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { mimeTypeForFile } from '../tts/AudioTranscoder.js';
+
+/**
+ * 音频已过期清理时的响应。
+ * @param {import('express').Response} res - 响应对象。
+ */
+const sendAudioGone = (res) => {
+  res.status(410).json({ message: '音频已过期，请重新合成。', code: 'audio_expired' });
+};
+
+/**
+ * 文件名从未由服务端签发（或签发记录已超出保留期）时的响应。
+ * @param {import('express').Response} res - 响应对象。
+ */
+const sendAudioNotFound = (res) => {
+  res.status(404).json({ message: '音频不存在。', code: 'audio_not_found' });
+};
+
+/**
+ * 设置音频响应的缓存相关头：以合成 ID（文件名）为强 ETag，`max-age` 为音频剩余的有效期，
+ * 过期后文件会被清理，客户端与 CDN 不应继续使用缓存副本。
+ * @param {import('express').Response} res - 响应对象。
+ * @param {string} filename - 音频文件名。
+ * @param {string} audioType - MIME 类型。
+ * @param {number} expiresAt - 过期时间戳。
+ */
+const setAudioHeaders = (res, filename, audioType, expiresAt) => {
+  const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+  res.type(audioType);
+  res.set({
+    ETag: `"${filename}"`,
+    'Cache-Control': `public, max-age=${maxAge}`,
+    'Accept-Ranges': 'bytes',
+  });
+};
+
+/**
+ * 发送内存中的音频，处理单个字节区间的 Range 请求；多区间请求按完整内容返回。
+ * 条件请求（`If-None-Match`）由 `res.send` 根据已设置的 ETag 返回 304。
+ * @param {import('express').Request} req - 请求对象。
+ * @param {import('express').Response} res - 响应对象。
+ * @param {Buffer} buffer - 音频字节。
+ */
+const sendAudioBuffer = (req, res, buffer) => {
+  const ifRange = req.get('If-Range');
+  if (req.get('Range') && (!ifRange || ifRange === res.get('ETag'))) {
+    const ranges = req.range(buffer.length, { combine: true });
+    if (ranges === -1) {
+      res.status(416).set('Content-Range', `bytes */${buffer.length}`).end();
+      return;
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+      res.send(buffer.subarray(start, end + 1));
+      return;
+    }
+  }
+  res.send(buffer);
+};
+
+/**
+ * 创建 `/audio/:filename` 的处理函数，路径形如 `/audio/<uuid>.wav`；转码后的音频扩展名为 `.mp3`、`.ogg` 或 `.opus`。
+ * iOS Safari 与小程序 `innerAudioContext` 依赖字节区间拖动进度。启用地址签名时先校验 `exp` 与 `sig`，
+ * 签名无效返回 403，签名过期返回 410。找不到音频时，签名有效或本进程签发过的文件名视为已过期清理（410），其余返回 404。
+ * @param {{ tmpDir: string, cleanupTTL: number, cacheStore: import('../cache/ICacheStore.js').ICacheStore, audioUrlSigner: import('../auth/AudioUrlSigner.js').AudioUrlSigner, issuedAudio: import('../auth/IssuedAudioRegistry.js').IssuedAudioRegistry }} options - 临时目录、临时文件有效期、缓存存储、地址签名与签发记录。
+ * @returns {import('express').RequestHandler} 路由处理函数。
+ */
+export const createAudioRoute = ({ tmpDir, cleanupTTL, cacheStore, audioUrlSigner, issuedAudio }) => async (req, res) => {
+  const { filename } = req.params;
+  const audioType = /^[a-z0-9-]+\.[a-z0-9]+$/i.test(filename) ? mimeTypeForFile(filename) : null;
+  if (!audioType) {
+    res.status(400).json({ message: '非法文件名。' });
+    return;
+  }
+  const signature = audioUrlSigner.verify(filename, req.query);
+  if (!signature.ok) {
+    res.status(signature.status).json({ message: signature.message, code: signature.code });
+    return;
+  }
+  // 缓存有效期不应超过签名的有效期，签名过期后客户端需要重新获取地址。
+  const signatureExpiresAt = signature.expiresAt ?? Infinity;
+  const cached = await cacheStore.readAudio(filename).catch(() => null);
+  if (cached?.buffer) {
+    const expiresAt = cached.expiresAt ?? Date.now() + cleanupTTL;
+    setAudioHeaders(res, filename, audioType, Math.min(expiresAt, signatureExpiresAt));
+    sendAudioBuffer(req, res, cached.buffer);
+    return;
+  }
+  const filePath = cached?.path ?? path.join(tmpDir, filename);
+  const stat = await fs.promises.stat(filePath).catch(() => null);
+  if (!stat) {
+    // 有效签名只能由服务端签发，文件缺失说明已被清理。
+    if (signature.expiresAt !== null || issuedAudio.has(filename)) {
+      sendAudioGone(res);
+    } else {
+      sendAudioNotFound(res);
+    }
+    return;
+  }
+  const expiresAt = cached?.expiresAt ?? stat.mtimeMs + cleanupTTL;
+  if (expiresAt <= Date.now()) {
+    sendAudioGone(res);
+    return;
+  }
+  setAudioHeaders(res, filename, audioType, Math.min(expiresAt, signatureExpiresAt));
+  // Range、If-Range 与 If-None-Match 由 send 按上面设置的 ETag 处理。
+  res.sendFile(filePath, { etag: false, lastModified: false, cacheControl: false }, (error) => {
+    if (error && !res.headersSent) {
+      // 416 的 Content-Range 已由 send 写入；其余错误说明文件在检查后被清理。
+      if (/** @type {{ status?: number }} */ (error).status === 416) {
+        res.status(416).end();
+      } else {
+        sendAudioGone(res);
+      }
+    }
+  });
+};
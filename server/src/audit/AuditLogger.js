@@ -0,0 +1,369 @@
+/**
+ * @file AuditLogger.js
+ * @description 结构化审计日志：每条记录以一行 JSON 追加到 `LOG_DIR/<日期>.jsonl`。
+ *              单个文件超过 `maxBytes` 或跨日后，旧文件改名为 `<日期>.<序号>.jsonl` 并压缩为 `.gz`，
+ *              超过 `retentionDays` 的文件按日期删除。`query` 按时间顺序读取（含压缩文件），供 `/admin/audit` 过滤与聚合。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { pipeline } from 'stream/promises';
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} endpoint - 接口：`tts`、`tts_vtt`、`lipsync`、`chat`。
+ * @property {string} provider - TTS provider 或对话模型 provider。
+ * @property {string} [voice] - 音色。
+ * @property {number} chars - 字数。
+ * @property {number} durationSec - 音频时长（秒）。
+ * @property {number} timelinePoints - 口型时间轴点数。
+ * @property {number} elapsedMs - 合成或对话调用耗时（毫秒），命中缓存时为 0。
+ * @property {string | null} error - 失败原因。
+ * @property {string | null} [errorCode] - 机器可读的错误码，与响应体的 `code` 一致。
+ * @property {string | null} [segment] - 分段标识。
+ * @property {string | null} [keyId] - API key id，匿名调用为 null。
+ * @property {string | null} [clientId] - 限流使用的客户端标识（`key:<id>` 或 `ip:<addr>`）。
+ * @property {string | null} [requestId] - 请求 ID，与响应头 `X-Request-Id` 一致。
+ * @property {boolean} [cacheHit] - 是否命中缓存。
+ */
+
+/**
+ * @typedef {AuditEntry & { ts: string }} AuditRecord
+ */
+
+/**
+ * @typedef {Object} AuditLoggerOptions
+ * @property {string} dir - 日志目录。
+ * @property {number} maxBytes - 单个文件的大小上限，超过后轮转。
+ * @property {number} retentionDays - 保留天数，0 表示不删除。
+ */
+
+const gunzip = promisify(zlib.gunzip);
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** 匹配日志文件名：`<日期>.jsonl`、`<日期>.<序号>.jsonl` 及其 `.gz`，以及旧版纯文本 `<日期>.log`。 */
+const LOG_FILE_RE = /^(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.(jsonl(?:\.gz)?|log)$/;
+
+/**
+ * 取时间戳对应的 UTC 日期。
+ * @param {number} [timestamp] - 时间戳，默认当前时间。
+ * @returns {string} `YYYY-MM-DD`。
+ */
+const toDay = (timestamp = Date.now()) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * 压缩文件并删除原文件。
+ * @param {string} filePath - 待压缩文件。
+ * @returns {Promise<void>} 压缩完成。
+ */
+const gzipFile = async (filePath) => {
+  await pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(`${filePath}.gz`));
+  await fs.promises.unlink(filePath);
+};
+
+export class AuditLogger {
+  /**
+   * @param {AuditLoggerOptions} options - 日志参数。
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.maxBytes = options.maxBytes;
+    this.retentionDays = options.retentionDays;
+    this.day = toDay();
+    this.size = 0;
+    /** @type {Promise<void>} 串行化写入与轮转，避免并发追加时文件大小统计错乱。 */
+    this.chain = Promise.resolve();
+  }
+
+  /**
+   * 当日正在写入的文件路径。
+   * @returns {string} 绝对路径。
+   */
+  get currentPath() {
+    return path.join(this.dir, `${this.day}.jsonl`);
+  }
+
+  /**
+   * 读取当日文件大小，压缩上次运行遗留的未压缩旧文件，并执行一次保留策略。
+   * @returns {Promise<void>} 初始化完成。
+   */
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    try {
+      this.size = (await fs.promises.stat(this.currentPath)).size;
+    } catch (error) {
+      this.size = 0;
+    }
+    await this.compressPending();
+    await this.sweep();
+  }
+
+  /**
+   * 追加一条审计记录，`ts` 由日志器写入。
+   * @param {AuditEntry} entry - 日志内容。
+   * @returns {Promise<void>} 写入完成。
+   */
+  log(entry) {
+    const record = { ts: new Date().toISOString(), ...entry };
+    const line = `${JSON.stringify(record)}\n`;
+    const task = this.chain.then(() => this.write(line));
+    this.chain = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 按需轮转后写入一行。
+   * @param {string} line - 已序列化的记录。
+   * @returns {Promise<void>} 写入完成。
+   */
+  async write(line) {
+    const bytes = Buffer.byteLength(line);
+    const today = toDay();
+    if (today !== this.day) {
+      const previousPath = this.currentPath;
+      this.day = today;
+      this.size = 0;
+      await this.archive(previousPath);
+    } else if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      await this.archive(this.currentPath);
+      this.size = 0;
+    }
+    await fs.promises.appendFile(this.currentPath, line);
+    this.size += bytes;
+  }
+
+  /**
+   * 将文件改名为下一个空闲序号并压缩。压缩失败时保留未压缩文件，下次启动时重试。
+   * @param {string} filePath - `<日期>.jsonl` 文件路径。
+   * @returns {Promise<void>} 归档完成。
+   */
+  async archive(filePath) {
+    const match = LOG_FILE_RE.exec(path.basename(filePath));
+    if (!match || !fs.existsSync(filePath)) {
+      return;
+    }
+    const names = await fs.promises.readdir(this.dir);
+    let seq = 1;
+    for (const name of names) {
+      const other = LOG_FILE_RE.exec(name);
+      if (other && other[1] === match[1] && other[2]) {
+        seq = Math.max(seq, Number(other[2]) + 1);
+      }
+    }
+    const target = path.join(this.dir, `${match[1]}.${seq}.jsonl`);
+    await fs.promises.rename(filePath, target);
+    await gzipFile(target).catch((error) => {
+      console.warn(`[audit] 压缩审计日志失败：${target}`, error);
+    });
+  }
+
+  /**
+   * 压缩已轮转但未压缩的文件，以及早于今天的 `<日期>.jsonl`。
+   * @returns {Promise<void>} 处理完成。
+   */
+  async compressPending() {
+    const names = await fs.promises.readdir(this.dir);
+    for (const name of names) {
+      const match = LOG_FILE_RE.exec(name);
+      if (!match || match[3] !== 'jsonl') {
+        continue;
+      }
+      if (match[2]) {
+        await gzipFile(path.join(this.dir, name)).catch(() => {});
+      } else if (match[1] !== this.day) {
+        await this.archive(path.join(this.dir, name));
+      }
+    }
+  }
+
+  /**
+   * 删除超过保留天数的日志文件（含旧版 `.log`）。
+   * @returns {Promise<number>} 删除的文件数。
+   */
+  async sweep() {
+    if (!(this.retentionDays > 0)) {
+      return 0;
+    }
+    const cutoff = toDay(Date.now() - this.retentionDays * DAY_MS);
+    const names = await fs.promises.readdir(this.dir).catch(() => []);
+    let removed = 0;
+    for (const name of names) {
+      const match = LOG_FILE_RE.exec(name);
+      if (match && match[1] < cutoff) {
+        await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 按时间顺序逐条读取时间范围内的记录，旧版纯文本日志会被跳过。
+   * @param {number} from - 起始时间戳（含）。
+   * @param {number} to - 结束时间戳（含）。
+   * @returns {AsyncGenerator<AuditRecord>} 审计记录。
+   */
+  async *query(from, to) {
+    await this.chain;
+    const fromDay = toDay(from);
+    const toDayStamp = toDay(to);
+    const names = await fs.promises.readdir(this.dir).catch(() => []);
+    const files = names
+      .map((name) => ({ name, match: LOG_FILE_RE.exec(name) }))
+      .filter(({ match }) => match && match[3] !== 'log' && match[1] >= fromDay && match[1] <= toDayStamp)
+      .map(({ name, match }) => ({
+        name,
+        day: /** @type {RegExpExecArray} */ (match)[1],
+        // 当日正在写入的文件没有序号，排在已轮转文件之后。
+        seq: /** @type {RegExpExecArray} */ (match)[2] ? Number(/** @type {RegExpExecArray} */ (match)[2]) : Infinity,
+      }))
+      .sort((a, b) => (a.day === b.day ? a.seq - b.seq : a.day < b.day ? -1 : 1));
+
+    for (const file of files) {
+      let content;
+      try {
+        // 单个文件不超过 `maxBytes`，整体读入后再逐行解析。
+        const raw = await fs.promises.readFile(path.join(this.dir, file.name));
+        content = (file.name.endsWith('.gz') ? await gunzip(raw) : raw).toString('utf-8');
+      } catch (error) {
+        // 文件在读取期间被轮转或删除时跳过，剩余文件照常读取。
+        continue;
+      }
+      for (const line of content.split('\n')) {
+        if (!line) {
+          continue;
+        }
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        const ts = Date.parse(record?.ts);
+        if (Number.isFinite(ts) && ts >= from && ts <= to) {
+          yield record;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @typedef {Object} AuditTotals
+ * @property {number} requests - 记录数。
+ * @property {number} errors - 失败记录数。
+ * @property {number} cacheHits - 命中缓存的记录数。
+ * @property {number} chars - 成功记录的字数合计。
+ * @property {number} audioSeconds - 成功记录的音频时长合计（秒）。
+ * @property {number} avgElapsedMs - 未命中缓存的记录的平均耗时（毫秒）。
+ */
+
+/**
+ * @typedef {Object} AuditSummary
+ * @property {AuditTotals} totals - 总计。
+ * @property {Record<string, AuditTotals>} byProvider - 按 provider 分组。
+ * @property {Record<string, AuditTotals>} byEndpoint - 按接口分组。
+ * @property {Record<string, AuditTotals>} byKey - 按 API key id 分组，匿名调用记为 `-`。
+ * @property {Record<string, number>} byErrorCode - 按错误码统计的失败次数。
+ * @property {AuditRecord[]} entries - 最近的若干条记录，按时间倒序。
+ */
+
+/**
+ * 创建空的分组统计。
+ * @returns {AuditTotals & { elapsedMsSum: number, elapsedCount: number }} 统计。
+ */
+const createTotals = () => ({
+  requests: 0,
+  errors: 0,
+  cacheHits: 0,
+  chars: 0,
+  audioSeconds: 0,
+  avgElapsedMs: 0,
+  elapsedMsSum: 0,
+  elapsedCount: 0,
+});
+
+/**
+ * 将记录累加到分组统计。
+ * @param {ReturnType<typeof createTotals>} totals - 分组统计。
+ * @param {AuditRecord} record - 审计记录。
+ */
+const addToTotals = (totals, record) => {
+  totals.requests += 1;
+  if (record.error) {
+    totals.errors += 1;
+  } else {
+    totals.chars += Number(record.chars) || 0;
+    totals.audioSeconds += Number(record.durationSec) || 0;
+  }
+  if (record.cacheHit) {
+    totals.cacheHits += 1;
+  } else if (Number.isFinite(record.elapsedMs)) {
+    totals.elapsedMsSum += record.elapsedMs;
+    totals.elapsedCount += 1;
+  }
+};
+
+/**
+ * 去掉累加用的中间字段并计算平均耗时。
+ * @param {ReturnType<typeof createTotals>} totals - 分组统计。
+ * @returns {AuditTotals} 对外输出的统计。
+ */
+const finalizeTotals = ({ elapsedMsSum, elapsedCount, ...totals }) => ({
+  ...totals,
+  audioSeconds: Number(totals.audioSeconds.toFixed(3)),
+  avgElapsedMs: elapsedCount > 0 ? Number((elapsedMsSum / elapsedCount).toFixed(2)) : 0,
+});
+
+/**
+ * 过滤并聚合审计记录。
+ * @param {AsyncIterable<AuditRecord>} records - `AuditLogger.query` 返回的记录。
+ * @param {{ filter: (record: AuditRecord) => boolean, limit: number }} options - 过滤条件与返回的明细条数。
+ * @returns {Promise<AuditSummary>} 聚合结果。
+ */
+export const summarizeAudit = async (records, options) => {
+  const totals = createTotals();
+  /** @type {Record<string, Record<string, ReturnType<typeof createTotals>>>} */
+  const groups = { byProvider: {}, byEndpoint: {}, byKey: {} };
+  /** @type {Record<string, number>} */
+  const byErrorCode = {};
+  /** @type {AuditRecord[]} */
+  const recent = [];
+  for await (const record of records) {
+    if (!options.filter(record)) {
+      continue;
+    }
+    addToTotals(totals, record);
+    const keys = { byProvider: record.provider, byEndpoint: record.endpoint, byKey: record.keyId ?? '-' };
+    for (const [group, key] of Object.entries(keys)) {
+      const name = String(key ?? '-');
+      groups[group][name] = groups[group][name] ?? createTotals();
+      addToTotals(groups[group][name], record);
+    }
+    if (record.error) {
+      const code = record.errorCode ?? 'unknown';
+      byErrorCode[code] = (byErrorCode[code] ?? 0) + 1;
+    }
+    if (options.limit > 0) {
+      recent.push(record);
+      if (recent.length > options.limit) {
+        recent.shift();
+      }
+    }
+  }
+  /**
+   * @param {Record<string, ReturnType<typeof createTotals>>} group - 分组。
+   * @returns {Record<string, AuditTotals>} 输出。
+   */
+  const finalizeGroup = (group) =>
+    Object.fromEntries(Object.entries(group).map(([name, value]) => [name, finalizeTotals(value)]));
+  return {
+    totals: finalizeTotals(totals),
+    byProvider: finalizeGroup(groups.byProvider),
+    byEndpoint: finalizeGroup(groups.byEndpoint),
+    byKey: finalizeGroup(groups.byKey),
+    byErrorCode,
+    entries: recent.reverse(),
+  };
+};
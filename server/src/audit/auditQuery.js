@@ -0,0 +1,81 @@
+/**
+ * @file auditQuery.js
+ * @description `/admin/audit` 的查询参数：时间范围（默认最近 24 小时，最长 31 天）、明细条数，
+ *              以及按 provider、接口、key、音色的精确匹配过滤。
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUDIT_QUERY_MAX_RANGE_MS = 31 * DAY_MS;
+const AUDIT_QUERY_DEFAULT_RANGE_MS = DAY_MS;
+const AUDIT_QUERY_DEFAULT_LIMIT = 100;
+const AUDIT_QUERY_MAX_LIMIT = 1000;
+/** 可用于过滤的记录字段。 */
+const AUDIT_FILTER_FIELDS = ['provider', 'endpoint', 'keyId', 'voice'];
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {true} ok - 解析成功。
+ * @property {number} from - 起始时间戳（含）。
+ * @property {number} to - 结束时间戳（含）。
+ * @property {number} limit - 返回的明细条数。
+ * @property {Record<string, string>} filters - 生效的过滤条件。
+ */
+
+/**
+ * 解析审计查询的时间参数，支持毫秒时间戳、ISO 时间与 `YYYY-MM-DD`（按 UTC 当日起止处理）。
+ * @param {unknown} value - 查询参数。
+ * @param {boolean} endOfDay - 仅有日期时是否取当日结束时间。
+ * @returns {number | null} 时间戳，缺省或无法解析时为 null。
+ */
+const parseAuditTime = (value, endOfDay) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    const start = Date.parse(`${trimmed}T00:00:00.000Z`);
+    return Number.isFinite(start) ? start + (endOfDay ? DAY_MS - 1 : 0) : null;
+  }
+  const parsed = Date.parse(trimmed);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * 解析 `/admin/audit` 的查询参数。
+ * @param {Record<string, unknown>} query - `req.query`。
+ * @param {number} [now] - 当前时间戳。
+ * @returns {AuditQuery | { ok: false, status: number, code: string, message: string }} 解析结果。
+ */
+export const parseAuditQuery = (query, now = Date.now()) => {
+  const to = query.to === undefined ? now : parseAuditTime(query.to, true);
+  const from = query.from === undefined ? (to ?? now) - AUDIT_QUERY_DEFAULT_RANGE_MS : parseAuditTime(query.from, false);
+  if (from === null || to === null) {
+    return { ok: false, status: 400, code: 'invalid_range', message: 'from/to 需为毫秒时间戳、ISO 时间或 YYYY-MM-DD。' };
+  }
+  if (from > to || to - from > AUDIT_QUERY_MAX_RANGE_MS) {
+    return { ok: false, status: 400, code: 'invalid_range', message: '时间范围无效或超过 31 天。' };
+  }
+  const requestedLimit = query.limit === undefined || query.limit === '' ? NaN : Number(query.limit);
+  const limit = Number.isFinite(requestedLimit) ? requestedLimit : AUDIT_QUERY_DEFAULT_LIMIT;
+  /** @type {Record<string, string>} */
+  const filters = {};
+  for (const field of AUDIT_FILTER_FIELDS) {
+    const value = query[field];
+    if (typeof value === 'string' && value.trim()) {
+      filters[field] = value.trim();
+    }
+  }
+  return { ok: true, from, to, limit: Math.floor(Math.min(AUDIT_QUERY_MAX_LIMIT, Math.max(0, limit))), filters };
+};
+
+/**
+ * 判断记录是否满足全部过滤条件；字段缺失的记录按空字符串比较。
+ * @param {import('./AuditLogger.js').AuditRecord} record - 审计记录。
+ * @param {Record<string, string>} filters - `parseAuditQuery` 返回的过滤条件。
+ * @returns {boolean} 是否匹配。
+ */
+export const matchesAuditFilters = (record, filters) =>
+  Object.entries(filters).every(([field, value]) => String(record[field] ?? '') === value);
@@ -0,0 +1,312 @@
+/**
+ * @file ApiKeyRegistry.js
+ * @description API key 鉴权与按 key 计量：从配置文件或环境变量加载 key，校验请求携带的 key，
+ *              并为每个 key 维护每日字数配额以及允许使用的 provider/音色；按 key 的限流参数由令牌桶限流器读取。
+ *              key 只以 SHA-256 摘要保存在内存中，日志与响应体中只出现 key 的 `id`。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {string} id - key 标识，写入审计日志用于按团队统计用量。
+ * @property {string} [team] - 所属团队，仅作说明。
+ * @property {string} secretHash - key 明文的 SHA-256 十六进制摘要。
+ * @property {number | null} rateLimitRps - 令牌每秒补充数，null 时使用 `RATE_LIMIT_RPS`。
+ * @property {number | null} rateLimitBurst - 令牌桶容量（突发上限），null 时与 `rateLimitRps` 相同，二者都未配置时使用 `RATE_LIMIT_BURST`。
+ * @property {number | null} dailyCharQuota - 每日（UTC）合成字数上限，null 表示不限。
+ * @property {string[] | null} allowedProviders - 允许的 TTS provider，null 表示不限。
+ * @property {string[] | null} allowedVoices - 允许的音色，null 表示不限。
+ * @property {boolean} admin - 是否可以访问 `/admin/*` 管理接口。
+ */
+
+/**
+ * @typedef {Object} AuthFailure
+ * @property {false} ok - 固定为 false。
+ * @property {401 | 403 | 429} status - HTTP 状态码。
+ * @property {string} code - 机器可读的错误码。
+ * @property {string} message - 错误说明。
+ */
+
+/**
+ * 计算 key 明文的摘要。
+ * @param {string} secret - key 明文。
+ * @returns {string} SHA-256 十六进制摘要。
+ */
+export const hashApiKey = (secret) => createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * 将可选的正数配置转换为数字，缺省或非法时返回 null。
+ * @param {unknown} value - 原始值。
+ * @returns {number | null} 数值。
+ */
+const toPositiveNumber = (value) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+/**
+ * 将可选的字符串列表配置规范化，缺省或空列表时返回 null。
+ * @param {unknown} value - 原始值。
+ * @returns {string[] | null} 列表。
+ */
+const toStringList = (value) => {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const list = value.map((item) => String(item).trim()).filter(Boolean);
+  return list.length > 0 ? list : null;
+};
+
+/**
+ * 规范化单条 key 配置，缺少 id 或 key 时返回 null。
+ * @param {Record<string, any>} raw - 配置项。
+ * @returns {ApiKeyRecord | null} key 记录。
+ */
+const normalizeKey = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const id = typeof raw.id === 'string' ? raw.id.trim() : '';
+  const secretHash =
+    typeof raw.keySha256 === 'string' && /^[a-f0-9]{64}$/i.test(raw.keySha256)
+      ? raw.keySha256.toLowerCase()
+      : typeof raw.key === 'string' && raw.key
+        ? hashApiKey(raw.key)
+        : '';
+  if (!id || !secretHash) {
+    return null;
+  }
+  return {
+    id,
+    team: typeof raw.team === 'string' ? raw.team : undefined,
+    secretHash,
+    rateLimitRps: toPositiveNumber(raw.rateLimitRps),
+    rateLimitBurst: toPositiveNumber(raw.rateLimitBurst),
+    dailyCharQuota: toPositiveNumber(raw.dailyCharQuota),
+    allowedProviders: toStringList(raw.allowedProviders),
+    allowedVoices: toStringList(raw.allowedVoices),
+    admin: raw.admin === true,
+  };
+};
+
+/**
+ * 加载 API key：文件格式为 `{ "keys": [{ "id": "...", "key": "..." }] }`（也可直接是数组），
+ * 环境变量格式为 `id:key,id2:key2`。两处的 key 会合并，id 重复时以文件为准。
+ * 文件读取失败时抛出异常，避免在配置错误时静默关闭鉴权。
+ * @param {string | undefined} filePath - key 配置文件路径。
+ * @param {string | undefined} envValue - `API_KEYS` 环境变量。
+ * @returns {ApiKeyRecord[]} key 列表。
+ */
+export const loadApiKeys = (filePath, envValue) => {
+  /** @type {Map<string, ApiKeyRecord>} */
+  const keys = new Map();
+  if (envValue) {
+    for (const item of envValue.split(',')) {
+      const separator = item.indexOf(':');
+      if (separator <= 0) {
+        continue;
+      }
+      const record = normalizeKey({ id: item.slice(0, separator).trim(), key: item.slice(separator + 1).trim() });
+      if (record) {
+        keys.set(record.id, record);
+      }
+    }
+  }
+  if (filePath) {
+    const absolute = path.resolve(process.cwd(), filePath);
+    const parsed = JSON.parse(fs.readFileSync(absolute, 'utf-8'));
+    const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.keys) ? parsed.keys : [];
+    for (const raw of list) {
+      const record = normalizeKey(raw);
+      if (record) {
+        keys.set(record.id, record);
+      } else {
+        console.warn('[auth] 忽略缺少 id 或 key 的 API key 配置项');
+      }
+    }
+  }
+  return Array.from(keys.values());
+};
+
+/**
+ * 从请求头中取出 key：依次读取 `Authorization: Bearer <key>` 与 `X-API-Key`。
+ * 只有 WebSocket 升级请求（浏览器无法自定义请求头）传入 `allowQuery`，才会再读取 `api_key` 查询参数；
+ * HTTP 接口不接受查询参数中的 key，避免明文出现在访问日志、浏览器历史与 Referer 中。
+ * @param {{ headers: Record<string, string | string[] | undefined>, url?: string }} request - HTTP 请求或 WebSocket 升级请求。
+ * @param {{ allowQuery?: boolean }} [options] - `allowQuery` 为 true 时允许从 `api_key` 查询参数读取。
+ * @returns {string} key 明文，未携带时为空字符串。
+ */
+export const extractApiKey = (request, options = {}) => {
+  const authorization = request.headers.authorization;
+  if (typeof authorization === 'string' && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  const header = request.headers['x-api-key'];
+  if (typeof header === 'string' && header.trim()) {
+    return header.trim();
+  }
+  if (options.allowQuery && request.url) {
+    const url = new URL(request.url, 'http://localhost');
+    return url.searchParams.get('api_key')?.trim() || '';
+  }
+  return '';
+};
+
+/**
+ * 判断请求地址是否带有 `api_key` 查询参数，HTTP 接口据此拒绝请求，提示改用请求头。
+ * @param {string | undefined} requestUrl - 请求地址（含查询串）。
+ * @returns {boolean} 是否带有该参数。
+ */
+export const hasQueryApiKey = (requestUrl) => {
+  if (!requestUrl) {
+    return false;
+  }
+  return new URL(requestUrl, 'http://localhost').searchParams.has('api_key');
+};
+
+/**
+ * 判断音色条目是否与 `voice` 对应：不区分大小写匹配 ID 与别名，并忽略 eSpeak NG 的变体后缀（如 `en+f3` 按 `en` 匹配）。
+ * @param {{ id: string, aliases?: string[] }} entry - 音色条目。
+ * @param {string} voice - 请求、角色档案或 `allowedVoices` 中的音色。
+ * @returns {boolean} 是否匹配。
+ */
+export const matchesVoice = (entry, voice) => {
+  const candidates = new Set([voice.toLowerCase(), voice.split('+')[0].toLowerCase()]);
+  return [entry.id, ...(entry.aliases ?? [])].some((name) => candidates.has(name.toLowerCase()));
+};
+
+export class ApiKeyRegistry {
+  /**
+   * @param {{ keys: ApiKeyRecord[], required: boolean }} options - 鉴权配置。
+   */
+  constructor(options) {
+    this.required = options.required;
+    /** @type {Map<string, ApiKeyRecord>} 以摘要为键，避免逐个比较明文。 */
+    this.byHash = new Map(options.keys.map((record) => [record.secretHash, record]));
+    /** @type {Map<string, { day: string, chars: number }>} */
+    this.usage = new Map();
+  }
+
+  /**
+   * 已加载的 key 数量。
+   * @returns {number} 数量。
+   */
+  get size() {
+    return this.byHash.size;
+  }
+
+  /**
+   * 校验请求携带的 key。未携带 key 且未强制鉴权时返回 `apiKey: null`，按匿名调用处理。
+   * @param {string} secret - key 明文。
+   * @returns {{ ok: true, apiKey: ApiKeyRecord | null } | AuthFailure} 校验结果。
+   */
+  authenticate(secret) {
+    if (!secret) {
+      if (this.required) {
+        return { ok: false, status: 401, code: 'missing_api_key', message: '缺少 API key。' };
+      }
+      return { ok: true, apiKey: null };
+    }
+    const record = this.byHash.get(hashApiKey(secret));
+    if (!record) {
+      return { ok: false, status: 401, code: 'invalid_api_key', message: 'API key 无效。' };
+    }
+    return { ok: true, apiKey: record };
+  }
+
+  /**
+   * 检查 provider 与音色是否在 key 的允许范围内，以及当日字数配额是否足够。
+   * 未指定音色时使用 provider 默认音色，不做限制。检查通过后由调用方调用 `recordUsage` 扣减配额。
+   * @param {ApiKeyRecord} apiKey - key 记录。
+   * @param {{ provider: string, voice?: string, voices?: { id: string, aliases?: string[] }[], chars: number }} request - 合成请求，
+   *   `voices` 为该 provider 的音色列表，用于按别名判断音色，见 {@link ApiKeyRegistry#isVoiceAllowed}。
+   * @returns {{ ok: true } | AuthFailure} 检查结果。
+   */
+  authorize(apiKey, request) {
+    if (apiKey.allowedProviders && !apiKey.allowedProviders.includes(request.provider)) {
+      return {
+        ok: false,
+        status: 403,
+        code: 'provider_not_allowed',
+        message: `API key 无权使用 provider: ${request.provider}`,
+      };
+    }
+    if (!this.isVoiceAllowed(apiKey, request.voice, request.voices)) {
+      return { ok: false, status: 403, code: 'voice_not_allowed', message: `API key 无权使用音色: ${request.voice}` };
+    }
+    if (apiKey.dailyCharQuota !== null) {
+      const usage = this.getUsage(apiKey);
+      if (usage.chars + request.chars > apiKey.dailyCharQuota) {
+        return {
+          ok: false,
+          status: 429,
+          code: 'quota_exceeded',
+          message: `今日字数配额已用完（${usage.chars}/${apiKey.dailyCharQuota}）。`,
+        };
+      }
+    }
+    return { ok: true };
+  }
+
+  /**
+   * 判断 key 是否允许使用音色，`/voices` 的过滤与合成前的检查共用此规则，列出的音色一定可以合成。
+   * 请求的音色本身或音色列表中与它对应的任一条目（ID、别名，忽略变体后缀）与 `allowedVoices` 中某项匹配即允许，
+   * 例如允许 `zh` 时可以使用 eSpeak NG 的 `cmn`，允许 `EN` 时可以使用 `en+f3`。
+   * @param {ApiKeyRecord} apiKey - key 记录。
+   * @param {string | undefined} voice - 请求的音色，为空时使用 provider 默认音色，不做限制。
+   * @param {{ id: string, aliases?: string[] }[]} [voices] - provider 的音色列表，未提供时只按请求的音色匹配。
+   * @returns {boolean} 是否允许。
+   */
+  isVoiceAllowed(apiKey, voice, voices = []) {
+    if (!apiKey.allowedVoices || !voice) {
+      return true;
+    }
+    const entries = [{ id: voice.split('+')[0] }, ...voices.filter((entry) => matchesVoice(entry, voice))];
+    return apiKey.allowedVoices.some((allowed) => entries.some((entry) => matchesVoice(entry, allowed)));
+  }
+
+  /**
+   * 过滤出 key 可以使用的音色，供 `/voices` 返回；结果中的每个音色按 ID 或别名提交合成都能通过 {@link ApiKeyRegistry#authorize}。
+   * @template {{ id: string, provider: string, aliases?: string[] }} T
+   * @param {ApiKeyRecord | null} apiKey - key 记录，匿名调用不过滤。
+   * @param {T[]} voices - 各 provider 的音色。
+   * @returns {T[]} 可用的音色。
+   */
+  filterVoices(apiKey, voices) {
+    if (!apiKey) {
+      return voices;
+    }
+    return voices.filter(
+      (voice) =>
+        (!apiKey.allowedProviders || apiKey.allowedProviders.includes(voice.provider)) &&
+        this.isVoiceAllowed(apiKey, voice.id, [voice]),
+    );
+  }
+
+  /**
+   * 扣减当日字数配额。
+   * @param {ApiKeyRecord} apiKey - key 记录。
+   * @param {number} chars - 字数。
+   */
+  recordUsage(apiKey, chars) {
+    this.getUsage(apiKey).chars += Math.max(0, chars);
+  }
+
+  /**
+   * 返回 key 当日的用量，跨日自动清零。
+   * @param {ApiKeyRecord} apiKey - key 记录。
+   * @returns {{ day: string, chars: number }} 用量。
+   */
+  getUsage(apiKey) {
+    const day = new Date().toISOString().slice(0, 10);
+    let usage = this.usage.get(apiKey.id);
+    if (!usage || usage.day !== day) {
+      usage = { day, chars: 0 };
+      this.usage.set(apiKey.id, usage);
+    }
+    return usage;
+  }
+}
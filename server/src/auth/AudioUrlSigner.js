@@ -0,0 +1,104 @@
+/**
+ * @file AudioUrlSigner.js
+ * @description `/audio` 下载地址签名：在 URL 上附加过期时间 `exp`（Unix 秒）与 HMAC-SHA256 签名 `sig`，
+ *              `/audio/:filename` 校验签名后才返回音频，避免任何人凭可猜测的文件名下载他人合成的音频。
+ *              缓存中保存的响应体不含签名，每次返回给客户端前重新签名。
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * 签名时间向上取整到分钟，同一分钟内的请求得到相同的 URL，便于浏览器与 Nginx 复用缓存。
+ */
+const EXPIRY_STEP_SEC = 60;
+
+/**
+ * @typedef {Object} SignatureFailure
+ * @property {false} ok - 固定为 false。
+ * @property {403 | 410} status - HTTP 状态码。
+ * @property {string} code - 机器可读的错误码。
+ * @property {string} message - 错误说明。
+ */
+
+export class AudioUrlSigner {
+  /**
+   * @param {{ secret: string, ttlMs: number }} options - 签名密钥与 URL 有效期，密钥为空时不签名。
+   */
+  constructor(options) {
+    this.secret = options.secret;
+    this.ttlMs = options.ttlMs;
+  }
+
+  /**
+   * 是否启用签名。
+   * @returns {boolean} 是否启用。
+   */
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * 计算文件名与过期时间的签名。
+   * @param {string} filename - 音频文件名。
+   * @param {number} exp - 过期时间（Unix 秒）。
+   * @returns {string} base64url 编码的签名。
+   */
+  digest(filename, exp) {
+    return createHmac('sha256', this.secret).update(`${filename}:${exp}`).digest('base64url');
+  }
+
+  /**
+   * 为 `/audio/<filename>` 形式的地址附加过期时间与签名，未启用签名或地址不属于 `/audio` 时原样返回。
+   * @param {string} audioUrl - 未签名的音频地址。
+   * @param {number} [now] - 当前时间戳，默认 `Date.now()`。
+   * @returns {string} 签名后的地址。
+   */
+  sign(audioUrl, now = Date.now()) {
+    const match = /^\/audio\/([^/?#]+)$/.exec(audioUrl);
+    if (!this.enabled || !match) {
+      return audioUrl;
+    }
+    const exp = Math.ceil((now + this.ttlMs) / 1000 / EXPIRY_STEP_SEC) * EXPIRY_STEP_SEC;
+    return `${audioUrl}?exp=${exp}&sig=${this.digest(match[1], exp)}`;
+  }
+
+  /**
+   * 校验下载请求携带的签名。未启用签名时总是通过。
+   * @param {string} filename - 音频文件名。
+   * @param {Record<string, any>} query - 请求查询参数。
+   * @param {number} [now] - 当前时间戳，默认 `Date.now()`。
+   * @returns {{ ok: true, expiresAt: number | null } | SignatureFailure} 校验结果，`expiresAt` 为签名过期时间戳。
+   */
+  verify(filename, query, now = Date.now()) {
+    if (!this.enabled) {
+      return { ok: true, expiresAt: null };
+    }
+    const exp = typeof query.exp === 'string' && /^\d{1,12}$/.test(query.exp) ? Number(query.exp) : NaN;
+    const sig = typeof query.sig === 'string' ? query.sig : '';
+    if (!Number.isFinite(exp) || !sig) {
+      return { ok: false, status: 403, code: 'missing_signature', message: '音频地址缺少签名。' };
+    }
+    const expected = Buffer.from(this.digest(filename, exp));
+    const actual = Buffer.from(sig);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+      return { ok: false, status: 403, code: 'invalid_signature', message: '音频地址签名无效。' };
+    }
+    if (exp * 1000 <= now) {
+      return { ok: false, status: 410, code: 'url_expired', message: '音频地址已过期，请重新请求 /tts。' };
+    }
+    return { ok: true, expiresAt: exp * 1000 };
+  }
+
+  /**
+   * 返回 `audioUrl` 已签名的响应体副本，供缓存命中与任务结果返回前调用。
+   * @template {Record<string, any>} T
+   * @param {T} payload - 响应体。
+   * @returns {T} 签名后的响应体。
+   */
+  signPayload(payload) {
+    if (!this.enabled || !payload || typeof payload.audioUrl !== 'string') {
+      return payload;
+    }
+    return { ...payload, audioUrl: this.sign(payload.audioUrl) };
+  }
+}
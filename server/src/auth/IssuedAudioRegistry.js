@@ -0,0 +1,51 @@
+/**
+ * @file IssuedAudioRegistry.js
+ * @description 记录本进程签发过的 `/audio` 文件名，音频被清理后据此区分“已过期”（410）与“从未签发”（404）。
+ *              启用地址签名时签名本身即可证明文件名由服务端签发，这里主要服务于未签名部署。记录只保存在进程内，重启后清零。
+ */
+
+export class IssuedAudioRegistry {
+  /**
+   * @param {{ retainMs?: number, maxEntries?: number }} [options] - `retainMs` 为最近一次签发后保留记录的时长，
+   *   `maxEntries` 为最多记录的文件名数，超出时淘汰最早签发的记录。
+   */
+  constructor(options = {}) {
+    this.retainMs = options.retainMs ?? 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 10000;
+    /** @type {Map<string, number>} 文件名到最近签发时间戳，按签发顺序排列。 */
+    this.entries = new Map();
+  }
+
+  /**
+   * 记录响应体 `audioUrl` 中的文件名，缓存命中或重复签发时刷新记录。
+   * @param {string} audioUrl - `/audio/<filename>` 形式的地址，可带查询参数。
+   * @param {number} [now] - 当前时间戳，默认 `Date.now()`。
+   */
+  record(audioUrl, now = Date.now()) {
+    const match = /^\/audio\/([^/?#]+)/.exec(audioUrl);
+    if (!match) {
+      return;
+    }
+    this.entries.delete(match[1]);
+    this.entries.set(match[1], now);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 判断文件名是否在保留期内签发过，顺带移除保留期外的记录。
+   * @param {string} filename - 音频文件名。
+   * @param {number} [now] - 当前时间戳，默认 `Date.now()`。
+   * @returns {boolean} 是否签发过。
+   */
+  has(filename, now = Date.now()) {
+    for (const [name, issuedAt] of this.entries) {
+      if (now - issuedAt <= this.retainMs) {
+        break;
+      }
+      this.entries.delete(name);
+    }
+    return this.entries.has(filename);
+  }
+}
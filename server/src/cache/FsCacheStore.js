@@ -0,0 +1,318 @@
+/**
+ * @file FsCacheStore.js
+ * @description 文件系统缓存存储：音频与时间轴 JSON 以缓存键（`buildCacheKey` 生成的哈希）命名写入磁盘，
+ *              内存中只保留 LRU 索引。服务重启后扫描缓存目录重建索引，命中时返回的 `audioUrl` 始终指向仍存在的文件。
+ *              多个实例共享同一目录（如 NFS）时，通过独占创建 `.lock` 文件协调合成权。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ICacheStore } from './ICacheStore.js';
+
+/**
+ * @typedef {Object} FsCacheStoreOptions
+ * @property {string} dir - 缓存目录，建议与临时目录分开，避免被临时文件清理任务误删。
+ * @property {number} maxEntries - 最多保留的条目数，超过后按最近访问时间淘汰。
+ * @property {number} ttlMs - 条目有效期（毫秒），从写入时开始计算。
+ */
+
+/**
+ * @typedef {Object} FsCacheEntry
+ * @property {Record<string, any>} payload - `/tts` 响应体。
+ * @property {string} audioFile - 缓存目录中的音频文件名。
+ * @property {number} expiresAt - 过期时间戳。
+ * @property {number} size - 音频与 JSON 的总字节数。
+ */
+
+const CACHE_KEY_RE = /^[a-f0-9]{40}$/;
+
+/**
+ * 移动文件，跨文件系统时退回复制 + 删除。
+ * @param {string} from - 源路径。
+ * @param {string} to - 目标路径。
+ */
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error && /** @type {{ code?: string }} */ (error).code === 'EXDEV') {
+      await fs.promises.copyFile(from, to);
+      await fs.promises.unlink(from).catch(() => {});
+      return;
+    }
+    throw error;
+  }
+};
+
+export class FsCacheStore extends ICacheStore {
+  /**
+   * @param {FsCacheStoreOptions} options - 缓存参数。
+   */
+  constructor(options) {
+    super();
+    this.dir = options.dir;
+    this.maxEntries = Math.max(0, options.maxEntries);
+    this.ttlMs = options.ttlMs;
+    /** @type {Map<string, FsCacheEntry>} */
+    this.index = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * 创建缓存目录并从磁盘重建 LRU 索引：按 JSON 文件的修改时间（即最近访问时间）排序，
+   * 丢弃已过期、音频缺失或无法解析的条目，并清理没有对应 JSON 的孤立音频。
+   * @returns {Promise<number>} 重建后的条目数。
+   */
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const names = await fs.promises.readdir(this.dir);
+    const nameSet = new Set(names);
+    const now = Date.now();
+    /** @type {Array<{ key: string, entry: FsCacheEntry, accessedAt: number }>} */
+    const loaded = [];
+    for (const name of names) {
+      if (!name.endsWith('.json')) {
+        continue;
+      }
+      const key = name.slice(0, -'.json'.length);
+      const metaPath = path.join(this.dir, name);
+      try {
+        const [raw, stat] = await Promise.all([fs.promises.readFile(metaPath, 'utf-8'), fs.promises.stat(metaPath)]);
+        const meta = JSON.parse(raw);
+        const audioFile = typeof meta.audioFile === 'string' ? meta.audioFile : '';
+        if (!CACHE_KEY_RE.test(key) || !meta.payload || !audioFile || !nameSet.has(audioFile) || meta.expiresAt <= now) {
+          await this.removeFiles(key, audioFile);
+          continue;
+        }
+        const audioStat = await fs.promises.stat(path.join(this.dir, audioFile));
+        loaded.push({
+          key,
+          entry: { payload: meta.payload, audioFile, expiresAt: meta.expiresAt, size: audioStat.size + stat.size },
+          accessedAt: stat.mtimeMs,
+        });
+      } catch (error) {
+        console.warn(`[tts-cache] 缓存条目损坏，已丢弃：${name}`, error);
+        await this.removeFiles(key, '');
+      }
+    }
+
+    const keys = new Set(loaded.map((item) => item.key));
+    for (const name of names) {
+      // `.lock` 可能属于共享目录中其他实例的进行中合成，交由 claim 的过期判断处理。
+      if (!name.endsWith('.json') && !name.endsWith('.lock') && !keys.has(path.parse(name).name)) {
+        await fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+      }
+    }
+
+    loaded.sort((a, b) => a.accessedAt - b.accessedAt);
+    for (const item of loaded) {
+      this.index.set(item.key, item.entry);
+      this.bytes += item.entry.size;
+    }
+    await this.enforceLimit();
+    return this.index.size;
+  }
+
+  /**
+   * 读取缓存，命中时刷新 LRU 顺序并更新 JSON 的修改时间，供重启后恢复访问顺序。
+   * 本实例索引未命中时会检查磁盘，以便读到共享目录中其他实例写入的条目。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<Record<string, any> | null>} 缓存的响应体。
+   */
+  async get(key) {
+    const entry = this.index.get(key) ?? (await this.loadFromDisk(key));
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      this.evictions += 1;
+      return null;
+    }
+    this.index.delete(key);
+    this.index.set(key, entry);
+    const now = new Date();
+    fs.promises.utimes(path.join(this.dir, `${key}.json`), now, now).catch(() => {});
+    return entry.payload;
+  }
+
+  /**
+   * 从磁盘加载单个条目并加入索引。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<FsCacheEntry | null>} 条目，不存在或无法解析时返回 null。
+   */
+  async loadFromDisk(key) {
+    if (!CACHE_KEY_RE.test(key)) {
+      return null;
+    }
+    try {
+      const metaPath = path.join(this.dir, `${key}.json`);
+      const raw = await fs.promises.readFile(metaPath, 'utf-8');
+      const meta = JSON.parse(raw);
+      const audioStat = await fs.promises.stat(path.join(this.dir, meta.audioFile));
+      const entry = {
+        payload: meta.payload,
+        audioFile: meta.audioFile,
+        expiresAt: meta.expiresAt,
+        size: audioStat.size + Buffer.byteLength(raw),
+      };
+      this.index.set(key, entry);
+      this.bytes += entry.size;
+      await this.enforceLimit();
+      return entry;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存：将合成产生的临时音频移入缓存目录，并把 `audioUrl` 改写为内容寻址的文件名。
+   * @param {string} key - 缓存键。
+   * @param {Record<string, any>} payload - `/tts` 响应体。
+   * @param {string} audioPath - 合成产生的音频文件路径。
+   * @returns {Promise<Record<string, any>>} 改写后的响应体。
+   */
+  async set(key, payload, audioPath) {
+    if (this.index.has(key)) {
+      await this.delete(key);
+    }
+    const ext = path.extname(audioPath) || '.wav';
+    const audioFile = `${key}${ext}`;
+    const audioTarget = path.join(this.dir, audioFile);
+    await moveFile(audioPath, audioTarget);
+    const stored = { ...payload, audioUrl: `/audio/${audioFile}` };
+    const expiresAt = Date.now() + this.ttlMs;
+    const meta = JSON.stringify({ payload: stored, audioFile, expiresAt });
+    await fs.promises.writeFile(path.join(this.dir, `${key}.json`), meta);
+    const audioStat = await fs.promises.stat(audioTarget);
+    const entry = { payload: stored, audioFile, expiresAt, size: audioStat.size + Buffer.byteLength(meta) };
+    this.index.set(key, entry);
+    this.bytes += entry.size;
+    await this.enforceLimit();
+    return stored;
+  }
+
+  /**
+   * 删除条目及其文件。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<void>} 删除完成。
+   */
+  async delete(key) {
+    const entry = this.index.get(key);
+    if (!entry) {
+      return;
+    }
+    this.index.delete(key);
+    this.bytes = Math.max(0, this.bytes - entry.size);
+    await this.removeFiles(key, entry.audioFile);
+  }
+
+  /**
+   * 清理过期条目，与临时目录清理任务共用调度间隔。
+   * @returns {Promise<number>} 清理的条目数。
+   */
+  async sweep() {
+    const now = Date.now();
+    const expired = [];
+    for (const [key, entry] of this.index) {
+      if (entry.expiresAt <= now) {
+        expired.push(key);
+      }
+    }
+    for (const key of expired) {
+      await this.delete(key);
+    }
+    this.evictions += expired.length;
+    return expired.length;
+  }
+
+  /**
+   * 若文件名属于缓存目录中的音频，返回其绝对路径。
+   * @param {string} filename - 形如 `<key>.wav` 的文件名。
+   * @returns {Promise<import('./ICacheStore.js').CacheAudio | null>} 音频路径。
+   */
+  async readAudio(filename) {
+    const key = path.parse(filename).name;
+    const entry = this.index.get(key) ?? (await this.loadFromDisk(key));
+    if (!entry || entry.audioFile !== filename || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    return { path: path.join(this.dir, filename), expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * 以独占方式创建 `<key>.lock` 占用合成权，锁文件超过有效期视为持有者已退出，可被抢占。
+   * @param {string} key - 缓存键。
+   * @param {number} ttlMs - 占用有效期。
+   * @returns {Promise<boolean>} 是否占用成功。
+   */
+  async claim(key, ttlMs) {
+    const lockPath = path.join(this.dir, `${key}.lock`);
+    try {
+      await fs.promises.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (!error || /** @type {{ code?: string }} */ (error).code !== 'EEXIST') {
+        // 目录不可写等异常不应阻塞合成，视为占用成功。
+        return true;
+      }
+    }
+    try {
+      const stat = await fs.promises.stat(lockPath);
+      if (Date.now() - stat.mtimeMs > ttlMs) {
+        await fs.promises.unlink(lockPath).catch(() => {});
+        await fs.promises.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+        return true;
+      }
+    } catch (error) {
+      // 锁文件在检查期间被释放或被其他实例抢占，按未占用成功处理，由调用方等待结果。
+    }
+    return false;
+  }
+
+  /**
+   * 释放合成权。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<void>} 释放完成。
+   */
+  async release(key) {
+    await fs.promises.unlink(path.join(this.dir, `${key}.lock`)).catch(() => {});
+  }
+
+  /**
+   * 返回缓存统计，供 `/metrics` 输出。
+   * @returns {import('./ICacheStore.js').CacheStoreStats} 统计信息。
+   */
+  stats() {
+    return { entries: this.index.size, bytes: this.bytes, evictions: this.evictions };
+  }
+
+  /**
+   * 超出条目上限时按 LRU 顺序淘汰。
+   * @returns {Promise<void>} 淘汰完成。
+   */
+  async enforceLimit() {
+    while (this.index.size > this.maxEntries) {
+      const oldestKey = this.index.keys().next().value;
+      if (typeof oldestKey === 'undefined') {
+        break;
+      }
+      await this.delete(oldestKey);
+      this.evictions += 1;
+    }
+  }
+
+  /**
+   * 删除条目对应的磁盘文件，文件不存在时忽略。
+   * @param {string} key - 缓存键。
+   * @param {string} audioFile - 音频文件名。
+   * @returns {Promise<void>} 删除完成。
+   */
+  async removeFiles(key, audioFile) {
+    await fs.promises.unlink(path.join(this.dir, `${key}.json`)).catch(() => {});
+    if (audioFile) {
+      await fs.promises.unlink(path.join(this.dir, audioFile)).catch(() => {});
+    }
+  }
+}
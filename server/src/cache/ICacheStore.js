@@ -0,0 +1,118 @@
+/**
+ * @file ICacheStore.js
+ * @description 约定 TTS 缓存存储的统一接口。缓存条目由响应体（payload）与音频两部分组成，
+ *              存储层负责两者的生命周期，以及跨实例的合成占位（claim），避免多个实例重复合成同一段文本。
+ */
+
+/**
+ * @typedef {Object} CacheAudio
+ * @property {string} [path] - 音频位于本地磁盘时的绝对路径。
+ * @property {Buffer} [buffer] - 音频保存在内存或远端存储时的字节内容。
+ * @property {number} [expiresAt] - 条目过期时间戳，用于设置 `/audio` 的 `Cache-Control`；存储无法廉价获取时省略。
+ */
+
+/**
+ * @typedef {Object} CacheStoreStats
+ * @property {number | null} entries - 条目数，远端存储无法廉价统计时为 null。
+ * @property {number | null} bytes - 音频与元数据占用的字节数，无法统计时为 null。
+ * @property {number | null} evictions - 因超出条目上限或过期被淘汰的条目累计数，由远端存储自行过期时为 null。
+ */
+
+/**
+ * @interface ICacheStore
+ * @description 所有缓存存储都应实现以下方法，`init`、`sweep`、`close` 可按需留空。
+ */
+export class ICacheStore {
+  /**
+   * 初始化存储，例如创建目录、重建索引或建立连接。
+   * @returns {Promise<number>} 恢复的条目数，无法统计时返回 0。
+   */
+  async init() {
+    return 0;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 读取缓存。
+   * @param {string} _key - 缓存键。
+   * @returns {Promise<Record<string, any> | null>} 响应体，未命中或已过期时返回 null。
+   */
+  async get(_key) {
+    throw new Error('ICacheStore 为抽象接口，请使用具体存储实现。');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 写入缓存，并接管合成产生的音频文件（写入后原文件可能被移动或删除）。
+   * @param {string} _key - 缓存键。
+   * @param {Record<string, any>} _payload - 响应体。
+   * @param {string} _audioPath - 合成产生的音频文件路径。
+   * @returns {Promise<Record<string, any>>} 改写 `audioUrl` 后的响应体。
+   */
+  async set(_key, _payload, _audioPath) {
+    throw new Error('ICacheStore 为抽象接口，请使用具体存储实现。');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 读取缓存中的音频，供 `/audio/:filename` 使用。
+   * @param {string} _filename - 形如 `<key>.wav` 的文件名。
+   * @returns {Promise<CacheAudio | null>} 音频位置或内容。
+   */
+  async readAudio(_filename) {
+    throw new Error('ICacheStore 为抽象接口，请使用具体存储实现。');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 删除缓存条目。
+   * @param {string} _key - 缓存键。
+   * @returns {Promise<void>} 删除完成。
+   */
+  async delete(_key) {
+    throw new Error('ICacheStore 为抽象接口，请使用具体存储实现。');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 尝试占用某个缓存键的合成权，同一时间只有一个实例能占用成功。
+   * @param {string} _key - 缓存键。
+   * @param {number} _ttlMs - 占用有效期，实例异常退出时到期自动释放。
+   * @returns {Promise<boolean>} 是否占用成功。
+   */
+  async claim(_key, _ttlMs) {
+    throw new Error('ICacheStore 为抽象接口，请使用具体存储实现。');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 释放合成权。
+   * @param {string} _key - 缓存键。
+   * @returns {Promise<void>} 释放完成。
+   */
+  async release(_key) {
+    throw new Error('ICacheStore 为抽象接口，请使用具体存储实现。');
+  }
+
+  /**
+   * 清理过期条目。
+   * @returns {Promise<number>} 清理的条目数。
+   */
+  async sweep() {
+    return 0;
+  }
+
+  /**
+   * 返回存储统计。
+   * @returns {CacheStoreStats} 统计信息。
+   */
+  stats() {
+    return { entries: null, bytes: null, evictions: null };
+  }
+
+  /**
+   * 释放连接等资源。
+   * @returns {Promise<void>} 关闭完成。
+   */
+  async close() {}
+}
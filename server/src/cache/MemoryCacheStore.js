@@ -0,0 +1,184 @@
+/**
+ * @file MemoryCacheStore.js
+ * @description 进程内缓存存储：响应体与音频字节都保存在内存 LRU 中，不依赖磁盘，适合单实例或容器只读文件系统场景。
+ *              重启后缓存清空。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ICacheStore } from './ICacheStore.js';
+
+/**
+ * @typedef {Object} MemoryCacheEntry
+ * @property {Record<string, any>} payload - `/tts` 响应体。
+ * @property {string} audioFile - 音频文件名。
+ * @property {Buffer} audio - 音频字节。
+ * @property {number} expiresAt - 过期时间戳。
+ * @property {number} size - 音频与响应体的估算字节数。
+ */
+
+export class MemoryCacheStore extends ICacheStore {
+  /**
+   * @param {{ maxEntries: number, ttlMs: number }} options - 缓存参数。
+   */
+  constructor(options) {
+    super();
+    this.maxEntries = Math.max(0, options.maxEntries);
+    this.ttlMs = options.ttlMs;
+    /** @type {Map<string, MemoryCacheEntry>} */
+    this.entries = new Map();
+    /** @type {Map<string, number>} */
+    this.claims = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * 读取缓存并刷新 LRU 顺序。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<Record<string, any> | null>} 响应体。
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.removeEntry(key, entry);
+      this.evictions += 1;
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.payload;
+  }
+
+  /**
+   * 读取合成产生的音频到内存后删除临时文件。
+   * @param {string} key - 缓存键。
+   * @param {Record<string, any>} payload - 响应体。
+   * @param {string} audioPath - 音频文件路径。
+   * @returns {Promise<Record<string, any>>} 改写 `audioUrl` 后的响应体。
+   */
+  async set(key, payload, audioPath) {
+    const audio = await fs.promises.readFile(audioPath);
+    await fs.promises.unlink(audioPath).catch(() => {});
+    const audioFile = `${key}${path.extname(audioPath) || '.wav'}`;
+    const stored = { ...payload, audioUrl: `/audio/${audioFile}` };
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.removeEntry(key, existing);
+    }
+    const entry = {
+      payload: stored,
+      audioFile,
+      audio,
+      expiresAt: Date.now() + this.ttlMs,
+      size: audio.length + Buffer.byteLength(JSON.stringify(stored)),
+    };
+    this.entries.set(key, entry);
+    this.bytes += entry.size;
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      if (typeof oldestKey === 'undefined') {
+        break;
+      }
+      this.removeEntry(oldestKey, this.entries.get(oldestKey));
+      this.evictions += 1;
+    }
+    return stored;
+  }
+
+  /**
+   * 返回内存中的音频字节。
+   * @param {string} filename - 文件名。
+   * @returns {Promise<import('./ICacheStore.js').CacheAudio | null>} 音频内容。
+   */
+  async readAudio(filename) {
+    const key = path.parse(filename).name;
+    const entry = this.entries.get(key);
+    if (!entry || entry.audioFile !== filename || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    return { buffer: entry.audio, expiresAt: entry.expiresAt };
+  }
+
+  /**
+   * 删除缓存条目。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<void>} 删除完成。
+   */
+  async delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.removeEntry(key, entry);
+    }
+  }
+
+  /**
+   * 单进程内占用合成权。
+   * @param {string} key - 缓存键。
+   * @param {number} ttlMs - 占用有效期。
+   * @returns {Promise<boolean>} 是否占用成功。
+   */
+  async claim(key, ttlMs) {
+    const now = Date.now();
+    const expiresAt = this.claims.get(key);
+    if (expiresAt && expiresAt > now) {
+      return false;
+    }
+    this.claims.set(key, now + ttlMs);
+    return true;
+  }
+
+  /**
+   * 释放合成权。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<void>} 释放完成。
+   */
+  async release(key) {
+    this.claims.delete(key);
+  }
+
+  /**
+   * 清理过期条目与过期占用。
+   * @returns {Promise<number>} 清理的条目数。
+   */
+  async sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.removeEntry(key, entry);
+        removed += 1;
+      }
+    }
+    for (const [key, expiresAt] of this.claims) {
+      if (expiresAt <= now) {
+        this.claims.delete(key);
+      }
+    }
+    this.evictions += removed;
+    return removed;
+  }
+
+  /**
+   * 返回缓存统计。
+   * @returns {import('./ICacheStore.js').CacheStoreStats} 统计信息。
+   */
+  stats() {
+    return { entries: this.entries.size, bytes: this.bytes, evictions: this.evictions };
+  }
+
+  /**
+   * 从索引移除条目并更新字节计数。
+   * @param {string} key - 缓存键。
+   * @param {MemoryCacheEntry | undefined} entry - 条目。
+   */
+  removeEntry(key, entry) {
+    this.entries.delete(key);
+    if (entry) {
+      this.bytes = Math.max(0, this.bytes - entry.size);
+    }
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * @file RedisCacheStore.js
+ * @description Redis 缓存存储：响应体与音频字节写入 Redis（或任意兼容 RESP 协议的服务），
+ *              多个 stickbot 实例挂在同一负载均衡后即可共享合成结果。过期交给 Redis 的 PX TTL 处理，
+ *              容量淘汰依赖服务端的 `maxmemory-policy`（建议 `allkeys-lru`）。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ICacheStore } from './ICacheStore.js';
+import { RespClient, parseRedisUrl } from './redis/RespClient.js';
+
+/**
+ * @typedef {Object} RedisCacheStoreOptions
+ * @property {string} url - `redis://[user:password@]host:port[/db]` 连接串。
+ * @property {string} [prefix] - 键前缀，多个环境共用一个 Redis 时用于隔离，默认 `stickbot:`。
+ * @property {number} ttlMs - 条目有效期（毫秒）。
+ */
+
+export class RedisCacheStore extends ICacheStore {
+  /**
+   * @param {RedisCacheStoreOptions} options - 缓存参数。
+   */
+  constructor(options) {
+    super();
+    this.url = options.url;
+    this.prefix = options.prefix ?? 'stickbot:';
+    this.ttlMs = options.ttlMs;
+    this.client = new RespClient(parseRedisUrl(options.url));
+    /** 本实例持有的占用令牌，释放时只删除自己写入的锁。 */
+    this.claimTokens = new Map();
+  }
+
+  /**
+   * 建立连接并确认服务可用。
+   * @returns {Promise<number>} Redis 中的条目无法廉价统计，固定返回 0。
+   */
+  async init() {
+    await this.client.command('PING');
+    return 0;
+  }
+
+  /**
+   * 读取缓存。Redis 不可用时按未命中处理，由调用方继续合成。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<Record<string, any> | null>} 响应体。
+   */
+  async get(key) {
+    try {
+      const raw = await this.client.command('GET', `${this.prefix}tts:${key}`);
+      return raw ? JSON.parse(raw.toString('utf-8')) : null;
+    } catch (error) {
+      console.warn('[tts-cache] 读取 Redis 缓存失败', error);
+      return null;
+    }
+  }
+
+  /**
+   * 先写音频再写响应体，保证其他实例读到响应体时音频已经可取。
+   * @param {string} key - 缓存键。
+   * @param {Record<string, any>} payload - 响应体。
+   * @param {string} audioPath - 合成产生的音频文件路径。
+   * @returns {Promise<Record<string, any>>} 改写 `audioUrl` 后的响应体。
+   */
+  async set(key, payload, audioPath) {
+    const audio = await fs.promises.readFile(audioPath);
+    const audioFile = `${key}${path.extname(audioPath) || '.wav'}`;
+    const stored = { ...payload, audioUrl: `/audio/${audioFile}` };
+    await this.client.command('SET', `${this.prefix}audio:${audioFile}`, audio, 'PX', this.ttlMs);
+    await this.client.command('SET', `${this.prefix}tts:${key}`, JSON.stringify(stored), 'PX', this.ttlMs);
+    await fs.promises.unlink(audioPath).catch(() => {});
+    return stored;
+  }
+
+  /**
+   * 从 Redis 读取音频字节。
+   * @param {string} filename - 文件名。
+   * @returns {Promise<import('./ICacheStore.js').CacheAudio | null>} 音频内容。
+   */
+  async readAudio(filename) {
+    try {
+      const buffer = await this.client.command('GET', `${this.prefix}audio:${filename}`);
+      return buffer ? { buffer } : null;
+    } catch (error) {
+      console.warn('[tts-cache] 读取 Redis 音频失败', error);
+      return null;
+    }
+  }
+
+  /**
+   * 删除缓存条目及其音频。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<void>} 删除完成。
+   */
+  async delete(key) {
+    const payload = await this.get(key);
+    const keys = [`${this.prefix}tts:${key}`];
+    if (payload && typeof payload.audioUrl === 'string') {
+      keys.push(`${this.prefix}audio:${path.basename(payload.audioUrl)}`);
+    }
+    await this.client.command('DEL', ...keys);
+  }
+
+  /**
+   * 通过 `SET NX PX` 占用合成权。Redis 不可用时视为占用成功，避免缓存故障阻塞合成。
+   * @param {string} key - 缓存键。
+   * @param {number} ttlMs - 占用有效期。
+   * @returns {Promise<boolean>} 是否占用成功。
+   */
+  async claim(key, ttlMs) {
+    const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+    try {
+      const reply = await this.client.command('SET', `${this.prefix}lock:${key}`, token, 'NX', 'PX', ttlMs);
+      if (reply === 'OK') {
+        this.claimTokens.set(key, token);
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.warn('[tts-cache] Redis 合成占用失败，直接合成', error);
+      return true;
+    }
+  }
+
+  /**
+   * 释放合成权。锁已过期并被其他实例重新占用时不做删除。
+   * @param {string} key - 缓存键。
+   * @returns {Promise<void>} 释放完成。
+   */
+  async release(key) {
+    const token = this.claimTokens.get(key);
+    if (!token) {
+      return;
+    }
+    this.claimTokens.delete(key);
+    try {
+      const lockKey = `${this.prefix}lock:${key}`;
+      const current = await this.client.command('GET', lockKey);
+      if (current && current.toString() === token) {
+        await this.client.command('DEL', lockKey);
+      }
+    } catch (error) {
+      // 锁会在有效期后自动过期。
+    }
+  }
+
+  /**
+   * 关闭连接。
+   * @returns {Promise<void>} 关闭完成。
+   */
+  async close() {
+    await this.client.close();
+  }
+}
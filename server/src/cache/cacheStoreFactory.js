@@ -0,0 +1,37 @@
+/**
+ * @file cacheStoreFactory.js
+ * @description 根据配置创建 TTS 缓存存储。`memory://` 形式的 Redis 地址会在进程内启动 RESP 替身，
+ *              无需安装 Redis 即可验证 Redis 后端（仅用于开发调试）。
+ */
+
+import { FsCacheStore } from './FsCacheStore.js';
+import { MemoryCacheStore } from './MemoryCacheStore.js';
+import { RedisCacheStore } from './RedisCacheStore.js';
+import { MemoryRedisServer } from './redis/MemoryRedisServer.js';
+
+/**
+ * 按 `config.cache.backend` 创建缓存存储。
+ * @param {import('../config.js').ServerConfig} config - 服务端配置。
+ * @returns {Promise<import('./ICacheStore.js').ICacheStore>} 缓存存储实例（尚未调用 init）。
+ */
+export const createCacheStore = async (config) => {
+  const { backend, dir, maxEntries, ttlMs, redisUrl, redisPrefix } = config.cache;
+  switch (backend) {
+    case 'memory':
+      return new MemoryCacheStore({ maxEntries, ttlMs });
+    case 'redis': {
+      let url = redisUrl;
+      if (url.startsWith('memory://')) {
+        const requestedPort = Number(/:(\d+)\/?$/.exec(url)?.[1] || 0);
+        const server = new MemoryRedisServer();
+        const address = await server.listen(requestedPort);
+        console.warn(`[tts-cache] 使用进程内 Redis 替身：${address.url}（数据不持久化，仅用于开发调试）`);
+        url = address.url;
+      }
+      return new RedisCacheStore({ url, prefix: redisPrefix, ttlMs });
+    }
+    case 'fs':
+    default:
+      return new FsCacheStore({ dir, maxEntries, ttlMs });
+  }
+};
@@ -0,0 +1,180 @@
+/**
+ * @file MemoryRedisServer.js
+ * @description 进程内 Redis 替身：监听本地端口并实现缓存存储用到的 RESP 命令子集（GET/SET/DEL/EXISTS/PEXPIRE/PTTL 等），
+ *              数据只保存在内存中。用于在没有 Redis 的环境里验证 Redis 缓存后端与多实例共享逻辑，不可用于生产。
+ */
+
+import net from 'net';
+import { encodeReply, parseReply, RespError } from './resp.js';
+
+export class MemoryRedisServer {
+  constructor() {
+    /** @type {Map<string, { value: Buffer, expiresAt: number | null }>} */
+    this.data = new Map();
+    /** @type {net.Server | null} */
+    this.server = null;
+    /** @type {Set<net.Socket>} */
+    this.sockets = new Set();
+  }
+
+  /**
+   * 开始监听。端口传 0 时由系统分配。
+   * @param {number} [port] - 端口。
+   * @param {string} [host] - 监听地址，默认仅本机。
+   * @returns {Promise<{ host: string, port: number, url: string }>} 实际监听地址。
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this.handleConnection(socket));
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        this.server = server;
+        const address = /** @type {net.AddressInfo} */ (server.address());
+        resolve({ host, port: address.port, url: `redis://${host}:${address.port}` });
+      });
+    });
+  }
+
+  /**
+   * 停止监听并断开所有连接。
+   * @returns {Promise<void>} 关闭完成。
+   */
+  close() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * 处理单个客户端连接。
+   * @param {net.Socket} socket - 客户端连接。
+   */
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      for (;;) {
+        let parsed;
+        try {
+          parsed = parseReply(buffer, offset);
+        } catch (error) {
+          socket.end(encodeReply(new RespError('ERR Protocol error')));
+          return;
+        }
+        if (!parsed) {
+          break;
+        }
+        offset = parsed.offset;
+        const args = Array.isArray(parsed.value) ? parsed.value : [];
+        const name = args.length > 0 ? args[0].toString().toUpperCase() : '';
+        socket.write(encodeReply(this.execute(name, args.slice(1))));
+        if (name === 'QUIT') {
+          socket.end();
+          return;
+        }
+      }
+      buffer = buffer.subarray(offset);
+    });
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+  }
+
+  /**
+   * 读取未过期的键。
+   * @param {string} key - 键。
+   * @returns {{ value: Buffer, expiresAt: number | null } | undefined} 条目。
+   */
+  lookup(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * 执行单条命令。
+   * @param {string} name - 命令名（大写）。
+   * @param {Buffer[]} args - 参数。
+   * @returns {any} 回复内容。
+   */
+  execute(name, args) {
+    const key = args[0]?.toString();
+    switch (name) {
+      case 'PING':
+        return 'PONG';
+      case 'AUTH':
+      case 'SELECT':
+      case 'QUIT':
+        return 'OK';
+      case 'GET':
+        return this.lookup(key)?.value ?? null;
+      case 'SET': {
+        let expiresAt = null;
+        let mode = '';
+        for (let i = 2; i < args.length; i += 1) {
+          const option = args[i].toString().toUpperCase();
+          if (option === 'PX' || option === 'EX') {
+            const amount = Number(args[i + 1]?.toString());
+            if (!Number.isFinite(amount) || amount <= 0) {
+              return new RespError('ERR invalid expire time in set');
+            }
+            expiresAt = Date.now() + (option === 'EX' ? amount * 1000 : amount);
+            i += 1;
+          } else if (option === 'NX' || option === 'XX') {
+            mode = option;
+          }
+        }
+        const exists = Boolean(this.lookup(key));
+        if ((mode === 'NX' && exists) || (mode === 'XX' && !exists)) {
+          return null;
+        }
+        this.data.set(key, { value: Buffer.from(args[1] ?? ''), expiresAt });
+        return 'OK';
+      }
+      case 'DEL':
+        return args.reduce((count, item) => {
+          const name = item.toString();
+          const existed = Boolean(this.lookup(name));
+          this.data.delete(name);
+          return count + (existed ? 1 : 0);
+        }, 0);
+      case 'EXISTS':
+        return args.filter((item) => this.lookup(item.toString())).length;
+      case 'PEXPIRE': {
+        const entry = this.lookup(key);
+        if (!entry) {
+          return 0;
+        }
+        entry.expiresAt = Date.now() + Number(args[1]?.toString());
+        return 1;
+      }
+      case 'PTTL': {
+        const entry = this.lookup(key);
+        if (!entry) {
+          return -2;
+        }
+        return entry.expiresAt === null ? -1 : Math.max(0, entry.expiresAt - Date.now());
+      }
+      case 'DBSIZE':
+        return Array.from(this.data.keys()).filter((item) => this.lookup(item)).length;
+      case 'FLUSHALL':
+      case 'FLUSHDB':
+        this.data.clear();
+        return 'OK';
+      default:
+        return new RespError(`ERR unknown command '${name}'`);
+    }
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * @file RespClient.js
+ * @description 轻量 Redis 客户端：基于 `net` 直接收发 RESP2，支持流水线、AUTH/SELECT 与断线后按需重连。
+ *              只实现缓存存储所需的能力，避免为可选的 Redis 后端引入额外依赖。
+ */
+
+import net from 'net';
+import { encodeCommand, parseReply, RespError } from './resp.js';
+
+/**
+ * @typedef {Object} RespClientOptions
+ * @property {string} host - 主机名。
+ * @property {number} port - 端口。
+ * @property {string} [password] - 密码（`AUTH`）。
+ * @property {string} [username] - 用户名（Redis 6 ACL）。
+ * @property {number} [db] - 数据库编号（`SELECT`）。
+ * @property {number} [connectTimeoutMs] - 连接超时，默认 3s。
+ */
+
+/**
+ * 解析 `redis://[user:password@]host:port[/db]` 形式的连接串。
+ * @param {string} url - 连接串。
+ * @returns {RespClientOptions} 连接参数。
+ */
+export const parseRedisUrl = (url) => {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'redis:') {
+    throw new Error(`不支持的 Redis 连接协议：${parsed.protocol}`);
+  }
+  const db = Number(parsed.pathname.replace(/^\//, '') || 0);
+  return {
+    host: parsed.hostname || '127.0.0.1',
+    port: Number(parsed.port || 6379),
+    username: parsed.username ? decodeURIComponent(parsed.username) : undefined,
+    password: parsed.password ? decodeURIComponent(parsed.password) : undefined,
+    db: Number.isFinite(db) ? db : 0,
+  };
+};
+
+export class RespClient {
+  /**
+   * @param {RespClientOptions} options - 连接参数。
+   */
+  constructor(options) {
+    this.options = options;
+    /** @type {net.Socket | null} */
+    this.socket = null;
+    /** @type {Promise<void> | null} */
+    this.connecting = null;
+    /** @type {Array<{ resolve: (value: any) => void, reject: (error: Error) => void }>} */
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * 建立连接并完成认证、选库。已连接时直接返回。
+   * @returns {Promise<void>} 连接完成。
+   */
+  connect() {
+    if (this.socket) {
+      return Promise.resolve();
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+    const { host, port, connectTimeoutMs = 3000 } = this.options;
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`连接 Redis 超时（${host}:${port}）`));
+      }, connectTimeoutMs);
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.setNoDelay(true);
+        this.socket = socket;
+        resolve();
+      });
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      socket.on('data', (chunk) => this.handleData(chunk));
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+        const error = new Error('Redis 连接已断开');
+        this.pending.splice(0).forEach((entry) => entry.reject(error));
+        this.buffer = Buffer.alloc(0);
+      });
+      socket.on('error', () => {});
+    })
+      .then(async () => {
+        const { username, password, db } = this.options;
+        if (password) {
+          await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+        }
+        if (db) {
+          await this.send(['SELECT', db]);
+        }
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
+    return this.connecting;
+  }
+
+  /**
+   * 发送命令，未连接时先建立连接。
+   * @param {...(string | number | Buffer)} args - 命令及参数。
+   * @returns {Promise<any>} 回复内容，bulk string 为 Buffer。
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * 在已建立的连接上写入命令。
+   * @param {Array<string | number | Buffer>} args - 命令及参数。
+   * @returns {Promise<any>} 回复内容。
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Redis 尚未连接'));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * 处理收到的数据，按顺序匹配等待中的命令。
+   * @param {Buffer} chunk - 新数据。
+   */
+  handleData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      const parsed = parseReply(this.buffer, offset);
+      if (!parsed) {
+        break;
+      }
+      offset = parsed.offset;
+      const entry = this.pending.shift();
+      if (!entry) {
+        continue;
+      }
+      if (parsed.value instanceof RespError) {
+        entry.reject(parsed.value);
+      } else {
+        entry.resolve(parsed.value);
+      }
+    }
+    this.buffer = offset >= this.buffer.length ? Buffer.alloc(0) : this.buffer.subarray(offset);
+  }
+
+  /**
+   * 关闭连接。
+   * @returns {Promise<void>} 关闭完成。
+   */
+  async close() {
+    if (!this.socket) {
+      return;
+    }
+    const socket = this.socket;
+    await this.send(['QUIT']).catch(() => {});
+    socket.end();
+  }
+}
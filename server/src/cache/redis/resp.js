@@ -0,0 +1,124 @@
+/**
+ * @file resp.js
+ * @description Redis 序列化协议（RESP2）的最小实现：命令编码、回复编码与增量解析，
+ *              供 `RespClient` 与进程内替身 `MemoryRedisServer` 共用。bulk string 一律以 Buffer 表示，以便存储二进制音频。
+ */
+
+const CRLF = Buffer.from('\r\n');
+
+/**
+ * Redis 返回的错误回复。
+ */
+export class RespError extends Error {
+  /**
+   * @param {string} message - 错误信息，例如 `ERR unknown command`。
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+/**
+ * 将参数转换为 Buffer。
+ * @param {string | number | Buffer} value - 参数。
+ * @returns {Buffer} 字节内容。
+ */
+const toBuffer = (value) => (Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
+
+/**
+ * 编码一条命令（bulk string 数组）。
+ * @param {Array<string | number | Buffer>} args - 命令及参数。
+ * @returns {Buffer} 编码结果。
+ */
+export const encodeCommand = (args) => {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+  for (const arg of args) {
+    const buffer = toBuffer(arg);
+    parts.push(Buffer.from(`$${buffer.length}\r\n`), buffer, CRLF);
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * 编码一条回复。字符串按 simple string 编码，Buffer 按 bulk string 编码。
+ * @param {null | number | string | Buffer | RespError | Array<any>} value - 回复内容。
+ * @returns {Buffer} 编码结果。
+ */
+export const encodeReply = (value) => {
+  if (value === null || value === undefined) {
+    return Buffer.from('$-1\r\n');
+  }
+  if (value instanceof RespError) {
+    return Buffer.from(`-${value.message}\r\n`);
+  }
+  if (typeof value === 'number') {
+    return Buffer.from(`:${Math.trunc(value)}\r\n`);
+  }
+  if (typeof value === 'string') {
+    return Buffer.from(`+${value}\r\n`);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, CRLF]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map((item) => encodeReply(item))]);
+  }
+  return encodeReply(String(value));
+};
+
+/**
+ * 从缓冲区指定位置解析一个完整的 RESP 值。
+ * @param {Buffer} buffer - 已接收的字节。
+ * @param {number} [offset] - 起始位置。
+ * @returns {{ value: any, offset: number } | null} 解析结果与下一个值的起始位置，数据不完整时返回 null。
+ */
+export const parseReply = (buffer, offset = 0) => {
+  if (offset >= buffer.length) {
+    return null;
+  }
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.subarray(next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i += 1) {
+        const item = parseReply(buffer, cursor);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new RespError(`无法识别的 RESP 类型：${type}`);
+  }
+};
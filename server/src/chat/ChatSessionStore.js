@@ -0,0 +1,95 @@
+/**
+ * @file ChatSessionStore.js
+ * @description 按会话 ID 保存对话历史的内存存储，超过条数上限时丢弃最早的轮次，长时间无访问的会话会被回收。
+ */
+
+/**
+ * @typedef {import('./IChatProvider.js').ChatMessage} ChatMessage
+ */
+
+/**
+ * @typedef {Object} ChatSession
+ * @property {string} id - 会话 ID。
+ * @property {ChatMessage[]} messages - 历史消息，不含 system 人设。
+ * @property {string | null} roleId - 最近一次使用的角色 ID。
+ * @property {number} updatedAt - 最近访问时间。
+ */
+
+export class ChatSessionStore {
+  /**
+   * @param {{ maxMessages?: number, ttlMs?: number, maxSessions?: number }} [options] - 存储参数。
+   */
+  constructor(options = {}) {
+    this.maxMessages = Number.isFinite(options.maxMessages) && options.maxMessages > 0 ? options.maxMessages : 20;
+    this.ttlMs = Number.isFinite(options.ttlMs) && options.ttlMs > 0 ? options.ttlMs : 30 * 60 * 1000;
+    this.maxSessions = Number.isFinite(options.maxSessions) && options.maxSessions > 0 ? options.maxSessions : 1000;
+    /** @type {Map<string, ChatSession>} */
+    this.sessions = new Map();
+  }
+
+  /**
+   * 获取会话，不存在或已过期时返回新的空会话（尚未写入存储）。
+   * @param {string} id - 会话 ID。
+   * @returns {ChatSession} 会话。
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    if (session && Date.now() - session.updatedAt <= this.ttlMs) {
+      return session;
+    }
+    if (session) {
+      this.sessions.delete(id);
+    }
+    return { id, messages: [], roleId: null, updatedAt: Date.now() };
+  }
+
+  /**
+   * 保存会话并裁剪历史。Map 按插入顺序迭代，重新插入即可维持 LRU 顺序。
+   * @param {ChatSession} session - 会话。
+   */
+  save(session) {
+    if (session.messages.length > this.maxMessages) {
+      let trimmed = session.messages.slice(-this.maxMessages);
+      // 保证历史以用户消息开头，避免模型看到没有提问的孤立回复。
+      while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+        trimmed = trimmed.slice(1);
+      }
+      session.messages = trimmed;
+    }
+    session.updatedAt = Date.now();
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * 删除会话。
+   * @param {string} id - 会话 ID。
+   * @returns {boolean} 是否存在并已删除。
+   */
+  delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  /**
+   * 清理过期会话。
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.updatedAt > this.ttlMs) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * 当前会话数量。
+   * @returns {number} 会话数。
+   */
+  get size() {
+    return this.sessions.size;
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * @file IChatProvider.js
+ * @description 约定对话模型（LLM）适配器统一接口，与 `ITtsProvider` 对应，便于在 `/chat` 路由层做策略分发。
+ */
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'system' | 'user' | 'assistant'} role - 消息角色。
+ * @property {string} content - 消息正文。
+ */
+
+/**
+ * @typedef {Object} ChatCompletionOptions
+ * @property {string} [model] - 模型名称，缺省使用适配器配置的默认模型。
+ * @property {number} [temperature] - 采样温度。
+ * @property {number} [maxTokens] - 回复最大 token 数。
+ */
+
+/**
+ * @typedef {Object} ChatCompletionResult
+ * @property {string} content - 模型回复正文。
+ * @property {string} model - 实际使用的模型名称。
+ * @property {{ promptTokens?: number, completionTokens?: number }} [usage] - token 用量，供应商未返回时可省略。
+ */
+
+/**
+ * @interface IChatProvider
+ * @description 统一的对话模型接口规范，所有适配器都应实现 `complete` 方法。
+ */
+export class IChatProvider {
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 根据完整的对话上下文生成下一条回复。
+   * @param {ChatMessage[]} _messages - 对话消息，首条通常为 system 人设。
+   * @param {ChatCompletionOptions} [_options] - 可选参数。
+   * @returns {Promise<ChatCompletionResult>} 回复结果。
+   */
+  async complete(_messages, _options) {
+    throw new Error('IChatProvider 为抽象接口，请使用具体适配器实现。');
+  }
+}
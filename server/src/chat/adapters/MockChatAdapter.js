@@ -0,0 +1,41 @@
+/**
+ * @file MockChatAdapter.js
+ * @description 离线模拟对话适配器：不访问网络，根据人设与最后一条用户消息生成确定性的回复，
+ *              便于在没有 LLM 密钥的环境中联调 `/chat` → `/tts` 全链路。
+ */
+
+/**
+ * 从 system 人设中提取角色名称，约定人设首句形如“你是 xxx，...”。
+ * @param {import('../IChatProvider.js').ChatMessage[]} messages - 对话消息。
+ * @returns {string} 角色名称。
+ */
+const resolvePersonaName = (messages) => {
+  const system = messages.find((message) => message.role === 'system');
+  const matched = system?.content.match(/你是\s*「?([^，。,「」]+)」?/);
+  return matched ? matched[1].trim() : 'stickbot';
+};
+
+export class MockChatAdapter {
+  /**
+   * @param {{ model?: string }} [options] - 构造参数。
+   */
+  constructor(options = {}) {
+    this.model = options.model || 'stickbot-mock';
+  }
+
+  /**
+   * 生成确定性回复：相同的上下文总是得到相同的结果。
+   * @param {import('../IChatProvider.js').ChatMessage[]} messages - 对话消息。
+   * @returns {Promise<import('../IChatProvider.js').ChatCompletionResult>} 回复结果。
+   */
+  async complete(messages) {
+    const userMessages = messages.filter((message) => message.role === 'user');
+    const last = userMessages[userMessages.length - 1]?.content.trim() || '';
+    const name = resolvePersonaName(messages);
+    const excerpt = Array.from(last).length > 40 ? `${Array.from(last).slice(0, 40).join('')}…` : last;
+    const content = last
+      ? `我是${name}。你刚才说：「${excerpt}」。这是第 ${userMessages.length} 轮离线模拟回复。`
+      : `我是${name}，有什么想聊的吗？`;
+    return { content, model: this.model };
+  }
+}
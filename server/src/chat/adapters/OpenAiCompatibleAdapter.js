@@ -0,0 +1,88 @@
+/**
+ * @file OpenAiCompatibleAdapter.js
+ * @description 调用 OpenAI 兼容的 `/chat/completions` HTTP 接口，适用于 OpenAI 官方服务以及
+ *              vLLM、Ollama、通义千问/智谱等提供兼容协议的服务。仅依赖 Node.js 18+ 内置的 fetch。
+ */
+
+/**
+ * OpenAiCompatibleAdapter 构造参数。
+ * @typedef {Object} OpenAiCompatibleOptions
+ * @property {string} baseUrl - 接口基础地址，例如 `https://api.openai.com/v1`。
+ * @property {string} [apiKey] - API 密钥，本地部署的服务可留空。
+ * @property {string} model - 默认模型名称。
+ * @property {number} [timeoutMs] - 单次请求超时时间，默认 30s。
+ * @property {number} [temperature] - 默认采样温度。
+ */
+
+export class OpenAiCompatibleAdapter {
+  /**
+   * @param {OpenAiCompatibleOptions} options - 构造参数。
+   */
+  constructor(options) {
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || '';
+    this.model = options.model;
+    this.timeoutMs = Number.isFinite(options.timeoutMs) && options.timeoutMs > 0 ? options.timeoutMs : 30_000;
+    this.temperature = Number.isFinite(options.temperature) ? options.temperature : undefined;
+  }
+
+  /**
+   * 请求模型生成回复。
+   * @param {import('../IChatProvider.js').ChatMessage[]} messages - 对话消息。
+   * @param {import('../IChatProvider.js').ChatCompletionOptions} [options] - 可选参数。
+   * @returns {Promise<import('../IChatProvider.js').ChatCompletionResult>} 回复结果。
+   */
+  async complete(messages, options = {}) {
+    if (!this.baseUrl) {
+      throw new Error('未配置 LLM 接口地址，无法启用 OpenAI 兼容适配器。');
+    }
+    const model = options.model || this.model;
+    const temperature = Number.isFinite(options.temperature) ? options.temperature : this.temperature;
+    const body = {
+      model,
+      messages: messages.map((message) => ({ role: message.role, content: message.content })),
+      ...(Number.isFinite(temperature) ? { temperature } : {}),
+      ...(Number.isFinite(options.maxTokens) ? { max_tokens: options.maxTokens } : {}),
+    };
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (error) {
+      const reason = error instanceof Error && error.name === 'TimeoutError' ? `请求超时（${this.timeoutMs}ms）` : String(error);
+      throw new Error(`调用 LLM 接口失败：${reason}`);
+    }
+
+    const raw = await response.text();
+    if (!response.ok) {
+      // 只截取前 200 个字符，避免把供应商的完整错误页写入日志。
+      throw new Error(`LLM 接口返回 ${response.status}：${raw.replace(/\s+/g, ' ').slice(0, 200)}`);
+    }
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new Error('LLM 接口返回的不是合法 JSON。');
+    }
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('LLM 接口响应缺少 choices[0].message.content。');
+    }
+    return {
+      content: content.trim(),
+      model: typeof data.model === 'string' ? data.model : model,
+      usage: data.usage
+        ? { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens }
+        : undefined,
+    };
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * @file chatProviderFactory.js
+ * @description 根据配置创建对话模型适配器实例，与 TTS 的 `createProviders` 保持相同的组织方式。
+ */
+
+import { MockChatAdapter } from './adapters/MockChatAdapter.js';
+import { OpenAiCompatibleAdapter } from './adapters/OpenAiCompatibleAdapter.js';
+
+/**
+ * @typedef {import('./IChatProvider.js').IChatProvider} IChatProvider
+ */
+
+/**
+ * 创建对话 provider 映射表。`mock` 始终可用；配置了 API 密钥或自定义接口地址时启用 `openai`。
+ * @param {Awaited<ReturnType<import('../config.js').loadServerConfig>>} config - 服务端配置。
+ * @returns {Record<string, IChatProvider>} provider 实例集合。
+ */
+export const createChatProviders = (config) => {
+  const providers = {
+    mock: new MockChatAdapter(),
+  };
+
+  const { openai } = config.chat;
+  if (openai.apiKey || openai.baseUrlConfigured) {
+    providers.openai = new OpenAiCompatibleAdapter({
+      baseUrl: openai.baseUrl,
+      apiKey: openai.apiKey,
+      model: openai.model,
+      timeoutMs: openai.timeoutMs,
+      temperature: openai.temperature,
+    });
+  }
+
+  return providers;
+};
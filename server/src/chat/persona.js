@@ -0,0 +1,18 @@
+/**
+ * @file persona.js
+ * @description 根据 `roles/*.json` 中的角色档案生成 system 人设提示词。
+ */
+
+/**
+ * 生成角色人设。优先使用档案中的 `persona` 字段，缺省时根据名称与简介拼出一段通用人设。
+ * @param {{ id?: string, name?: string, description?: string, persona?: string } | null | undefined} role - 角色档案。
+ * @returns {string} system 提示词。
+ */
+export const buildPersonaPrompt = (role) => {
+  const name = role?.name || role?.id || 'stickbot';
+  const base = `你是「${name}」，一个会说话的火柴人角色。`;
+  const persona = typeof role?.persona === 'string' ? role.persona.trim() : '';
+  const description = typeof role?.description === 'string' ? role.description.trim() : '';
+  const guide = '回复会被直接朗读，请使用口语化的短句，不要输出 Markdown、列表或表情符号代码。';
+  return [base, persona || description, guide].filter(Boolean).join('\n');
+};
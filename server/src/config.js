@@ -8,6 +8,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { loadVisemeConfig, DEFAULT_VISEME_CONFIG } from './tts/mapping.js';
+import { loadApiKeys } from './auth/ApiKeyRegistry.js';
 
 /** @typedef {import('./tts/mapping.js').VisemeConfig} VisemeConfig */
 
@@ -22,11 +23,33 @@ const resolveRootDir = () => {
   return path.resolve(__dirname, '..', '..');
 };
 
+/**
+ * 解析 `TRUST_PROXY`，结果直接交给 Express 的 `trust proxy` 设置：
+ * `true`/`false`、信任的代理跳数，或逗号分隔的地址/网段（支持 `loopback`、`uniquelocal` 等预设）。
+ * 默认只信任本机回环地址，与仓库提供的同机 nginx 配置配合时可读取 `X-Forwarded-For` 中的真实客户端 IP，
+ * 直连客户端伪造的该请求头不会生效。
+ * @param {string | undefined} value - 环境变量值。
+ * @returns {boolean | number | string} trust proxy 设置。
+ */
+const parseTrustProxy = (value) => {
+  const trimmed = (value ?? '').trim();
+  if (!trimmed) {
+    return 'loopback';
+  }
+  if (trimmed === 'true' || trimmed === 'false') {
+    return trimmed === 'true';
+  }
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  return trimmed;
+};
+
 /**
  * 根据环境变量构建统一配置对象。
  * @returns {{
  *   port: number,
- *   defaultProvider: 'espeak' | 'azure',
+ *   defaultProvider: 'espeak' | 'azure' | 'piper',
  *   tmpDir: string,
  *   cleanupIntervalMs: number,
  *   cleanupTTL: number,
@@ -39,8 +62,37 @@ const resolveRootDir = () => {
  *   azure: {
  *     region: string,
  *     key: string,
+ *     voice: string,
+ *   },
+ *   piper: {
+ *     command: string,
+ *     model: string,
+ *     modelDir: string,
+ *     timeoutMs: number,
+ *   },
+ *   fallback: {
+ *     order: string[],
+ *     failureThreshold: number,
+ *     cooldownMs: number,
  *   },
  *   visemeConfig: VisemeConfig,
+ *   visemeProfilesDir: string,
+ *   audio: {
+ *     defaultFormat: 'wav' | 'mp3' | 'ogg' | 'opus',
+ *     ffmpegCommand: string,
+ *     opusencCommand: string,
+ *     bitrateKbps: number,
+ *     transcodeTimeoutMs: number,
+ *     urlSecret: string,
+ *     urlTtlMs: number,
+ *   },
+ *   lipsync: {
+ *     maxBytes: number,
+ *     maxDurationSec: number,
+ *   },
+ *   timeline: {
+ *     compactTolerance: number,
+ *   },
  *   cors: {
  *     enabled: boolean,
  *     allowAllOrigins: boolean,
@@ -49,9 +101,58 @@ const resolveRootDir = () => {
  *   limits: {
  *     maxTextLen: number,
  *     rateLimitRps: number,
+ *     rateLimitBurst: number,
+ *     trustProxy: boolean | number | string,
  *     maxConcurrency: number,
+ *     ttsBodyLimit: string,
+ *   },
+ *   cache: {
+ *     backend: 'memory' | 'fs' | 'redis',
+ *     dir: string,
+ *     maxEntries: number,
+ *     ttlMs: number,
+ *     redisUrl: string,
+ *     redisPrefix: string,
+ *     lockTtlMs: number,
+ *   },
+ *   auth: {
+ *     required: boolean,
+ *     keys: import('./auth/ApiKeyRegistry.js').ApiKeyRecord[],
+ *   },
+ *   queue: {
+ *     maxDepth: number,
+ *     jobTtlMs: number,
+ *   },
+ *   stream: {
+ *     segmentMinChars: number,
+ *     segmentMaxChars: number,
+ *   },
+ *   chat: {
+ *     defaultProvider: string,
+ *     historyMaxMessages: number,
+ *     sessionTtlMs: number,
+ *     maxMessageChars: number,
+ *     openai: {
+ *       baseUrl: string,
+ *       baseUrlConfigured: boolean,
+ *       apiKey: string,
+ *       model: string,
+ *       timeoutMs: number,
+ *       temperature: number | undefined,
+ *     },
+ *   },
+ *   realtime: {
+ *     enabled: boolean,
+ *     path: string,
+ *     leadMs: number,
+ *     maxBufferChars: number,
+ *     maxPayloadBytes: number,
  *   },
  *   logDir: string,
+ *   audit: {
+ *     maxBytes: number,
+ *     retentionDays: number,
+ *   },
  * }} 完整的服务端配置。
  */
 export const loadServerConfig = async () => {
@@ -62,19 +163,60 @@ export const loadServerConfig = async () => {
 
   const maxTextLen = Number(process.env.MAX_TEXT_LEN || 5000);
   const rateLimitRps = Number(process.env.RATE_LIMIT_RPS || 5);
+  const rateLimitBurst = Number(process.env.RATE_LIMIT_BURST || 0);
   const maxConcurrency = Number(process.env.MAX_CONCURRENCY || 2);
   const cacheMaxEntries = Number(process.env.TTS_CACHE_MAX_ENTRIES || 1000);
   const cacheTtlMs = Number(process.env.TTS_CACHE_TTL_MS || 60 * 60 * 1000);
+  const cacheLockTtlMs = Number(process.env.TTS_CACHE_LOCK_TTL_MS || 30_000);
+  const cacheBackend = (process.env.TTS_CACHE_BACKEND || 'fs').toLowerCase();
+  const queueMaxDepth = Number(process.env.TTS_QUEUE_MAX_DEPTH ?? 50);
+  const jobTtlMs = Number(process.env.TTS_JOB_TTL_MS || 10 * 60 * 1000);
+  const streamSegmentMinChars = Number(process.env.TTS_STREAM_SEGMENT_MIN_CHARS || 80);
+  const streamSegmentMaxChars = Number(process.env.TTS_STREAM_SEGMENT_MAX_CHARS || 220);
+  const chatHistoryMaxMessages = Number(process.env.CHAT_HISTORY_MAX_MESSAGES || 20);
+  const chatSessionTtlMs = Number(process.env.CHAT_SESSION_TTL_MS || 30 * 60 * 1000);
+  const chatMaxMessageChars = Number(process.env.CHAT_MAX_MESSAGE_CHARS || 2000);
+  const llmTimeoutMs = Number(process.env.LLM_TIMEOUT_MS || 30_000);
+  const llmTemperature = process.env.LLM_TEMPERATURE ? Number(process.env.LLM_TEMPERATURE) : undefined;
+  const realtimeLeadMs = Number(process.env.REALTIME_LEAD_MS || 300);
+  const realtimeMaxBufferChars = Number(process.env.REALTIME_MAX_BUFFER_CHARS || 120);
+  const realtimeMaxPayloadBytes = Number(process.env.REALTIME_MAX_PAYLOAD_BYTES || 64 * 1024);
+  const audioFormat = (process.env.AUDIO_FORMAT || 'wav').toLowerCase();
+  const audioBitrateKbps = Number(process.env.AUDIO_BITRATE_KBPS || 48);
+  const transcodeTimeoutMs = Number(process.env.AUDIO_TRANSCODE_TIMEOUT_MS || 15_000);
+  const piperTimeoutMs = Number(process.env.PIPER_TIMEOUT_MS || 60_000);
+  const providerFailureThreshold = Number(process.env.PROVIDER_FAILURE_THRESHOLD || 3);
+  const providerCooldownMs = Number(process.env.PROVIDER_COOLDOWN_MS || 30_000);
+  const audioUrlTtlMs = Number(process.env.AUDIO_URL_TTL_MS || 15 * 60 * 1000);
+  const lipsyncMaxBytes = Number(process.env.LIPSYNC_MAX_BYTES || 10 * 1024 * 1024);
+  const lipsyncMaxDurationSec = Number(process.env.LIPSYNC_MAX_DURATION_SEC || 120);
+  const timelineCompactTolerance = Number(process.env.TIMELINE_COMPACT_TOLERANCE ?? 0.01);
+  const auditMaxBytes = Number(process.env.AUDIT_LOG_MAX_BYTES || 10 * 1024 * 1024);
+  const auditRetentionDays = Number(process.env.AUDIT_LOG_RETENTION_DAYS ?? 30);
 
   /**
    * 若设置了自定义 viseme 映射文件，则尝试解析；
    * 文件格式要求详见 server/README.md。读取失败时回退至默认映射。
    */
   const visemeConfig = loadVisemeConfig(process.env.VISEME_CONFIG_PATH, DEFAULT_VISEME_CONFIG);
+  /** 按语言区分的口型映射档案目录，档案叠加在上面的基础映射之上。 */
+  const visemeProfilesDir = path.resolve(rootDir, process.env.VISEME_PROFILES_DIR || './server/visemes');
+
+  /**
+   * API key 来自 `API_KEYS_PATH` 指向的 JSON 文件与 `API_KEYS` 环境变量。
+   * 配置了 key 来源时默认强制鉴权；文件解析失败时不会退化为匿名访问，而是拒绝所有请求。
+   */
+  const apiKeySourceConfigured = Boolean(process.env.API_KEYS_PATH || process.env.API_KEYS);
+  let apiKeys = [];
+  try {
+    apiKeys = loadApiKeys(process.env.API_KEYS_PATH, process.env.API_KEYS);
+  } catch (error) {
+    console.error('[auth] API key 配置解析失败，所有需要鉴权的请求都将被拒绝。', error);
+  }
 
   return {
     port: Number(process.env.STICKBOT_SERVER_PORT || 8787),
-    defaultProvider: /** @type {'espeak' | 'azure'} */ (process.env.TTS_PROVIDER || 'espeak'),
+    defaultProvider: /** @type {'espeak' | 'azure' | 'piper'} */ (process.env.TTS_PROVIDER || 'espeak'),
     tmpDir,
     cleanupIntervalMs: Number(process.env.TMP_SWEEP_INTERVAL_MS || 5 * 60 * 1000),
     cleanupTTL: Number(process.env.TMP_FILE_TTL_MS || 30 * 60 * 1000),
@@ -87,8 +229,49 @@ export const loadServerConfig = async () => {
     azure: {
       region: process.env.AZURE_REGION || '',
       key: process.env.AZURE_KEY || '',
+      voice: process.env.AZURE_VOICE || 'zh-CN-XiaoxiaoNeural',
+    },
+    piper: {
+      command: process.env.PIPER_CMD || 'piper',
+      model: process.env.PIPER_MODEL ? path.resolve(rootDir, process.env.PIPER_MODEL) : '',
+      modelDir: process.env.PIPER_MODEL_DIR ? path.resolve(rootDir, process.env.PIPER_MODEL_DIR) : '',
+      timeoutMs: Number.isFinite(piperTimeoutMs) && piperTimeoutMs > 0 ? piperTimeoutMs : 60_000,
+    },
+    fallback: {
+      // 请求的 provider 失败或熔断时依次尝试的 provider，为空时不回退。
+      order: (process.env.TTS_FALLBACK_ORDER || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean),
+      failureThreshold:
+        Number.isFinite(providerFailureThreshold) && providerFailureThreshold >= 1
+          ? Math.floor(providerFailureThreshold)
+          : 3,
+      cooldownMs: Number.isFinite(providerCooldownMs) && providerCooldownMs >= 0 ? providerCooldownMs : 30_000,
     },
     visemeConfig,
+    visemeProfilesDir,
+    audio: {
+      defaultFormat: /** @type {'wav' | 'mp3' | 'ogg' | 'opus'} */ (
+        ['wav', 'mp3', 'ogg', 'opus'].includes(audioFormat) ? audioFormat : 'wav'
+      ),
+      ffmpegCommand: process.env.FFMPEG_CMD || 'ffmpeg',
+      opusencCommand: process.env.OPUSENC_CMD || 'opusenc',
+      bitrateKbps: Number.isFinite(audioBitrateKbps) && audioBitrateKbps > 0 ? audioBitrateKbps : 48,
+      transcodeTimeoutMs: Number.isFinite(transcodeTimeoutMs) && transcodeTimeoutMs > 0 ? transcodeTimeoutMs : 15_000,
+      // 为空时不签名，`/audio` 保持可直接访问；多实例部署需配置相同的密钥。
+      urlSecret: process.env.AUDIO_URL_SECRET || '',
+      urlTtlMs: Number.isFinite(audioUrlTtlMs) && audioUrlTtlMs > 0 ? audioUrlTtlMs : 15 * 60 * 1000,
+    },
+    lipsync: {
+      maxBytes: Number.isFinite(lipsyncMaxBytes) && lipsyncMaxBytes > 0 ? lipsyncMaxBytes : 10 * 1024 * 1024,
+      maxDurationSec: Number.isFinite(lipsyncMaxDurationSec) && lipsyncMaxDurationSec > 0 ? lipsyncMaxDurationSec : 120,
+    },
+    timeline: {
+      // `?timeline=compact` 时压缩 mouth 时间轴允许的误差，0 表示只合并完全共线的帧。
+      compactTolerance:
+        Number.isFinite(timelineCompactTolerance) && timelineCompactTolerance >= 0 ? timelineCompactTolerance : 0.01,
+    },
     cors: {
       enabled: process.env.CORS_ENABLED ? process.env.CORS_ENABLED === 'true' : true,
       allowAllOrigins: process.env.CORS_ALLOW_ALL ? process.env.CORS_ALLOW_ALL === 'true' : process.env.NODE_ENV !== 'production',
@@ -97,13 +280,65 @@ export const loadServerConfig = async () => {
     limits: {
       maxTextLen: Number.isFinite(maxTextLen) && maxTextLen > 0 ? maxTextLen : 5000,
       rateLimitRps: Number.isFinite(rateLimitRps) && rateLimitRps > 0 ? rateLimitRps : 5,
+      rateLimitBurst:
+        Number.isFinite(rateLimitBurst) && rateLimitBurst > 0
+          ? rateLimitBurst
+          : Number.isFinite(rateLimitRps) && rateLimitRps > 0
+            ? rateLimitRps
+            : 5,
+      trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
       maxConcurrency: Number.isFinite(maxConcurrency) && maxConcurrency > 0 ? maxConcurrency : 2,
+      ttsBodyLimit: process.env.TTS_BODY_LIMIT || '256kb',
     },
     cache: {
+      backend: /** @type {'memory' | 'fs' | 'redis'} */ (['memory', 'fs', 'redis'].includes(cacheBackend) ? cacheBackend : 'fs'),
+      dir: path.resolve(rootDir, process.env.TTS_CACHE_DIR || path.join(tmpDir, 'cache')),
       maxEntries: Number.isFinite(cacheMaxEntries) && cacheMaxEntries > 0 ? cacheMaxEntries : 1000,
       ttlMs: Number.isFinite(cacheTtlMs) && cacheTtlMs > 0 ? cacheTtlMs : 60 * 60 * 1000,
+      redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+      redisPrefix: process.env.REDIS_KEY_PREFIX ?? 'stickbot:',
+      lockTtlMs: Number.isFinite(cacheLockTtlMs) && cacheLockTtlMs > 0 ? cacheLockTtlMs : 30_000,
+    },
+    auth: {
+      required: process.env.AUTH_REQUIRED ? process.env.AUTH_REQUIRED === 'true' : apiKeySourceConfigured,
+      keys: apiKeys,
+    },
+    queue: {
+      maxDepth: Number.isFinite(queueMaxDepth) && queueMaxDepth >= 0 ? Math.floor(queueMaxDepth) : 50,
+      jobTtlMs: Number.isFinite(jobTtlMs) && jobTtlMs > 0 ? jobTtlMs : 10 * 60 * 1000,
+    },
+    stream: {
+      segmentMinChars: Number.isFinite(streamSegmentMinChars) && streamSegmentMinChars > 0 ? streamSegmentMinChars : 80,
+      segmentMaxChars: Number.isFinite(streamSegmentMaxChars) && streamSegmentMaxChars > 0 ? streamSegmentMaxChars : 220,
+    },
+    chat: {
+      defaultProvider: process.env.CHAT_PROVIDER || 'mock',
+      historyMaxMessages: Number.isFinite(chatHistoryMaxMessages) && chatHistoryMaxMessages > 0 ? chatHistoryMaxMessages : 20,
+      sessionTtlMs: Number.isFinite(chatSessionTtlMs) && chatSessionTtlMs > 0 ? chatSessionTtlMs : 30 * 60 * 1000,
+      maxMessageChars: Number.isFinite(chatMaxMessageChars) && chatMaxMessageChars > 0 ? chatMaxMessageChars : 2000,
+      openai: {
+        baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+        baseUrlConfigured: Boolean(process.env.LLM_BASE_URL),
+        apiKey: process.env.LLM_API_KEY || '',
+        model: process.env.LLM_MODEL || 'gpt-4o-mini',
+        timeoutMs: Number.isFinite(llmTimeoutMs) && llmTimeoutMs > 0 ? llmTimeoutMs : 30_000,
+        temperature: Number.isFinite(llmTemperature) ? llmTemperature : undefined,
+      },
+    },
+    realtime: {
+      enabled: process.env.REALTIME_ENABLED ? process.env.REALTIME_ENABLED === 'true' : true,
+      path: process.env.REALTIME_PATH || '/ws',
+      leadMs: Number.isFinite(realtimeLeadMs) && realtimeLeadMs >= 0 ? realtimeLeadMs : 300,
+      maxBufferChars: Number.isFinite(realtimeMaxBufferChars) && realtimeMaxBufferChars > 0 ? realtimeMaxBufferChars : 120,
+      maxPayloadBytes:
+        Number.isFinite(realtimeMaxPayloadBytes) && realtimeMaxPayloadBytes > 0 ? realtimeMaxPayloadBytes : 64 * 1024,
     },
     logDir,
+    audit: {
+      maxBytes: Number.isFinite(auditMaxBytes) && auditMaxBytes > 0 ? auditMaxBytes : 10 * 1024 * 1024,
+      // 设为 0 时不删除旧日志。
+      retentionDays: Number.isFinite(auditRetentionDays) && auditRetentionDays >= 0 ? auditRetentionDays : 30,
+    },
   };
 };
 
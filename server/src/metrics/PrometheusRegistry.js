@@ -0,0 +1,305 @@
+/**
+ * @file PrometheusRegistry.js
+ * @description 无依赖的 Prometheus 指标注册表：提供 Counter、Gauge、Histogram 三类指标，
+ *              并按文本暴露格式（text/plain; version=0.0.4）输出，供 `/metrics/prometheus` 抓取。
+ *              每个指标的标签组合数量有上限，避免用户输入（如音色名）导致时间序列无限增长。
+ */
+
+/** Prometheus 文本暴露格式的 Content-Type。 */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** 默认耗时分桶（秒），覆盖短句合成到长文本合成。 */
+export const DEFAULT_LATENCY_BUCKETS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+const DEFAULT_MAX_SERIES = 1000;
+
+/**
+ * @typedef {Record<string, string | number | null | undefined>} MetricLabels
+ */
+
+/**
+ * 转义标签值中的反斜杠、双引号与换行。
+ * @param {string} value - 标签值。
+ * @returns {string} 转义后的值。
+ */
+const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * 将数值格式化为暴露格式中的样本值。
+ * @param {number} value - 数值。
+ * @returns {string} 样本值。
+ */
+const formatValue = (value) => {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * 拼接标签集合，`extra` 用于追加直方图的 `le` 标签。
+ * @param {string[]} names - 标签名。
+ * @param {string[]} values - 标签值。
+ * @param {[string, string]} [extra] - 额外标签。
+ * @returns {string} 形如 `{a="1",b="2"}` 的字符串，没有标签时为空字符串。
+ */
+const formatLabels = (names, values, extra) => {
+  const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) {
+    pairs.push(`${extra[0]}="${escapeLabelValue(extra[1])}"`);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  /**
+   * @param {'counter' | 'gauge' | 'histogram'} type - 指标类型。
+   * @param {{ name: string, help: string, labelNames?: string[], maxSeries?: number }} options - 指标定义。
+   */
+  constructor(type, options) {
+    this.type = type;
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames ?? [];
+    this.maxSeries = options.maxSeries ?? DEFAULT_MAX_SERIES;
+    /** @type {Map<string, { values: string[], data: any }>} */
+    this.series = new Map();
+    this.droppedWarned = false;
+  }
+
+  /**
+   * 取得标签组合对应的序列，超过上限时返回 null 并丢弃本次观测。
+   * @param {MetricLabels} labels - 标签。
+   * @param {() => any} create - 创建序列数据。
+   * @returns {any | null} 序列数据。
+   */
+  resolve(labels, create) {
+    const values = this.labelNames.map((name) => {
+      const value = labels[name];
+      return value === undefined || value === null || value === '' ? '-' : String(value);
+    });
+    const id = values.join('\u0000');
+    const existing = this.series.get(id);
+    if (existing) {
+      return existing.data;
+    }
+    if (this.series.size >= this.maxSeries) {
+      if (!this.droppedWarned) {
+        this.droppedWarned = true;
+        console.warn(`[metrics] ${this.name} 的标签组合超过 ${this.maxSeries} 个，新的组合将不再记录`);
+      }
+      return null;
+    }
+    const data = create();
+    this.series.set(id, { values, data });
+    return data;
+  }
+
+  /**
+   * 输出 HELP 与 TYPE 行。
+   * @returns {string[]} 文本行。
+   */
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  /**
+   * @param {{ name: string, help: string, labelNames?: string[], maxSeries?: number}} options - 指标定义。
+   */
+  constructor(options) {
+    super('counter', options);
+    // 无标签的指标从 0 开始输出，便于抓取端计算 rate。
+    if (this.labelNames.length === 0) {
+      this.inc({}, 0);
+    }
+  }
+
+  /**
+   * 累加计数。
+   * @param {MetricLabels} [labels] - 标签。
+   * @param {number} [value] - 增量，必须非负。
+   */
+  inc(labels = {}, value = 1) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+    const data = this.resolve(labels, () => ({ value: 0 }));
+    if (data) {
+      data.value += value;
+    }
+  }
+
+  /**
+   * 同步其他模块维护的累计值（如缓存淘汰数），在输出前调用，数值应单调不减。
+   * @param {MetricLabels} labels - 标签。
+   * @param {number} value - 累计值。
+   */
+  setTotal(labels, value) {
+    const data = this.resolve(labels, () => ({ value: 0 }));
+    if (data && Number.isFinite(value)) {
+      data.value = value;
+    }
+  }
+
+  /**
+   * @returns {string[]} 文本行。
+   */
+  render() {
+    const lines = this.header();
+    for (const { values, data } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(data.value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {{ name: string, help: string, labelNames?: string[], maxSeries?: number}} options - 指标定义。
+   */
+  constructor(options) {
+    super('gauge', options);
+    if (this.labelNames.length === 0) {
+      this.set({}, 0);
+    }
+  }
+
+  /**
+   * 设置当前值。
+   * @param {MetricLabels} labels - 标签。
+   * @param {number} value - 数值。
+   */
+  set(labels, value) {
+    const data = this.resolve(labels, () => ({ value: 0 }));
+    if (data) {
+      data.value = Number(value);
+    }
+  }
+
+  /**
+   * @returns {string[]} 文本行。
+   */
+  render() {
+    const lines = this.header();
+    for (const { values, data } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(data.value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {{ name: string, help: string, labelNames?: string[], maxSeries?: number, buckets?: readonly number[] }} options - 指标定义。
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets ?? DEFAULT_LATENCY_BUCKETS)].sort((a, b) => a - b);
+    if (this.labelNames.length === 0) {
+      this.resolve({}, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    }
+  }
+
+  /**
+   * 记录一次观测值。
+   * @param {MetricLabels} labels - 标签。
+   * @param {number} value - 观测值。
+   */
+  observe(labels, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const data = this.resolve(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    if (!data) {
+      return;
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        data.counts[index] += 1;
+      }
+    });
+    data.sum += value;
+    data.count += 1;
+  }
+
+  /**
+   * @returns {string[]} 文本行，桶计数为累计值。
+   */
+  render() {
+    const lines = this.header();
+    for (const { values, data } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, ['le', formatValue(bound)])} ${data.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, ['le', '+Inf'])} ${data.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(data.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${data.count}`);
+    }
+    return lines;
+  }
+}
+
+export class PrometheusRegistry {
+  constructor() {
+    /** @type {Map<string, Counter | Gauge | Histogram>} */
+    this.metrics = new Map();
+  }
+
+  /**
+   * 注册指标，同名指标只能注册一次。
+   * @template {Counter | Gauge | Histogram} T
+   * @param {T} metric - 指标。
+   * @returns {T} 指标本身，便于链式声明。
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`指标已注册：${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {ConstructorParameters<typeof Counter>[0]} options - 指标定义。
+   * @returns {Counter} 计数器。
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * @param {ConstructorParameters<typeof Gauge>[0]} options - 指标定义。
+   * @returns {Gauge} 仪表。
+   */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * @param {ConstructorParameters<typeof Histogram>[0]} options - 指标定义。
+   * @returns {Histogram} 直方图。
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * 按注册顺序输出全部指标。
+   * @returns {string} 文本暴露格式内容，以换行结尾。
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
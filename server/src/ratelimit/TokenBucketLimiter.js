@@ -0,0 +1,105 @@
+/**
+ * @file TokenBucketLimiter.js
+ * @description 按客户端（IP 或 API key）隔离的令牌桶限流器：每个客户端拥有独立的桶，
+ *              以固定速率补充令牌，桶容量即允许的突发请求数。单个客户端耗尽令牌不会影响其他客户端。
+ */
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed - 是否放行。
+ * @property {number} limit - 桶容量（突发上限），对应 `RateLimit-Limit`。
+ * @property {number} remaining - 扣减后剩余的整数令牌数，对应 `RateLimit-Remaining`。
+ * @property {number} resetSec - 令牌补满所需秒数，对应 `RateLimit-Reset`。
+ * @property {number} retryAfterSec - 被拒绝时距下一个可用令牌的秒数，对应 `Retry-After`；放行时为 0。
+ */
+
+/**
+ * @typedef {Object} TokenBucketOptions
+ * @property {number} capacity - 桶容量（突发上限）。
+ * @property {number} refillPerSec - 每秒补充的令牌数。
+ */
+
+export class TokenBucketLimiter {
+  /**
+   * @param {TokenBucketOptions & { maxClients?: number }} options - 默认桶参数与最多跟踪的客户端数。
+   */
+  constructor(options) {
+    this.capacity = options.capacity;
+    this.refillPerSec = options.refillPerSec;
+    this.maxClients = options.maxClients ?? 10_000;
+    /** @type {Map<string, { tokens: number, updatedAt: number, capacity: number, refillPerSec: number }>} */
+    this.buckets = new Map();
+  }
+
+  /**
+   * 从客户端的桶中扣减令牌。
+   * @param {string} clientId - 客户端标识，如 `ip:1.2.3.4` 或 `key:team-web`。
+   * @param {Partial<TokenBucketOptions> & { cost?: number }} [options] - 覆盖该客户端的桶参数（如按 key 配置）与本次消耗。
+   * @returns {RateLimitResult} 限流结果。
+   */
+  consume(clientId, options = {}) {
+    const capacity = options.capacity ?? this.capacity;
+    const refillPerSec = options.refillPerSec ?? this.refillPerSec;
+    const cost = options.cost ?? 1;
+    if (!(capacity > 0) || !(refillPerSec > 0)) {
+      return { allowed: true, limit: 0, remaining: 0, resetSec: 0, retryAfterSec: 0 };
+    }
+    const now = Date.now();
+    let bucket = this.buckets.get(clientId);
+    if (bucket) {
+      this.buckets.delete(clientId);
+      bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSec);
+    } else {
+      bucket = { tokens: capacity, updatedAt: now, capacity, refillPerSec };
+    }
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    bucket.refillPerSec = refillPerSec;
+    // 重新插入以维持最近使用顺序，超过上限时淘汰最久未访问的客户端。
+    this.buckets.set(clientId, bucket);
+    while (this.buckets.size > this.maxClients) {
+      const oldest = this.buckets.keys().next().value;
+      if (typeof oldest === 'undefined') {
+        break;
+      }
+      this.buckets.delete(oldest);
+    }
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) {
+      bucket.tokens -= cost;
+    }
+    return {
+      allowed,
+      limit: capacity,
+      remaining: Math.max(0, Math.floor(bucket.tokens)),
+      resetSec: Math.ceil((capacity - bucket.tokens) / refillPerSec),
+      retryAfterSec: allowed ? 0 : Math.max(1, Math.ceil((cost - bucket.tokens) / refillPerSec)),
+    };
+  }
+
+  /**
+   * 移除已经补满的桶，它们与新建的桶没有区别。
+   * @returns {number} 移除的客户端数。
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [clientId, bucket] of this.buckets) {
+      const tokens = bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSec;
+      if (tokens >= bucket.capacity) {
+        this.buckets.delete(clientId);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 当前跟踪的客户端数。
+   * @returns {number} 数量。
+   */
+  get size() {
+    return this.buckets.size;
+  }
+}
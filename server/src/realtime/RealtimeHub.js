@@ -0,0 +1,527 @@
+/**
+ * @file RealtimeHub.js
+ * @description 实时会话中枢：与具体传输层（WebSocket、进程内客户端）解耦，负责会话成员管理、
+ *              LLM token 缓冲、逐句合成排队，以及将音频 URL 与 mouth/emote/gesture 关键帧广播给同一会话的所有观众。
+ *              每段结果都带有基于服务端时钟的 `startAt`，多个观众据此对齐播放，保证同一会话内口型同步。
+ */
+
+import { deriveSemanticTimelines } from './semanticTimelines.js';
+
+/**
+ * @typedef {'operator' | 'viewer'} RealtimeRole
+ */
+
+/**
+ * @typedef {Object} RealtimeTransport
+ * @property {(message: Record<string, any>) => void} send - 向客户端发送一条消息对象。
+ * @property {() => void} [close] - 主动关闭底层连接。
+ */
+
+/**
+ * @typedef {Object} RealtimeSpeakOptions
+ * @property {string} [voice] - 音色。
+ * @property {number} [rate] - 语速。
+ * @property {number} [pitch] - 音高。
+ * @property {string} [provider] - TTS 供应商。
+ * @property {string} [format] - 输出音频格式（wav/mp3/ogg/opus）。
+ * @property {string} [visemeProfile] - 口型映射档案，缺省时按音色自动选择。
+ * @property {Record<string, any>} [context] - 发起连接时附带的调用方上下文（如鉴权得到的 API key），原样传给 `synthesize`。
+ */
+
+/**
+ * @typedef {Object} RealtimeSynthesizeResult
+ * @property {boolean} ok - 是否成功。
+ * @property {Record<string, any>} [payload] - 成功时的 `/tts` 响应体。
+ * @property {string} [message] - 失败原因。
+ * @property {string} [code] - 机器可读的错误码。
+ */
+
+/**
+ * @typedef {Object} RealtimeHubOptions
+ * @property {(text: string, options: RealtimeSpeakOptions) => Promise<RealtimeSynthesizeResult>} synthesize - 合成单句文本。
+ * @property {(text: string) => string[]} [segmentText] - `speak` 长文本的分段函数，默认整段合成。
+ * @property {(context: Record<string, any>) => { ok: boolean, message?: string, code?: string }} [admit] - 新一轮发言前的准入检查（速率限制等），参数为连接上下文。
+ * @property {number} [leadMs] - 首段播放前预留的缓冲时间，用于覆盖网络抖动，默认 300ms。
+ * @property {number} [maxBufferChars] - token 缓冲区上限，超过后即便没有句末标点也会强制合成，默认 120。
+ * @property {number} [historyMs] - 会话保留最近片段的时长，晚加入的观众可以补播正在进行的片段，默认 10s。
+ */
+
+const ROLES = new Set(['operator', 'viewer']);
+const SENTENCE_END_RE = /[。！？!?；;\n]/;
+const SOFT_BREAK_RE = /[，,、\s]/;
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 从 token 缓冲区中取出可以合成的完整句子。
+ * @param {string} buffer - 当前缓冲文本。
+ * @param {{ force?: boolean, maxChars?: number }} [options] - `force` 为 true 时输出全部剩余文本。
+ * @returns {{ ready: string[], rest: string }} 可合成的句子与剩余缓冲。
+ */
+export const extractSpeakableSentences = (buffer, options = {}) => {
+  const maxChars = Number.isFinite(options.maxChars) && options.maxChars > 0 ? options.maxChars : 120;
+  const ready = [];
+  let rest = '';
+  for (const char of String(buffer || '')) {
+    rest += char;
+    if (SENTENCE_END_RE.test(char)) {
+      if (rest.trim()) {
+        ready.push(rest.trim());
+      }
+      rest = '';
+      continue;
+    }
+    if (rest.length >= maxChars) {
+      // 超长且没有句末标点时，优先在最近的逗号或空白处截断，避免把词切开。
+      let cut = -1;
+      for (let i = rest.length - 1; i > 0; i -= 1) {
+        if (SOFT_BREAK_RE.test(rest[i])) {
+          cut = i + 1;
+          break;
+        }
+      }
+      const head = cut > 0 ? rest.slice(0, cut) : rest;
+      if (head.trim()) {
+        ready.push(head.trim());
+      }
+      rest = cut > 0 ? rest.slice(cut) : '';
+    }
+  }
+  if (options.force && rest.trim()) {
+    ready.push(rest.trim());
+    rest = '';
+  }
+  return { ready, rest };
+};
+
+/**
+ * 规范化客户端传入的发言参数，仅保留合成需要的字段。
+ * @param {Record<string, any>} source - 客户端消息。
+ * @returns {RealtimeSpeakOptions} 发言参数。
+ */
+const pickSpeakOptions = (source) => {
+  const options = {};
+  if (typeof source.voice === 'string' && source.voice.trim()) {
+    options.voice = source.voice.trim();
+  }
+  if (typeof source.provider === 'string' && source.provider.trim()) {
+    options.provider = source.provider.trim();
+  }
+  if (typeof source.format === 'string' && source.format.trim()) {
+    options.format = source.format.trim();
+  }
+  if (typeof source.visemeProfile === 'string' && source.visemeProfile.trim()) {
+    options.visemeProfile = source.visemeProfile.trim();
+  }
+  for (const key of ['rate', 'pitch']) {
+    const value = Number(source[key]);
+    if (source[key] !== undefined && source[key] !== '' && Number.isFinite(value)) {
+      options[key] = value;
+    }
+  }
+  return options;
+};
+
+/**
+ * 单个客户端连接。传输层收到消息后调用 `receive`，连接关闭时调用 `disconnect`。
+ */
+export class RealtimeConnection {
+  /**
+   * @param {RealtimeHub} hub - 所属中枢。
+   * @param {RealtimeTransport} transport - 传输层。
+   * @param {Record<string, any>} [context] - 调用方上下文。
+   */
+  constructor(hub, transport, context = {}) {
+    this.hub = hub;
+    this.transport = transport;
+    this.context = context;
+    /** @type {RealtimeSession | null} */
+    this.session = null;
+    /** @type {RealtimeRole} */
+    this.role = 'viewer';
+    this.closed = false;
+  }
+
+  /**
+   * 发送消息，连接关闭后静默丢弃。
+   * @param {Record<string, any>} message - 消息对象。
+   */
+  send(message) {
+    if (this.closed) {
+      return;
+    }
+    try {
+      this.transport.send(message);
+    } catch (error) {
+      console.warn('[realtime] 发送消息失败', error);
+    }
+  }
+
+  /**
+   * 处理客户端消息，支持 JSON 字符串或已解析的对象。
+   * @param {string | Record<string, any>} raw - 原始消息。
+   */
+  receive(raw) {
+    let message = raw;
+    if (typeof raw === 'string') {
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        this.send({ type: 'error', message: '消息必须是 JSON 对象。' });
+        return;
+      }
+    }
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      this.send({ type: 'error', message: '消息缺少 type 字段。' });
+      return;
+    }
+    this.hub.handleMessage(this, message);
+  }
+
+  /**
+   * 断开连接并离开会话。
+   */
+  disconnect() {
+    if (this.closed) {
+      return;
+    }
+    this.hub.leave(this);
+    this.closed = true;
+  }
+}
+
+/**
+ * 一个会话：由操作者推送文本，所有成员接收同一组片段。
+ */
+class RealtimeSession {
+  /**
+   * @param {string} id - 会话 ID。
+   */
+  constructor(id) {
+    this.id = id;
+    /** @type {Set<RealtimeConnection>} */
+    this.members = new Set();
+    this.tokenBuffer = '';
+    /** @type {RealtimeSpeakOptions} */
+    this.tokenOptions = {};
+    this.utteranceOpen = false;
+    /** 合成队列，保证片段按发送顺序合成与排期。 */
+    this.queue = Promise.resolve();
+    /** 每次 `cancel` 递增，用于丢弃已过期的合成结果。 */
+    this.generation = 0;
+    this.seq = 0;
+    /** 当前排期中最后一段音频的结束时间（服务端 epoch 毫秒）。 */
+    this.playheadEndsAt = 0;
+    /** @type {Array<Record<string, any>>} */
+    this.recentChunks = [];
+  }
+
+  /**
+   * 统计会话中的角色数量。
+   * @returns {{ operators: number, viewers: number }} 成员统计。
+   */
+  countMembers() {
+    let operators = 0;
+    let viewers = 0;
+    for (const member of this.members) {
+      if (member.role === 'operator') {
+        operators += 1;
+      } else {
+        viewers += 1;
+      }
+    }
+    return { operators, viewers };
+  }
+
+  /**
+   * 向所有成员广播消息。
+   * @param {Record<string, any>} message - 消息对象。
+   */
+  broadcast(message) {
+    for (const member of this.members) {
+      member.send(message);
+    }
+  }
+}
+
+/**
+ * 实时会话中枢。
+ */
+export class RealtimeHub {
+  /**
+   * @param {RealtimeHubOptions} options - 中枢配置。
+   */
+  constructor(options) {
+    if (!options || typeof options.synthesize !== 'function') {
+      throw new Error('RealtimeHub 需要提供 synthesize 函数');
+    }
+    this.synthesize = options.synthesize;
+    this.segmentText = typeof options.segmentText === 'function' ? options.segmentText : (text) => [text];
+    this.admit = typeof options.admit === 'function' ? options.admit : () => ({ ok: true });
+    this.leadMs = Number.isFinite(options.leadMs) && options.leadMs >= 0 ? options.leadMs : 300;
+    this.maxBufferChars = Number.isFinite(options.maxBufferChars) && options.maxBufferChars > 0 ? options.maxBufferChars : 120;
+    this.historyMs = Number.isFinite(options.historyMs) && options.historyMs >= 0 ? options.historyMs : 10_000;
+    /** @type {Map<string, RealtimeSession>} */
+    this.sessions = new Map();
+  }
+
+  /**
+   * 接入一个新连接。若提供 `sessionId` 则立即加入会话，否则等待客户端发送 `join`。
+   * @param {RealtimeTransport} transport - 传输层。
+   * @param {{ sessionId?: string | null, role?: string | null, context?: Record<string, any> }} [options] - 初始会话参数与调用方上下文。
+   * @returns {RealtimeConnection} 连接对象。
+   */
+  connect(transport, options = {}) {
+    const connection = new RealtimeConnection(this, transport, options.context);
+    if (options.sessionId) {
+      this.join(connection, options.sessionId, options.role);
+    }
+    return connection;
+  }
+
+  /**
+   * 返回会话统计，供 `/metrics` 输出。
+   * @returns {{ sessions: number, connections: number }} 统计信息。
+   */
+  stats() {
+    let connections = 0;
+    for (const session of this.sessions.values()) {
+      connections += session.members.size;
+    }
+    return { sessions: this.sessions.size, connections };
+  }
+
+  /**
+   * 将连接加入会话，已在其他会话中的连接会先离开原会话。
+   * @param {RealtimeConnection} connection - 连接。
+   * @param {string} sessionId - 会话 ID。
+   * @param {string | null | undefined} role - 角色，缺省为观众。
+   */
+  join(connection, sessionId, role) {
+    const id = String(sessionId || '').trim();
+    if (!SESSION_ID_RE.test(id)) {
+      connection.send({ type: 'error', message: 'sessionId 仅支持 1-64 位字母、数字、下划线或连字符。' });
+      return;
+    }
+    const normalizedRole = role ? String(role).trim().toLowerCase() : 'viewer';
+    if (!ROLES.has(normalizedRole)) {
+      connection.send({ type: 'error', message: `未知角色：${role}` });
+      return;
+    }
+    if (connection.session) {
+      this.leave(connection);
+    }
+    let session = this.sessions.get(id);
+    if (!session) {
+      session = new RealtimeSession(id);
+      this.sessions.set(id, session);
+    }
+    connection.session = session;
+    connection.role = /** @type {RealtimeRole} */ (normalizedRole);
+    session.members.add(connection);
+
+    const now = Date.now();
+    connection.send({
+      type: 'joined',
+      sessionId: id,
+      role: connection.role,
+      serverTime: now,
+      members: session.countMembers(),
+    });
+    // 晚加入的观众补发仍在播放或尚未开始的片段，按原 startAt 对齐即可与其他观众同步。
+    session.recentChunks = session.recentChunks.filter((chunk) => chunk.endsAt > now - this.historyMs);
+    for (const chunk of session.recentChunks) {
+      if (chunk.endsAt > now) {
+        connection.send(chunk.message);
+      }
+    }
+    session.broadcast({ type: 'presence', sessionId: id, members: session.countMembers() });
+  }
+
+  /**
+   * 连接离开当前会话，会话为空时立即回收。
+   * @param {RealtimeConnection} connection - 连接。
+   */
+  leave(connection) {
+    const session = connection.session;
+    if (!session) {
+      return;
+    }
+    session.members.delete(connection);
+    connection.session = null;
+    if (session.members.size === 0) {
+      session.generation += 1;
+      this.sessions.delete(session.id);
+      return;
+    }
+    session.broadcast({ type: 'presence', sessionId: session.id, members: session.countMembers() });
+  }
+
+  /**
+   * 分发客户端消息。
+   * @param {RealtimeConnection} connection - 连接。
+   * @param {Record<string, any>} message - 已解析的消息。
+   */
+  handleMessage(connection, message) {
+    switch (message.type) {
+      case 'ping':
+        connection.send({ type: 'pong', clientTime: message.clientTime ?? null, serverTime: Date.now() });
+        return;
+      case 'join':
+        this.join(connection, message.sessionId, message.role);
+        return;
+      case 'leave':
+        this.leave(connection);
+        return;
+      case 'speak':
+      case 'token':
+      case 'flush':
+      case 'cancel':
+        break;
+      default:
+        connection.send({ type: 'error', message: `不支持的消息类型：${message.type}` });
+        return;
+    }
+
+    const session = connection.session;
+    if (!session) {
+      connection.send({ type: 'error', message: '请先发送 join 加入会话。' });
+      return;
+    }
+    if (connection.role !== 'operator') {
+      connection.send({ type: 'error', message: '只有 operator 角色可以推送文本。' });
+      return;
+    }
+
+    if (message.type === 'cancel') {
+      this.cancel(session);
+      return;
+    }
+
+    if (message.type === 'speak') {
+      const text = typeof message.text === 'string' ? message.text.trim() : '';
+      if (!text) {
+        connection.send({ type: 'error', message: 'speak 消息的 text 不能为空。' });
+        return;
+      }
+      const admission = this.admit(connection.context);
+      if (!admission.ok) {
+        connection.send({ type: 'error', message: admission.message || '请求过于频繁，请稍后再试。', code: admission.code });
+        return;
+      }
+      const options = { ...pickSpeakOptions(message), context: connection.context };
+      for (const segment of this.segmentText(text)) {
+        this.enqueue(session, segment, options);
+      }
+      return;
+    }
+
+    if (message.type === 'token') {
+      const text = typeof message.text === 'string' ? message.text : '';
+      if (!text) {
+        return;
+      }
+      if (!session.utteranceOpen) {
+        // 一轮 token 流只做一次准入检查，避免逐 token 计入速率限制。
+        const admission = this.admit(connection.context);
+        if (!admission.ok) {
+          connection.send({ type: 'error', message: admission.message || '请求过于频繁，请稍后再试。', code: admission.code });
+          return;
+        }
+        session.utteranceOpen = true;
+        session.tokenOptions = { ...pickSpeakOptions(message), context: connection.context };
+      }
+      session.tokenBuffer += text;
+      const { ready, rest } = extractSpeakableSentences(session.tokenBuffer, { maxChars: this.maxBufferChars });
+      session.tokenBuffer = rest;
+      for (const sentence of ready) {
+        this.enqueue(session, sentence, session.tokenOptions);
+      }
+      return;
+    }
+
+    // flush：一轮 token 流结束，合成剩余缓冲。
+    const { ready } = extractSpeakableSentences(session.tokenBuffer, { force: true, maxChars: this.maxBufferChars });
+    for (const sentence of ready) {
+      this.enqueue(session, sentence, session.tokenOptions);
+    }
+    session.tokenBuffer = '';
+    session.utteranceOpen = false;
+  }
+
+  /**
+   * 取消会话中尚未播放的片段并清空 token 缓冲。
+   * @param {RealtimeSession} session - 会话。
+   */
+  cancel(session) {
+    session.generation += 1;
+    session.tokenBuffer = '';
+    session.utteranceOpen = false;
+    session.playheadEndsAt = 0;
+    session.recentChunks = [];
+    session.broadcast({ type: 'cancel', sessionId: session.id, serverTime: Date.now() });
+  }
+
+  /**
+   * 将一句文本加入会话的合成队列。
+   * @param {RealtimeSession} session - 会话。
+   * @param {string} text - 待合成文本。
+   * @param {RealtimeSpeakOptions} options - 合成参数。
+   */
+  enqueue(session, text, options) {
+    const generation = session.generation;
+    session.queue = session.queue
+      .then(() => this.processChunk(session, text, options, generation))
+      .catch((error) => {
+        console.warn('[realtime] 处理片段失败', error);
+      });
+  }
+
+  /**
+   * 合成单个片段并按播放头排期广播。
+   * @param {RealtimeSession} session - 会话。
+   * @param {string} text - 待合成文本。
+   * @param {RealtimeSpeakOptions} options - 合成参数。
+   * @param {number} generation - 入队时的会话代数。
+   */
+  async processChunk(session, text, options, generation) {
+    if (generation !== session.generation) {
+      return;
+    }
+    const result = await this.synthesize(text, options);
+    if (generation !== session.generation) {
+      return;
+    }
+    if (!result.ok || !result.payload) {
+      session.broadcast({
+        type: 'error',
+        sessionId: session.id,
+        text,
+        message: result.message || 'TTS 处理失败',
+        code: result.code,
+      });
+      return;
+    }
+    const payload = result.payload;
+    const now = Date.now();
+    const duration = Number.isFinite(payload.duration) ? Math.max(0, payload.duration) : 0;
+    // 片段首尾相接排期；若上一段已播完则从当前时间 + 预留缓冲开始。
+    const startAt = Math.max(now + this.leadMs, session.playheadEndsAt);
+    session.playheadEndsAt = startAt + duration * 1000;
+    const { emoteTimeline, gestureTimeline } = deriveSemanticTimelines(text, payload.wordTimeline);
+    const message = {
+      type: 'chunk',
+      sessionId: session.id,
+      seq: session.seq,
+      text,
+      ...payload,
+      emoteTimeline,
+      gestureTimeline,
+      startAt,
+      serverTime: now,
+    };
+    session.seq += 1;
+    session.recentChunks.push({ endsAt: session.playheadEndsAt, message });
+    session.recentChunks = session.recentChunks.filter((chunk) => chunk.endsAt > now - this.historyMs);
+    session.broadcast(message);
+  }
+}
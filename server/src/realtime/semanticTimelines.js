@@ -0,0 +1,103 @@
+/**
+ * @file semanticTimelines.js
+ * @description 服务端版语义触发：根据文本与逐词时间轴生成表情（emote）与手势（gesture）关键帧。
+ *              词典与关键帧格式与 `@stickbot/core` 的 `deriveSemanticTimelines` 保持一致，
+ *              便于实时通道直接下发可被 `TimelinePlayer` 消费的时间轴。
+ *              本文件是 core `emotion/semantic-triggers.ts` 的手工副本，修改任一端时须同步另一端，
+ *              `server/test/semanticTimelines.test.js` 会转译 core 源码比对词典与输出。
+ */
+
+/**
+ * @typedef {Object} SemanticKeyframe
+ * @property {number} t - 时间戳（秒）。
+ * @property {string} k - 键名称，例如 `smileBoost`、`headNod`。
+ * @property {number} v - 强度，范围 [0,1]。
+ */
+
+/**
+ * @typedef {Object} SemanticDictionaryEntry
+ * @property {string} key - 触发后写入时间轴的键。
+ * @property {'emote' | 'gesture'} timeline - 时间轴类型。
+ * @property {string[]} terms - 触发词，大小写不敏感。
+ * @property {number} [intensity] - 默认强度，缺省 0.6。
+ * @property {number} [sustain] - 持续时间（秒），缺省 0.6。
+ */
+
+/** @type {SemanticDictionaryEntry[]} */
+export const DEFAULT_SEMANTIC_DICTIONARY = [
+  { key: 'smileBoost', timeline: 'emote', terms: ['哈哈', '呵呵', '笑', 'lol', 'lmao', 'xd'], intensity: 0.75, sustain: 0.8 },
+  { key: 'browLift', timeline: 'emote', terms: ['?', '？'], intensity: 0.65, sustain: 0.6 },
+  { key: 'headNod', timeline: 'gesture', terms: ['!', '！'], intensity: 0.7, sustain: 0.7 },
+];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * 根据文本语义生成表情与手势时间轴。
+ * @param {string} text - 原始文本。
+ * @param {Array<{ tStart: number, tEnd: number, text: string }>} [wordTimeline] - 逐词时间轴，用于对齐触发时间。
+ * @param {SemanticDictionaryEntry[]} [dictionary] - 自定义词典。
+ * @returns {{ emoteTimeline: SemanticKeyframe[], gestureTimeline: SemanticKeyframe[] }} 时间轴。
+ */
+export const deriveSemanticTimelines = (text, wordTimeline = [], dictionary = DEFAULT_SEMANTIC_DICTIONARY) => {
+  const source = String(text || '');
+  const words = (Array.isArray(wordTimeline) ? wordTimeline : []).filter(
+    (item) => item && typeof item.text === 'string' && Number.isFinite(item.tStart) && Number.isFinite(item.tEnd),
+  );
+  const duration =
+    words.length > 0 ? Math.max(words[words.length - 1].tEnd, 0.8) : Math.max(0.8, Array.from(source).length * 0.06 + 0.5);
+  /** @type {{ emote: SemanticKeyframe[], gesture: SemanticKeyframe[] }} */
+  const store = { emote: [], gesture: [] };
+
+  const addPulse = (key, timeline, time, intensity, sustain) => {
+    const list = store[timeline];
+    if (!list) {
+      return;
+    }
+    if (!list.some((frame) => frame.k === key && frame.t === 0)) {
+      list.push({ t: 0, k: key, v: 0 });
+    }
+    const start = Math.max(0, time);
+    list.push({ t: start, k: key, v: clamp01(intensity) });
+    list.push({ t: start + Math.max(0.2, sustain), k: key, v: 0 });
+  };
+
+  const characters = Array.from(source.toLowerCase());
+  for (const entry of dictionary) {
+    if (!entry?.key || !store[entry.timeline] || !Array.isArray(entry.terms)) {
+      continue;
+    }
+    const intensity = clamp01(entry.intensity ?? 0.6);
+    const sustain = Math.max(0.3, entry.sustain ?? 0.6);
+    for (const term of entry.terms) {
+      const normalized = String(term || '').toLowerCase();
+      if (!normalized) {
+        continue;
+      }
+      const times = new Set();
+      for (const word of words) {
+        if (word.text.toLowerCase().includes(normalized)) {
+          times.add((word.tStart + word.tEnd) / 2);
+        }
+      }
+      // 标点不会出现在逐词时间轴中，单字符词或未命中时按字符位置估算时间。
+      if (times.size === 0 || normalized.length === 1) {
+        const termLength = Array.from(normalized).length;
+        for (let i = 0; i < characters.length; i += 1) {
+          if (characters.slice(i, i + termLength).join('') === normalized) {
+            times.add((i / Math.max(1, characters.length)) * duration);
+          }
+        }
+      }
+      for (const time of times) {
+        addPulse(entry.key, entry.timeline, time, intensity, sustain);
+      }
+    }
+  }
+
+  const sortFrames = (list) => list.sort((a, b) => (a.t === b.t ? a.k.localeCompare(b.k) : a.t - b.t));
+  return {
+    emoteTimeline: sortFrames(store.emote),
+    gestureTimeline: sortFrames(store.gesture),
+  };
+};
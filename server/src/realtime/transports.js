@@ -0,0 +1,164 @@
+/**
+ * @file transports.js
+ * @description 实时会话的传输层：`attachWebSocketServer` 将中枢挂载到 HTTP 服务器的 `/ws` 路径，
+ *              `createLocalClient` 提供进程内客户端，便于在不启动网络连接的情况下调试与验证会话逻辑。
+ */
+
+import { WebSocketServer } from 'ws';
+
+/**
+ * @typedef {Object} AttachWebSocketOptions
+ * @property {import('./RealtimeHub.js').RealtimeHub} hub - 实时会话中枢。
+ * @property {string} [path] - 升级路径，默认 `/ws`。
+ * @property {number} [maxPayload] - 单条消息最大字节数，默认 64KB。
+ * @property {(origin: string | undefined) => boolean} [isOriginAllowed] - 来源校验，与 HTTP CORS 策略保持一致。
+ * @property {number} [heartbeatMs] - 心跳检测间隔，默认 30s，用于清理半开连接。
+ * @property {(request: import('http').IncomingMessage) => { ok: true, context: Record<string, any> } | { ok: false, status: number }} [authenticate] - 升级请求鉴权，失败时以对应状态码拒绝升级，成功时返回的上下文会附加到连接上。
+ */
+
+/**
+ * 在 HTTP 服务器上挂载 WebSocket 服务。客户端可通过 `?session=<id>&role=operator|viewer` 直接加入会话，
+ * 也可以在连接后发送 `{ "type": "join" }` 消息。
+ * @param {import('http').Server} server - Node.js HTTP 服务器。
+ * @param {AttachWebSocketOptions} options - 挂载参数。
+ * @returns {WebSocketServer} WebSocket 服务实例。
+ */
+export const attachWebSocketServer = (server, options) => {
+  const {
+    hub,
+    path = '/ws',
+    maxPayload = 64 * 1024,
+    isOriginAllowed = () => true,
+    heartbeatMs = 30_000,
+    authenticate = () => ({ ok: true, context: {} }),
+  } = options;
+  /** @type {WeakMap<import('http').IncomingMessage, Record<string, any>>} */
+  const contexts = new WeakMap();
+  const wss = new WebSocketServer({
+    server,
+    path,
+    maxPayload,
+    verifyClient: (info, done) => {
+      if (!isOriginAllowed(info.origin || undefined)) {
+        done(false, 403);
+        return;
+      }
+      const result = authenticate(info.req);
+      if (!result.ok) {
+        done(false, result.status);
+        return;
+      }
+      contexts.set(info.req, result.context);
+      done(true);
+    },
+  });
+
+  wss.on('connection', (socket, request) => {
+    const url = new URL(request.url || path, 'http://localhost');
+    let alive = true;
+    socket.on('pong', () => {
+      alive = true;
+    });
+    const connection = hub.connect(
+      {
+        send: (message) => {
+          if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+          }
+        },
+        close: () => socket.close(),
+      },
+      {
+        sessionId: url.searchParams.get('session'),
+        role: url.searchParams.get('role'),
+        context: contexts.get(request) ?? {},
+      },
+    );
+    const heartbeat = setInterval(() => {
+      if (!alive) {
+        socket.terminate();
+        return;
+      }
+      alive = false;
+      socket.ping();
+    }, heartbeatMs);
+    heartbeat.unref();
+
+    socket.on('message', (data, isBinary) => {
+      if (isBinary) {
+        connection.send({ type: 'error', message: '仅支持文本消息。' });
+        return;
+      }
+      connection.receive(data.toString());
+    });
+    socket.on('close', () => {
+      clearInterval(heartbeat);
+      connection.disconnect();
+    });
+    socket.on('error', (error) => {
+      console.warn('[realtime] WebSocket 连接异常', error);
+    });
+  });
+
+  return wss;
+};
+
+/**
+ * 创建进程内客户端，消息经过 JSON 序列化往返，行为与真实 WebSocket 客户端一致。
+ * @param {import('./RealtimeHub.js').RealtimeHub} hub - 实时会话中枢。
+ * @param {{ sessionId?: string, role?: 'operator' | 'viewer', context?: Record<string, any> }} [options] - 初始会话参数与调用方上下文。
+ * @returns {{
+ *   messages: Array<Record<string, any>>,
+ *   send: (message: Record<string, any>) => void,
+ *   onMessage: (listener: (message: Record<string, any>) => void) => () => void,
+ *   waitFor: (type: string, predicate?: (message: Record<string, any>) => boolean, timeoutMs?: number) => Promise<Record<string, any>>,
+ *   close: () => void,
+ * }} 本地客户端。
+ */
+export const createLocalClient = (hub, options = {}) => {
+  /** @type {Array<Record<string, any>>} */
+  const messages = [];
+  const listeners = new Set();
+  const connection = hub.connect(
+    {
+      send: (message) => {
+        const copy = JSON.parse(JSON.stringify(message));
+        messages.push(copy);
+        listeners.forEach((listener) => listener(copy));
+      },
+      close: () => connection.disconnect(),
+    },
+    options,
+  );
+
+  const onMessage = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    messages,
+    send: (message) => connection.receive(JSON.stringify(message)),
+    onMessage,
+    waitFor: (type, predicate = () => true, timeoutMs = 5000) =>
+      new Promise((resolve, reject) => {
+        const existing = messages.find((message) => message.type === type && predicate(message));
+        if (existing) {
+          resolve(existing);
+          return;
+        }
+        const timer = setTimeout(() => {
+          unsubscribe();
+          reject(new Error(`等待 ${type} 消息超时`));
+        }, timeoutMs);
+        const unsubscribe = onMessage((message) => {
+          if (message.type === type && predicate(message)) {
+            clearTimeout(timer);
+            unsubscribe();
+            resolve(message);
+          }
+        });
+      }),
+    close: () => connection.disconnect(),
+  };
+};
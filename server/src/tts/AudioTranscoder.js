@@ -0,0 +1,236 @@
+/**
+ * @file AudioTranscoder.js
+ * @description 可选的音频转码阶段：各 provider 统一输出 WAV，按请求的格式调用本机 ffmpeg（或仅用于 Opus 的 opusenc）
+ *              转为 MP3、Ogg Vorbis 或 Ogg Opus，减少移动端与小程序的下载体积。
+ *              启动时探测可用的编码器，未安装时只提供 WAV，请求其他格式会得到明确的错误而不是损坏的音频。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+/**
+ * @typedef {'wav' | 'mp3' | 'ogg' | 'opus'} AudioFormat
+ */
+
+/**
+ * 支持的输出格式：扩展名、MIME 类型与 ffmpeg 编码参数。
+ * `ogg` 为 Ogg Vorbis，`opus` 为 Ogg 封装的 Opus。
+ */
+export const AUDIO_FORMATS = Object.freeze({
+  wav: { ext: '.wav', mime: 'audio/wav', ffmpegArgs: [] },
+  mp3: { ext: '.mp3', mime: 'audio/mpeg', ffmpegArgs: ['-c:a', 'libmp3lame'] },
+  ogg: { ext: '.ogg', mime: 'audio/ogg', ffmpegArgs: ['-c:a', 'libvorbis'] },
+  opus: { ext: '.opus', mime: 'audio/ogg; codecs=opus', ffmpegArgs: ['-c:a', 'libopus'] },
+});
+
+/** `Accept` 中可识别的音频 MIME 类型，与格式一一对应。 */
+const ACCEPT_TYPES = {
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+};
+
+/**
+ * 判断是否为已知的输出格式。
+ * @param {unknown} value - 待检查的值。
+ * @returns {value is AudioFormat} 是否已知。
+ */
+export const isAudioFormat = (value) => typeof value === 'string' && Object.prototype.hasOwnProperty.call(AUDIO_FORMATS, value);
+
+/**
+ * 根据文件扩展名返回 MIME 类型，供 `/audio/:filename` 设置 Content-Type。
+ * @param {string} filename - 文件名。
+ * @returns {string | null} MIME 类型，未知扩展名返回 null。
+ */
+export const mimeTypeForFile = (filename) => {
+  const ext = path.extname(filename).toLowerCase();
+  const entry = Object.values(AUDIO_FORMATS).find((item) => item.ext === ext);
+  return entry ? entry.mime : null;
+};
+
+/**
+ * 解析 `Accept` 请求头，按 q 值从高到低返回其中的音频格式。`codecs=opus` 参数会被识别为 `opus`。
+ * 非音频类型（如 `application/json`）与通配符会被忽略。
+ * @param {string | undefined} accept - `Accept` 请求头。
+ * @returns {AudioFormat[]} 按优先级排列的格式。
+ */
+export const parseAcceptedFormats = (accept) => {
+  if (!accept) {
+    return [];
+  }
+  return accept
+    .split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.split(';').map((item) => item.trim().toLowerCase());
+      let q = 1;
+      let codecs = '';
+      for (const param of params) {
+        const [name, value = ''] = param.split('=').map((item) => item.trim());
+        if (name === 'q') {
+          q = Number(value);
+        } else if (name === 'codecs') {
+          codecs = value.replace(/"/g, '');
+        }
+      }
+      const format = type === 'audio/ogg' && codecs === 'opus' ? 'opus' : ACCEPT_TYPES[type];
+      return { format, q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter((item) => item.format && item.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((item) => /** @type {AudioFormat} */ (item.format));
+};
+
+/**
+ * 执行外部命令，超时或非零退出时拒绝。
+ * @param {string} command - 命令。
+ * @param {string[]} args - 参数。
+ * @param {number} timeoutMs - 超时时间。
+ * @returns {Promise<string>} 标准错误输出，便于拼接错误信息。
+ */
+const run = (command, args, timeoutMs) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`${command} 执行超时（${timeoutMs}ms）`));
+    }, timeoutMs);
+    child.stderr.on('data', (chunk) => {
+      stderr = `${stderr}${chunk}`.slice(-2000);
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(stderr);
+      } else {
+        reject(new Error(`${command} 返回非零状态码：${code} ${stderr.trim()}`.trim()));
+      }
+    });
+  });
+
+export class AudioTranscoder {
+  /**
+   * @param {{ ffmpegCommand: string, opusencCommand: string, bitrateKbps: number, timeoutMs: number }} options - 编码器命令与参数。
+   */
+  constructor(options) {
+    this.ffmpegCommand = options.ffmpegCommand;
+    this.opusencCommand = options.opusencCommand;
+    this.bitrateKbps = options.bitrateKbps;
+    this.timeoutMs = options.timeoutMs;
+    /** @type {Map<AudioFormat, 'ffmpeg' | 'opusenc'>} 每种格式使用的编码器。 */
+    this.encoders = new Map();
+    /** 是否探测到 ffmpeg，解码上传的 MP3 等格式时需要。 */
+    this.ffmpegAvailable = false;
+  }
+
+  /**
+   * 探测本机编码器：ffmpeg 按 `-encoders` 输出判断是否编译了对应编码库，缺少 libopus 时退回 opusenc。
+   * @returns {Promise<AudioFormat[]>} 可用的格式（始终包含 `wav`）。
+   */
+  async detect() {
+    this.encoders.clear();
+    const encoderList = await new Promise((resolve) => {
+      const child = spawn(this.ffmpegCommand, ['-hide_banner', '-encoders'], { stdio: ['ignore', 'pipe', 'ignore'] });
+      let output = '';
+      child.stdout.on('data', (chunk) => {
+        output += chunk;
+      });
+      child.on('error', () => resolve(''));
+      child.on('exit', (code) => resolve(code === 0 ? output : ''));
+    });
+    this.ffmpegAvailable = Boolean(encoderList);
+    for (const [format, spec] of Object.entries(AUDIO_FORMATS)) {
+      const codec = spec.ffmpegArgs[1];
+      if (codec && new RegExp(`\\b${codec}\\b`).test(encoderList)) {
+        this.encoders.set(/** @type {AudioFormat} */ (format), 'ffmpeg');
+      }
+    }
+    if (!this.encoders.has('opus')) {
+      const hasOpusenc = await run(this.opusencCommand, ['--version'], 5000).then(
+        () => true,
+        () => false,
+      );
+      if (hasOpusenc) {
+        this.encoders.set('opus', 'opusenc');
+      }
+    }
+    return this.availableFormats();
+  }
+
+  /**
+   * 当前可用的格式。
+   * @returns {AudioFormat[]} 格式列表，`wav` 总是第一个。
+   */
+  availableFormats() {
+    return ['wav', ...Array.from(this.encoders.keys())];
+  }
+
+  /**
+   * 是否可以输出指定格式。
+   * @param {AudioFormat} format - 格式。
+   * @returns {boolean} 是否可用。
+   */
+  supports(format) {
+    return format === 'wav' || this.encoders.has(format);
+  }
+
+  /**
+   * 将 WAV 转为目标格式，成功后删除原 WAV。目标为 `wav` 时原样返回。
+   * @param {string} wavPath - WAV 文件路径。
+   * @param {AudioFormat} format - 目标格式。
+   * @returns {Promise<{ audioPath: string, audioType: string }>} 新文件路径与 MIME 类型。
+   */
+  async transcode(wavPath, format) {
+    const spec = AUDIO_FORMATS[format];
+    if (format === 'wav') {
+      return { audioPath: wavPath, audioType: spec.mime };
+    }
+    const encoder = this.encoders.get(format);
+    if (!encoder) {
+      throw new Error(`本机未安装 ${format} 编码器`);
+    }
+    const target = path.join(path.dirname(wavPath), `${path.parse(wavPath).name}${spec.ext}`);
+    const bitrate = `${this.bitrateKbps}k`;
+    const args =
+      encoder === 'opusenc'
+        ? ['--quiet', '--bitrate', String(this.bitrateKbps), wavPath, target]
+        : ['-hide_banner', '-loglevel', 'error', '-y', '-i', wavPath, '-vn', ...spec.ffmpegArgs, '-b:a', bitrate, target];
+    try {
+      await run(encoder === 'opusenc' ? this.opusencCommand : this.ffmpegCommand, args, this.timeoutMs);
+    } catch (error) {
+      await fs.promises.unlink(target).catch(() => {});
+      throw new Error(`音频转码失败（${format}）：${error instanceof Error ? error.message : String(error)}`);
+    }
+    await fs.promises.unlink(wavPath).catch(() => {});
+    return { audioPath: target, audioType: spec.mime };
+  }
+
+  /**
+   * 用 ffmpeg 将任意音频解码为单声道 16 位 PCM WAV，供音频分析使用，原文件保留。
+   * @param {string} inputPath - 输入文件路径。
+   * @param {string} wavPath - 输出 WAV 路径。
+   * @returns {Promise<string>} 输出 WAV 路径。
+   */
+  async decodeToWav(inputPath, wavPath) {
+    if (!this.ffmpegAvailable) {
+      throw new Error('本机未安装 ffmpeg，无法解码该音频');
+    }
+    const args = ['-hide_banner', '-loglevel', 'error', '-y', '-i', inputPath, '-vn', '-ac', '1', '-c:a', 'pcm_s16le', wavPath];
+    try {
+      await run(this.ffmpegCommand, args, this.timeoutMs);
+    } catch (error) {
+      await fs.promises.unlink(wavPath).catch(() => {});
+      throw new Error(`音频解码失败：${error instanceof Error ? error.message : String(error)}`);
+    }
+    return wavPath;
+  }
+}
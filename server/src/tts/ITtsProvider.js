@@ -7,6 +7,9 @@
  * @typedef {Object} TtsSynthesizeOptions
  * @property {string} [voice] - 发音人配置，具体取值与供应商相关。
  * @property {number} [rate] - 语速，通常与供应商 CLI 或 SDK 参数一致。
+ * @property {number} [pitch] - 音高，0-99，50 为默认值（与 `espeak-ng -p` 一致），其他供应商按比例换算。
+ * @property {string} [ssml] - 原始 SSML 文本；提供时 `text` 为去除标签后的纯文本，仅用于计数与字幕。
+ * @property {import('./mapping.js').VisemeConfig} [visemeConfig] - 本次合成使用的口型映射（按语言选择的档案），缺省时使用 provider 的默认映射。
  */
 
 /**
@@ -17,11 +20,23 @@
  * @property {{ t: number, v: number, visemeId: number, phoneme?: string }[]} mouthTimeline - mouth 时间轴采样点。
  * @property {{ tStart: number, tEnd: number, text: string }[]} [wordTimeline] - 逐词时间轴，可用于字幕高亮。
  * @property {number} duration - 音频总时长（秒）。
+ * @property {Record<string, number>} [unmappedPhonemes] - 没有显式映射、按 `default` 兜底的音素及出现次数，由服务端汇总到 `GET /visemes/unmapped`；不基于音素生成口型的 provider 可省略。
+ */
+
+/**
+ * @typedef {Object} TtsVoice
+ * @property {string} id - 音色 ID，可直接作为合成参数 `voice` 使用。
+ * @property {string} name - 显示名称。
+ * @property {string | null} language - 语言代码，如 `zh-CN`、`cmn`，未知时为 null。
+ * @property {'male' | 'female' | 'neutral' | null} gender - 性别，未知时为 null。
+ * @property {string} provider - 所属 provider。
+ * @property {string[]} [aliases] - 同样可以选中该音色的其他写法（如 eSpeak NG 的 `zh` 对应 `cmn`）。
  */
 
 /**
  * @interface ITtsProvider
- * @description 统一的 TTS 供应商接口规范，所有适配器都应实现 `synthesize` 方法。
+ * @description 统一的 TTS 供应商接口规范，所有适配器都应实现 `synthesize` 方法；
+ *              可选实现 `listVoices()` 返回可用音色，供 `GET /voices` 汇总。
  */
 export class ITtsProvider {
   // eslint-disable-next-line class-methods-use-this
@@ -34,5 +49,14 @@ export class ITtsProvider {
   async synthesize(_text, _options) {
     throw new Error('ITtsProvider 为抽象接口，请使用具体适配器实现。');
   }
+
+  // eslint-disable-next-line class-methods-use-this
+  /**
+   * 列出可用音色（可选实现）。
+   * @returns {Promise<TtsVoice[]>} 音色列表。
+   */
+  async listVoices() {
+    return [];
+  }
 }
 
@@ -0,0 +1,177 @@
+/**
+ * @file ProviderHealth.js
+ * @description 按 provider 隔离的熔断器：统计连续失败次数与合成耗时，连续失败达到阈值后熔断一段时间，
+ *              期间不再调用该 provider；冷却结束后放行一次试探请求（半开），成功则恢复，失败则重新熔断。
+ */
+
+/**
+ * @typedef {'closed' | 'open' | 'half_open'} ProviderState
+ */
+
+/**
+ * @typedef {Object} ProviderHealthSnapshot
+ * @property {ProviderState} state - 熔断状态：`closed` 正常，`open` 熔断中，`half_open` 冷却结束、等待试探结果。
+ * @property {number} consecutiveFailures - 连续失败次数，成功后清零。
+ * @property {number} requests - 累计调用次数。
+ * @property {number} failures - 累计失败次数。
+ * @property {number | null} lastLatencyMs - 最近一次调用耗时（毫秒）。
+ * @property {number | null} avgLatencyMs - 调用耗时的指数滑动平均（毫秒）。
+ * @property {string | null} lastError - 最近一次失败的错误信息。
+ * @property {string | null} lastFailureAt - 最近一次失败时间（ISO 8601）。
+ * @property {string | null} openUntil - 熔断结束时间（ISO 8601），未熔断时为 null。
+ */
+
+/**
+ * @typedef {Object} ProviderHealthOptions
+ * @property {number} failureThreshold - 连续失败多少次后熔断。
+ * @property {number} cooldownMs - 熔断持续时间（毫秒）。
+ */
+
+/** 耗时滑动平均的权重，约等于最近 10 次调用的平均值。 */
+const LATENCY_EWMA_ALPHA = 0.2;
+
+/**
+ * 回退链上的 provider 全部处于熔断状态，本次请求没有可调用的 provider。
+ */
+export class ProviderUnavailableError extends Error {
+  /**
+   * @param {string[]} providers - 已跳过的 provider。
+   */
+  constructor(providers) {
+    super(`TTS provider 暂不可用（熔断中）：${providers.join(', ')}`);
+    this.name = 'ProviderUnavailableError';
+    this.providers = providers;
+  }
+}
+
+export class ProviderHealth {
+  /**
+   * @param {ProviderHealthOptions} options - 熔断参数。
+   */
+  constructor(options) {
+    this.failureThreshold = options.failureThreshold;
+    this.cooldownMs = options.cooldownMs;
+    /**
+     * @type {Map<string, { state: ProviderState, consecutiveFailures: number, requests: number, failures: number,
+     *   lastLatencyMs: number | null, avgLatencyMs: number | null, lastError: string | null, lastFailureAt: number | null,
+     *   openedAt: number, probing: boolean }>}
+     */
+    this.entries = new Map();
+  }
+
+  /**
+   * 读取或初始化 provider 的统计。
+   * @param {string} provider - provider 名称。
+   */
+  entry(provider) {
+    let entry = this.entries.get(provider);
+    if (!entry) {
+      entry = {
+        state: 'closed',
+        consecutiveFailures: 0,
+        requests: 0,
+        failures: 0,
+        lastLatencyMs: null,
+        avgLatencyMs: null,
+        lastError: null,
+        lastFailureAt: null,
+        openedAt: 0,
+        probing: false,
+      };
+      this.entries.set(provider, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * 判断本次是否可以调用该 provider。熔断冷却结束后转为半开，只放行一个试探请求，其余请求继续跳过。
+   * 放行后调用方必须以 `recordSuccess` 或 `recordFailure` 报告结果。
+   * @param {string} provider - provider 名称。
+   * @returns {boolean} 是否放行。
+   */
+  tryAcquire(provider) {
+    const entry = this.entry(provider);
+    if (entry.state === 'open' && Date.now() - entry.openedAt >= this.cooldownMs) {
+      entry.state = 'half_open';
+    }
+    if (entry.state === 'closed') {
+      return true;
+    }
+    if (entry.state === 'half_open' && !entry.probing) {
+      entry.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 记录一次成功调用，清零连续失败并关闭熔断。
+   * @param {string} provider - provider 名称。
+   * @param {number} latencyMs - 耗时（毫秒）。
+   */
+  recordSuccess(provider, latencyMs) {
+    const entry = this.entry(provider);
+    this.recordLatency(entry, latencyMs);
+    entry.consecutiveFailures = 0;
+    entry.state = 'closed';
+    entry.probing = false;
+  }
+
+  /**
+   * 记录一次失败调用：连续失败达到阈值或半开试探失败时熔断。
+   * @param {string} provider - provider 名称。
+   * @param {unknown} error - 错误。
+   * @param {number} latencyMs - 耗时（毫秒）。
+   */
+  recordFailure(provider, error, latencyMs) {
+    const entry = this.entry(provider);
+    this.recordLatency(entry, latencyMs);
+    entry.failures += 1;
+    entry.consecutiveFailures += 1;
+    entry.lastError = (error instanceof Error ? error.message : String(error)).slice(0, 500);
+    entry.lastFailureAt = Date.now();
+    if (entry.state === 'half_open' || entry.consecutiveFailures >= this.failureThreshold) {
+      if (entry.state !== 'open') {
+        console.warn(`[tts] provider ${provider} 连续失败 ${entry.consecutiveFailures} 次，熔断 ${this.cooldownMs}ms`);
+      }
+      entry.state = 'open';
+      entry.openedAt = entry.lastFailureAt;
+    }
+    entry.probing = false;
+  }
+
+  /**
+   * 累加调用次数与耗时。
+   * @param {ReturnType<ProviderHealth['entry']>} entry - provider 统计。
+   * @param {number} latencyMs - 耗时（毫秒）。
+   */
+  recordLatency(entry, latencyMs) {
+    entry.requests += 1;
+    entry.lastLatencyMs = Math.round(latencyMs);
+    entry.avgLatencyMs =
+      entry.avgLatencyMs === null
+        ? Math.round(latencyMs)
+        : Math.round(entry.avgLatencyMs + LATENCY_EWMA_ALPHA * (latencyMs - entry.avgLatencyMs));
+  }
+
+  /**
+   * 返回 provider 的当前状态，未调用过的 provider 视为正常。
+   * @param {string} provider - provider 名称。
+   * @returns {ProviderHealthSnapshot} 状态。
+   */
+  snapshot(provider) {
+    const entry = this.entry(provider);
+    const cooledDown = entry.state === 'open' && Date.now() - entry.openedAt >= this.cooldownMs;
+    return {
+      state: cooledDown ? 'half_open' : entry.state,
+      consecutiveFailures: entry.consecutiveFailures,
+      requests: entry.requests,
+      failures: entry.failures,
+      lastLatencyMs: entry.lastLatencyMs,
+      avgLatencyMs: entry.avgLatencyMs,
+      lastError: entry.lastError,
+      lastFailureAt: entry.lastFailureAt ? new Date(entry.lastFailureAt).toISOString() : null,
+      openUntil: entry.state === 'open' && !cooledDown ? new Date(entry.openedAt + this.cooldownMs).toISOString() : null,
+    };
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * @file SynthQueue.js
+ * @description 有界优先级合成队列：并发槽位占满时请求进入队列排队，而不是立即返回 429。
+ *              优先级高的任务先出队，同优先级按提交顺序执行；已结束的任务保留一段时间，供 `/tts/jobs/:id` 轮询结果。
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * 内置优先级。数值越大越先执行，正在播放的分段后续请求使用 `SEGMENT` 插队。
+ */
+export const SYNTH_PRIORITY = Object.freeze({
+  LOW: -10,
+  NORMAL: 0,
+  SEGMENT: 10,
+});
+
+/**
+ * @typedef {'queued' | 'running' | 'done' | 'failed' | 'cancelled'} SynthJobStatus
+ */
+
+/**
+ * @typedef {Object} SynthJob
+ * @property {string} id - 任务 ID。
+ * @property {SynthJobStatus} status - 当前状态。
+ * @property {number} priority - 优先级。
+ * @property {number} seq - 提交序号，同优先级按序号出队。
+ * @property {Record<string, any>} meta - 调用方附带的描述信息（如 provider、分段序号）。
+ * @property {number} createdAt - 入队时间戳。
+ * @property {number | null} startedAt - 开始执行时间戳。
+ * @property {number | null} finishedAt - 结束时间戳。
+ * @property {any} result - 成功时的结果。
+ * @property {string | null} error - 失败原因。
+ * @property {Promise<any>} promise - 任务结束时兑现的 Promise，取消时以 `SynthJobCancelledError` 拒绝。
+ * @property {() => Promise<any>} run - 实际执行的函数。
+ * @property {(value: any) => void} resolve - 内部使用。
+ * @property {(error: Error) => void} reject - 内部使用。
+ */
+
+/**
+ * @typedef {Object} SynthQueueOptions
+ * @property {number} concurrency - 同时执行的任务数，0 表示不限制。
+ * @property {number} maxDepth - 最多排队的任务数，超过后拒绝新任务。
+ * @property {number} jobTtlMs - 已结束任务的保留时长（毫秒）。
+ */
+
+/**
+ * 任务在执行前被取消。
+ */
+export class SynthJobCancelledError extends Error {
+  constructor() {
+    super('合成任务已取消');
+    this.name = 'SynthJobCancelledError';
+  }
+}
+
+export class SynthQueue {
+  /**
+   * @param {SynthQueueOptions} options - 队列参数。
+   */
+  constructor(options) {
+    this.concurrency = Math.max(0, options.concurrency);
+    this.maxDepth = Math.max(0, options.maxDepth);
+    this.jobTtlMs = options.jobTtlMs;
+    /** @type {SynthJob[]} 按优先级降序、序号升序排列的等待队列。 */
+    this.waiting = [];
+    /** @type {Map<string, SynthJob>} */
+    this.jobs = new Map();
+    this.running = 0;
+    this.seq = 0;
+    this.rejected = 0;
+    this.started = 0;
+    this.totalWaitMs = 0;
+    this.maxWaitMs = 0;
+  }
+
+  /**
+   * 提交任务。有空闲槽位时立即执行，否则按优先级排队；队列已满时返回 null。
+   * @param {() => Promise<any>} run - 执行函数。
+   * @param {{ priority?: number, meta?: Record<string, any> }} [options] - 优先级与描述信息。
+   * @returns {SynthJob | null} 任务，队列已满时为 null。
+   */
+  enqueue(run, options = {}) {
+    if (!this.hasFreeSlot() && this.waiting.length >= this.maxDepth) {
+      this.rejected += 1;
+      return null;
+    }
+    /** @type {SynthJob} */
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      priority: Number.isFinite(options.priority) ? Number(options.priority) : SYNTH_PRIORITY.NORMAL,
+      seq: this.seq++,
+      meta: options.meta ?? {},
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      result: undefined,
+      error: null,
+      promise: Promise.resolve(),
+      run,
+      resolve: () => {},
+      reject: () => {},
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // 调用方可能只轮询状态而不等待结果，避免未处理的拒绝。
+    job.promise.catch(() => {});
+    this.jobs.set(job.id, job);
+    this.insert(job);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * 提升排队中任务的优先级，例如同一分段被正在播放的客户端再次请求时。
+   * @param {string} id - 任务 ID。
+   * @param {number} priority - 新优先级，低于当前值时忽略。
+   */
+  promote(id, priority) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'queued' || priority <= job.priority) {
+      return;
+    }
+    this.waiting = this.waiting.filter((item) => item !== job);
+    job.priority = priority;
+    this.insert(job);
+  }
+
+  /**
+   * 取消排队中的任务。已开始执行或已结束的任务不可取消。
+   * @param {string} id - 任务 ID。
+   * @returns {boolean} 是否取消成功。
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'queued') {
+      return false;
+    }
+    this.waiting = this.waiting.filter((item) => item !== job);
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    job.reject(new SynthJobCancelledError());
+    return true;
+  }
+
+  /**
+   * 查询任务。
+   * @param {string} id - 任务 ID。
+   * @returns {SynthJob | undefined} 任务。
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * 任务在等待队列中的位置（从 1 开始），未在排队时返回 0。
+   * @param {string} id - 任务 ID。
+   * @returns {number} 排队位置。
+   */
+  position(id) {
+    return this.waiting.findIndex((item) => item.id === id) + 1;
+  }
+
+  /**
+   * 清理超过保留时长的已结束任务。
+   * @returns {number} 清理的任务数。
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt !== null && now - job.finishedAt > this.jobTtlMs) {
+        this.jobs.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 返回队列统计，供 `/metrics` 输出。
+   * @returns {{ depth: number, running: number, maxDepth: number, rejected: number, avgWaitMs: number, maxWaitMs: number }} 统计信息。
+   */
+  stats() {
+    return {
+      depth: this.waiting.length,
+      running: this.running,
+      maxDepth: this.maxDepth,
+      rejected: this.rejected,
+      avgWaitMs: this.started > 0 ? this.totalWaitMs / this.started : 0,
+      maxWaitMs: this.maxWaitMs,
+    };
+  }
+
+  /**
+   * 是否还有空闲槽位。
+   * @returns {boolean} 是否可立即执行。
+   */
+  hasFreeSlot() {
+    return this.concurrency === 0 || this.running < this.concurrency;
+  }
+
+  /**
+   * 按优先级插入等待队列。
+   * @param {SynthJob} job - 任务。
+   */
+  insert(job) {
+    const index = this.waiting.findIndex(
+      (item) => item.priority < job.priority || (item.priority === job.priority && item.seq > job.seq),
+    );
+    if (index === -1) {
+      this.waiting.push(job);
+    } else {
+      this.waiting.splice(index, 0, job);
+    }
+  }
+
+  /**
+   * 在槽位允许的范围内启动排队任务。
+   */
+  drain() {
+    while (this.waiting.length > 0 && this.hasFreeSlot()) {
+      const job = /** @type {SynthJob} */ (this.waiting.shift());
+      this.start(job);
+    }
+  }
+
+  /**
+   * 执行任务并在结束后释放槽位。
+   * @param {SynthJob} job - 任务。
+   */
+  start(job) {
+    this.running += 1;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    const waitMs = job.startedAt - job.createdAt;
+    this.started += 1;
+    this.totalWaitMs += waitMs;
+    this.maxWaitMs = Math.max(this.maxWaitMs, waitMs);
+    Promise.resolve()
+      .then(() => job.run())
+      .then(
+        (result) => {
+          job.finishedAt = Date.now();
+          job.status = 'done';
+          job.result = result;
+          job.resolve(result);
+        },
+        (error) => {
+          job.finishedAt = Date.now();
+          job.status = 'failed';
+          job.error = error instanceof Error ? error.message : String(error);
+          job.reject(error instanceof Error ? error : new Error(String(error)));
+        },
+      )
+      .finally(() => {
+        this.running -= 1;
+        this.drain();
+      });
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * @file UnmappedPhonemeTracker.js
+ * @description 汇总合成时没有显式映射、按 `default` 兜底的音素：按口型映射档案与音素计数，记录来源 provider 与出现时间，
+ *              供 `/metrics` 与 `GET /visemes/unmapped` 报告，据此补充口型映射。统计只保存在进程内，重启后清零。
+ */
+
+/**
+ * @typedef {Object} UnmappedPhonemeEntry
+ * @property {string} profile - 口型映射档案名。
+ * @property {string} phoneme - 音素。
+ * @property {number} count - 累计出现次数。
+ * @property {string[]} providers - 产生该音素的 provider。
+ * @property {string} firstSeenAt - 首次出现时间（ISO 8601）。
+ * @property {string} lastSeenAt - 最近出现时间（ISO 8601）。
+ */
+
+/**
+ * @typedef {Object} UnmappedPhonemeReport
+ * @property {string} since - 开始统计的时间（ISO 8601）。
+ * @property {number} total - 累计兜底次数，含未单独记录的音素。
+ * @property {number} distinct - 已记录的（档案, 音素）组合数。
+ * @property {number} dropped - 条目达到上限后未单独记录的出现次数。
+ * @property {UnmappedPhonemeEntry[]} phonemes - 按出现次数从高到低排列的条目。
+ */
+
+export class UnmappedPhonemeTracker {
+  /**
+   * @param {{ maxEntries?: number }} [options] - `maxEntries` 为最多记录的（档案, 音素）组合数，避免异常输入撑大内存。
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 1000;
+    /**
+     * @type {Map<string, { profile: string, phoneme: string, count: number, providers: Set<string>, firstSeenAt: number, lastSeenAt: number }>}
+     */
+    this.entries = new Map();
+    this.total = 0;
+    this.dropped = 0;
+    this.since = Date.now();
+  }
+
+  /**
+   * 记录一次合成中的兜底音素。
+   * @param {string} profile - 口型映射档案名。
+   * @param {string} provider - 实际合成的 provider。
+   * @param {Record<string, number> | undefined} counts - 音素到出现次数的映射，来自合成结果的 `unmappedPhonemes`。
+   * @returns {number} 本次记录的出现次数。
+   */
+  record(profile, provider, counts) {
+    if (!counts) {
+      return 0;
+    }
+    const now = Date.now();
+    let recorded = 0;
+    for (const [phoneme, count] of Object.entries(counts)) {
+      if (!Number.isFinite(count) || count <= 0) {
+        continue;
+      }
+      recorded += count;
+      const key = `${profile}\u0000${phoneme}`;
+      let entry = this.entries.get(key);
+      if (!entry) {
+        if (this.entries.size >= this.maxEntries) {
+          this.dropped += count;
+          continue;
+        }
+        entry = { profile, phoneme, count: 0, providers: new Set(), firstSeenAt: now, lastSeenAt: now };
+        this.entries.set(key, entry);
+      }
+      entry.count += count;
+      entry.providers.add(provider);
+      entry.lastSeenAt = now;
+    }
+    this.total += recorded;
+    return recorded;
+  }
+
+  /** 已记录的（档案, 音素）组合数。 */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 生成报告，条目按出现次数从高到低排列。
+   * @param {{ profile?: string, limit?: number }} [options] - 按档案过滤，`limit` 为最多返回的条目数。
+   * @returns {UnmappedPhonemeReport} 报告。
+   */
+  report(options = {}) {
+    const entries = Array.from(this.entries.values())
+      .filter((entry) => !options.profile || entry.profile === options.profile)
+      .sort((a, b) => b.count - a.count || b.lastSeenAt - a.lastSeenAt);
+    return {
+      since: new Date(this.since).toISOString(),
+      total: this.total,
+      distinct: this.entries.size,
+      dropped: this.dropped,
+      phonemes: entries.slice(0, options.limit ?? entries.length).map((entry) => ({
+        profile: entry.profile,
+        phoneme: entry.phoneme,
+        count: entry.count,
+        providers: Array.from(entry.providers),
+        firstSeenAt: new Date(entry.firstSeenAt).toISOString(),
+        lastSeenAt: new Date(entry.lastSeenAt).toISOString(),
+      })),
+    };
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * @file VisemeProfileRegistry.js
+ * @description 按语言区分的口型映射档案：从目录加载 `<name>.json`，叠加在基础映射（默认映射与 `VISEME_CONFIG_PATH`）之上。
+ *              合成时按请求指定的档案，或按音色 / 语言代码自动选择档案；都匹配不到时使用基础映射（档案名 `default`）。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { formatVisemeIssues, mergeVisemeConfig, validateVisemeConfig } from './mapping.js';
+
+/**
+ * @typedef {import('./mapping.js').VisemeConfig} VisemeConfig
+ */
+
+/**
+ * @typedef {Object} VisemeProfile
+ * @property {string} name - 档案名，即文件名去掉 `.json` 后的小写形式。
+ * @property {string} description - 档案说明。
+ * @property {string[]} languages - 适用的语言代码（小写），如 `zh`、`cmn`、`en-us`。
+ * @property {VisemeConfig} config - 叠加基础映射后的完整配置。
+ */
+
+/**
+ * @typedef {Object} InvalidVisemeProfile
+ * @property {string} file - 档案文件名。
+ * @property {import('./mapping.js').VisemeConfigIssue[]} issues - 解析或校验错误。
+ */
+
+/** 基础映射对应的档案名，目录中的同名文件会被忽略。 */
+export const DEFAULT_VISEME_PROFILE = 'default';
+
+/**
+ * 把音色或语言代码展开为由具体到宽泛的候选列表：去掉 eSpeak NG 的变体后缀（`en+f3`）、
+ * Piper 的说话人（`model:speaker`）与路径前缀（`sit/cmn`），再逐级去掉末尾的子标签，
+ * 例如 `zh-CN-XiaoxiaoNeural` 依次尝试 `zh-cn-xiaoxiaoneural`、`zh-cn`、`zh`。
+ * @param {string} tag - 音色或语言代码。
+ * @returns {string[]} 候选语言代码。
+ */
+const expandLanguageTag = (tag) => {
+  const normalized = String(tag)
+    .trim()
+    .toLowerCase()
+    .split(/[+:]/)[0]
+    .split('/')
+    .pop()
+    .replace(/_/g, '-');
+  const parts = normalized.split('-').filter(Boolean);
+  const candidates = [];
+  for (let length = parts.length; length > 0; length -= 1) {
+    candidates.push(parts.slice(0, length).join('-'));
+  }
+  return candidates;
+};
+
+export class VisemeProfileRegistry {
+  /**
+   * @param {{ dir: string, base: VisemeConfig }} options - 档案目录与基础映射。
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    /** @type {Map<string, VisemeProfile>} */
+    this.profiles = new Map();
+    /** @type {Map<string, VisemeProfile>} 语言代码到档案的索引，多个档案声明同一语言时先加载的优先。 */
+    this.languages = new Map();
+    /** @type {InvalidVisemeProfile[]} 未通过解析或校验而被跳过的档案。 */
+    this.invalid = [];
+    this.profiles.set(DEFAULT_VISEME_PROFILE, {
+      name: DEFAULT_VISEME_PROFILE,
+      description: '基础映射（默认映射叠加 VISEME_CONFIG_PATH）',
+      languages: [],
+      config: options.base,
+    });
+    this.load(options.base);
+  }
+
+  /**
+   * 读取目录中的档案文件。目录不存在时只保留基础映射；单个文件解析或校验失败时跳过，逐条打印错误并记录在 `invalid` 中。
+   * @param {VisemeConfig} base - 基础映射。
+   */
+  load(base) {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir).filter((file) => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.warn(`[stickbot] 读取口型映射档案目录失败：${this.dir}`, error);
+      }
+      return;
+    }
+    for (const file of files) {
+      const name = path.basename(file, '.json').toLowerCase();
+      if (name === DEFAULT_VISEME_PROFILE) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        console.warn(`[stickbot] 口型映射档案 ${file} 解析失败，已跳过：${message}`);
+        this.invalid.push({ file, issues: [{ path: '', message }] });
+        continue;
+      }
+      const issues = validateVisemeConfig(parsed, base);
+      if (parsed?.languages !== undefined && !Array.isArray(parsed.languages)) {
+        issues.push({ path: 'languages', message: '必须是语言代码数组。' });
+      }
+      if (issues.length > 0) {
+        console.warn(`[stickbot] 口型映射档案 ${file} 校验失败，已跳过：\n${formatVisemeIssues(issues)}`);
+        this.invalid.push({ file, issues });
+        continue;
+      }
+      const languages = Array.isArray(parsed.languages)
+        ? parsed.languages.map((item) => String(item).trim().toLowerCase()).filter(Boolean)
+        : [];
+      /** @type {VisemeProfile} */
+      const profile = {
+        name,
+        description: typeof parsed.description === 'string' ? parsed.description : '',
+        languages,
+        config: mergeVisemeConfig(base, parsed),
+      };
+      this.profiles.set(name, profile);
+      for (const language of [name, ...languages]) {
+        if (!this.languages.has(language)) {
+          this.languages.set(language, profile);
+        }
+      }
+    }
+  }
+
+  /**
+   * 按档案名或语言代码查找档案。
+   * @param {string} tag - 档案名、语言代码或音色。
+   * @returns {VisemeProfile | null} 匹配的档案。
+   */
+  find(tag) {
+    const exact = this.profiles.get(String(tag).trim().toLowerCase());
+    if (exact) {
+      return exact;
+    }
+    for (const candidate of expandLanguageTag(tag)) {
+      const profile = this.languages.get(candidate);
+      if (profile) {
+        return profile;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 选择合成使用的档案：显式指定时必须能匹配到档案，否则按音色自动匹配，匹配不到时使用基础映射。
+   * @param {{ profile?: string, voice?: string }} params - 请求指定的档案与实际使用的音色。
+   * @returns {VisemeProfile | null} 档案，显式指定的档案不存在时为 null。
+   */
+  resolve({ profile, voice }) {
+    if (profile) {
+      return this.find(profile);
+    }
+    return (voice && this.find(voice)) || this.profiles.get(DEFAULT_VISEME_PROFILE);
+  }
+
+  /**
+   * 列出全部档案，基础映射排在最前。
+   * @returns {VisemeProfile[]} 档案列表。
+   */
+  list() {
+    return Array.from(this.profiles.values());
+  }
+}
@@ -1,13 +1,18 @@
 /**
  * @file AzureAdapter.js
- * @description 演示如何接入 Azure Cognitive Services 的语音合成 SDK，包含 VisemeReceived 事件处理逻辑。
- *              本文件不会在默认流程中执行，仅作为示例。启用前请确保安装 `microsoft-cognitiveservices-speech-sdk` 并配置密钥。
+ * @description 接入 Azure Cognitive Services 的语音合成 SDK：按 voice/rate/pitch 构造 SSML，
+ *              监听 VisemeReceived 事件生成口型时间轴，监听 WordBoundary 事件生成逐词时间轴。
+ *              启用前请确保安装 `microsoft-cognitiveservices-speech-sdk` 并配置密钥；SDK 可通过 `loadSdk` 注入，便于离线调试。
  */
 
+import fs from 'fs';
 import path from 'path';
 import { randomUUID } from 'crypto';
-import { ensureTimelineFallback } from '../utils/timeline.js';
-import { generateWordTimeline } from '../utils/wordTimeline.js';
+import { countUnmappedPhonemes, mapPhonemeToViseme } from '../mapping.js';
+import { decodeWav, ensureEnergyTimeline } from '../utils/audioEnergy.js';
+import { generateTimeline } from '../utils/timeline.js';
+import { generateWordTimelineWithBreaks } from '../utils/wordTimeline.js';
+import { ensureSpeakRoot, escapeXml, parseSsml } from '../utils/ssml.js';
 
 /**
  * @typedef {import('../mapping.js').VisemeConfig} VisemeConfig
@@ -18,12 +23,51 @@ import { generateWordTimeline } from '../utils/wordTimeline.js';
  * @typedef {Object} AzureOptions
  * @property {string} region - Azure 语音服务区域，例如 `eastasia`。
  * @property {string} key - Azure 语音服务密钥。
+ * @property {string} voice - 默认音色，例如 `zh-CN-XiaoxiaoNeural`。
  * @property {string} tmpDir - 临时目录，用于写入生成的 WAV 文件。
+ * @property {number} sampleRate - mouth 时间轴的采样率（Hz）。
  * @property {VisemeConfig} visemeConfig - 音素映射配置，用于将 viseme ID 转换为 mouth 值。
+ * @property {() => Promise<any>} [loadSdk] - 加载 Speech SDK 模块，默认动态引入 `microsoft-cognitiveservices-speech-sdk`；
+ *           调试时可传入模拟实现，只需提供下文用到的 `SpeechConfig`、`SpeechSynthesizer`、`ResultReason` 等成员。
  */
 
+/** 音色列表接口的超时时间（毫秒）。 */
+const LIST_VOICES_TIMEOUT_MS = 10_000;
+/** SDK 事件中的时间单位为 100 纳秒（tick）。 */
+const TICKS_PER_SECOND = 1e7;
+/** 与 eSpeak NG 一致，以 170 WPM 作为原速换算 `<prosody rate>`。 */
+const BASELINE_RATE_WPM = 170;
+
+/**
+ * 将 WPM 语速换算为 `<prosody rate>` 的相对值，限制在 Azure 支持的 0.5–2 倍之间。
+ * @param {number | undefined} rate - 语速（WPM）。
+ * @returns {string | null} 如 `+18%`，未指定时为 null。
+ */
+const toProsodyRate = (rate) => {
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  const percent = Math.round((Math.min(2, Math.max(0.5, value / BASELINE_RATE_WPM)) - 1) * 100);
+  return percent === 0 ? null : `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+/**
+ * 将 0-99 的音高换算为 `<prosody pitch>` 的相对值，50 为原调。
+ * @param {number | undefined} pitch - 音高。
+ * @returns {string | null} 如 `-20%`，未指定或为原调时为 null。
+ */
+const toProsodyPitch = (pitch) => {
+  const value = Number(pitch);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  const percent = Math.round(Math.min(99, Math.max(0, value)) - 50);
+  return percent === 0 ? null : `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
 /**
- * AzureAdapter 主要用于示例如何监听 VisemeReceived 事件以生成口型时间轴。
+ * AzureAdapter 通过 Speech SDK 合成语音，并把 SDK 推送的 viseme 与单词边界事件转换为时间轴。
  */
 export class AzureAdapter {
   /**
@@ -32,98 +76,257 @@ export class AzureAdapter {
   constructor(options) {
     this.region = options.region;
     this.key = options.key;
+    this.voice = options.voice;
     this.tmpDir = options.tmpDir;
+    this.sampleRate = options.sampleRate;
     this.visemeConfig = options.visemeConfig;
+    this.loadSdk = options.loadSdk ?? (() => import('microsoft-cognitiveservices-speech-sdk'));
+    /** @type {Promise<import('../ITtsProvider.js').TtsVoice[]> | null} */
+    this.voicesPromise = null;
+  }
+
+  /**
+   * 构造提交给 SDK 的 SSML。未传入 SSML 时按 voice/rate/pitch 生成；传入的 SSML 缺少 `<voice>` 元素时
+   * （Azure 要求必须指定音色）以请求的音色包裹正文，已指定音色时原样使用。
+   * @param {string} text - 纯文本。
+   * @param {import('../ITtsProvider.js').TtsSynthesizeOptions} options - 合成参数。
+   * @returns {string} 完整 SSML 文档。
+   */
+  buildSsml(text, options = {}) {
+    const voice = options.voice || this.voice;
+    const lang = voice.split('-').slice(0, 2).join('-') || 'zh-CN';
+    const rate = toProsodyRate(options.rate);
+    const pitch = toProsodyPitch(options.pitch);
+    const wrap = (body) => {
+      const prosodyAttrs = `${rate ? ` rate="${rate}"` : ''}${pitch ? ` pitch="${pitch}"` : ''}`;
+      const content = prosodyAttrs ? `<prosody${prosodyAttrs}>${body}</prosody>` : body;
+      return `<voice name="${escapeXml(voice)}">${content}</voice>`;
+    };
+    const ssml = typeof options.ssml === 'string' ? options.ssml.trim() : '';
+    if (!ssml) {
+      return ensureSpeakRoot(wrap(escapeXml(text)), { lang });
+    }
+    const document = ensureSpeakRoot(ssml, { lang });
+    if (/<voice[\s>]/i.test(document)) {
+      return document;
+    }
+    return document.replace(/(<speak[^>]*>)([\s\S]*)(<\/speak>)/i, (_match, open, body, close) => `${open}${wrap(body)}${close}`);
   }
 
   /**
-   * 语音合成。实际项目需处理 SSML、语速等参数，这里仅给出示例。
+   * 语音合成。
    * @param {string} text - 输入文本。
+   * @param {import('../ITtsProvider.js').TtsSynthesizeOptions} [options] - 可选参数。
    * @returns {Promise<import('../ITtsProvider.js').TtsSynthesizeResult>} 结果。
    */
-  async synthesize(text) {
+  async synthesize(text, options = {}) {
     if (!this.region || !this.key) {
       throw new Error('未配置 Azure 区域或密钥，无法启用 AzureAdapter。');
     }
 
-    // 动态引入 SDK，避免在未安装依赖时打包失败。
+    // 动态引入 SDK，避免在未安装依赖时启动失败。
     let sdk;
     try {
-      sdk = await import('microsoft-cognitiveservices-speech-sdk');
+      sdk = await this.loadSdk();
     } catch (error) {
       throw new Error('请先安装 `microsoft-cognitiveservices-speech-sdk` 依赖后再启用 Azure TTS。');
     }
 
     const speechConfig = sdk.SpeechConfig.fromSubscription(this.key, this.region);
     speechConfig.speechSynthesisOutputFormat = sdk.SpeechSynthesisOutputFormat.Riff16Khz16BitMonoPcm;
+    // 不传 AudioConfig 时音频只保留在结果的 audioData 中，由本适配器写入临时目录。
+    const synthesizer = new sdk.SpeechSynthesizer(speechConfig, null);
 
-    const audioId = randomUUID();
-    const audioPath = path.join(this.tmpDir, `${audioId}.wav`);
-    const audioConfig = sdk.AudioConfig.fromAudioFileOutput(audioPath);
-    const synthesizer = new sdk.SpeechSynthesizer(speechConfig, audioConfig);
-
-    const timeline = [];
-    const start = Date.now();
+    /** @type {{ offset: number, visemeId: number }[]} */
+    const visemes = [];
+    /** @type {{ tStart: number, tEnd: number | null, text: string }[]} */
+    const words = [];
 
-    /**
-     * Azure SDK 在 VisemeReceived 事件中提供 `animation` 字段，表示 viseme ID；
-     * `audioOffset` 为纳秒，需要转换为秒后再与 mouth 映射表匹配。
-     */
+    // 事件中的 `audioOffset`、`duration` 以 100 纳秒为单位。
     synthesizer.visemeReceived = (_s, event) => {
-      const seconds = Number(event.audioOffset) / 1e7; // 纳秒 -> 秒
-      const visemeId = Number(event.visemeId ?? event.viseme ?? 0);
-      const mouth = this.resolveMouthFromViseme(visemeId);
-      timeline.push({ t: seconds, v: mouth, visemeId, phoneme: `viseme-${visemeId}` });
+      const visemeId = Number(event.visemeId ?? 0);
+      visemes.push({ offset: Number(event.audioOffset) / TICKS_PER_SECOND, visemeId });
+    };
+    synthesizer.wordBoundary = (_s, event) => {
+      // 标点与句子边界不计入逐词时间轴；旧版 SDK 没有 boundaryType 字段，一律视为单词。
+      const wordType = sdk.SpeechSynthesisBoundaryType?.Word;
+      if (event.boundaryType !== undefined && wordType !== undefined && event.boundaryType !== wordType) {
+        return;
+      }
+      const word = String(event.text ?? '').trim();
+      if (!word) {
+        return;
+      }
+      const tStart = Number(event.audioOffset) / TICKS_PER_SECOND;
+      const ticks = Number(event.duration);
+      words.push({ text: word, tStart, tEnd: Number.isFinite(ticks) && ticks > 0 ? tStart + ticks / TICKS_PER_SECOND : null });
     };
 
-    await new Promise((resolve, reject) => {
-      synthesizer.speakTextAsync(
-        text,
-        () => {
+    const ssml = this.buildSsml(text, options);
+    const result = await new Promise((resolve, reject) => {
+      synthesizer.speakSsmlAsync(
+        ssml,
+        (speechResult) => {
           synthesizer.close();
-          resolve();
+          if (speechResult.reason === sdk.ResultReason.SynthesizingAudioCompleted) {
+            resolve(speechResult);
+          } else {
+            reject(new Error(`Azure 合成失败：${speechResult.errorDetails || `reason=${speechResult.reason}`}`));
+          }
         },
         (error) => {
           synthesizer.close();
-          reject(error);
+          reject(error instanceof Error ? error : new Error(String(error)));
         },
       );
     });
 
-    const duration = (Date.now() - start) / 1000;
-    const safeTimeline = ensureTimelineFallback(timeline);
-    const lastTimelineTime = safeTimeline.length > 0 ? safeTimeline[safeTimeline.length - 1].t : 0;
-    const totalDuration = Math.max(lastTimelineTime, duration);
-    const wordTimeline = generateWordTimeline(text, totalDuration);
+    const audioId = randomUUID();
+    const audioPath = path.join(this.tmpDir, `${audioId}.wav`);
+    const audioBuffer = Buffer.from(result.audioData);
+    await fs.promises.writeFile(audioPath, audioBuffer);
+
+    const duration = this.resolveDuration(result, audioBuffer, visemes, words);
+    const visemeConfig = options.visemeConfig ?? this.visemeConfig;
+    const visemeTimeline = this.buildMouthTimeline(visemes, duration, visemeConfig);
+    const unmappedPhonemes = countUnmappedPhonemes(
+      visemes.map((item) => this.toPhoneme(item.visemeId, visemeConfig)),
+      visemeConfig,
+    );
+    // 部分音色或区域不推送 VisemeReceived 事件，此时改用音频能量推算口型。
+    const mouthTimeline = await ensureEnergyTimeline(visemeTimeline, audioPath, this.sampleRate, visemeConfig);
+    const wordTimeline =
+      words.length > 0
+        ? words.map((word, index) => ({
+            text: word.text,
+            tStart: word.tStart,
+            tEnd: Math.min(duration, word.tEnd ?? words[index + 1]?.tStart ?? duration),
+          }))
+        : generateWordTimelineWithBreaks(
+            text,
+            duration,
+            typeof options.ssml === 'string' && options.ssml.trim() ? parseSsml(options.ssml).breaks : [],
+          );
 
     return {
       id: audioId,
       audioPath,
       audioType: 'audio/wav',
-      mouthTimeline: safeTimeline,
+      mouthTimeline,
       wordTimeline,
       duration,
+      unmappedPhonemes,
     };
   }
 
   /**
-   * 根据 Azure 的 viseme ID 映射 mouth 值。Azure 的 viseme 与 eSpeak 不同，默认提供 22 个编号。
-   * 这里给出简单示例：如需精细化控制可在 README 中提示如何调整。
-   * @param {number} visemeId - Azure SDK 返回的口型编号。
-   * @returns {number} mouth 值。
+   * 取音频的实际时长：优先使用结果中的 `audioDuration`，其次解析 WAV，最后以最后一个事件的时间兜底。
+   * @param {{ audioDuration?: number }} result - SDK 合成结果。
+   * @param {Buffer} audioBuffer - WAV 内容。
+   * @param {{ offset: number }[]} visemes - viseme 事件。
+   * @param {{ tStart: number, tEnd: number | null }[]} words - 单词边界事件。
+   * @returns {number} 时长（秒）。
    */
-  resolveMouthFromViseme(visemeId) {
-    const mapping = {
-      0: 0.05,
-      1: 0.12,
-      2: 0.25,
-      3: 0.35,
-      4: 0.45,
-      5: 0.58,
-      6: 0.7,
-      7: 0.85,
-    };
-    return mapping[visemeId] ?? 0.3;
+  resolveDuration(result, audioBuffer, visemes, words) {
+    const ticks = Number(result.audioDuration);
+    if (Number.isFinite(ticks) && ticks > 0) {
+      return ticks / TICKS_PER_SECOND;
+    }
+    try {
+      const { duration } = decodeWav(audioBuffer);
+      if (duration > 0) {
+        return duration;
+      }
+    } catch (error) {
+      console.warn('[tts] 无法解析 Azure 返回的音频时长', error);
+    }
+    const lastWord = words[words.length - 1];
+    return Math.max(visemes[visemes.length - 1]?.offset ?? 0, lastWord?.tEnd ?? lastWord?.tStart ?? 0);
+  }
+
+  /**
+   * 把 viseme 事件展开为固定采样率的 mouth 时间轴：每个 viseme 持续到下一个事件，最后一个持续到音频结束。
+   * @param {{ offset: number, visemeId: number }[]} visemes - viseme 事件。
+   * @param {number} duration - 音频时长（秒）。
+   * @param {VisemeConfig} [visemeConfig] - 本次合成使用的口型映射，缺省时使用默认映射。
+   * @returns {import('../utils/timeline.js').MouthKeyframe[]} 时间轴，无事件时为空数组。
+   */
+  buildMouthTimeline(visemes, duration, visemeConfig = this.visemeConfig) {
+    const sorted = visemes.filter((item) => Number.isFinite(item.offset)).sort((a, b) => a.offset - b.offset);
+    const cumulative = sorted.map((item, index) => {
+      const { visemeId, mouth, shape } = this.resolveViseme(item.visemeId, visemeConfig);
+      return {
+        phoneme: `viseme-${item.visemeId}`,
+        durationMs: 0,
+        visemeId,
+        mouth,
+        shape,
+        start: item.offset,
+        end: Math.max(item.offset, sorted[index + 1]?.offset ?? duration),
+      };
+    });
+    return cumulative.length > 0
+      ? generateTimeline(cumulative, duration, this.sampleRate, visemeConfig.coarticulation)
+      : [];
   }
-}
 
+  /**
+   * 查找 Azure viseme ID 在口型配置 `azureVisemes` 中对应的代表音素；未列出的 ID 返回 `viseme-<ID>`，
+   * 按 `default` 兜底并计入 `unmappedPhonemes`。
+   * @param {number} azureVisemeId - Azure SDK 返回的 viseme 编号。
+   * @param {VisemeConfig} [visemeConfig] - 口型映射，缺省时使用默认映射。
+   * @returns {string} 音素。
+   */
+  toPhoneme(azureVisemeId, visemeConfig = this.visemeConfig) {
+    return visemeConfig.azureVisemes?.[String(azureVisemeId)] ?? `viseme-${azureVisemeId}`;
+  }
+
+  /**
+   * 根据 Azure 的 viseme ID（0-21）查找口型配置中的口型编号与 mouth 值。
+   * @param {number} azureVisemeId - Azure SDK 返回的 viseme 编号。
+   * @param {VisemeConfig} [visemeConfig] - 口型映射，缺省时使用默认映射。
+   * @returns {{ visemeId: number, mouth: number, shape: import('../mapping.js').VisemeShape }} 口型编号、张嘴幅度与多通道口型。
+   */
+  resolveViseme(azureVisemeId, visemeConfig = this.visemeConfig) {
+    return mapPhonemeToViseme(this.toPhoneme(azureVisemeId, visemeConfig), visemeConfig);
+  }
+
+  /**
+   * 通过 REST 接口 `/cognitiveservices/voices/list` 列出当前区域的音色，无需安装 SDK。
+   * 结果在进程内缓存，请求失败时下次调用重试。
+   * @returns {Promise<import('../ITtsProvider.js').TtsVoice[]>} 音色列表。
+   */
+  listVoices() {
+    if (!this.voicesPromise) {
+      this.voicesPromise = (async () => {
+        if (!this.region || !this.key) {
+          throw new Error('未配置 Azure 区域或密钥，无法获取音色列表。');
+        }
+        const response = await fetch(`https://${this.region}.tts.speech.microsoft.com/cognitiveservices/voices/list`, {
+          headers: { 'Ocp-Apim-Subscription-Key': this.key },
+          signal: AbortSignal.timeout(LIST_VOICES_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+          throw new Error(`Azure 音色列表请求失败：HTTP ${response.status}`);
+        }
+        const list = await response.json();
+        return (Array.isArray(list) ? list : [])
+          .filter((item) => typeof item?.ShortName === 'string')
+          .map((item) => {
+            const gender = String(item.Gender || '').toLowerCase();
+            return {
+              id: item.ShortName,
+              name: item.LocalName || item.DisplayName || item.ShortName,
+              language: typeof item.Locale === 'string' ? item.Locale : null,
+              gender: gender === 'male' || gender === 'female' || gender === 'neutral' ? gender : null,
+              provider: 'azure',
+            };
+          });
+      })();
+      this.voicesPromise.catch(() => {
+        this.voicesPromise = null;
+      });
+    }
+    return this.voicesPromise;
+  }
+}
@@ -7,9 +7,11 @@ import fs from 'fs';
 import path from 'path';
 import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
-import { mapPhonemeToViseme } from '../mapping.js';
-import { accumulateSegments, ensureTimelineFallback, generateTimeline } from '../utils/timeline.js';
-import { generateWordTimelineFromSegments } from '../utils/wordTimeline.js';
+import { countUnmappedPhonemes, mapPhonemeToViseme } from '../mapping.js';
+import { accumulateSegments, generateTimeline } from '../utils/timeline.js';
+import { ensureEnergyTimeline } from '../utils/audioEnergy.js';
+import { generateWordTimelineFromSegments, generateWordTimelineWithBreaks } from '../utils/wordTimeline.js';
+import { parseSsml } from '../utils/ssml.js';
 
 /**
  * @typedef {import('../mapping.js').VisemeConfig} VisemeConfig
@@ -30,6 +32,9 @@ import { generateWordTimelineFromSegments } from '../utils/wordTimeline.js';
  * @typedef {Object} SynthesizeOptions
  * @property {string} [voice] - 可覆盖默认发音人。
  * @property {number} [rate] - 可覆盖默认语速。
+ * @property {number} [pitch] - 音高（0-99），对应命令行 `-p` 参数。
+ * @property {string} [ssml] - SSML 输入，提供时以 `-m` 模式交给 eSpeak NG 解析 `<break>`、`<prosody>` 等标签。
+ * @property {VisemeConfig} [visemeConfig] - 本次合成使用的口型映射，缺省时使用构造时传入的映射。
  */
 
 /**
@@ -39,8 +44,45 @@ import { generateWordTimelineFromSegments } from '../utils/wordTimeline.js';
  * @property {string} audioType - 音频类型，当前固定为 `audio/wav`。
  * @property {MouthKeyframe[]} mouthTimeline - 采样后的口型时间轴。
  * @property {number} duration - 总时长（秒）。
+ * @property {Record<string, number>} unmappedPhonemes - 没有显式映射、按 `default` 处理的音素及出现次数。
  */
 
+/** `espeak-ng --voices` 的超时时间（毫秒）。 */
+const LIST_VOICES_TIMEOUT_MS = 10_000;
+
+/**
+ * 解析 `espeak-ng --voices` 的输出，每行形如
+ * ` 5  cmn             --/M      Chinese_(Mandarin) sit/cmn              (zh-cmn 5)(zh 5)`，
+ * 依次为优先级、语言、年龄/性别、名称、文件与括号中的其他语言别名。同一语言出现多次时保留第一行。
+ * @param {string} stdout - 命令输出。
+ * @returns {import('../ITtsProvider.js').TtsVoice[]} 音色列表。
+ */
+export const parseEspeakVoices = (stdout) => {
+  /** @type {Map<string, import('../ITtsProvider.js').TtsVoice>} */
+  const voices = new Map();
+  for (const line of stdout.split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 5 || !/^\d+$/.test(parts[0])) {
+      continue;
+    }
+    const [, language, ageGender, name] = parts;
+    if (voices.has(language)) {
+      continue;
+    }
+    const genderCode = ageGender.split('/')[1];
+    const aliases = Array.from(parts.slice(5).join(' ').matchAll(/\(([^\s()]+)\s+\d+\)/g), (match) => match[1]);
+    voices.set(language, {
+      id: language,
+      name: name.replace(/_/g, ' '),
+      language,
+      gender: genderCode === 'M' ? 'male' : genderCode === 'F' ? 'female' : null,
+      provider: 'espeak',
+      aliases,
+    });
+  }
+  return Array.from(voices.values());
+};
+
 /**
  * EspeakAdapter 负责封装 eSpeak NG 命令行调用及 `.pho` 解析流程。
  */
@@ -55,6 +97,8 @@ export class EspeakAdapter {
     this.tmpDir = options.tmpDir;
     this.sampleRate = options.sampleRate;
     this.visemeConfig = options.visemeConfig;
+    /** @type {Promise<import('../ITtsProvider.js').TtsVoice[]> | null} */
+    this.voicesPromise = null;
   }
 
   /**
@@ -70,16 +114,28 @@ export class EspeakAdapter {
     const trimmed = text.trim();
     const voice = options.voice || this.voice;
     const rate = options.rate || this.rate;
+    const pitch = Number.isFinite(options.pitch) ? Math.min(99, Math.max(0, Math.round(options.pitch))) : undefined;
+    const ssml = typeof options.ssml === 'string' && options.ssml.trim() ? options.ssml.trim() : undefined;
     const id = randomUUID();
     const wavPath = path.join(this.tmpDir, `${id}.wav`);
     const phoPath = path.join(this.tmpDir, `${id}.pho`);
+    const visemeConfig = options.visemeConfig ?? this.visemeConfig;
 
-    await this.runCommand(trimmed, { voice, rate, wavPath, phoPath });
+    await this.runCommand(ssml ?? trimmed, { voice, rate, pitch, ssml: Boolean(ssml), wavPath, phoPath });
 
-    const segments = this.parsePho(phoPath);
+    const segments = this.parsePho(phoPath, visemeConfig);
     const { cumulative, totalDuration } = accumulateSegments(segments);
-    const timeline = ensureTimelineFallback(generateTimeline(cumulative, totalDuration, this.sampleRate));
-    const wordTimeline = generateWordTimelineFromSegments(trimmed, cumulative);
+    // 极短的输入可能解析不出音素，此时按音频能量推算口型，而不是使用占位帧。
+    const timeline = await ensureEnergyTimeline(
+      generateTimeline(cumulative, totalDuration, this.sampleRate, visemeConfig.coarticulation),
+      wavPath,
+      this.sampleRate,
+      visemeConfig,
+    );
+    // SSML 模式下 `<break>` 会在 `.pho` 中输出为 `_` 停顿，逐词时间轴需同步扣除这些空档。
+    const wordTimeline = ssml
+      ? generateWordTimelineWithBreaks(trimmed, totalDuration, parseSsml(ssml).breaks)
+      : generateWordTimelineFromSegments(trimmed, cumulative);
 
     // `.pho` 文件只在解析阶段使用，为避免目录堆积及时删除。
     await fs.promises.unlink(phoPath).catch(() => {});
@@ -91,28 +147,61 @@ export class EspeakAdapter {
       mouthTimeline: timeline,
       wordTimeline,
       duration: totalDuration,
+      unmappedPhonemes: countUnmappedPhonemes(segments.map((segment) => segment.phoneme), visemeConfig),
     };
   }
 
+  /**
+   * 列出本机 eSpeak NG 安装的语言音色，结果在进程内缓存，命令失败时下次调用重试。
+   * @returns {Promise<import('../ITtsProvider.js').TtsVoice[]>} 音色列表。
+   */
+  listVoices() {
+    if (!this.voicesPromise) {
+      this.voicesPromise = new Promise((resolve, reject) => {
+        const child = spawn(this.command, ['--voices'], { stdio: ['ignore', 'pipe', 'ignore'] });
+        let stdout = '';
+        const timer = setTimeout(() => {
+          child.kill('SIGKILL');
+          reject(new Error(`eSpeak NG 列出音色超时（${LIST_VOICES_TIMEOUT_MS}ms）`));
+        }, LIST_VOICES_TIMEOUT_MS);
+        child.stdout.on('data', (chunk) => {
+          stdout += chunk;
+        });
+        child.on('error', (error) => {
+          clearTimeout(timer);
+          reject(new Error(`无法调用 eSpeak NG，请确认命令是否安装并在 PATH 中。原始错误：${error.message}`));
+        });
+        child.on('exit', (code) => {
+          clearTimeout(timer);
+          if (code === 0) {
+            resolve(parseEspeakVoices(stdout));
+          } else {
+            reject(new Error(`eSpeak NG 返回非零状态码：${code}`));
+          }
+        });
+      });
+      this.voicesPromise.catch(() => {
+        this.voicesPromise = null;
+      });
+    }
+    return this.voicesPromise;
+  }
+
   /**
    * 调用 eSpeak NG 命令行生成音频与 `.pho` 文件。
    * @param {string} text - 输入文本。
-   * @param {{ voice: string, rate: number, wavPath: string, phoPath: string }} params - 命令执行参数。
+   * @param {{ voice: string, rate: number, pitch?: number, ssml?: boolean, wavPath: string, phoPath: string }} params - 命令执行参数。
    * @returns {Promise<void>} 命令执行完成。
    */
   runCommand(text, params) {
-    const args = [
-      '-v',
-      params.voice,
-      '-s',
-      String(params.rate),
-      '--pho',
-      '--phonout',
-      params.phoPath,
-      '-w',
-      params.wavPath,
-      text,
-    ];
+    const args = ['-v', params.voice, '-s', String(params.rate)];
+    if (Number.isFinite(params.pitch)) {
+      args.push('-p', String(params.pitch));
+    }
+    if (params.ssml) {
+      args.push('-m');
+    }
+    args.push('--pho', '--phonout', params.phoPath, '-w', params.wavPath, text);
     return new Promise((resolve, reject) => {
       const child = spawn(this.command, args, { stdio: 'ignore' });
       child.on('error', (error) => {
@@ -132,9 +221,10 @@ export class EspeakAdapter {
    * 解析 `.pho` 文件，将音素及时长转换为统一的口型片段。
    * `.pho` 行格式通常为：`phoneme duration pitch1 pitch2 ...`，其中 duration 为 10ms 单位。
    * @param {string} phoPath - `.pho` 文件绝对路径。
+   * @param {VisemeConfig} [visemeConfig] - 本次合成使用的口型映射，缺省时使用默认映射。
    * @returns {Array<{ phoneme: string, durationMs: number, visemeId: number, mouth: number }>} 口型片段数组。
    */
-  parsePho(phoPath) {
+  parsePho(phoPath, visemeConfig = this.visemeConfig) {
     const content = fs.readFileSync(phoPath, 'utf-8');
     const lines = content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
     const segments = [];
@@ -152,8 +242,7 @@ export class EspeakAdapter {
         continue;
       }
       const durationMs = duration10ms * 10;
-      const { visemeId, mouth } = mapPhonemeToViseme(phoneme, this.visemeConfig);
-      segments.push({ phoneme, durationMs, visemeId, mouth });
+      segments.push({ phoneme, durationMs, ...mapPhonemeToViseme(phoneme, visemeConfig) });
     }
     return segments;
   }
@@ -0,0 +1,297 @@
+/**
+ * @file PiperAdapter.js
+ * @description 调用本机安装的 Piper（或参数兼容的神经网络 TTS 命令行）离线合成语音，模型为 `.onnx` 文件及同名 `.onnx.json` 配置。
+ *              命令行在标准输出打印音素时长时据此生成口型时间轴，否则分析合成 WAV 的音量与频段能量兜底。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { countUnmappedPhonemes, mapPhonemeToViseme } from '../mapping.js';
+import { accumulateSegments, ensureTimelineFallback, generateTimeline } from '../utils/timeline.js';
+import { generateWordTimeline, generateWordTimelineFromSegments } from '../utils/wordTimeline.js';
+import { analyzeWavFile } from '../utils/audioEnergy.js';
+
+/**
+ * @typedef {import('../mapping.js').VisemeConfig} VisemeConfig
+ */
+
+/**
+ * @typedef {Object} PiperOptions
+ * @property {string} command - Piper 命令名称或绝对路径，默认 `piper`。
+ * @property {string} model - 默认模型（`.onnx`）路径，可为空（此时使用模型目录中的第一个模型）。
+ * @property {string} modelDir - 模型目录，其中的每个 `.onnx` 模型都作为一个音色，可为空。
+ * @property {number} timeoutMs - 单次合成超时时间（毫秒）。
+ * @property {string} tmpDir - 运行期临时目录。
+ * @property {number} sampleRate - mouth 时间轴采样率（Hz）。
+ * @property {VisemeConfig} visemeConfig - 音素映射配置。
+ */
+
+/**
+ * @typedef {Object} PiperModel
+ * @property {string} id - 音色 ID，即去掉 `.onnx` 的文件名。
+ * @property {string} modelPath - 模型文件绝对路径。
+ * @property {string | null} language - 语言代码，如 `zh-CN`。
+ * @property {string | null} name - 语言或数据集的显示名称。
+ * @property {Record<string, number>} speakers - 多说话人模型的说话人名称到编号的映射。
+ */
+
+/**
+ * `rate` 与 eSpeak NG 一样以 WPM 表示，以 eSpeak 默认的 170 WPM 对应 Piper 的 `length_scale = 1`。
+ */
+const BASELINE_RATE_WPM = 170;
+
+/**
+ * 从命令行标准输出中解析音素时长。每行一个 JSON 对象，形如
+ * `{ "phonemes": [{ "phoneme": "n", "duration": 0.06 }, ...] }`（时长单位为秒），非 JSON 行忽略；
+ * 原版 Piper 只打印输出文件路径，此时返回空数组。
+ * @param {string} stdout - 标准输出。
+ * @returns {Array<{ phoneme: string, durationMs: number }>} 音素及时长。
+ */
+export const parsePhonemeDurations = (stdout) => {
+  const result = [];
+  for (const line of stdout.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) {
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      continue;
+    }
+    if (!Array.isArray(parsed?.phonemes)) {
+      continue;
+    }
+    for (const item of parsed.phonemes) {
+      const duration = Number(item?.duration);
+      if (typeof item?.phoneme === 'string' && Number.isFinite(duration) && duration > 0) {
+        result.push({ phoneme: item.phoneme, durationMs: duration * 1000 });
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * PiperAdapter 封装 Piper 命令行调用、模型发现与口型时间轴生成。
+ */
+export class PiperAdapter {
+  /**
+   * @param {PiperOptions} options - 构造参数。
+   */
+  constructor(options) {
+    this.command = options.command;
+    this.model = options.model;
+    this.modelDir = options.modelDir;
+    this.timeoutMs = options.timeoutMs;
+    this.tmpDir = options.tmpDir;
+    this.sampleRate = options.sampleRate;
+    this.visemeConfig = options.visemeConfig;
+    /** @type {Promise<PiperModel[]> | null} */
+    this.modelsPromise = null;
+  }
+
+  /**
+   * 执行一次语音合成。Piper 不支持 SSML，传入 SSML 时按去除标签后的纯文本合成；`pitch` 被忽略。
+   * @param {string} text - 待合成的文本。
+   * @param {import('../ITtsProvider.js').TtsSynthesizeOptions} [options] - 可选参数，`voice` 为模型 ID 或 `<模型>:<说话人>`。
+   * @returns {Promise<import('../ITtsProvider.js').TtsSynthesizeResult>} 合成结果。
+   */
+  async synthesize(text, options = {}) {
+    if (!text || !text.trim()) {
+      throw new Error('文本不能为空。');
+    }
+    const trimmed = text.trim();
+    const { model, speaker } = await this.resolveVoice(options.voice);
+    const rate = Number(options.rate);
+    const lengthScale =
+      Number.isFinite(rate) && rate > 0 ? Math.min(2, Math.max(0.5, BASELINE_RATE_WPM / rate)) : undefined;
+    const id = randomUUID();
+    const wavPath = path.join(this.tmpDir, `${id}.wav`);
+    const visemeConfig = options.visemeConfig ?? this.visemeConfig;
+
+    const stdout = await this.runCommand(trimmed, { modelPath: model.modelPath, speaker, lengthScale, wavPath });
+
+    const phonemes = parsePhonemeDurations(stdout);
+    if (phonemes.length > 0) {
+      const segments = phonemes.map(({ phoneme, durationMs }) => ({
+        phoneme,
+        durationMs,
+        ...mapPhonemeToViseme(phoneme, visemeConfig),
+      }));
+      const { cumulative, totalDuration } = accumulateSegments(segments);
+      return {
+        id,
+        audioPath: wavPath,
+        audioType: 'audio/wav',
+        mouthTimeline: ensureTimelineFallback(
+          generateTimeline(cumulative, totalDuration, this.sampleRate, visemeConfig.coarticulation),
+        ),
+        wordTimeline: generateWordTimelineFromSegments(trimmed, cumulative),
+        duration: totalDuration,
+        unmappedPhonemes: countUnmappedPhonemes(phonemes.map((item) => item.phoneme), visemeConfig),
+      };
+    }
+
+    const { mouthTimeline, duration } = await analyzeWavFile(wavPath, this.sampleRate, visemeConfig);
+    return {
+      id,
+      audioPath: wavPath,
+      audioType: 'audio/wav',
+      mouthTimeline: ensureTimelineFallback(mouthTimeline),
+      wordTimeline: generateWordTimeline(trimmed, duration),
+      duration,
+    };
+  }
+
+  /**
+   * 列出可用音色：每个模型一个音色，多说话人模型额外为每个说话人列出 `<模型>:<说话人>`。
+   * Piper 模型配置不提供性别，`gender` 固定为 null。
+   * @returns {Promise<import('../ITtsProvider.js').TtsVoice[]>} 音色列表。
+   */
+  async listVoices() {
+    const models = await this.loadModels();
+    /** @type {import('../ITtsProvider.js').TtsVoice[]} */
+    const voices = [];
+    for (const model of models) {
+      const name = model.name ? `${model.name}（${model.id}）` : model.id;
+      voices.push({ id: model.id, name, language: model.language, gender: null, provider: 'piper' });
+      for (const speaker of Object.keys(model.speakers)) {
+        voices.push({
+          id: `${model.id}:${speaker}`,
+          name: `${name} ${speaker}`,
+          language: model.language,
+          gender: null,
+          provider: 'piper',
+        });
+      }
+    }
+    return voices;
+  }
+
+  /**
+   * 根据 `voice` 选择模型与说话人，未指定时使用默认模型。
+   * @param {string | undefined} voice - 音色 ID。
+   * @returns {Promise<{ model: PiperModel, speaker: number | undefined }>} 模型与说话人编号。
+   */
+  async resolveVoice(voice) {
+    const models = await this.loadModels();
+    if (models.length === 0) {
+      throw new Error('未找到 Piper 模型，请检查 PIPER_MODEL 或 PIPER_MODEL_DIR。');
+    }
+    if (!voice) {
+      const defaultId = this.model ? path.basename(this.model, '.onnx') : '';
+      return { model: models.find((item) => item.id === defaultId) ?? models[0], speaker: undefined };
+    }
+    const separator = voice.indexOf(':');
+    const modelId = separator === -1 ? voice : voice.slice(0, separator);
+    const speakerName = separator === -1 ? '' : voice.slice(separator + 1);
+    const model = models.find((item) => item.id === modelId);
+    if (!model) {
+      throw new Error(`未找到 Piper 音色: ${voice}`);
+    }
+    if (!speakerName) {
+      return { model, speaker: undefined };
+    }
+    const speaker = model.speakers[speakerName] ?? (/^\d+$/.test(speakerName) ? Number(speakerName) : undefined);
+    if (speaker === undefined) {
+      throw new Error(`Piper 模型 ${modelId} 中没有说话人: ${speakerName}`);
+    }
+    return { model, speaker };
+  }
+
+  /**
+   * 扫描默认模型与模型目录，读取同名 `.onnx.json` 中的语言与说话人信息。结果在进程内缓存。
+   * @returns {Promise<PiperModel[]>} 模型列表。
+   */
+  loadModels() {
+    if (!this.modelsPromise) {
+      this.modelsPromise = (async () => {
+        const modelPaths = new Set();
+        if (this.model) {
+          modelPaths.add(this.model);
+        }
+        if (this.modelDir) {
+          const names = await fs.promises.readdir(this.modelDir).catch((error) => {
+            console.warn(`[piper] 无法读取模型目录：${this.modelDir}`, error);
+            return [];
+          });
+          for (const name of names.sort()) {
+            if (name.endsWith('.onnx')) {
+              modelPaths.add(path.join(this.modelDir, name));
+            }
+          }
+        }
+        /** @type {PiperModel[]} */
+        const models = [];
+        for (const modelPath of modelPaths) {
+          let meta = {};
+          try {
+            meta = JSON.parse(await fs.promises.readFile(`${modelPath}.json`, 'utf-8'));
+          } catch (error) {
+            console.warn(`[piper] 缺少或无法解析模型配置：${modelPath}.json`);
+          }
+          const languageCode = typeof meta.language?.code === 'string' ? meta.language.code : meta.espeak?.voice;
+          models.push({
+            id: path.basename(modelPath, '.onnx'),
+            modelPath,
+            language: typeof languageCode === 'string' ? languageCode.replace(/_/g, '-') : null,
+            name: meta.language?.name_native ?? meta.dataset ?? null,
+            speakers: meta.speaker_id_map && typeof meta.speaker_id_map === 'object' ? meta.speaker_id_map : {},
+          });
+        }
+        return models;
+      })();
+    }
+    return this.modelsPromise;
+  }
+
+  /**
+   * 调用 Piper 命令行，文本通过标准输入传入。
+   * @param {string} text - 输入文本。
+   * @param {{ modelPath: string, speaker?: number, lengthScale?: number, wavPath: string }} params - 命令执行参数。
+   * @returns {Promise<string>} 标准输出，可能包含音素时长。
+   */
+  runCommand(text, params) {
+    const args = ['--model', params.modelPath, '--output_file', params.wavPath];
+    if (params.speaker !== undefined) {
+      args.push('--speaker', String(params.speaker));
+    }
+    if (params.lengthScale !== undefined) {
+      args.push('--length_scale', params.lengthScale.toFixed(3));
+    }
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`Piper 合成超时（${this.timeoutMs}ms）`));
+      }, this.timeoutMs);
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+      });
+      child.stderr.on('data', (chunk) => {
+        stderr = `${stderr}${chunk}`.slice(-2000);
+      });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`无法调用 Piper，请确认命令是否安装并在 PATH 中。原始错误：${error.message}`));
+      });
+      child.on('exit', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(stdout);
+        } else {
+          reject(new Error(`Piper 返回非零状态码：${code} ${stderr.trim()}`.trim()));
+        }
+      });
+      // Piper 按行合成，多行输入时输出文件只保留最后一行的音频，因此合并为一行。
+      child.stdin.on('error', () => {});
+      child.stdin.end(`${text.replace(/\s*\r?\n\s*/g, ' ')}\n`);
+    });
+  }
+}
@@ -6,12 +6,30 @@
 
 import fs from 'fs';
 import path from 'path';
+import { SHAPE_CHANNELS } from './utils/timeline.js';
+
+/**
+ * @typedef {Object} VisemeShape
+ * @property {number} jawOpen - 下颌张开程度（0-1），缺省时取 `visemeToMouth` 的值。
+ * @property {number} lipWidth - 嘴唇横向宽度（0-1），0.5 为自然宽度，越大越扁（如 /i/）。
+ * @property {number} lipRound - 圆唇程度（0-1），越大嘴唇越向前收拢（如 /u/）。
+ * @property {number} teethVisible - 牙齿露出程度（0-1）。
+ */
 
 /**
  * @typedef {Object} VisemeConfig
  * @property {Record<string, number>} phonemeToViseme - 音素到口型编号的映射表。
  * @property {Record<string, number>} visemeToMouth - 口型编号到张嘴幅度（0-1）的映射。
+ * @property {Record<string, Partial<VisemeShape>>} [visemeShapes] - 口型编号到多通道口型的映射，缺失的通道按 {@link resolveVisemeShape} 补全。
  * @property {Record<string, { description: string }>} [visemeMeta] - 口型额外描述，便于文档化。
+ * @property {Record<string, string>} [azureVisemes] - Azure viseme ID（0-21）到代表音素的映射，再经 `phonemeToViseme` 得到口型编号。
+ * @property {import('./utils/timeline.js').CoarticulationConfig} [coarticulation] - 协同发音参数，缺省时时间轴为阶跃采样。
+ */
+
+/**
+ * @typedef {Object} VisemeConfigIssue
+ * @property {string} path - 出错字段的路径，如 `visemeToMouth.3`、`coarticulation.closureVisemes[1]`。
+ * @property {string} message - 错误说明。
  */
 
 /**
@@ -36,6 +54,9 @@ export const DEFAULT_VISEME_CONFIG = {
     // 半开类：唇齿音、舌尖音。
     f: 1,
     v: 1,
+    // 齿间音：舌尖抵在上下齿之间，露齿程度与唇齿音接近。
+    '\u03b8': 1,
+    '\u00f0': 1,
     'f\u02bc': 1,
     'f\u02b0': 1,
     'v\u02bc': 1,
@@ -59,6 +80,10 @@ export const DEFAULT_VISEME_CONFIG = {
     'zh\u02bc': 3,
     'ch\u02bc': 3,
     'sh\u02bc': 3,
+    // 软腭音与喉音：唇形不受约束，保持中度张口。
+    k: 4,
+    g: 4,
+    h: 4,
     // 中度张口：央元音或开口度适中元音。
     e: 4,
     '\u0259': 4,
@@ -84,6 +109,8 @@ export const DEFAULT_VISEME_CONFIG = {
     '\u0272': 6,
     '\u014b': 5,
     'er': 3,
+    // 停顿：eSpeak 将标点与 SSML `<break>` 输出为 `_`，保持闭口让停顿在时间轴上可见。
+    _: 0,
     // 默认兜底：未知音素统一归为轻微张口，避免时间轴断裂。
     default: 2,
   },
@@ -99,9 +126,22 @@ export const DEFAULT_VISEME_CONFIG = {
     8: 0.92,
     9: 0.62,
   },
+  // jawOpen 未列出时与 visemeToMouth 一致；lipWidth 0.5 为自然宽度。
+  visemeShapes: {
+    0: { lipWidth: 0.5, lipRound: 0.1, teethVisible: 0 },
+    1: { lipWidth: 0.55, lipRound: 0, teethVisible: 0.9 },
+    2: { lipWidth: 0.6, lipRound: 0, teethVisible: 0.8 },
+    3: { lipWidth: 0.4, lipRound: 0.5, teethVisible: 0.5 },
+    4: { lipWidth: 0.55, lipRound: 0.1, teethVisible: 0.4 },
+    5: { lipWidth: 0.3, lipRound: 0.8, teethVisible: 0.2 },
+    6: { lipWidth: 0.9, lipRound: 0, teethVisible: 0.7 },
+    7: { lipWidth: 0.75, lipRound: 0, teethVisible: 0.5 },
+    8: { lipWidth: 0.6, lipRound: 0.05, teethVisible: 0.3 },
+    9: { lipWidth: 0.2, lipRound: 1, teethVisible: 0 },
+  },
   visemeMeta: {
     0: { description: '闭唇 /p b m/' },
-    1: { description: '唇齿半开 /f v/' },
+    1: { description: '唇齿或齿间 /f v θ ð/' },
     2: { description: '齿龈轻触 /t d s z/' },
     3: { description: '卷舌或儿化 /r ɚ/' },
     4: { description: '中开央元音 /ə e/' },
@@ -111,27 +151,315 @@ export const DEFAULT_VISEME_CONFIG = {
     8: { description: '最大开口 /a ɑ/' },
     9: { description: '圆唇高元音 /u ʊ/' },
   },
+  // Azure 的 22 个 viseme ID 到代表音素的对照（见 Azure 文档“Viseme ID 与 IPA 对照”）。
+  azureVisemes: {
+    0: '_', // 静音
+    1: '\u0259', // æ ə ʌ
+    2: '\u0251', // ɑ
+    3: '\u0254', // ɔ
+    4: 'e', // ɛ ʊ
+    5: 'er', // ɝ
+    6: 'i', // j i ɪ
+    7: 'u', // w u
+    8: 'o', // o
+    9: 'a', // aʊ
+    10: '\u0254', // ɔɪ
+    11: 'a', // aɪ
+    12: 'h', // h
+    13: 'r', // ɹ
+    14: 'l', // l
+    15: 's', // s z
+    16: 'sh', // ʃ tʃ dʒ ʒ
+    17: '\u00f0', // ð
+    18: 'f', // f v
+    19: 't', // d t n θ
+    20: 'k', // k g ŋ
+    21: 'p', // p b m
+  },
+  coarticulation: {
+    enabled: true,
+    attackMs: 30,
+    releaseMs: 40,
+    // 双唇闭合与圆唇口型最稳定；齿龈音、卷舌音的唇形主要由相邻元音决定。
+    dominance: {
+      0: 1,
+      1: 0.8,
+      2: 0.4,
+      3: 0.5,
+      4: 0.6,
+      5: 0.7,
+      6: 0.6,
+      7: 0.7,
+      8: 0.8,
+      9: 0.8,
+    },
+    defaultDominance: 0.5,
+    closureVisemes: [0],
+    minClosureMs: 30,
+  },
+};
+
+/** 配置中未描述的口型使用的中性唇形。 */
+const NEUTRAL_SHAPE = { lipWidth: 0.5, lipRound: 0, teethVisible: 0 };
+
+/**
+ * 读取 0-1 范围的通道值，非法值使用回退值。
+ * @param {unknown} value - 原始值。
+ * @param {number} fallback - 回退值。
+ * @returns {number} 通道值。
+ */
+const toChannel = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? Math.min(1, Math.max(0, num)) : fallback;
+};
+
+/**
+ * 查找口型编号对应的完整多通道口型：`jawOpen` 缺省时取张嘴幅度，其余通道缺省时取中性唇形。
+ * @param {number} visemeId - 口型编号。
+ * @param {number} mouth - 该口型的张嘴幅度。
+ * @param {VisemeConfig} config - 当前使用的映射配置。
+ * @returns {VisemeShape} 多通道口型。
+ */
+export const resolveVisemeShape = (visemeId, mouth, config) => {
+  const shape = config.visemeShapes?.[String(visemeId)] ?? {};
+  return {
+    jawOpen: toChannel(shape.jawOpen, toChannel(mouth, 0.3)),
+    lipWidth: toChannel(shape.lipWidth, NEUTRAL_SHAPE.lipWidth),
+    lipRound: toChannel(shape.lipRound, NEUTRAL_SHAPE.lipRound),
+    teethVisible: toChannel(shape.teethVisible, NEUTRAL_SHAPE.teethVisible),
+  };
+};
+
+/**
+ * 判断音素是否有显式映射，没有时 {@link mapPhonemeToViseme} 会使用 `default` 兜底。
+ * @param {string} phoneme - 音素字符串。
+ * @param {VisemeConfig} config - 当前使用的映射配置。
+ * @returns {boolean} 是否有显式映射。
+ */
+export const isPhonemeMapped = (phoneme, config) => {
+  return Object.prototype.hasOwnProperty.call(config.phonemeToViseme, phoneme.trim());
+};
+
+/**
+ * 统计一次合成中没有显式映射、落到 `default` 的音素及其出现次数，供服务端汇总后调整映射。
+ * @param {string[]} phonemes - 按出现顺序排列的音素。
+ * @param {VisemeConfig} config - 当前使用的映射配置。
+ * @returns {Record<string, number>} 音素到出现次数的映射，全部有映射时为空对象。
+ */
+export const countUnmappedPhonemes = (phonemes, config) => {
+  /** @type {Record<string, number>} */
+  const counts = {};
+  for (const phoneme of phonemes) {
+    const normalized = phoneme.trim();
+    if (normalized && !isPhonemeMapped(normalized, config)) {
+      counts[normalized] = (counts[normalized] ?? 0) + 1;
+    }
+  }
+  return counts;
 };
 
 /**
  * 根据音素查找口型编号。
  * @param {string} phoneme - eSpeak `.pho` 行中的音素字符串。
  * @param {VisemeConfig} config - 当前使用的映射配置。
- * @returns {{ visemeId: number, mouth: number }} 口型编号及对应张嘴幅度。
+ * @returns {{ visemeId: number, mouth: number, shape: VisemeShape }} 口型编号、对应张嘴幅度与多通道口型。
  */
 export const mapPhonemeToViseme = (phoneme, config) => {
   const normalized = phoneme.trim();
   const { phonemeToViseme, visemeToMouth } = config;
-  const visemeId = Object.prototype.hasOwnProperty.call(phonemeToViseme, normalized)
-    ? phonemeToViseme[normalized]
-    : phonemeToViseme.default;
+  const visemeId = isPhonemeMapped(normalized, config) ? phonemeToViseme[normalized] : phonemeToViseme.default;
   const mouth = visemeToMouth[String(visemeId)] ?? visemeToMouth[visemeId] ?? 0.3;
-  return { visemeId: Number(visemeId), mouth };
+  return { visemeId: Number(visemeId), mouth, shape: resolveVisemeShape(visemeId, mouth, config) };
+};
+
+/**
+ * 合并口型形状表：同一口型编号按通道覆盖，只写了 `lipRound` 的自定义配置仍保留默认的其余通道。
+ * @param {Record<string, Partial<VisemeShape>>|undefined} base - 默认形状表。
+ * @param {Record<string, Partial<VisemeShape>>|undefined} override - 自定义形状表。
+ * @returns {Record<string, Partial<VisemeShape>>} 合并结果。
+ */
+const mergeVisemeShapes = (base = {}, override = {}) => {
+  const merged = { ...base };
+  for (const [visemeId, shape] of Object.entries(override)) {
+    // 非对象的取值原样保留，由校验报告为类型错误，避免字符串被展开成逐字符的通道。
+    merged[visemeId] = isPlainObject(shape) ? { ...(base[visemeId] || {}), ...shape } : shape;
+  }
+  return merged;
+};
+
+/**
+ * 将自定义映射叠加到基础配置上：映射表按键覆盖，多通道口型按通道覆盖，协同发音参数与其中的 `dominance` 逐项覆盖。
+ * @param {VisemeConfig} base - 基础配置。
+ * @param {Partial<VisemeConfig>} override - 自定义映射，缺失的字段沿用基础配置。
+ * @returns {VisemeConfig} 合并后的配置。
+ */
+export const mergeVisemeConfig = (base, override) => ({
+  phonemeToViseme: { ...base.phonemeToViseme, ...(override.phonemeToViseme || {}) },
+  visemeToMouth: { ...base.visemeToMouth, ...(override.visemeToMouth || {}) },
+  visemeShapes: mergeVisemeShapes(base.visemeShapes, override.visemeShapes),
+  visemeMeta: { ...base.visemeMeta, ...(override.visemeMeta || {}) },
+  azureVisemes: { ...base.azureVisemes, ...(override.azureVisemes || {}) },
+  coarticulation: {
+    ...base.coarticulation,
+    ...(override.coarticulation || {}),
+    dominance: { ...base.coarticulation?.dominance, ...(override.coarticulation?.dominance || {}) },
+  },
+});
+
+/** 映射文件中可以出现的映射字段，档案文件另有 `description`、`languages`。 */
+const CONFIG_SECTIONS = ['phonemeToViseme', 'visemeToMouth', 'visemeShapes', 'visemeMeta', 'azureVisemes', 'coarticulation'];
+/** 必须有映射的音素：`default` 为未知音素的兜底，`_` 为停顿。 */
+const REQUIRED_PHONEMES = ['default', '_'];
+
+/**
+ * @param {unknown} value - 任意值。
+ * @returns {value is Record<string, any>} 是否为普通对象（数组与 null 除外）。
+ */
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {unknown} value - 任意值。
+ * @returns {boolean} 是否为 0-1 之间的有限数值。
+ */
+const isUnitInterval = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * 校验口型映射文件：先检查各字段的类型，再把文件叠加到基础配置上，检查合并结果中的取值范围与口型编号引用。
+ * 口型类别由 `visemeToMouth` 的键定义，其余字段引用未定义的口型编号、缺少 `default` 或 `_` 的映射、
+ * mouth 值与多通道口型超出 0-1 都会逐条报告，路径指向出错的字段。
+ * @param {unknown} raw - 解析后的 JSON。
+ * @param {VisemeConfig} base - 基础配置。
+ * @returns {VisemeConfigIssue[]} 错误列表，为空表示校验通过。
+ */
+export const validateVisemeConfig = (raw, base) => {
+  if (!isPlainObject(raw)) {
+    return [{ path: '', message: '映射文件必须是 JSON 对象。' }];
+  }
+  /** @type {VisemeConfigIssue[]} */
+  const issues = [];
+  for (const section of CONFIG_SECTIONS) {
+    if (raw[section] !== undefined && !isPlainObject(raw[section])) {
+      issues.push({ path: section, message: '必须是对象。' });
+    }
+  }
+  if (issues.length > 0) {
+    return issues;
+  }
+
+  const config = mergeVisemeConfig(base, raw);
+  const visemeIds = new Set();
+  for (const [key, mouth] of Object.entries(config.visemeToMouth)) {
+    if (!/^\d+$/.test(key)) {
+      issues.push({ path: `visemeToMouth.${key}`, message: '口型编号必须是非负整数。' });
+      continue;
+    }
+    visemeIds.add(key);
+    if (!isUnitInterval(mouth)) {
+      issues.push({ path: `visemeToMouth.${key}`, message: `mouth 值 ${JSON.stringify(mouth)} 超出 0-1 范围。` });
+    }
+  }
+  /**
+   * 检查口型编号是否已在 `visemeToMouth` 中定义。
+   * @param {string} fieldPath - 字段路径。
+   * @param {unknown} visemeId - 口型编号。
+   */
+  const checkVisemeId = (fieldPath, visemeId) => {
+    if ((typeof visemeId !== 'number' && typeof visemeId !== 'string') || !/^\d+$/.test(String(visemeId))) {
+      issues.push({ path: fieldPath, message: `口型编号 ${JSON.stringify(visemeId)} 必须是非负整数。` });
+    } else if (!visemeIds.has(String(visemeId))) {
+      issues.push({ path: fieldPath, message: `口型编号 ${visemeId} 未在 visemeToMouth 中定义。` });
+    }
+  };
+
+  for (const [phoneme, visemeId] of Object.entries(config.phonemeToViseme)) {
+    checkVisemeId(`phonemeToViseme.${phoneme}`, visemeId);
+  }
+  for (const phoneme of REQUIRED_PHONEMES) {
+    if (!Object.prototype.hasOwnProperty.call(config.phonemeToViseme, phoneme)) {
+      issues.push({ path: `phonemeToViseme.${phoneme}`, message: `缺少音素 ${phoneme} 的映射。` });
+    }
+  }
+  for (const [visemeId, shape] of Object.entries(config.visemeShapes ?? {})) {
+    checkVisemeId(`visemeShapes.${visemeId}`, visemeId);
+    if (!isPlainObject(shape)) {
+      issues.push({ path: `visemeShapes.${visemeId}`, message: '必须是对象。' });
+      continue;
+    }
+    for (const [channel, value] of Object.entries(shape)) {
+      if (!SHAPE_CHANNELS.includes(channel)) {
+        issues.push({ path: `visemeShapes.${visemeId}.${channel}`, message: `未知通道，可选 ${SHAPE_CHANNELS.join('、')}。` });
+      } else if (!isUnitInterval(value)) {
+        issues.push({
+          path: `visemeShapes.${visemeId}.${channel}`,
+          message: `通道值 ${JSON.stringify(value)} 超出 0-1 范围。`,
+        });
+      }
+    }
+  }
+  for (const [visemeId, meta] of Object.entries(config.visemeMeta ?? {})) {
+    checkVisemeId(`visemeMeta.${visemeId}`, visemeId);
+    if (!isPlainObject(meta) || typeof meta.description !== 'string') {
+      issues.push({ path: `visemeMeta.${visemeId}`, message: '必须是包含 description 字符串的对象。' });
+    }
+  }
+  for (const [azureId, phoneme] of Object.entries(config.azureVisemes ?? {})) {
+    if (!/^\d+$/.test(azureId)) {
+      issues.push({ path: `azureVisemes.${azureId}`, message: 'Azure viseme ID 必须是非负整数。' });
+    } else if (typeof phoneme !== 'string' || !phoneme.trim()) {
+      issues.push({ path: `azureVisemes.${azureId}`, message: '必须是音素字符串。' });
+    } else if (!isPhonemeMapped(phoneme, config)) {
+      issues.push({
+        path: `azureVisemes.${azureId}`,
+        message: `音素 ${phoneme} 未在 phonemeToViseme 中映射，会按 default 兜底。`,
+      });
+    }
+  }
+
+  const coarticulation = config.coarticulation ?? {};
+  if (coarticulation.enabled !== undefined && typeof coarticulation.enabled !== 'boolean') {
+    issues.push({ path: 'coarticulation.enabled', message: '必须是布尔值。' });
+  }
+  for (const key of ['attackMs', 'releaseMs', 'minClosureMs']) {
+    const value = coarticulation[key];
+    if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+      issues.push({ path: `coarticulation.${key}`, message: `${JSON.stringify(value)} 必须是非负数（毫秒）。` });
+    }
+  }
+  if (coarticulation.defaultDominance !== undefined && !isUnitInterval(coarticulation.defaultDominance)) {
+    issues.push({
+      path: 'coarticulation.defaultDominance',
+      message: `${JSON.stringify(coarticulation.defaultDominance)} 超出 0-1 范围。`,
+    });
+  }
+  for (const [visemeId, value] of Object.entries(coarticulation.dominance ?? {})) {
+    checkVisemeId(`coarticulation.dominance.${visemeId}`, visemeId);
+    if (!isUnitInterval(value)) {
+      issues.push({ path: `coarticulation.dominance.${visemeId}`, message: `${JSON.stringify(value)} 超出 0-1 范围。` });
+    }
+  }
+  if (coarticulation.closureVisemes !== undefined) {
+    if (Array.isArray(coarticulation.closureVisemes)) {
+      coarticulation.closureVisemes.forEach((visemeId, index) =>
+        checkVisemeId(`coarticulation.closureVisemes[${index}]`, visemeId),
+      );
+    } else {
+      issues.push({ path: 'coarticulation.closureVisemes', message: '必须是口型编号数组。' });
+    }
+  }
+  return issues;
 };
 
+/**
+ * 把校验错误格式化为多行文本，用于日志。
+ * @param {VisemeConfigIssue[]} issues - 错误列表。
+ * @returns {string} 每条错误一行，形如 `  - visemeToMouth.3: mouth 值 1.4 超出 0-1 范围。`。
+ */
+export const formatVisemeIssues = (issues) =>
+  issues.map((issue) => `  - ${issue.path || '(根)'}: ${issue.message}`).join('\n');
+
 /**
  * 从 JSON 文件加载自定义口型映射。文件需包含 `phonemeToViseme` 与 `visemeToMouth` 两个字段。
- * 若路径为空或解析失败，将返回 fallback 配置。
+ * 若路径为空、解析失败或未通过 {@link validateVisemeConfig} 校验，将逐条打印错误并返回 fallback 配置。
  * @param {string|undefined} filePath - JSON 文件路径，可以是相对路径。
  * @param {VisemeConfig} fallback - 默认配置。
  * @returns {VisemeConfig} 合并后的配置。
@@ -140,19 +468,20 @@ export const loadVisemeConfig = (filePath, fallback) => {
   if (!filePath) {
     return fallback;
   }
+  let parsed;
   try {
     const absolute = path.resolve(process.cwd(), filePath);
-    const content = fs.readFileSync(absolute, 'utf-8');
-    const parsed = JSON.parse(content);
-    return {
-      phonemeToViseme: { ...fallback.phonemeToViseme, ...(parsed.phonemeToViseme || {}) },
-      visemeToMouth: { ...fallback.visemeToMouth, ...(parsed.visemeToMouth || {}) },
-      visemeMeta: { ...fallback.visemeMeta, ...(parsed.visemeMeta || {}) },
-    };
+    parsed = JSON.parse(fs.readFileSync(absolute, 'utf-8'));
   } catch (error) {
     // eslint-disable-next-line no-console -- 配置解析失败时打印提醒即可
     console.warn('[stickbot] 自定义口型映射解析失败，使用默认配置。', error);
     return fallback;
   }
+  const issues = validateVisemeConfig(parsed, fallback);
+  if (issues.length > 0) {
+    // eslint-disable-next-line no-console -- 同上
+    console.warn(`[stickbot] 自定义口型映射 ${filePath} 校验失败，使用默认配置：\n${formatVisemeIssues(issues)}`);
+    return fallback;
+  }
+  return mergeVisemeConfig(fallback, parsed);
 };
-
@@ -5,6 +5,7 @@
 
 import { EspeakAdapter } from './adapters/EspeakAdapter.js';
 import { AzureAdapter } from './adapters/AzureAdapter.js';
+import { PiperAdapter } from './adapters/PiperAdapter.js';
 
 /**
  * @typedef {import('./ITtsProvider.js').ITtsProvider} ITtsProvider
@@ -32,7 +33,21 @@ export const createProviders = (config) => {
     providers.azure = new AzureAdapter({
       region: config.azure.region,
       key: config.azure.key,
+      voice: config.azure.voice,
       tmpDir: config.tmpDir,
+      sampleRate: config.sampleRate,
+      visemeConfig: config.visemeConfig,
+    });
+  }
+
+  if (config.piper.model || config.piper.modelDir) {
+    providers.piper = new PiperAdapter({
+      command: config.piper.command,
+      model: config.piper.model,
+      modelDir: config.piper.modelDir,
+      timeoutMs: config.piper.timeoutMs,
+      tmpDir: config.tmpDir,
+      sampleRate: config.sampleRate,
       visemeConfig: config.visemeConfig,
     });
   }
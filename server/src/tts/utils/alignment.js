@@ -0,0 +1,216 @@
+/**
+ * @file alignment.js
+ * @description 录音与文稿的强制对齐：先用本地 TTS 朗读文稿得到带音素时长的参考音频，
+ *              再以动态时间规整（DTW）对齐两段音频的能量特征，把参考音频的口型与逐词时间映射到录音的时间轴上。
+ *              没有文稿或参考音频时，退回纯能量分析与按字数均分的逐词时间轴。
+ */
+
+import { mapPhonemeToViseme } from '../mapping.js';
+import { computeEnergyEnvelope, generateEnergyTimeline } from './audioEnergy.js';
+import { mixVisemeShapes } from './timeline.js';
+import { generateWordTimeline } from './wordTimeline.js';
+
+/**
+ * @typedef {import('../mapping.js').VisemeConfig} VisemeConfig
+ * @typedef {import('./timeline.js').MouthKeyframe} MouthKeyframe
+ * @typedef {import('./audioEnergy.js').PcmAudio} PcmAudio
+ * @typedef {import('./audioEnergy.js').EnergyFrame} EnergyFrame
+ */
+
+/**
+ * @typedef {Object} LipsyncReference
+ * @property {PcmAudio} audio - 参考音频（TTS 朗读文稿的结果）。
+ * @property {MouthKeyframe[]} mouthTimeline - 参考音频的口型时间轴。
+ * @property {{ tStart: number, tEnd: number, text: string }[]} wordTimeline - 参考音频的逐词时间轴。
+ */
+
+/**
+ * @typedef {Object} LipsyncResult
+ * @property {MouthKeyframe[]} mouthTimeline - 录音的口型时间轴。
+ * @property {{ tStart: number, tEnd: number, text: string }[]} wordTimeline - 录音的逐词时间轴，无文稿时为空数组。
+ * @property {number} duration - 录音时长（秒）。
+ * @property {'dtw' | 'energy'} alignment - 使用的方法。
+ */
+
+/** DTW 使用的帧率（Hz）。低于口型采样率以控制计算量，120 秒录音约 3000 帧。 */
+const ALIGN_FRAME_RATE = 25;
+/** DTW 搜索带宽占较长序列的比例，限制语速差异并把内存控制在线性级别。 */
+const BAND_RATIO = 0.15;
+
+/**
+ * 把能量帧转为对齐特征：音量、低频占比与对数刻度的 RMS 频率，三者大致落在 0-1。
+ * @param {EnergyFrame[]} frames - 能量帧。
+ * @returns {Float64Array[]} 特征向量。
+ */
+const toFeatures = (frames) =>
+  frames.map(
+    (frame) =>
+      new Float64Array([frame.level, frame.low, Math.min(1, Math.log2(1 + frame.brightnessHz / 100) / 6)]),
+  );
+
+/**
+ * 两帧特征的距离，音量差异权重最高，用于对齐停顿与重音。
+ * @param {Float64Array} a - 特征。
+ * @param {Float64Array} b - 特征。
+ * @returns {number} 距离。
+ */
+const frameDistance = (a, b) => 2 * Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]);
+
+/**
+ * 带 Sakoe-Chiba 约束的 DTW，返回录音每帧对应的参考帧位置及其反向映射（取路径上的平均值，单调不减）。
+ * @param {Float64Array[]} reference - 参考特征。
+ * @param {Float64Array[]} recording - 录音特征。
+ * @returns {{ recToRef: Float64Array, refToRec: Float64Array } | null} 帧映射，任一序列为空时为 null。
+ */
+export const alignByDtw = (reference, recording) => {
+  const n = reference.length;
+  const m = recording.length;
+  if (n === 0 || m === 0) {
+    return null;
+  }
+  const band = Math.max(10, Math.ceil(BAND_RATIO * Math.max(n, m)));
+  const width = 2 * band + 3;
+  const bounds = new Int32Array(m * 2);
+  // 方向：0 对角线，1 参考前进一帧，2 录音前进一帧。
+  const steps = new Uint8Array(m * width);
+  let previous = new Float64Array(n).fill(Infinity);
+  let current = new Float64Array(n).fill(Infinity);
+  for (let j = 0; j < m; j += 1) {
+    const center = m > 1 ? (j * (n - 1)) / (m - 1) : 0;
+    const lo = Math.max(0, Math.floor(center - band));
+    const hi = Math.min(n - 1, Math.ceil(center + band));
+    bounds[j * 2] = lo;
+    bounds[j * 2 + 1] = hi;
+    current.fill(Infinity);
+    for (let i = lo; i <= hi; i += 1) {
+      const distance = frameDistance(reference[i], recording[j]);
+      if (i === 0 && j === 0) {
+        current[i] = distance;
+        continue;
+      }
+      let best = Infinity;
+      let step = 0;
+      if (i > 0 && j > 0 && previous[i - 1] < best) {
+        best = previous[i - 1];
+        step = 0;
+      }
+      if (i > 0 && current[i - 1] < best) {
+        best = current[i - 1];
+        step = 1;
+      }
+      if (j > 0 && previous[i] < best) {
+        best = previous[i];
+        step = 2;
+      }
+      current[i] = distance + best;
+      steps[j * width + (i - lo)] = step;
+    }
+    [previous, current] = [current, previous];
+  }
+
+  const refSum = new Float64Array(n);
+  const refCount = new Uint32Array(n);
+  const recSum = new Float64Array(m);
+  const recCount = new Uint32Array(m);
+  let i = n - 1;
+  let j = m - 1;
+  while (i >= 0 && j >= 0) {
+    recSum[j] += i;
+    recCount[j] += 1;
+    refSum[i] += j;
+    refCount[i] += 1;
+    if (i === 0 && j === 0) {
+      break;
+    }
+    const lo = bounds[j * 2];
+    const step = i === 0 ? 2 : j === 0 ? 1 : steps[j * width + (i - lo)];
+    if (step !== 2) {
+      i -= 1;
+    }
+    if (step !== 1) {
+      j -= 1;
+    }
+  }
+  const recToRef = new Float64Array(m);
+  const refToRec = new Float64Array(n);
+  for (let k = 0; k < m; k += 1) {
+    recToRef[k] = recCount[k] > 0 ? recSum[k] / recCount[k] : k > 0 ? recToRef[k - 1] : 0;
+  }
+  for (let k = 0; k < n; k += 1) {
+    refToRec[k] = refCount[k] > 0 ? refSum[k] / refCount[k] : k > 0 ? refToRec[k - 1] : 0;
+  }
+  return { recToRef, refToRec };
+};
+
+/**
+ * 按帧映射换算时间，帧间线性插值。
+ * @param {Float64Array} map - 帧映射。
+ * @param {number} seconds - 源时间（秒）。
+ * @returns {number} 目标时间（秒）。
+ */
+const warpTime = (map, seconds) => {
+  const position = Math.min(map.length - 1, Math.max(0, seconds * ALIGN_FRAME_RATE));
+  const index = Math.floor(position);
+  const next = Math.min(map.length - 1, index + 1);
+  const value = map[index] + (map[next] - map[index]) * (position - index);
+  return value / ALIGN_FRAME_RATE;
+};
+
+/**
+ * 为录音生成口型与逐词时间轴。提供参考音频时：录音静音帧保持闭口，其余帧取对齐后参考音频的口型，
+ * mouth 值与多通道口型随录音音量缩放；参考音频在该处为停顿时使用能量分析结果。逐词时间按对齐结果映射到录音上。
+ * @param {{ recording: PcmAudio, transcript?: string, reference?: LipsyncReference | null, sampleRate: number, visemeConfig: VisemeConfig }} params - 录音、文稿与参考音频。
+ * @returns {LipsyncResult} 时间轴。
+ */
+export const buildLipsyncTimeline = ({ recording, transcript, reference, sampleRate, visemeConfig }) => {
+  const duration = recording.duration;
+  const energyTimeline = generateEnergyTimeline(recording, sampleRate, visemeConfig);
+  const text = transcript ? transcript.trim() : '';
+  const mapping =
+    text && reference && reference.mouthTimeline.length > 0
+      ? alignByDtw(
+          toFeatures(computeEnergyEnvelope(reference.audio, ALIGN_FRAME_RATE)),
+          toFeatures(computeEnergyEnvelope(recording, ALIGN_FRAME_RATE)),
+        )
+      : null;
+  if (!reference || !mapping) {
+    return {
+      mouthTimeline: energyTimeline,
+      wordTimeline: text ? generateWordTimeline(text, duration) : [],
+      duration,
+      alignment: 'energy',
+    };
+  }
+
+  const closed = mapPhonemeToViseme('_', visemeConfig);
+  const envelope = computeEnergyEnvelope(recording, sampleRate);
+  const referenceFrames = reference.mouthTimeline;
+  const referenceStep = referenceFrames.length > 1 ? referenceFrames[1].t - referenceFrames[0].t : 1 / sampleRate;
+  const mouthTimeline = energyTimeline.map((frame, index) => {
+    if (frame.phoneme === 'sil') {
+      return frame;
+    }
+    const referenceTime = warpTime(mapping.recToRef, frame.t);
+    const source =
+      referenceFrames[Math.min(referenceFrames.length - 1, Math.max(0, Math.round(referenceTime / referenceStep)))];
+    if (!source || source.visemeId === closed.visemeId) {
+      return frame;
+    }
+    const level = envelope[index]?.level ?? 1;
+    const ratio = Math.min(1, level / 0.8);
+    const v = closed.mouth + (source.v - closed.mouth) * ratio;
+    return {
+      t: frame.t,
+      v,
+      visemeId: source.visemeId,
+      phoneme: source.phoneme,
+      ...(source.shape ? { shape: mixVisemeShapes(closed.shape, source.shape, ratio) } : {}),
+    };
+  });
+  const wordTimeline = reference.wordTimeline.map((word) => ({
+    text: word.text,
+    tStart: Math.min(duration, warpTime(mapping.refToRec, word.tStart)),
+    tEnd: Math.min(duration, warpTime(mapping.refToRec, word.tEnd)),
+  }));
+  return { mouthTimeline, wordTimeline, duration, alignment: 'dtw' };
+};
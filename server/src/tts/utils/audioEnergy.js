@@ -0,0 +1,242 @@
+/**
+ * @file audioEnergy.js
+ * @description 从 WAV 音频推算 mouth 时间轴，供不输出音素或 viseme 的 provider（以及预先录制的音频）使用。
+ *              按 `config.sampleRate` 逐帧计算 RMS 音量与低/高频段能量占比，音量决定张嘴幅度，频段特征粗分口型类别。
+ */
+
+import fs from 'fs';
+import { mapPhonemeToViseme } from '../mapping.js';
+import { ensureTimelineFallback, mixVisemeShapes } from './timeline.js';
+
+/**
+ * @typedef {import('../mapping.js').VisemeConfig} VisemeConfig
+ * @typedef {import('./timeline.js').MouthKeyframe} MouthKeyframe
+ */
+
+/**
+ * @typedef {Object} PcmAudio
+ * @property {number} sampleRate - 采样率（Hz）。
+ * @property {Float32Array} samples - 混为单声道后的样本，取值 -1~1。
+ * @property {number} duration - 时长（秒）。
+ */
+
+/** 低于该相对音量的帧视为静音，保持闭口。 */
+const SILENCE_THRESHOLD = 0.08;
+
+/**
+ * 解析 PCM WAV（8/16/24/32 位整数或 32 位浮点），多声道取平均值。
+ * @param {Buffer} buffer - WAV 文件内容。
+ * @returns {PcmAudio} 解码后的音频。
+ */
+export const decodeWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('不是有效的 WAV 文件。');
+  }
+  let offset = 12;
+  let format = null;
+  let data = null;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      const tag = buffer.readUInt16LE(body);
+      format = {
+        // WAVE_FORMAT_EXTENSIBLE（0xFFFE）的实际编码位于子格式 GUID 的前两个字节。
+        audioFormat: tag === 0xfffe && size >= 26 ? buffer.readUInt16LE(body + 24) : tag,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      // 流式写出的 WAV 可能把 data 长度写成 0 或 0xFFFFFFFF，以实际文件长度为准。
+      const end = size > 0 && body + size <= buffer.length ? body + size : buffer.length;
+      data = buffer.subarray(body, end);
+      break;
+    }
+    offset = body + size + (size % 2);
+  }
+  if (!format || !data) {
+    throw new Error('WAV 文件缺少 fmt 或 data 块。');
+  }
+  // 1 为整数 PCM，3 为 IEEE 浮点。
+  const isFloat = format.audioFormat === 3;
+  const supported = isFloat ? format.bitsPerSample === 32 : format.audioFormat === 1 && [8, 16, 24, 32].includes(format.bitsPerSample);
+  if (!supported) {
+    throw new Error(`不支持的 WAV 编码：format=${format.audioFormat} bits=${format.bitsPerSample}`);
+  }
+  const bytesPerSample = format.bitsPerSample / 8;
+  const channels = Math.max(1, format.channels);
+  const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+  const samples = new Float32Array(frameCount);
+  for (let i = 0; i < frameCount; i += 1) {
+    let sum = 0;
+    for (let c = 0; c < channels; c += 1) {
+      const position = (i * channels + c) * bytesPerSample;
+      if (isFloat) {
+        sum += data.readFloatLE(position);
+      } else if (bytesPerSample === 1) {
+        sum += (data.readUInt8(position) - 128) / 128;
+      } else if (bytesPerSample === 2) {
+        sum += data.readInt16LE(position) / 32768;
+      } else if (bytesPerSample === 3) {
+        sum += data.readIntLE(position, 3) / 8388608;
+      } else {
+        sum += data.readInt32LE(position) / 2147483648;
+      }
+    }
+    samples[i] = sum / channels;
+  }
+  return { sampleRate: format.sampleRate, samples, duration: format.sampleRate > 0 ? frameCount / format.sampleRate : 0 };
+};
+
+/**
+ * @typedef {Object} EnergyFrame
+ * @property {number} t - 帧起始时间（秒）。
+ * @property {number} level - 归一化后的整体音量（0-1），已做起音/释音平滑。
+ * @property {number} low - 低频段（< 约 800Hz）能量占比。
+ * @property {number} brightnessHz - 由一阶差分能量估算的 RMS 频率（Hz），擦音、齿音明显高于元音。
+ */
+
+/** 一阶低通的截止频率（Hz），近似分出元音第一共振峰所在的低频段。 */
+const LOW_BAND_HZ = 800;
+/** RMS 频率高于该值（Hz）且音量不大的帧视为擦音/齿音。 */
+const FRICATIVE_HZ = 2500;
+/** 起音/释音平滑系数：张嘴跟随要快，闭嘴稍慢，避免逐帧抖动。 */
+const ATTACK = 0.7;
+const RELEASE = 0.35;
+
+/**
+ * 频段特征到代表音素的粗分类，经口型配置映射为口型编号，自定义 `VISEME_CONFIG_PATH` 时同样适用。
+ * - 频率偏高且音量不大：擦音/齿音（`s`）。
+ * - 低频占比高：圆唇元音，音量大时为 `o`，否则为 `u`。
+ * - 其余按音量从大到小依次为 `a`、`e`、`i`。
+ * @param {EnergyFrame} frame - 特征帧。
+ * @returns {string} 代表音素。
+ */
+const classifyFrame = (frame) => {
+  if (frame.brightnessHz > FRICATIVE_HZ && frame.level < 0.7) {
+    return 's';
+  }
+  if (frame.low > 0.8) {
+    return frame.level > 0.6 ? 'o' : 'u';
+  }
+  if (frame.level > 0.7) {
+    return 'a';
+  }
+  return frame.level > 0.35 ? 'e' : 'i';
+};
+
+/**
+ * 计算每帧的音量、低频能量占比与 RMS 频率。低频段由一阶低通滤波近似划分；
+ * 对正弦信号有 E[(x[n]-x[n-1])²] = 2(1-cos ω)·E[x²]，据此把差分能量换算为与采样率无关的频率估计。
+ * 音量以第 95 百分位的 RMS 作为满幅参考，避免个别爆音把整体压得过低。
+ * @param {PcmAudio} audio - 解码后的音频。
+ * @param {number} frameRate - 帧率（Hz），通常为 `config.sampleRate`。
+ * @returns {EnergyFrame[]} 特征帧，音频为空时返回空数组。
+ */
+export const computeEnergyEnvelope = (audio, frameRate) => {
+  const { samples, sampleRate, duration } = audio;
+  if (!samples.length || !Number.isFinite(duration) || duration <= 0 || !(frameRate > 0)) {
+    return [];
+  }
+  const lowAlpha = 1 - Math.exp((-2 * Math.PI * LOW_BAND_HZ) / sampleRate);
+  const step = 1 / frameRate;
+  const frameCount = Math.ceil(duration / step);
+  const raw = [];
+  let lowState = 0;
+  let previous = 0;
+  let cursor = 0;
+  for (let i = 0; i <= frameCount; i += 1) {
+    const end = Math.min(samples.length, Math.round((i + 1) * step * sampleRate));
+    let total = 0;
+    let low = 0;
+    let diff = 0;
+    const start = cursor;
+    for (; cursor < end; cursor += 1) {
+      const sample = samples[cursor];
+      lowState += lowAlpha * (sample - lowState);
+      total += sample * sample;
+      low += lowState * lowState;
+      diff += (sample - previous) * (sample - previous);
+      previous = sample;
+    }
+    const count = end - start;
+    raw.push({
+      t: Math.min(i * step, duration),
+      rms: count > 0 ? Math.sqrt(total / count) : 0,
+      low: total > 0 ? Math.min(1, low / total) : 0,
+      brightnessHz: total > 0 ? (Math.acos(Math.max(-1, 1 - diff / total / 2)) * sampleRate) / (2 * Math.PI) : 0,
+    });
+  }
+  const sorted = raw.map((frame) => frame.rms).sort((a, b) => a - b);
+  const reference = sorted[Math.floor((sorted.length - 1) * 0.95)] || sorted[sorted.length - 1];
+  let level = 0;
+  return raw.map((frame) => {
+    const target = reference > 0 ? Math.min(1, frame.rms / reference) : 0;
+    level += (target > level ? ATTACK : RELEASE) * (target - level);
+    return { t: frame.t, level, low: frame.low, brightnessHz: frame.brightnessHz };
+  });
+};
+
+/**
+ * 按音量包络与频段特征生成 mouth 时间轴，帧结构与 `generateTimeline` 一致：
+ * mouth 值与多通道口型随音量在闭口与所属口型之间插值，`phoneme` 为 `energy:<代表音素>`，静音帧为 `sil`。
+ * @param {PcmAudio} audio - 解码后的音频。
+ * @param {number} frameRate - 时间轴采样率（Hz）。
+ * @param {VisemeConfig} visemeConfig - 口型配置。
+ * @returns {MouthKeyframe[]} mouth 关键帧数组，音频为空时返回空数组。
+ */
+export const generateEnergyTimeline = (audio, frameRate, visemeConfig) => {
+  const closed = mapPhonemeToViseme('_', visemeConfig);
+  return computeEnergyEnvelope(audio, frameRate).map((frame) => {
+    if (frame.level < SILENCE_THRESHOLD) {
+      return { t: frame.t, v: closed.mouth, visemeId: closed.visemeId, phoneme: 'sil', shape: closed.shape };
+    }
+    const phoneme = classifyFrame(frame);
+    const { visemeId, mouth, shape } = mapPhonemeToViseme(phoneme, visemeConfig);
+    const ratio = Math.min(1, frame.level / 0.8);
+    const v = closed.mouth + (mouth - closed.mouth) * ratio;
+    return {
+      t: frame.t,
+      v,
+      visemeId,
+      phoneme: `energy:${phoneme}`,
+      shape: mixVisemeShapes(closed.shape, shape, ratio),
+    };
+  });
+};
+
+/**
+ * 读取 WAV 文件并生成能量时间轴。
+ * @param {string} wavPath - WAV 文件路径。
+ * @param {number} frameRate - 时间轴采样率（Hz）。
+ * @param {VisemeConfig} visemeConfig - 口型配置。
+ * @returns {Promise<{ mouthTimeline: MouthKeyframe[], duration: number }>} 时间轴与音频时长。
+ */
+export const analyzeWavFile = async (wavPath, frameRate, visemeConfig) => {
+  const audio = decodeWav(await fs.promises.readFile(wavPath));
+  return { mouthTimeline: generateEnergyTimeline(audio, frameRate, visemeConfig), duration: audio.duration };
+};
+
+/**
+ * 供适配器选用的兜底：provider 已给出时间轴时原样返回，否则分析合成的 WAV；
+ * 音频无法解码（如非 PCM 编码）时退回 `ensureTimelineFallback` 的占位帧。
+ * @param {MouthKeyframe[]} timeline - provider 给出的时间轴。
+ * @param {string} wavPath - 合成的 WAV 文件路径。
+ * @param {number} frameRate - 时间轴采样率（Hz）。
+ * @param {VisemeConfig} visemeConfig - 口型配置。
+ * @returns {Promise<MouthKeyframe[]>} 非空的时间轴。
+ */
+export const ensureEnergyTimeline = async (timeline, wavPath, frameRate, visemeConfig) => {
+  if (timeline.length > 0) {
+    return timeline;
+  }
+  try {
+    const { mouthTimeline } = await analyzeWavFile(wavPath, frameRate, visemeConfig);
+    return ensureTimelineFallback(mouthTimeline);
+  } catch (error) {
+    console.warn(`[tts] 无法分析音频生成口型时间轴：${wavPath}`, error);
+    return ensureTimelineFallback([]);
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * @file segmenter.js
+ * @description 服务端文本分段工具：按段落与标点将长文本切分为适合逐段合成的片段，规则与网页端 `splitTextIntoSegments` 保持一致。
+ */
+
+/**
+ * @typedef {Object} SegmentOptions
+ * @property {number} [minChars] - 片段最小字数，遇到标点时才会在达到该长度后切分，默认 80。
+ * @property {number} [maxChars] - 片段最大字数，超过后强制切分，默认 220。
+ */
+
+const SEGMENT_BOUNDARY_RE = /[。！？?!；;，,]/;
+
+/**
+ * 将文本切分为多个片段。短文本直接返回单个片段。
+ * @param {string} text - 输入文本。
+ * @param {SegmentOptions} [options] - 切分参数。
+ * @returns {string[]} 片段数组。
+ */
+export const splitTextIntoSegments = (text, options = {}) => {
+  const sanitized = String(text || '').replace(/\r\n/g, '\n').trim();
+  if (!sanitized) {
+    return [];
+  }
+  const minLen = Math.max(10, Number.isFinite(options.minChars) ? Number(options.minChars) : 80);
+  const maxLen = Math.max(minLen + 10, Number.isFinite(options.maxChars) ? Number(options.maxChars) : 220);
+  if (sanitized.length <= maxLen) {
+    return [sanitized];
+  }
+  const segments = [];
+  const pushSegment = (value) => {
+    const trimmed = value.replace(/\s+/g, ' ').trim();
+    if (trimmed) {
+      segments.push(trimmed);
+    }
+  };
+  const rawBlocks = sanitized.split(/\n{2,}/).map((block) => block.trim()).filter(Boolean);
+  const blocks = rawBlocks.length > 0 ? rawBlocks : [sanitized];
+  for (const block of blocks) {
+    if (block.length <= maxLen) {
+      pushSegment(block);
+      continue;
+    }
+    let buffer = '';
+    for (const char of block) {
+      buffer += char;
+      const isBoundary = SEGMENT_BOUNDARY_RE.test(char) || char === '\n';
+      if (buffer.length >= minLen && isBoundary) {
+        pushSegment(buffer);
+        buffer = '';
+        continue;
+      }
+      if (buffer.length >= maxLen) {
+        pushSegment(buffer);
+        buffer = '';
+      }
+    }
+    if (buffer.trim()) {
+      pushSegment(buffer);
+    }
+  }
+  if (segments.length <= 1) {
+    return [sanitized];
+  }
+  // 过短的尾段合并到上一段，避免产生只有几个字的音频。
+  for (let i = 1; i < segments.length; i += 1) {
+    const current = segments[i];
+    const previous = segments[i - 1];
+    if (current.length < minLen * 0.5 && previous.length + current.length <= maxLen) {
+      segments[i - 1] = `${previous} ${current}`.replace(/\s+/g, ' ').trim();
+      segments.splice(i, 1);
+      i -= 1;
+    }
+  }
+  return segments;
+};
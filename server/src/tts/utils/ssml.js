@@ -0,0 +1,177 @@
+/**
+ * @file ssml.js
+ * @description 提供轻量级 SSML 解析工具：提取纯文本、记录 `<break>` 停顿位置，并在需要时补全 `<speak>` 根节点。
+ *              这里不引入完整的 XML 解析器，只处理 stickbot 支持的 `<break>`、`<prosody>`、`<emphasis>` 等常见标签。
+ */
+
+/**
+ * @typedef {Object} SsmlBreak
+ * @property {number} offset - 停顿出现在纯文本中的字符位置（按 code point 计）。
+ * @property {number} durationMs - 停顿时长（毫秒）。
+ */
+
+/**
+ * @typedef {Object} ParsedSsml
+ * @property {string} text - 去除标签后的纯文本，用于计数、缓存键与逐词时间轴。
+ * @property {SsmlBreak[]} breaks - 按出现顺序排列的停顿列表。
+ */
+
+/**
+ * `<break strength="...">` 对应的默认停顿时长，数值参考 SSML 1.1 规范与 Azure/eSpeak 的默认表现。
+ */
+const BREAK_STRENGTH_MS = {
+  none: 0,
+  'x-weak': 100,
+  weak: 250,
+  medium: 400,
+  strong: 750,
+  'x-strong': 1200,
+};
+
+/** 单个停顿的最大时长，SSML 规范建议不超过 10 秒。 */
+const MAX_BREAK_MS = 10_000;
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+/**
+ * 解码 XML 实体，支持命名实体与数字实体。
+ * @param {string} value - 原始文本。
+ * @returns {string} 解码后的文本。
+ */
+const decodeEntities = (value) =>
+  value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+/**
+ * 读取标签中的属性值。
+ * @param {string} tag - 完整标签字符串，例如 `<break time="500ms"/>`。
+ * @param {string} name - 属性名。
+ * @returns {string|null} 属性值。
+ */
+const readAttribute = (tag, name) => {
+  const matcher = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i');
+  const found = tag.match(matcher);
+  if (!found) {
+    return null;
+  }
+  return found[2] ?? found[3] ?? null;
+};
+
+/**
+ * 将 SSML 时间值（如 `500ms`、`1.5s`）转换为毫秒。
+ * @param {string|null} value - 时间字符串。
+ * @returns {number|null} 毫秒数，无法解析时返回 null。
+ */
+export const parseSsmlTime = (value) => {
+  if (!value) {
+    return null;
+  }
+  const matched = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+  if (!matched) {
+    return null;
+  }
+  const amount = Number(matched[1]);
+  const unit = (matched[2] || 'ms').toLowerCase();
+  const ms = unit === 's' ? amount * 1000 : amount;
+  return Math.min(MAX_BREAK_MS, Math.max(0, ms));
+};
+
+/**
+ * 解析 SSML，提取纯文本与停顿信息。
+ * @param {string} ssml - SSML 字符串，可以省略 `<speak>` 根节点。
+ * @returns {ParsedSsml} 解析结果。
+ */
+export const parseSsml = (ssml) => {
+  const source = String(ssml || '');
+  const tokenPattern = /<!--[\s\S]*?-->|<[^>]*>|[^<]+/g;
+  /** @type {SsmlBreak[]} */
+  const breaks = [];
+  let text = '';
+  let length = 0;
+
+  const appendText = (value) => {
+    const collapsed = value.replace(/\s+/g, ' ');
+    if (!collapsed) {
+      return;
+    }
+    // 避免在标签两侧产生连续空白。
+    const normalized = text.endsWith(' ') || length === 0 ? collapsed.replace(/^ /, '') : collapsed;
+    text += normalized;
+    length += Array.from(normalized).length;
+  };
+
+  let match;
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const token = match[0];
+    if (token.startsWith('<!--')) {
+      continue;
+    }
+    if (!token.startsWith('<')) {
+      appendText(decodeEntities(token));
+      continue;
+    }
+    const tagName = token.replace(/^<\s*\/?\s*/, '').split(/[\s/>]/)[0].toLowerCase();
+    if (tagName === 'break') {
+      const timeMs = parseSsmlTime(readAttribute(token, 'time'));
+      const strength = (readAttribute(token, 'strength') || 'medium').toLowerCase();
+      const durationMs = timeMs ?? BREAK_STRENGTH_MS[strength] ?? BREAK_STRENGTH_MS.medium;
+      if (durationMs > 0) {
+        breaks.push({ offset: length, durationMs });
+      }
+      continue;
+    }
+    if (tagName === 'p' || tagName === 's') {
+      // 段落与句子边界视作空白，避免相邻文字粘连。
+      appendText(' ');
+    }
+  }
+
+  const trimmedEnd = text.replace(/\s+$/, '');
+  const finalLength = Array.from(trimmedEnd).length;
+  return {
+    text: trimmedEnd,
+    breaks: breaks.map((item) => ({ ...item, offset: Math.min(item.offset, finalLength) })),
+  };
+};
+
+/**
+ * 转义纯文本中的 XML 特殊字符，以便嵌入 SSML。
+ * @param {string} value - 纯文本。
+ * @returns {string} 转义后的文本。
+ */
+export const escapeXml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+
+/**
+ * 确保 SSML 拥有 `<speak>` 根节点，供要求完整文档的 SDK（如 Azure）使用。
+ * @param {string} ssml - 原始 SSML。
+ * @param {{ lang?: string }} [options] - 根节点语言。
+ * @returns {string} 完整 SSML 文档。
+ */
+export const ensureSpeakRoot = (ssml, options = {}) => {
+  const trimmed = String(ssml || '').trim();
+  if (/^(<\?xml[^>]*>\s*)?<speak[\s>]/i.test(trimmed)) {
+    return trimmed;
+  }
+  const lang = options.lang || 'zh-CN';
+  return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${lang}">${trimmed}</speak>`;
+};
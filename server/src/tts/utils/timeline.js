@@ -9,6 +9,11 @@
  * @property {number} durationMs - 持续时长（毫秒）。
  * @property {number} visemeId - 映射后的口型编号。
  * @property {number} mouth - 口型张合程度（0-1）。
+ * @property {VisemeShape} [shape] - 多通道口型，来自 `mapPhonemeToViseme`。
+ */
+
+/**
+ * @typedef {import('../mapping.js').VisemeShape} VisemeShape
  */
 
 /**
@@ -17,8 +22,37 @@
  * @property {number} v - mouth 值。
  * @property {number} visemeId - 口型编号。
  * @property {string} phoneme - 来源音素，便于调试。
+ * @property {VisemeShape} [shape] - 多通道口型（下颌、唇宽、圆唇、露齿），音素片段带有口型时输出。
  */
 
+/** 多通道口型的通道名，顺序与紧凑时间轴中的位置一致。 */
+export const SHAPE_CHANNELS = ['jawOpen', 'lipWidth', 'lipRound', 'teethVisible'];
+
+/**
+ * 保留三位小数，控制响应体积。
+ * @param {number} value - 原始值。
+ * @returns {number} 取整后的值。
+ */
+const roundChannel = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * 在两个多通道口型之间线性插值，任一为空时返回另一个。
+ * @param {VisemeShape|undefined} from - 起点口型。
+ * @param {VisemeShape|undefined} to - 终点口型。
+ * @param {number} ratio - 插值比例（0-1）。
+ * @returns {VisemeShape|undefined} 插值结果。
+ */
+export const mixVisemeShapes = (from, to, ratio) => {
+  if (!from || !to) {
+    return to ?? from;
+  }
+  const mixed = {};
+  for (const channel of SHAPE_CHANNELS) {
+    mixed[channel] = roundChannel(from[channel] + (to[channel] - from[channel]) * ratio);
+  }
+  return /** @type {VisemeShape} */ (mixed);
+};
+
 /**
  * 根据音素片段生成累计时间轴。
  * @param {PhonemeSegment[]} segments - 解析 `.pho` 后得到的音素片段。
@@ -37,13 +71,127 @@ export const accumulateSegments = (segments) => {
 };
 
 /**
- * 在固定采样率下生成 mouth 时间轴关键帧。
+ * @typedef {Object} CoarticulationConfig
+ * @property {boolean} [enabled] - 为 false 时关闭协同发音，每帧直接取当前音素的 mouth 值。
+ * @property {number} attackMs - 前瞻时间常数（毫秒）：后一个口型在开始前按 `exp(-Δt/attack)` 提前产生影响。
+ * @property {number} releaseMs - 延续时间常数（毫秒）：前一个口型在结束后按 `exp(-Δt/release)` 逐渐消退。
+ * @property {Record<string, number>} dominance - 各口型编号的支配权重（0-1），权重越高越不容易被相邻口型同化。
+ * @property {number} defaultDominance - 未在 `dominance` 中列出的口型使用的权重。
+ * @property {number[]} closureVisemes - 必须完整闭合的口型编号（双唇音与停顿），不参与混合。
+ * @property {number} minClosureMs - 闭合口型的最短保持时长（毫秒），短于该值的闭合以片段中点为中心补足。
+ */
+
+/** 超过该倍数的时间常数后影响可忽略（e^-4 ≈ 2%），不再参与混合。 */
+const INFLUENCE_SPAN = 4;
+
+/**
+ * 计算片段在某一时刻的支配权重：片段内为满权重，片段前后分别按前瞻与延续曲线指数衰减。
+ * @param {PhonemeSegment & { start: number, end: number }} segment - 音素片段。
+ * @param {number} time - 时间（秒）。
+ * @param {number} dominance - 片段口型的支配权重。
+ * @param {number} attack - 前瞻时间常数（秒）。
+ * @param {number} release - 延续时间常数（秒）。
+ * @returns {number} 权重。
+ */
+const segmentWeight = (segment, time, dominance, attack, release) => {
+  if (time < segment.start) {
+    return attack > 0 ? dominance * Math.exp(-(segment.start - time) / attack) : 0;
+  }
+  if (time > segment.end) {
+    return release > 0 ? dominance * Math.exp(-(time - segment.end) / release) : 0;
+  }
+  return dominance;
+};
+
+/**
+ * 协同发音：按支配权重对当前时刻附近的片段 mouth 值做加权平均（Cohen-Massaro 模型的简化），
+ * 相邻口型因此平滑过渡，低权重的齿龈音等会被两侧元音部分同化；闭合口型随后在其保持区间内强制闭合，
+ * 即使爆破音只有一两帧长也能在时间轴上看到完整闭唇。
+ * @param {MouthKeyframe[]} frames - 阶跃采样得到的关键帧，会被原地修改。
+ * @param {Array<PhonemeSegment & { start: number, end: number }>} cumulative - 带起止时间的音素片段。
+ * @param {number} totalDuration - 总时长（秒）。
+ * @param {CoarticulationConfig} coarticulation - 协同发音参数。
+ * @returns {MouthKeyframe[]} 处理后的关键帧。
+ */
+const applyCoarticulation = (frames, cumulative, totalDuration, coarticulation) => {
+  const attack = Math.max(0, Number(coarticulation.attackMs) || 0) / 1000;
+  const release = Math.max(0, Number(coarticulation.releaseMs) || 0) / 1000;
+  const dominanceOf = (visemeId) => {
+    const value = Number(coarticulation.dominance?.[visemeId] ?? coarticulation.defaultDominance);
+    return Number.isFinite(value) && value > 0 ? value : 0.5;
+  };
+  let pointer = 0;
+  for (const frame of frames) {
+    while (pointer < cumulative.length - 1 && frame.t > cumulative[pointer].end) {
+      pointer += 1;
+    }
+    let weighted = 0;
+    let total = 0;
+    const shapeSums = frame.shape ? [0, 0, 0, 0] : null;
+    const accumulate = (segment) => {
+      const weight = segmentWeight(segment, frame.t, dominanceOf(segment.visemeId), attack, release);
+      weighted += weight * segment.mouth;
+      total += weight;
+      if (shapeSums) {
+        // 缺少口型的片段（如自定义 provider）按当前帧口型参与混合。
+        const shape = segment.shape ?? frame.shape;
+        SHAPE_CHANNELS.forEach((channel, index) => {
+          shapeSums[index] += weight * shape[channel];
+        });
+      }
+    };
+    for (let k = pointer; k >= 0 && frame.t - cumulative[k].end <= release * INFLUENCE_SPAN; k -= 1) {
+      accumulate(cumulative[k]);
+    }
+    for (let k = pointer + 1; k < cumulative.length && cumulative[k].start - frame.t <= attack * INFLUENCE_SPAN; k += 1) {
+      accumulate(cumulative[k]);
+    }
+    if (total > 0) {
+      frame.v = weighted / total;
+      if (shapeSums) {
+        frame.shape = Object.fromEntries(
+          SHAPE_CHANNELS.map((channel, index) => [channel, roundChannel(shapeSums[index] / total)]),
+        );
+      }
+    }
+  }
+
+  const closures = new Set((coarticulation.closureVisemes ?? []).map(Number));
+  const minClosure = Math.max(0, Number(coarticulation.minClosureMs) || 0) / 1000;
+  const step = frames.length > 1 ? frames[1].t - frames[0].t : 0;
+  for (const segment of cumulative) {
+    if (!closures.has(segment.visemeId)) {
+      continue;
+    }
+    // 保持区间至少覆盖一帧，避免短于采样间隔的闭合落在两帧之间被漏掉。
+    const hold = Math.max(segment.end - segment.start, minClosure, step);
+    const middle = (segment.start + segment.end) / 2;
+    const from = Math.max(0, Math.min(segment.start, middle - hold / 2));
+    const to = Math.min(totalDuration, Math.max(segment.end, middle + hold / 2));
+    const first = step > 0 ? Math.max(0, Math.ceil(from / step - 1e-9)) : 0;
+    for (let i = first; i < frames.length && frames[i].t <= to + 1e-9; i += 1) {
+      frames[i].v = segment.mouth;
+      frames[i].visemeId = segment.visemeId;
+      frames[i].phoneme = segment.phoneme;
+      if (segment.shape) {
+        frames[i].shape = { ...segment.shape };
+      }
+    }
+  }
+  return frames;
+};
+
+/**
+ * 在固定采样率下生成 mouth 时间轴关键帧。传入协同发音参数时，相邻口型按支配权重与前瞻/延续曲线平滑混合，
+ * 否则每帧直接取当前音素的 mouth 值；`visemeId` 与 `phoneme` 始终为当前时刻所在的音素。
+ * 音素片段带有 `shape` 时，每帧同时输出多通道口型，并与 mouth 值按相同权重混合。
  * @param {Array<PhonemeSegment & { start: number, end: number }>} cumulative - 带起止时间的音素片段。
  * @param {number} totalDuration - 总时长（秒）。
  * @param {number} sampleRate - 希望生成的时间轴频率（Hz），建议 60-100 之间。
+ * @param {CoarticulationConfig} [coarticulation] - 协同发音参数，通常为 `visemeConfig.coarticulation`。
  * @returns {MouthKeyframe[]} mouth 关键帧数组。
  */
-export const generateTimeline = (cumulative, totalDuration, sampleRate) => {
+export const generateTimeline = (cumulative, totalDuration, sampleRate, coarticulation) => {
   if (!Number.isFinite(totalDuration) || totalDuration <= 0) {
     return [];
   }
@@ -62,9 +210,13 @@ export const generateTimeline = (cumulative, totalDuration, sampleRate) => {
       v: segment.mouth,
       visemeId: segment.visemeId,
       phoneme: segment.phoneme,
+      ...(segment.shape ? { shape: { ...segment.shape } } : {}),
     });
   }
-  return frames;
+  if (!coarticulation || coarticulation.enabled === false) {
+    return frames;
+  }
+  return applyCoarticulation(frames, cumulative, totalDuration, coarticulation);
 };
 
 /**
@@ -83,3 +235,104 @@ export const ensureTimelineFallback = (frames) => {
   ];
 };
 
+
+/**
+ * @typedef {Object} CompactMouthTimeline
+ * @property {'keyframes'} format - 编码格式。
+ * @property {number} tolerance - 压缩时允许的 mouth 值误差。
+ * @property {number} frameCount - 压缩前的帧数。
+ * @property {string[]} phonemes - 音素字典，`frames` 中以下标引用。
+ * @property {number[][]} frames - 关键帧 `[t, v, visemeId, 音素下标]`，按时间升序；帧带有多通道口型时
+ *   依次追加 `jawOpen, lipWidth, lipRound, teethVisible` 四个值。
+ */
+
+/**
+ * 在 `[from, to]` 区间内做 Ramer–Douglas–Peucker 简化：误差按首尾关键帧线性插值后 mouth 值与各口型通道的最大差计算，
+ * 超过容差时保留误差最大的帧并继续拆分。使用显式栈，长时间轴不会递归过深。
+ * @param {MouthKeyframe[]} frames - 原始帧。
+ * @param {number} from - 起点下标。
+ * @param {number} to - 终点下标。
+ * @param {number} tolerance - 容差。
+ * @param {Uint8Array} keep - 保留标记，会被原地修改。
+ */
+const simplifyRange = (frames, from, to, tolerance, keep) => {
+  const stack = [[from, to]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    const span = frames[end].t - frames[start].t;
+    let worst = -1;
+    let worstError = tolerance;
+    for (let i = start + 1; i < end; i += 1) {
+      const ratio = span > 0 ? (frames[i].t - frames[start].t) / span : 0;
+      let error = Math.abs(frames[i].v - (frames[start].v + (frames[end].v - frames[start].v) * ratio));
+      const { shape } = frames[i];
+      if (shape && frames[start].shape && frames[end].shape) {
+        for (const channel of SHAPE_CHANNELS) {
+          const from = frames[start].shape[channel];
+          error = Math.max(error, Math.abs(shape[channel] - (from + (frames[end].shape[channel] - from) * ratio)));
+        }
+      }
+      if (error > worstError) {
+        worst = i;
+        worstError = error;
+      }
+    }
+    if (worst >= 0) {
+      keep[worst] = 1;
+      stack.push([start, worst], [worst, end]);
+    }
+  }
+};
+
+/**
+ * 把逐帧时间轴压缩为关键帧格式：口型编号变化处前后两帧始终保留，其余帧按 RDP 算法丢弃线性插值误差不超过容差的帧。
+ * 客户端按关键帧线性插值即可还原，mouth 值与口型通道的误差不超过 `tolerance`；被丢弃帧的 `phoneme` 标签不保留。
+ * @param {MouthKeyframe[]} frames - 逐帧时间轴。
+ * @param {number} tolerance - mouth 值容差，0 表示只合并完全共线的帧。
+ * @returns {CompactMouthTimeline} 压缩结果。
+ */
+export const compressTimeline = (frames, tolerance) => {
+  const count = frames.length;
+  const keep = new Uint8Array(count);
+  if (count > 0) {
+    keep[0] = 1;
+    keep[count - 1] = 1;
+  }
+  for (let i = 1; i < count; i += 1) {
+    if (frames[i].visemeId !== frames[i - 1].visemeId) {
+      keep[i - 1] = 1;
+      keep[i] = 1;
+    }
+  }
+  let anchor = 0;
+  for (let i = 1; i < count; i += 1) {
+    if (keep[i]) {
+      simplifyRange(frames, anchor, i, Math.max(0, tolerance), keep);
+      anchor = i;
+    }
+  }
+  /** @type {Map<string, number>} */
+  const phonemeIndex = new Map();
+  const result = [];
+  for (let i = 0; i < count; i += 1) {
+    if (!keep[i]) {
+      continue;
+    }
+    const frame = frames[i];
+    const phoneme = frame.phoneme ?? '';
+    if (!phonemeIndex.has(phoneme)) {
+      phonemeIndex.set(phoneme, phonemeIndex.size);
+    }
+    const keyframe = [
+      Math.round(frame.t * 10000) / 10000,
+      roundChannel(frame.v),
+      frame.visemeId,
+      phonemeIndex.get(phoneme),
+    ];
+    if (frame.shape) {
+      keyframe.push(...SHAPE_CHANNELS.map((channel) => roundChannel(frame.shape[channel])));
+    }
+    result.push(keyframe);
+  }
+  return { format: 'keyframes', tolerance, frameCount: count, phonemes: [...phonemeIndex.keys()], frames: result };
+};
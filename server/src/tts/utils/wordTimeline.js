@@ -150,4 +150,56 @@ export const generateWordTimelineFromSegments = (text, cumulative) => {
   return generateWordTimeline(text, totalDuration);
 };
 
+/**
+ * 在存在 SSML `<break>` 停顿时生成逐词时间轴：停顿时长从总时长中扣除，
+ * 剩余时长按词块权重分配，并在停顿位置插入对应空档。
+ * @param {string} text - 去除标签后的纯文本。
+ * @param {number} totalDuration - 语音总时长（秒）。
+ * @param {Array<{ offset: number, durationMs: number }>} breaks - 停顿列表，offset 为纯文本中的字符位置。
+ * @returns {Array<{ tStart: number, tEnd: number, text: string }>} 逐词时间轴。
+ */
+export const generateWordTimelineWithBreaks = (text, totalDuration, breaks = []) => {
+  const validBreaks = (Array.isArray(breaks) ? breaks : [])
+    .filter((item) => Number.isFinite(item?.offset) && Number.isFinite(item?.durationMs) && item.durationMs > 0)
+    .sort((a, b) => a.offset - b.offset);
+  if (validBreaks.length === 0) {
+    return generateWordTimeline(text, totalDuration);
+  }
+  if (!text || !Number.isFinite(totalDuration) || totalDuration <= 0) {
+    return [];
+  }
+  const pauseTotal = validBreaks.reduce((sum, item) => sum + item.durationMs / 1000, 0);
+  const speechDuration = totalDuration - pauseTotal;
+  if (speechDuration <= 0) {
+    return generateWordTimeline(text, totalDuration);
+  }
+
+  const characters = Array.from(text);
+  const runs = [];
+  let cursor = 0;
+  for (const item of validBreaks) {
+    const offset = Math.min(characters.length, Math.max(cursor, item.offset));
+    runs.push({ chunks: splitTextIntoWordChunks(characters.slice(cursor, offset).join('')), pauseAfter: item.durationMs / 1000 });
+    cursor = offset;
+  }
+  runs.push({ chunks: splitTextIntoWordChunks(characters.slice(cursor).join('')), pauseAfter: 0 });
+
+  const totalWeight = runs.reduce((sum, run) => sum + run.chunks.reduce((acc, chunk) => acc + chunk.weight, 0), 0);
+  if (!Number.isFinite(totalWeight) || totalWeight <= 0) {
+    return [];
+  }
+
+  const result = [];
+  let time = 0;
+  for (const run of runs) {
+    for (const chunk of run.chunks) {
+      const end = Math.min(totalDuration, time + (speechDuration * chunk.weight) / totalWeight);
+      result.push({ text: chunk.text, tStart: time, tEnd: end });
+      time = end;
+    }
+    time = Math.min(totalDuration, time + run.pauseAfter);
+  }
+  return result;
+};
+
 export default generateWordTimeline;
@@ -0,0 +1,240 @@
+/**
+ * @file apiKeyRegistry.test.js
+ * @description ApiKeyRegistry：key 的加载与摘要查找、401/403/429 错误码、每日配额跨日清零、
+ *              请求头与查询参数中的 key，以及 `allowedVoices` 在 `/voices` 过滤与合成前检查中的一致性。
+ */
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ApiKeyRegistry,
+  extractApiKey,
+  hasQueryApiKey,
+  hashApiKey,
+  loadApiKeys,
+} from '../src/auth/ApiKeyRegistry.js';
+import { parseEspeakVoices } from '../src/tts/adapters/EspeakAdapter.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stickbot-keys-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * 把 key 配置写入临时文件。
+ * @param {unknown} content - 文件内容，字符串原样写入，其余按 JSON 序列化。
+ * @returns {string} 文件路径。
+ */
+const writeKeysFile = (content) => {
+  const filePath = path.join(tmpDir, `keys-${fs.readdirSync(tmpDir).length}.json`);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+};
+
+test('从环境变量与文件加载 key，只保存摘要，同名以文件为准', () => {
+  const filePath = writeKeysFile({
+    keys: [
+      { id: 'team-web', key: 'web-from-file', dailyCharQuota: 100, allowedProviders: ['espeak', ' '], admin: true },
+      { id: 'team-ops', keySha256: hashApiKey('ops-secret').toUpperCase(), rateLimitRps: '5', rateLimitBurst: -1 },
+      { id: 'broken' },
+    ],
+  });
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  let keys;
+  try {
+    keys = loadApiKeys(filePath, 'team-web:web-from-env, team-cli:cli-secret,invalid,:nokey');
+  } finally {
+    console.warn = originalWarn;
+  }
+  assert.equal(warnings.length, 1);
+
+  const byId = Object.fromEntries(keys.map((record) => [record.id, record]));
+  assert.deepEqual(Object.keys(byId).sort(), ['team-cli', 'team-ops', 'team-web']);
+  assert.equal(byId['team-web'].secretHash, hashApiKey('web-from-file'));
+  assert.equal(byId['team-web'].admin, true);
+  assert.deepEqual(byId['team-web'].allowedProviders, ['espeak']);
+  assert.equal(byId['team-ops'].secretHash, hashApiKey('ops-secret'));
+  assert.equal(byId['team-ops'].rateLimitRps, 5);
+  assert.equal(byId['team-ops'].rateLimitBurst, null);
+  // 环境变量中的 key 不能声明管理员权限。
+  assert.equal(byId['team-cli'].admin, false);
+  for (const record of keys) {
+    const serialized = JSON.stringify(record);
+    for (const plaintext of ['web-from-file', 'web-from-env', 'cli-secret', 'ops-secret']) {
+      assert.ok(!serialized.includes(plaintext), `${record.id} 不应保存明文`);
+    }
+  }
+
+  assert.throws(() => loadApiKeys(path.join(tmpDir, 'missing.json'), ''), /ENOENT/);
+  assert.throws(() => loadApiKeys(writeKeysFile('{ not json'), ''), SyntaxError);
+  assert.deepEqual(
+    loadApiKeys(writeKeysFile([{ id: 'array-form', key: 'k' }]), '').map((record) => record.id),
+    ['array-form'],
+  );
+});
+
+test('authenticate 按摘要查找 key，缺失返回 401 missing_api_key，无效返回 401 invalid_api_key', () => {
+  const keys = loadApiKeys(undefined, 'team-web:web-secret');
+  const required = new ApiKeyRegistry({ keys, required: true });
+  assert.equal(required.size, 1);
+  assert.deepEqual(required.authenticate(''), {
+    ok: false,
+    status: 401,
+    code: 'missing_api_key',
+    message: '缺少 API key。',
+  });
+  const invalid = required.authenticate('web-secret ');
+  assert.equal(invalid.ok, false);
+  assert.equal(invalid.status, 401);
+  assert.equal(invalid.code, 'invalid_api_key');
+  const valid = required.authenticate('web-secret');
+  assert.equal(valid.ok, true);
+  assert.equal(valid.apiKey.id, 'team-web');
+
+  // 未强制鉴权时匿名调用放行，携带了无效 key 仍然拒绝。
+  const optional = new ApiKeyRegistry({ keys, required: false });
+  assert.deepEqual(optional.authenticate(''), { ok: true, apiKey: null });
+  assert.equal(optional.authenticate('wrong').code, 'invalid_api_key');
+});
+
+test('authorize：provider 不允许返回 403，超出每日配额返回 429，跨 UTC 日清零', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T23:59:00Z') });
+  const [record] = loadApiKeys(undefined, 'team-web:web-secret');
+  const apiKey = { ...record, allowedProviders: ['espeak'], dailyCharQuota: 10 };
+  const registry = new ApiKeyRegistry({ keys: [apiKey], required: true });
+
+  const provider = registry.authorize(apiKey, { provider: 'azure', chars: 1 });
+  assert.equal(provider.status, 403);
+  assert.equal(provider.code, 'provider_not_allowed');
+
+  assert.deepEqual(registry.authorize(apiKey, { provider: 'espeak', chars: 10 }), { ok: true });
+  registry.recordUsage(apiKey, 8);
+  assert.equal(registry.authorize(apiKey, { provider: 'espeak', chars: 2 }).ok, true);
+  const quota = registry.authorize(apiKey, { provider: 'espeak', chars: 3 });
+  assert.equal(quota.status, 429);
+  assert.equal(quota.code, 'quota_exceeded');
+  assert.match(quota.message, /8\/10/);
+  registry.recordUsage(apiKey, -5);
+  assert.equal(registry.getUsage(apiKey).chars, 8);
+
+  // 跨过 UTC 零点后用量清零。
+  t.mock.timers.tick(60_000);
+  assert.deepEqual(registry.getUsage(apiKey), { day: '2024-05-02', chars: 0 });
+  assert.equal(registry.authorize(apiKey, { provider: 'espeak', chars: 10 }).ok, true);
+});
+
+test('extractApiKey 只从请求头读取，查询参数仅在 allowQuery 时读取', () => {
+  assert.equal(extractApiKey({ headers: { authorization: 'Bearer  abc ' } }), 'abc');
+  assert.equal(extractApiKey({ headers: { authorization: 'Basic abc', 'x-api-key': ' def ' } }), 'def');
+  const upgrade = { headers: {}, url: '/ws?session=demo&api_key=ghi' };
+  assert.equal(extractApiKey(upgrade), '');
+  assert.equal(extractApiKey(upgrade, { allowQuery: true }), 'ghi');
+  assert.equal(extractApiKey({ headers: { 'x-api-key': 'header' }, url: '/ws?api_key=query' }, { allowQuery: true }), 'header');
+
+  assert.equal(hasQueryApiKey('/tts?api_key=abc'), true);
+  assert.equal(hasQueryApiKey('/voices?api_key='), true);
+  assert.equal(hasQueryApiKey('/voices?provider=espeak'), false);
+  assert.equal(hasQueryApiKey(undefined), false);
+});
+
+/** `espeak-ng --voices` 的输出片段。 */
+const ESPEAK_VOICES = parseEspeakVoices(`Pty Language       Age/Gender VoiceName          File                 Other Languages
+ 5  cmn             --/M      Chinese_(Mandarin) sit/cmn              (zh-cmn 5)(zh 5)
+ 5  en              --/M      English            gmw/en               (en 2)
+ 2  en-us           --/M      English_(America)  gmw/en-US            (en 3)
+ 5  ja              --/M      Japanese           jpx/ja
+`);
+
+const CATALOG = [
+  ...ESPEAK_VOICES,
+  { id: 'zh-CN-XiaoxiaoNeural', name: 'Xiaoxiao', language: 'zh-CN', gender: 'female', provider: 'azure' },
+  { id: 'en-US-JennyNeural', name: 'Jenny', language: 'en-US', gender: 'female', provider: 'azure' },
+];
+
+/**
+ * 由配置创建只含一个 key 的注册表。
+ * @param {Record<string, any>} raw - key 配置。
+ * @returns {{ registry: ApiKeyRegistry, apiKey: import('../src/auth/ApiKeyRegistry.js').ApiKeyRecord }} 注册表与 key。
+ */
+const createRegistry = (raw) => {
+  const [apiKey] = loadApiKeys(undefined, `${raw.id}:secret-${raw.id}`).map((record) => ({
+    ...record,
+    allowedProviders: raw.allowedProviders ?? null,
+    allowedVoices: raw.allowedVoices ?? null,
+  }));
+  return { registry: new ApiKeyRegistry({ keys: [apiKey], required: true }), apiKey };
+};
+
+/**
+ * 以合成前检查的方式提交音色。
+ * @param {ApiKeyRegistry} registry - 注册表。
+ * @param {import('../src/auth/ApiKeyRegistry.js').ApiKeyRecord} apiKey - key。
+ * @param {string} provider - provider。
+ * @param {string} voice - 音色。
+ * @returns {ReturnType<ApiKeyRegistry['authorize']>} 检查结果。
+ */
+const authorizeVoice = (registry, apiKey, provider, voice) =>
+  registry.authorize(apiKey, {
+    provider,
+    voice,
+    voices: CATALOG.filter((entry) => entry.provider === provider),
+    chars: 1,
+  });
+
+test('/voices 列出的每个音色按 ID 与别名都能通过合成前检查', () => {
+  const allowlists = [['zh'], ['EN'], ['en+f3'], ['cmn', 'ja'], ['zh-CN-XiaoxiaoNeural'], ['en-us-jennyneural', 'zh-cmn']];
+  for (const allowedVoices of allowlists) {
+    const { registry, apiKey } = createRegistry({ id: 'team', allowedVoices });
+    const listed = registry.filterVoices(apiKey, CATALOG);
+    assert.ok(listed.length > 0, `${allowedVoices} 应列出音色`);
+    for (const voice of listed) {
+      for (const name of [voice.id, ...(voice.aliases ?? [])]) {
+        const result = authorizeVoice(registry, apiKey, voice.provider, name);
+        assert.equal(result.ok, true, `allowedVoices=${allowedVoices} 时 ${voice.provider}/${name} 应可合成`);
+      }
+    }
+    // 未列出的音色同样被合成前检查拒绝。
+    for (const voice of CATALOG.filter((entry) => !listed.includes(entry))) {
+      const result = authorizeVoice(registry, apiKey, voice.provider, voice.id);
+      assert.equal(result.ok, false, `allowedVoices=${allowedVoices} 时 ${voice.provider}/${voice.id} 不应可合成`);
+      assert.equal(result.code, 'voice_not_allowed');
+    }
+  }
+});
+
+test('allowedVoices 匹配别名、大小写与 eSpeak NG 变体后缀', () => {
+  const { registry, apiKey } = createRegistry({ id: 'zh-only', allowedVoices: ['zh'] });
+  assert.deepEqual(
+    registry.filterVoices(apiKey, CATALOG).map((voice) => voice.id),
+    ['cmn'],
+  );
+  assert.equal(authorizeVoice(registry, apiKey, 'espeak', 'cmn').ok, true);
+  assert.equal(authorizeVoice(registry, apiKey, 'espeak', 'cmn+f3').ok, true);
+  assert.equal(authorizeVoice(registry, apiKey, 'espeak', 'ZH').ok, true);
+  assert.equal(authorizeVoice(registry, apiKey, 'espeak', 'en').ok, false);
+  // 未提供音色列表时只按请求的音色本身匹配。
+  assert.equal(registry.isVoiceAllowed(apiKey, 'zh+m1'), true);
+  assert.equal(registry.isVoiceAllowed(apiKey, 'cmn'), false);
+  // 未指定音色时使用 provider 默认音色，不受限制。
+  assert.equal(registry.isVoiceAllowed(apiKey, undefined), true);
+
+  const upper = createRegistry({ id: 'en-upper', allowedVoices: ['EN'] });
+  assert.deepEqual(
+    upper.registry.filterVoices(upper.apiKey, CATALOG).map((voice) => voice.id),
+    ['en', 'en-us'],
+  );
+  assert.equal(authorizeVoice(upper.registry, upper.apiKey, 'espeak', 'en').ok, true);
+  assert.equal(authorizeVoice(upper.registry, upper.apiKey, 'espeak', 'en-us').ok, true);
+});
+
+test('filterVoices 同时按 allowedProviders 过滤，匿名调用不过滤', () => {
+  const { registry, apiKey } = createRegistry({ id: 'azure-only', allowedProviders: ['azure'] });
+  assert.deepEqual(
+    registry.filterVoices(apiKey, CATALOG).map((voice) => voice.provider),
+    ['azure', 'azure'],
+  );
+  assert.equal(registry.filterVoices(null, CATALOG), CATALOG);
+});
@@ -0,0 +1,183 @@
+/**
+ * @file audioRoute.test.js
+ * @description `/audio/:filename`：强 ETag 与缓存头、Range（206/416）、If-None-Match（304）、HEAD，
+ *              以及已过期（410）与从未签发（404）的区分，覆盖临时目录与内存缓存两种音频来源。
+ */
+
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createAudioRoute } from '../src/audio/audioRoute.js';
+import { AudioUrlSigner } from '../src/auth/AudioUrlSigner.js';
+import { IssuedAudioRegistry } from '../src/auth/IssuedAudioRegistry.js';
+import { MemoryCacheStore } from '../src/cache/MemoryCacheStore.js';
+
+const CLEANUP_TTL = 60_000;
+const AUDIO = Buffer.from('RIFF0123456789abcdef');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stickbot-audio-'));
+const cacheStore = new MemoryCacheStore({ maxEntries: 10, ttlMs: CLEANUP_TTL });
+const issuedAudio = new IssuedAudioRegistry();
+const signer = new AudioUrlSigner({ secret: 'test-secret', ttlMs: CLEANUP_TTL });
+/** @type {import('http').Server[]} */
+const servers = [];
+/** @type {string} */
+let baseUrl;
+/** @type {string} */
+let signedBaseUrl;
+
+/**
+ * 启动只挂载 `/audio` 路由的服务。
+ * @param {AudioUrlSigner} audioUrlSigner - 地址签名。
+ * @returns {Promise<string>} 服务地址。
+ */
+const startServer = (audioUrlSigner) =>
+  new Promise((resolve) => {
+    const app = express();
+    app.get('/audio/:filename', createAudioRoute({ tmpDir, cleanupTTL: CLEANUP_TTL, cacheStore, audioUrlSigner, issuedAudio }));
+    const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    servers.push(server);
+  });
+
+/**
+ * 在临时目录写入一段合成音频并记录签发，相当于 `/tts` 返回了它的地址。
+ * @param {string} filename - 文件名。
+ * @returns {string} 文件路径。
+ */
+const issueFile = (filename) => {
+  const filePath = path.join(tmpDir, filename);
+  fs.writeFileSync(filePath, AUDIO);
+  issuedAudio.record(`/audio/${filename}`);
+  return filePath;
+};
+
+/**
+ * 发送条件请求。fetch 会为带 `If-None-Match` 的请求追加 `Cache-Control: no-cache`，服务端因此不会返回 304，
+ * 这里改用 http 模块模拟浏览器缓存的再验证请求。
+ * @param {string} url - 请求地址。
+ * @param {Record<string, string>} headers - 请求头。
+ * @returns {Promise<{ status: number, body: Buffer }>} 状态码与响应体。
+ */
+const revalidate = (url, headers) =>
+  new Promise((resolve, reject) => {
+    http
+      .get(url, { headers }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+      })
+      .on('error', reject);
+  });
+
+before(async () => {
+  baseUrl = await startServer(new AudioUrlSigner({ secret: '', ttlMs: CLEANUP_TTL }));
+  signedBaseUrl = await startServer(signer);
+});
+
+after(async () => {
+  await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('临时目录音频：强 ETag、缓存头、Range 206、416、304 与 HEAD', async () => {
+  issueFile('3f2a9c1e-0000-4000-8000-000000000001.wav');
+  const url = `${baseUrl}/audio/3f2a9c1e-0000-4000-8000-000000000001.wav`;
+
+  const full = await fetch(url);
+  assert.equal(full.status, 200);
+  assert.equal(full.headers.get('etag'), '"3f2a9c1e-0000-4000-8000-000000000001.wav"');
+  assert.equal(full.headers.get('accept-ranges'), 'bytes');
+  assert.equal(full.headers.get('content-type'), 'audio/wav');
+  const maxAge = Number(/max-age=(\d+)/.exec(full.headers.get('cache-control'))[1]);
+  assert.ok(maxAge > 0 && maxAge <= CLEANUP_TTL / 1000, `max-age 不应超过 cleanupTTL：${maxAge}`);
+  assert.deepEqual(Buffer.from(await full.arrayBuffer()), AUDIO);
+
+  const partial = await fetch(url, { headers: { Range: 'bytes=4-9' } });
+  assert.equal(partial.status, 206);
+  assert.equal(partial.headers.get('content-range'), `bytes 4-9/${AUDIO.length}`);
+  assert.equal(Buffer.from(await partial.arrayBuffer()).toString(), '012345');
+
+  const unsatisfiable = await fetch(url, { headers: { Range: `bytes=${AUDIO.length + 10}-` } });
+  assert.equal(unsatisfiable.status, 416);
+  assert.equal(unsatisfiable.headers.get('content-range'), `bytes */${AUDIO.length}`);
+  await unsatisfiable.arrayBuffer();
+
+  const notModified = await revalidate(url, { 'If-None-Match': full.headers.get('etag') });
+  assert.equal(notModified.status, 304);
+  assert.equal(notModified.body.length, 0);
+  assert.equal((await revalidate(url, { 'If-None-Match': '"other.wav"' })).status, 200);
+
+  const head = await fetch(url, { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(Number(head.headers.get('content-length')), AUDIO.length);
+  assert.equal(head.headers.get('etag'), full.headers.get('etag'));
+});
+
+test('缓存中的音频：Range 206、If-Range 不匹配时返回完整内容与 304', async () => {
+  const audioPath = path.join(tmpDir, 'synth-cached.wav');
+  fs.writeFileSync(audioPath, AUDIO);
+  const stored = await cacheStore.set('0123abcd', { audioUrl: '/audio/synth-cached.wav' }, audioPath);
+  issuedAudio.record(stored.audioUrl);
+  const url = `${baseUrl}${stored.audioUrl}`;
+
+  const partial = await fetch(url, { headers: { Range: 'bytes=0-3' } });
+  assert.equal(partial.status, 206);
+  assert.equal(partial.headers.get('content-range'), `bytes 0-3/${AUDIO.length}`);
+  assert.equal(partial.headers.get('etag'), '"0123abcd.wav"');
+  assert.equal(Buffer.from(await partial.arrayBuffer()).toString(), 'RIFF');
+
+  const stale = await fetch(url, { headers: { Range: 'bytes=0-3', 'If-Range': '"other.wav"' } });
+  assert.equal(stale.status, 200);
+  assert.equal((await stale.arrayBuffer()).byteLength, AUDIO.length);
+
+  const notModified = await revalidate(url, { 'If-None-Match': '"0123abcd.wav"' });
+  assert.equal(notModified.status, 304);
+  assert.equal(notModified.body.length, 0);
+});
+
+test('签发过的音频过期或被清理后返回 410，从未签发的文件名返回 404', async () => {
+  const expiredPath = issueFile('3f2a9c1e-0000-4000-8000-000000000002.wav');
+  const longAgo = (Date.now() - CLEANUP_TTL - 1000) / 1000;
+  fs.utimesSync(expiredPath, longAgo, longAgo);
+  const expired = await fetch(`${baseUrl}/audio/3f2a9c1e-0000-4000-8000-000000000002.wav`);
+  assert.equal(expired.status, 410);
+  assert.equal((await expired.json()).code, 'audio_expired');
+
+  fs.unlinkSync(issueFile('3f2a9c1e-0000-4000-8000-000000000003.mp3'));
+  const swept = await fetch(`${baseUrl}/audio/3f2a9c1e-0000-4000-8000-000000000003.mp3`);
+  assert.equal(swept.status, 410);
+  await swept.arrayBuffer();
+
+  await cacheStore.delete('0123abcd');
+  const evicted = await fetch(`${baseUrl}/audio/0123abcd.wav`);
+  assert.equal(evicted.status, 410);
+  await evicted.arrayBuffer();
+
+  const unknown = await fetch(`${baseUrl}/audio/never-issued.wav`);
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).code, 'audio_not_found');
+
+  const malformed = await fetch(`${baseUrl}/audio/${encodeURIComponent('../secret.wav')}`);
+  assert.equal(malformed.status, 400);
+  await malformed.arrayBuffer();
+});
+
+test('启用签名时：有效签名的缺失音频返回 410，签名过期返回 410，缺少签名返回 403', async () => {
+  const filename = '3f2a9c1e-0000-4000-8000-000000000004.wav';
+  const signed = await fetch(`${signedBaseUrl}${signer.sign(`/audio/${filename}`)}`);
+  assert.equal(signed.status, 410);
+  assert.equal((await signed.json()).code, 'audio_expired');
+
+  const expiredUrl = signer.sign(`/audio/${filename}`, Date.now() - 2 * CLEANUP_TTL - 60_000);
+  const expired = await fetch(`${signedBaseUrl}${expiredUrl}`);
+  assert.equal(expired.status, 410);
+  assert.equal((await expired.json()).code, 'url_expired');
+
+  const unsigned = await fetch(`${signedBaseUrl}/audio/${filename}`);
+  assert.equal(unsigned.status, 403);
+  await unsigned.arrayBuffer();
+});
@@ -0,0 +1,96 @@
+/**
+ * @file audioUrlSigner.test.js
+ * @description AudioUrlSigner：签名地址的格式与按分钟取整的过期时间、篡改与缺失签名（403）、过期（410），
+ *              以及未配置密钥时不签名。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioUrlSigner } from '../src/auth/AudioUrlSigner.js';
+
+const NOW = Date.parse('2024-05-01T12:00:30Z');
+const TTL_MS = 15 * 60 * 1000;
+
+/**
+ * 解析签名地址中的文件名与查询参数。
+ * @param {string} url - 签名后的地址。
+ * @returns {{ filename: string, query: Record<string, string> }} 文件名与查询参数。
+ */
+const parse = (url) => {
+  const parsed = new URL(url, 'http://localhost');
+  return { filename: parsed.pathname.replace('/audio/', ''), query: Object.fromEntries(parsed.searchParams) };
+};
+
+test('签名地址带有按分钟向上取整的 exp，同一分钟内地址相同，在有效期内校验通过', () => {
+  const signer = new AudioUrlSigner({ secret: 'secret-a', ttlMs: TTL_MS });
+  assert.equal(signer.enabled, true);
+  const url = signer.sign('/audio/abc.wav', NOW);
+  assert.match(url, /^\/audio\/abc\.wav\?exp=\d+&sig=[A-Za-z0-9_-]+$/);
+  assert.equal(signer.sign('/audio/abc.wav', NOW + 20_000), url);
+
+  const { filename, query } = parse(url);
+  const exp = Number(query.exp);
+  assert.equal(exp % 60, 0);
+  assert.ok(exp * 1000 >= NOW + TTL_MS && exp * 1000 < NOW + TTL_MS + 60_000);
+  assert.deepEqual(signer.verify(filename, query, NOW), { ok: true, expiresAt: exp * 1000 });
+  assert.deepEqual(signer.verify(filename, query, exp * 1000 - 1), { ok: true, expiresAt: exp * 1000 });
+});
+
+test('到达 exp 后返回 410 url_expired', () => {
+  const signer = new AudioUrlSigner({ secret: 'secret-a', ttlMs: TTL_MS });
+  const { filename, query } = parse(signer.sign('/audio/abc.wav', NOW));
+  const expired = signer.verify(filename, query, Number(query.exp) * 1000);
+  assert.equal(expired.ok, false);
+  assert.equal(expired.status, 410);
+  assert.equal(expired.code, 'url_expired');
+});
+
+test('篡改文件名、exp 或签名，以及换用其他密钥时返回 403 invalid_signature', () => {
+  const signer = new AudioUrlSigner({ secret: 'secret-a', ttlMs: TTL_MS });
+  const { filename, query } = parse(signer.sign('/audio/abc.wav', NOW));
+  const tampered = [
+    ['other.wav', query],
+    [filename, { ...query, exp: String(Number(query.exp) + 3600) }],
+    [filename, { ...query, sig: `${query.sig.slice(0, -1)}${query.sig.endsWith('A') ? 'B' : 'A'}` }],
+    [filename, { ...query, sig: query.sig.slice(1) }],
+  ];
+  for (const [name, params] of tampered) {
+    const result = signer.verify(name, params, NOW);
+    assert.equal(result.status, 403);
+    assert.equal(result.code, 'invalid_signature');
+  }
+  // 过期且签名无效时先报告签名无效，不泄露地址是否曾经有效。
+  const forged = signer.verify(filename, { exp: '60', sig: query.sig }, NOW);
+  assert.equal(forged.code, 'invalid_signature');
+
+  const otherSecret = new AudioUrlSigner({ secret: 'secret-b', ttlMs: TTL_MS });
+  assert.equal(otherSecret.verify(filename, query, NOW).code, 'invalid_signature');
+});
+
+test('缺少或格式错误的 exp/sig 返回 403 missing_signature', () => {
+  const signer = new AudioUrlSigner({ secret: 'secret-a', ttlMs: TTL_MS });
+  const { query } = parse(signer.sign('/audio/abc.wav', NOW));
+  for (const params of [{}, { exp: query.exp }, { sig: query.sig }, { exp: '1e12', sig: query.sig }, { exp: ['1', '2'], sig: query.sig }]) {
+    const result = signer.verify('abc.wav', params, NOW);
+    assert.equal(result.status, 403);
+    assert.equal(result.code, 'missing_signature');
+  }
+});
+
+test('未配置密钥时不签名、校验总是通过；只签名 /audio 地址', () => {
+  const disabled = new AudioUrlSigner({ secret: '', ttlMs: TTL_MS });
+  assert.equal(disabled.enabled, false);
+  assert.equal(disabled.sign('/audio/abc.wav', NOW), '/audio/abc.wav');
+  assert.deepEqual(disabled.verify('abc.wav', {}, NOW), { ok: true, expiresAt: null });
+  const payload = { audioUrl: '/audio/abc.wav', duration: 1 };
+  assert.equal(disabled.signPayload(payload), payload);
+
+  const signer = new AudioUrlSigner({ secret: 'secret-a', ttlMs: TTL_MS });
+  assert.equal(signer.sign('https://cdn.example.com/abc.wav', NOW), 'https://cdn.example.com/abc.wav');
+  assert.equal(signer.sign('/audio/nested/abc.wav', NOW), '/audio/nested/abc.wav');
+  const signed = signer.signPayload(payload);
+  assert.notEqual(signed, payload);
+  assert.equal(payload.audioUrl, '/audio/abc.wav');
+  assert.match(signed.audioUrl, /^\/audio\/abc\.wav\?exp=/);
+  assert.equal(signer.signPayload(null), null);
+});
@@ -0,0 +1,232 @@
+/**
+ * @file auditLogger.test.js
+ * @description AuditLogger：超过 maxBytes 与跨日时轮转并压缩为 `.gz`、按 retentionDays 删除旧文件、
+ *              跨压缩文件按时间顺序查询；以及 `/admin/audit` 的查询参数解析、过滤与聚合。
+ *              日志写入临时目录，日期通过模拟的 `Date` 推进。
+ */
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { AuditLogger, summarizeAudit } from '../src/audit/AuditLogger.js';
+import { matchesAuditFilters, parseAuditQuery } from '../src/audit/auditQuery.js';
+
+const NOW = Date.parse('2024-05-01T23:59:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {string[]} */
+const tmpDirs = [];
+
+/**
+ * 创建写入临时目录的日志器。
+ * @param {Partial<import('../src/audit/AuditLogger.js').AuditLoggerOptions>} [options] - 覆盖的参数。
+ * @returns {Promise<AuditLogger>} 已初始化的日志器。
+ */
+const createLogger = async (options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stickbot-audit-'));
+  tmpDirs.push(dir);
+  const logger = new AuditLogger({ dir, maxBytes: 1024 * 1024, retentionDays: 0, ...options });
+  await logger.init();
+  return logger;
+};
+
+/**
+ * 构造一条审计记录。
+ * @param {Partial<import('../src/audit/AuditLogger.js').AuditEntry>} overrides - 覆盖的字段。
+ * @returns {import('../src/audit/AuditLogger.js').AuditEntry} 记录。
+ */
+const entry = (overrides = {}) => ({
+  endpoint: 'tts',
+  provider: 'espeak',
+  voice: 'zh',
+  chars: 10,
+  durationSec: 1.5,
+  timelinePoints: 12,
+  elapsedMs: 200,
+  error: null,
+  keyId: 'team-a',
+  ...overrides,
+});
+
+/**
+ * 读取目录中日志文件的内容，`.gz` 会被解压。
+ * @param {string} dir - 日志目录。
+ * @returns {Record<string, number[]>} 文件名到 `chars` 列表的映射。
+ */
+const readLogs = (dir) =>
+  Object.fromEntries(
+    fs
+      .readdirSync(dir)
+      .sort()
+      .map((name) => {
+        const raw = fs.readFileSync(path.join(dir, name));
+        const content = (name.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf-8');
+        return [name, content.trim().split('\n').map((line) => JSON.parse(line).chars)];
+      }),
+  );
+
+/**
+ * 收集异步迭代器的全部元素。
+ * @template T
+ * @param {AsyncIterable<T>} iterable - 异步迭代器。
+ * @returns {Promise<T[]>} 元素列表。
+ */
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+after(() => {
+  for (const dir of tmpDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('超过 maxBytes 时轮转为递增序号的 .gz，跨日时归档前一天的文件', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const lineBytes = Buffer.byteLength(`${JSON.stringify({ ts: new Date().toISOString(), ...entry({ chars: 1 }) })}\n`);
+  const logger = await createLogger({ maxBytes: lineBytes * 2 });
+
+  for (let chars = 1; chars <= 5; chars += 1) {
+    await logger.log(entry({ chars }));
+  }
+  assert.deepEqual(readLogs(logger.dir), {
+    '2024-05-01.1.jsonl.gz': [1, 2],
+    '2024-05-01.2.jsonl.gz': [3, 4],
+    '2024-05-01.jsonl': [5],
+  });
+
+  t.mock.timers.tick(60_000);
+  await logger.log(entry({ chars: 6 }));
+  assert.deepEqual(readLogs(logger.dir), {
+    '2024-05-01.1.jsonl.gz': [1, 2],
+    '2024-05-01.2.jsonl.gz': [3, 4],
+    '2024-05-01.3.jsonl.gz': [5],
+    '2024-05-02.jsonl': [6],
+  });
+
+  // 时间范围覆盖两天时按轮转顺序读取，压缩文件与当日文件都包含在内。
+  const all = await collect(logger.query(NOW - DAY_MS, NOW + DAY_MS));
+  assert.deepEqual(all.map((record) => record.chars), [1, 2, 3, 4, 5, 6]);
+  const secondDay = await collect(logger.query(NOW + 60_000, NOW + DAY_MS));
+  assert.deepEqual(secondDay.map((record) => record.chars), [6]);
+});
+
+test('单条记录超过 maxBytes 时仍写入当前文件，不产生空的轮转文件', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const logger = await createLogger({ maxBytes: 10 });
+  await logger.log(entry({ chars: 1 }));
+  await logger.log(entry({ chars: 2 }));
+  assert.deepEqual(readLogs(logger.dir), {
+    '2024-05-01.1.jsonl.gz': [1],
+    '2024-05-01.jsonl': [2],
+  });
+});
+
+test('启动时压缩上次运行遗留的文件，并删除超过 retentionDays 的日志', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stickbot-audit-'));
+  tmpDirs.push(dir);
+  const line = (chars) => `${JSON.stringify({ ts: '2024-04-30T12:00:00.000Z', ...entry({ chars }) })}\n`;
+  fs.writeFileSync(path.join(dir, '2024-04-30.jsonl'), line(1));
+  fs.writeFileSync(path.join(dir, '2024-04-30.1.jsonl'), line(2));
+  fs.writeFileSync(path.join(dir, '2024-04-20.jsonl.gz'), zlib.gzipSync(line(3)));
+  fs.writeFileSync(path.join(dir, '2024-04-24.log'), 'legacy\n');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep\n');
+
+  const logger = new AuditLogger({ dir, maxBytes: 1024, retentionDays: 7 });
+  await logger.init();
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['2024-04-24.log', '2024-04-30.1.jsonl.gz', '2024-04-30.2.jsonl.gz', 'notes.txt']);
+  // 已有序号的文件原地压缩，无序号的前一天文件取下一个序号后压缩。
+  assert.equal(zlib.gunzipSync(fs.readFileSync(path.join(dir, '2024-04-30.1.jsonl.gz'))).toString(), line(2));
+  assert.equal(zlib.gunzipSync(fs.readFileSync(path.join(dir, '2024-04-30.2.jsonl.gz'))).toString(), line(1));
+
+  // 启动时截止日期为 2024-04-24，已删除 04-20；一天后截止日期变为 04-25，04-24 的旧版日志随之删除。
+  t.mock.timers.tick(DAY_MS);
+  assert.equal(await logger.sweep(), 1);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['2024-04-30.1.jsonl.gz', '2024-04-30.2.jsonl.gz', 'notes.txt']);
+
+  const disabled = new AuditLogger({ dir, maxBytes: 1024, retentionDays: 0 });
+  t.mock.timers.tick(365 * DAY_MS);
+  assert.equal(await disabled.sweep(), 0);
+});
+
+test('查询跳过无法解析的行与范围外的记录', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const logger = await createLogger();
+  await logger.log(entry({ chars: 1 }));
+  fs.appendFileSync(logger.currentPath, 'not json\n\n{"ts":"invalid"}\n');
+  t.mock.timers.tick(30_000);
+  await logger.log(entry({ chars: 2 }));
+
+  assert.deepEqual((await collect(logger.query(NOW, NOW + 60_000))).map((record) => record.chars), [1, 2]);
+  assert.deepEqual((await collect(logger.query(NOW + 1, NOW + 60_000))).map((record) => record.chars), [2]);
+  assert.deepEqual(await collect(logger.query(NOW - DAY_MS, NOW - 1)), []);
+});
+
+test('/admin/audit 参数：默认最近 24 小时，支持日期、ISO 与时间戳，范围无效或超过 31 天时返回 invalid_range', () => {
+  assert.deepEqual(parseAuditQuery({}, NOW), { ok: true, from: NOW - DAY_MS, to: NOW, limit: 100, filters: {} });
+
+  const byDay = parseAuditQuery({ from: '2024-04-01', to: '2024-04-30' }, NOW);
+  assert.equal(byDay.from, Date.parse('2024-04-01T00:00:00.000Z'));
+  assert.equal(byDay.to, Date.parse('2024-04-30T23:59:59.999Z'));
+  assert.equal(parseAuditQuery({ from: '2024-05-01T08:00:00+08:00', to: String(NOW) }, NOW).from, Date.parse('2024-05-01T00:00:00Z'));
+  assert.equal(parseAuditQuery({ to: '2024-04-30' }, NOW).from, Date.parse('2024-04-29T23:59:59.999Z'));
+
+  for (const query of [{ from: 'yesterday' }, { to: '' }, { from: '2024-05-01', to: '2024-04-30' }, { from: '2024-03-01', to: '2024-04-30' }]) {
+    const result = parseAuditQuery(query, NOW);
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 400);
+    assert.equal(result.code, 'invalid_range');
+  }
+
+  assert.equal(parseAuditQuery({ limit: '5000' }, NOW).limit, 1000);
+  assert.equal(parseAuditQuery({ limit: '-3' }, NOW).limit, 0);
+  assert.equal(parseAuditQuery({ limit: '2.7' }, NOW).limit, 2);
+  assert.equal(parseAuditQuery({ limit: 'many' }, NOW).limit, 100);
+});
+
+test('/admin/audit 过滤：按 provider、接口、key、音色精确匹配后聚合', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const logger = await createLogger();
+  await logger.log(entry({ chars: 1 }));
+  await logger.log(entry({ chars: 2, provider: 'azure', voice: 'zh-CN-XiaoxiaoNeural', elapsedMs: 400 }));
+  await logger.log(entry({ chars: 3, provider: 'azure', voice: 'zh-CN-XiaoxiaoNeural', cacheHit: true, elapsedMs: 0 }));
+  await logger.log(entry({ chars: 4, provider: 'azure', error: 'HTTP 429', errorCode: 'provider_error', keyId: null }));
+  await logger.log(entry({ chars: 5, endpoint: 'chat', provider: 'openai', voice: undefined }));
+
+  const { filters } = parseAuditQuery({ provider: ' azure ', keyId: 'team-a', ignored: 'x', voice: '' }, NOW);
+  assert.deepEqual(filters, { provider: 'azure', keyId: 'team-a' });
+  assert.equal(matchesAuditFilters(entry({ provider: 'azure', keyId: 'team-a' }), filters), true);
+  assert.equal(matchesAuditFilters(entry({ provider: 'Azure', keyId: 'team-a' }), filters), false);
+  assert.equal(matchesAuditFilters(entry({ voice: undefined }), { voice: '' }), true);
+
+  const summary = await summarizeAudit(logger.query(NOW - DAY_MS, NOW), {
+    filter: (record) => matchesAuditFilters(record, filters),
+    limit: 1,
+  });
+  assert.deepEqual(summary.totals, { requests: 2, errors: 0, cacheHits: 1, chars: 5, audioSeconds: 3, avgElapsedMs: 400 });
+  assert.deepEqual(summary.entries.map((record) => record.chars), [3]);
+  assert.deepEqual(Object.keys(summary.byProvider), ['azure']);
+
+  const all = await summarizeAudit(logger.query(NOW - DAY_MS, NOW), { filter: () => true, limit: 10 });
+  assert.equal(all.totals.requests, 5);
+  assert.equal(all.totals.errors, 1);
+  assert.deepEqual(all.byErrorCode, { provider_error: 1 });
+  assert.deepEqual(Object.keys(all.byKey).sort(), ['-', 'team-a']);
+  assert.deepEqual(Object.keys(all.byEndpoint).sort(), ['chat', 'tts']);
+  assert.deepEqual(all.entries.map((record) => record.chars), [5, 4, 3, 2, 1]);
+
+  const voiceOnly = await summarizeAudit(logger.query(NOW - DAY_MS, NOW), {
+    filter: (record) => matchesAuditFilters(record, parseAuditQuery({ voice: 'zh-CN-XiaoxiaoNeural' }, NOW).filters),
+    limit: 0,
+  });
+  assert.equal(voiceOnly.totals.requests, 2);
+  assert.deepEqual(voiceOnly.entries, []);
+});
@@ -0,0 +1,200 @@
+/**
+ * @file azureAdapter.test.js
+ * @description 通过 `loadSdk` 注入模拟的 Speech SDK，检查 AzureAdapter 构造的 SSML、由事件生成的时间轴与音频时长。
+ */
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_VISEME_CONFIG } from '../src/tts/mapping.js';
+import { AzureAdapter } from '../src/tts/adapters/AzureAdapter.js';
+
+/** SDK 事件中的时间单位为 100 纳秒。 */
+const TICKS_PER_SECOND = 1e7;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stickbot-azure-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * 生成静音的 16 kHz 单声道 16 位 WAV。
+ * @param {number} seconds - 时长（秒）。
+ * @returns {Buffer} WAV 内容。
+ */
+const silentWav = (seconds) => {
+  const sampleRate = 16000;
+  const dataSize = Math.round(seconds * sampleRate) * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+  return buffer;
+};
+
+/**
+ * 构造模拟 SDK：`speakSsmlAsync` 记录 SSML，依次推送 viseme 与单词边界事件，再异步返回合成结果。
+ * @param {{ visemes: Array<[number, number]>, words: Array<{ text: string, offset: number, duration?: number, boundaryType?: number }>, audio: Buffer, audioDuration?: number }} script - 事件与结果，时间单位为秒。
+ * @returns {{ sdk: any, calls: { ssml: string[], closed: number } }} 模拟模块与调用记录。
+ */
+const createFakeSdk = (script) => {
+  const calls = { ssml: [], closed: 0 };
+  const ResultReason = { SynthesizingAudioCompleted: 10, Canceled: 1 };
+  const SpeechSynthesisBoundaryType = { Word: 0, Punctuation: 1, Sentence: 2 };
+  class SpeechSynthesizer {
+    constructor(speechConfig, audioConfig) {
+      this.speechConfig = speechConfig;
+      this.audioConfig = audioConfig;
+      this.visemeReceived = null;
+      this.wordBoundary = null;
+    }
+
+    speakSsmlAsync(ssml, onSuccess) {
+      calls.ssml.push(ssml);
+      for (const [offset, visemeId] of script.visemes) {
+        this.visemeReceived?.(this, { audioOffset: offset * TICKS_PER_SECOND, visemeId });
+      }
+      for (const word of script.words) {
+        this.wordBoundary?.(this, {
+          text: word.text,
+          audioOffset: word.offset * TICKS_PER_SECOND,
+          duration: word.duration === undefined ? undefined : word.duration * TICKS_PER_SECOND,
+          boundaryType: word.boundaryType ?? SpeechSynthesisBoundaryType.Word,
+        });
+      }
+      // 模拟网络往返，耗时与音频时长无关。
+      setTimeout(() => {
+        onSuccess({
+          reason: ResultReason.SynthesizingAudioCompleted,
+          audioData: script.audio.buffer.slice(script.audio.byteOffset, script.audio.byteOffset + script.audio.length),
+          audioDuration: script.audioDuration === undefined ? undefined : script.audioDuration * TICKS_PER_SECOND,
+        });
+      }, 5);
+    }
+
+    close() {
+      calls.closed += 1;
+    }
+  }
+  const sdk = {
+    SpeechConfig: { fromSubscription: (key, region) => ({ key, region }) },
+    SpeechSynthesisOutputFormat: { Riff16Khz16BitMonoPcm: 8 },
+    SpeechSynthesisBoundaryType,
+    ResultReason,
+    SpeechSynthesizer,
+  };
+  return { sdk, calls };
+};
+
+const createAdapter = (sdk) =>
+  new AzureAdapter({
+    region: 'eastasia',
+    key: 'test-key',
+    voice: 'zh-CN-XiaoxiaoNeural',
+    tmpDir,
+    sampleRate: 100,
+    visemeConfig: DEFAULT_VISEME_CONFIG,
+    loadSdk: async () => sdk,
+  });
+
+test('按 voice/rate/pitch 构造 SSML，并由事件生成时间轴', async () => {
+  const { sdk, calls } = createFakeSdk({
+    visemes: [
+      [0, 0],
+      [0.1, 21],
+      [0.3, 2],
+      [0.6, 12],
+      [0.9, 0],
+    ],
+    words: [
+      { text: 'Hello', offset: 0.05, duration: 0.4 },
+      { text: ',', offset: 0.45, duration: 0.05, boundaryType: 1 },
+      { text: 'world', offset: 0.55 },
+    ],
+    audio: silentWav(1.2),
+    audioDuration: 1.2,
+  });
+  const adapter = createAdapter(sdk);
+  const result = await adapter.synthesize('Hello, world & co', { voice: 'en-US-JennyNeural', rate: 204, pitch: 60 });
+
+  assert.equal(calls.ssml.length, 1);
+  const [ssml] = calls.ssml;
+  assert.match(ssml, /<speak[^>]*xml:lang="en-US"/);
+  assert.match(ssml, /<voice name="en-US-JennyNeural"><prosody rate="\+20%" pitch="\+10%">Hello, world &amp; co<\/prosody><\/voice>/);
+  assert.equal(calls.closed, 1);
+
+  // 标点边界被跳过；没有时长的单词持续到音频结束。
+  assert.deepEqual(result.wordTimeline, [
+    { text: 'Hello', tStart: 0.05, tEnd: 0.45 },
+    { text: 'world', tStart: 0.55, tEnd: 1.2 },
+  ]);
+
+  assert.equal(result.duration, 1.2);
+  assert.equal(result.audioType, 'audio/wav');
+  assert.ok(fs.existsSync(result.audioPath));
+  const last = result.mouthTimeline[result.mouthTimeline.length - 1];
+  assert.equal(last.t, 1.2);
+  // 12 号（h）经 azureVisemes 对应到 `h`，不再落到 default。
+  const breath = result.mouthTimeline.find((frame) => frame.t > 0.7 && frame.t < 0.8);
+  assert.equal(breath.phoneme, 'viseme-12');
+  assert.equal(breath.visemeId, DEFAULT_VISEME_CONFIG.phonemeToViseme.h);
+});
+
+test('azureVisemes 未列出的 viseme ID 计入 unmappedPhonemes', async () => {
+  const { sdk } = createFakeSdk({
+    visemes: [
+      [0, 21],
+      [0.1, 30],
+      [0.2, 2],
+      [0.3, 30],
+    ],
+    words: [],
+    audio: silentWav(0.5),
+    audioDuration: 0.5,
+  });
+  const adapter = createAdapter(sdk);
+  const result = await adapter.synthesize('hi');
+  assert.deepEqual(result.unmappedPhonemes, { 'viseme-30': 2 });
+
+  // 12、17、20 号（h、ð、k）均有代表音素的映射。
+  const covered = createFakeSdk({
+    visemes: [
+      [0, 12],
+      [0.1, 17],
+      [0.2, 20],
+    ],
+    words: [],
+    audio: silentWav(0.3),
+  });
+  const mapped = await createAdapter(covered.sdk).synthesize('hi');
+  assert.deepEqual(mapped.unmappedPhonemes, {});
+});
+
+test('结果缺少 audioDuration 时按 WAV 计算时长', async () => {
+  const { sdk } = createFakeSdk({
+    visemes: [
+      [0, 0],
+      [0.2, 2],
+    ],
+    words: [],
+    audio: silentWav(0.8),
+  });
+  const adapter = createAdapter(sdk);
+  const result = await adapter.synthesize('你好');
+
+  assert.equal(result.duration, 0.8);
+  assert.equal(result.mouthTimeline[result.mouthTimeline.length - 1].t, 0.8);
+  // 没有单词边界事件时按字数均分。
+  assert.equal(result.wordTimeline.length, 2);
+  assert.equal(result.wordTimeline[1].tEnd, 0.8);
+});
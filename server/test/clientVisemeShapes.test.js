@@ -0,0 +1,112 @@
+/**
+ * @file clientVisemeShapes.test.js
+ * @description 网页端、小程序端与 `@stickbot/core` 各自维护一份口型表与紧凑时间轴解码，
+ *              这里以服务端默认口型配置与 `compressTimeline` 为准逐项比对，任何一端漂移都会失败。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import ts from 'typescript';
+import { DEFAULT_VISEME_CONFIG, mapPhonemeToViseme, resolveVisemeShape } from '../src/tts/mapping.js';
+import {
+  SHAPE_CHANNELS,
+  accumulateSegments,
+  compressTimeline,
+  generateTimeline,
+  mixVisemeShapes,
+} from '../src/tts/utils/timeline.js';
+import * as web from '../../web/js/viseme-shapes.js';
+
+/**
+ * 以 CommonJS 方式执行小程序工具模块（根目录为 ESM，不能直接 require）。
+ * @returns {Record<string, any>} 模块导出。
+ */
+const loadWeapp = () => {
+  const source = fs.readFileSync(new URL('../../weapp-stickbot/utils/viseme-shapes.js', import.meta.url), 'utf8');
+  const module = { exports: {} };
+  new Function('module', 'exports', source)(module, module.exports);
+  return module.exports;
+};
+
+/**
+ * 把 core 的 TypeScript 源码转译为 ESM 后导入，无需先构建 dist。
+ * @returns {Promise<Record<string, any>>} 模块导出。
+ */
+const loadCore = async () => {
+  const source = fs.readFileSync(new URL('../../packages/stickbot-core/src/viseme-shapes.ts', import.meta.url), 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+  });
+  return import(`data:text/javascript;base64,${Buffer.from(outputText).toString('base64')}`);
+};
+
+const clients = {
+  web,
+  weapp: loadWeapp(),
+  core: await loadCore(),
+};
+
+/**
+ * 去掉由 mouth 值决定的 `jawOpen`，只保留客户端表中列出的通道。
+ * @param {Record<string, number>} shape - 完整口型。
+ * @returns {Record<string, number>} 唇形。
+ */
+const withoutJaw = ({ jawOpen, ...rest }) => rest;
+
+for (const [name, client] of Object.entries(clients)) {
+  test(`${name}：通道顺序、默认唇形与中性唇形与服务端一致`, () => {
+    assert.deepEqual([...client.SHAPE_CHANNELS], SHAPE_CHANNELS);
+
+    const serverIds = Object.keys(DEFAULT_VISEME_CONFIG.visemeShapes);
+    assert.deepEqual(Object.keys(client.FALLBACK_VISEME_SHAPES), serverIds);
+    for (const visemeId of serverIds) {
+      const expected = withoutJaw(resolveVisemeShape(visemeId, 0, DEFAULT_VISEME_CONFIG));
+      assert.deepEqual(client.FALLBACK_VISEME_SHAPES[visemeId], expected, `口型 ${visemeId}`);
+    }
+
+    // 配置中没有的口型编号由服务端补成中性唇形。
+    assert.deepEqual(client.NEUTRAL_SHAPE, withoutJaw(resolveVisemeShape(99, 0, DEFAULT_VISEME_CONFIG)));
+  });
+}
+
+test('三端解码服务端紧凑时间轴得到相同的关键帧', () => {
+  const { cumulative, totalDuration } = accumulateSegments(
+    [
+      ['m', 90],
+      ['a', 160],
+      ['u', 120],
+      ['s', 80],
+      ['i', 140],
+    ].map(([phoneme, durationMs]) => ({
+      phoneme,
+      durationMs,
+      ...mapPhonemeToViseme(phoneme, DEFAULT_VISEME_CONFIG),
+    })),
+  );
+  const frames = generateTimeline(cumulative, totalDuration, 100, DEFAULT_VISEME_CONFIG.coarticulation);
+  const compact = compressTimeline(frames, 0.02);
+  assert.ok(compact.frames.length > 2 && compact.frames.length < frames.length);
+
+  const expected = compact.frames.map(([t, v, visemeId, phonemeIndex, ...channels]) => ({
+    t,
+    v,
+    visemeId,
+    phoneme: compact.phonemes[phonemeIndex],
+    shape: Object.fromEntries(SHAPE_CHANNELS.map((channel, index) => [channel, channels[index]])),
+  }));
+  assert.deepEqual(web.decodeMouthTimeline(compact), expected);
+  assert.deepEqual(clients.weapp.decodeMouthTimeline(compact), expected);
+  // core 以 `value` 命名 mouth 值。
+  assert.deepEqual(
+    clients.core.decodeMouthTimeline(compact).map(({ value, ...rest }) => ({ ...rest, v: value })),
+    expected,
+  );
+
+  // 关键帧之间的插值与服务端 mixVisemeShapes 一致。
+  const [from, to] = expected.map((frame) => frame.shape);
+  const mixed = mixVisemeShapes(from, to, 0.5);
+  for (const client of Object.values(clients)) {
+    assert.deepEqual(client.mixShapes(from, to, 0.5), mixed);
+  }
+});
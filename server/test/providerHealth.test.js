@@ -0,0 +1,120 @@
+/**
+ * @file providerHealth.test.js
+ * @description ProviderHealth：连续失败达到阈值后熔断，冷却结束后半开且只放行一个试探请求，
+ *              试探成功恢复、失败重新熔断；以及状态快照中的计数与耗时滑动平均。时间通过模拟的 `Date` 推进。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderHealth, ProviderUnavailableError } from '../src/tts/ProviderHealth.js';
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const COOLDOWN_MS = 30_000;
+
+/**
+ * 启用模拟时间并屏蔽熔断日志。
+ * @param {import('node:test').TestContext} t - 测试上下文。
+ * @returns {string[]} 收集到的告警。
+ */
+const setup = (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(message));
+  return warnings;
+};
+
+test('连续失败达到阈值后熔断，成功会清零连续失败次数', (t) => {
+  const warnings = setup(t);
+  const health = new ProviderHealth({ failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+  assert.equal(health.snapshot('azure').state, 'closed');
+
+  health.recordFailure('azure', new Error('timeout'), 100);
+  health.recordFailure('azure', new Error('timeout'), 100);
+  health.recordSuccess('azure', 100);
+  assert.equal(health.snapshot('azure').consecutiveFailures, 0);
+  health.recordFailure('azure', new Error('timeout'), 100);
+  health.recordFailure('azure', new Error('timeout'), 100);
+  assert.equal(health.tryAcquire('azure'), true);
+
+  health.recordFailure('azure', new Error('HTTP 503'), 100);
+  assert.equal(warnings.length, 1);
+  assert.equal(health.tryAcquire('azure'), false);
+  assert.deepEqual(health.snapshot('azure'), {
+    state: 'open',
+    consecutiveFailures: 3,
+    requests: 6,
+    failures: 5,
+    lastLatencyMs: 100,
+    avgLatencyMs: 100,
+    lastError: 'HTTP 503',
+    lastFailureAt: new Date(NOW).toISOString(),
+    openUntil: new Date(NOW + COOLDOWN_MS).toISOString(),
+  });
+  // 其他 provider 不受影响。
+  assert.equal(health.tryAcquire('espeak'), true);
+});
+
+test('冷却结束后半开，只放行一个试探请求，试探成功后恢复', (t) => {
+  setup(t);
+  const health = new ProviderHealth({ failureThreshold: 1, cooldownMs: COOLDOWN_MS });
+  health.recordFailure('azure', new Error('timeout'), 50);
+
+  t.mock.timers.tick(COOLDOWN_MS - 1);
+  assert.equal(health.tryAcquire('azure'), false);
+  t.mock.timers.tick(1);
+  assert.equal(health.snapshot('azure').state, 'half_open');
+  assert.equal(health.snapshot('azure').openUntil, null);
+  assert.equal(health.tryAcquire('azure'), true);
+  assert.equal(health.tryAcquire('azure'), false);
+  assert.equal(health.tryAcquire('azure'), false);
+
+  health.recordSuccess('azure', 80);
+  assert.equal(health.snapshot('azure').state, 'closed');
+  assert.equal(health.tryAcquire('azure'), true);
+  assert.equal(health.tryAcquire('azure'), true);
+});
+
+test('试探失败后立即重新熔断并重新计算冷却时间', (t) => {
+  const warnings = setup(t);
+  const health = new ProviderHealth({ failureThreshold: 3, cooldownMs: COOLDOWN_MS });
+  for (let i = 0; i < 3; i += 1) {
+    health.recordFailure('azure', new Error('timeout'), 50);
+  }
+  t.mock.timers.tick(COOLDOWN_MS + 5_000);
+  assert.equal(health.tryAcquire('azure'), true);
+
+  health.recordFailure('azure', 'probe failed', 50);
+  assert.equal(warnings.length, 2);
+  assert.equal(health.tryAcquire('azure'), false);
+  const snapshot = health.snapshot('azure');
+  assert.equal(snapshot.state, 'open');
+  assert.equal(snapshot.consecutiveFailures, 4);
+  assert.equal(snapshot.lastError, 'probe failed');
+  assert.equal(snapshot.openUntil, new Date(NOW + 2 * COOLDOWN_MS + 5_000).toISOString());
+
+  t.mock.timers.tick(COOLDOWN_MS);
+  assert.equal(health.tryAcquire('azure'), true);
+  assert.equal(health.tryAcquire('azure'), false);
+});
+
+test('耗时取整并按指数滑动平均累计，错误信息截断到 500 字符', (t) => {
+  setup(t);
+  const health = new ProviderHealth({ failureThreshold: 10, cooldownMs: COOLDOWN_MS });
+  health.recordSuccess('espeak', 100.4);
+  health.recordSuccess('espeak', 200);
+  health.recordSuccess('espeak', 300);
+  const snapshot = health.snapshot('espeak');
+  assert.equal(snapshot.lastLatencyMs, 300);
+  assert.equal(snapshot.avgLatencyMs, 156);
+  assert.equal(snapshot.lastFailureAt, null);
+
+  health.recordFailure('espeak', new Error('x'.repeat(800)), 10);
+  assert.equal(health.snapshot('espeak').lastError.length, 500);
+});
+
+test('ProviderUnavailableError 列出被跳过的 provider', () => {
+  const error = new ProviderUnavailableError(['azure', 'espeak']);
+  assert.equal(error.name, 'ProviderUnavailableError');
+  assert.deepEqual(error.providers, ['azure', 'espeak']);
+  assert.match(error.message, /azure, espeak/);
+});
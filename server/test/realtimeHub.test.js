@@ -0,0 +1,114 @@
+/**
+ * @file realtimeHub.test.js
+ * @description 用两个进程内客户端驱动 RealtimeHub 会话：片段顺序、播放头 `startAt` 排期与晚加入观众的补播。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RealtimeHub } from '../src/realtime/RealtimeHub.js';
+import { createLocalClient } from '../src/realtime/transports.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 模拟合成：按文本查找时长与耗时，返回与 `/tts` 响应体相同结构的 payload。
+ * @param {Record<string, { duration: number, latencyMs: number }>} script - 文本到时长（秒）与合成耗时（毫秒）的映射。
+ * @returns {{ synthesize: (text: string) => Promise<Record<string, any>>, calls: string[] }} 合成函数与调用记录。
+ */
+const createSynthesizer = (script) => {
+  const calls = [];
+  const synthesize = async (text) => {
+    calls.push(text);
+    const { duration, latencyMs } = script[text];
+    await delay(latencyMs);
+    return {
+      ok: true,
+      payload: {
+        audioUrl: `/audio/${calls.length}.wav`,
+        duration,
+        mouthTimeline: [
+          { t: 0, v: 0 },
+          { t: duration, v: 0 },
+        ],
+        wordTimeline: [{ text, tStart: 0, tEnd: duration }],
+      },
+    };
+  };
+  return { synthesize, calls };
+};
+
+test('片段按发送顺序首尾相接排期，晚加入的观众补播进行中的片段', async () => {
+  // 第一句合成更慢，仍须先于第二句广播。
+  const { synthesize, calls } = createSynthesizer({
+    '你好。': { duration: 1, latencyMs: 30 },
+    '再见': { duration: 0.5, latencyMs: 5 },
+  });
+  const hub = new RealtimeHub({ synthesize, leadMs: 200 });
+  const operator = createLocalClient(hub, { sessionId: 'demo', role: 'operator' });
+  const viewer = createLocalClient(hub, { sessionId: 'demo' });
+  await viewer.waitFor('joined');
+
+  operator.send({ type: 'token', text: '你好' });
+  operator.send({ type: 'token', text: '。再' });
+  operator.send({ type: 'token', text: '见' });
+  operator.send({ type: 'flush' });
+
+  const second = await viewer.waitFor('chunk', (message) => message.seq === 1);
+  const chunks = viewer.messages.filter((message) => message.type === 'chunk');
+  assert.deepEqual(calls, ['你好。', '再见']);
+  assert.deepEqual(
+    chunks.map((chunk) => [chunk.seq, chunk.text]),
+    [
+      [0, '你好。'],
+      [1, '再见'],
+    ],
+  );
+
+  // 首段在服务端时间之后预留 leadMs，第二段紧接在首段结束处。
+  const [first] = chunks;
+  assert.equal(first.startAt, first.serverTime + 200);
+  assert.equal(second.startAt, first.startAt + 1000);
+  assert.equal(second.sessionId, 'demo');
+  assert.deepEqual(second.wordTimeline, [{ text: '再见', tStart: 0, tEnd: 0.5 }]);
+
+  // 操作者收到同样的片段。
+  const operatorChunks = operator.messages.filter((message) => message.type === 'chunk');
+  assert.deepEqual(operatorChunks, chunks);
+
+  // 第二段仍在播放时加入：按原 startAt 补发全部未结束的片段，再广播成员变化。
+  const late = createLocalClient(hub, { sessionId: 'demo' });
+  assert.deepEqual(
+    late.messages.map((message) => message.type),
+    ['joined', 'chunk', 'chunk', 'presence'],
+  );
+  assert.deepEqual(
+    late.messages.filter((message) => message.type === 'chunk'),
+    chunks,
+  );
+  assert.deepEqual(late.messages[0].members, { operators: 1, viewers: 2 });
+  const presence = await viewer.waitFor('presence', (message) => message.members.viewers === 2);
+  assert.equal(presence.sessionId, 'demo');
+
+  operator.close();
+  viewer.close();
+  late.close();
+  assert.equal(hub.stats().sessions, 0);
+});
+
+test('片段播放结束后加入的观众不再补播', async () => {
+  const { synthesize } = createSynthesizer({ '嗯。': { duration: 0.01, latencyMs: 0 } });
+  const hub = new RealtimeHub({ synthesize, leadMs: 0 });
+  const operator = createLocalClient(hub, { sessionId: 'short', role: 'operator' });
+  operator.send({ type: 'speak', text: '嗯。' });
+  const chunk = await operator.waitFor('chunk');
+  await delay(Math.max(0, chunk.startAt + 10 - Date.now()) + 20);
+
+  const late = createLocalClient(hub, { sessionId: 'short' });
+  assert.deepEqual(
+    late.messages.map((message) => message.type),
+    ['joined', 'presence'],
+  );
+
+  operator.close();
+  late.close();
+});
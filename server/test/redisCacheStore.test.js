@@ -0,0 +1,107 @@
+/**
+ * @file redisCacheStore.test.js
+ * @description 以 MemoryRedisServer 作为 Redis 替身，检查 RedisCacheStore 的读写、PX 过期与多实例共享。
+ */
+
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RedisCacheStore } from '../src/cache/RedisCacheStore.js';
+import { MemoryRedisServer } from '../src/cache/redis/MemoryRedisServer.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stickbot-redis-'));
+const server = new MemoryRedisServer();
+/** @type {string} */
+let url;
+/** @type {RedisCacheStore[]} */
+const stores = [];
+
+before(async () => {
+  ({ url } = await server.listen(0));
+});
+
+after(async () => {
+  await Promise.all(stores.map((store) => store.close()));
+  await server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * 创建连接到替身服务的缓存存储，相当于一个 stickbot 实例。
+ * @param {number} [ttlMs] - 条目有效期。
+ * @returns {Promise<RedisCacheStore>} 已初始化的存储。
+ */
+const createStore = async (ttlMs = 60_000) => {
+  const store = new RedisCacheStore({ url, prefix: 'test:', ttlMs });
+  stores.push(store);
+  await store.init();
+  return store;
+};
+
+/**
+ * 在临时目录写入一段“合成产生”的音频。
+ * @param {string} name - 文件名。
+ * @param {string} content - 文件内容。
+ * @returns {string} 文件路径。
+ */
+const writeAudio = (name, content) => {
+  const audioPath = path.join(tmpDir, name);
+  fs.writeFileSync(audioPath, content);
+  return audioPath;
+};
+
+test('set 后可读取响应体与音频，临时音频被移除', async () => {
+  const store = await createStore();
+  const audioPath = writeAudio('synth-1.wav', 'RIFF-one');
+  const payload = { audioUrl: '/audio/synth-1.wav', duration: 1.5, mouthTimeline: [{ t: 0, v: 0 }] };
+
+  const stored = await store.set('key-1', payload, audioPath);
+  assert.equal(stored.audioUrl, '/audio/key-1.wav');
+  assert.equal(stored.duration, 1.5);
+  assert.equal(fs.existsSync(audioPath), false);
+
+  assert.deepEqual(await store.get('key-1'), stored);
+  const audio = await store.readAudio('key-1.wav');
+  assert.equal(audio.buffer.toString(), 'RIFF-one');
+  assert.equal(await store.get('missing'), null);
+  assert.equal(await store.readAudio('missing.wav'), null);
+});
+
+test('条目按 ttlMs 过期', async () => {
+  const store = await createStore(60);
+  await store.set('key-ttl', { audioUrl: '/audio/x.wav', duration: 0.2 }, writeAudio('synth-ttl.wav', 'RIFF-ttl'));
+  assert.notEqual(await store.get('key-ttl'), null);
+  const ttl = await store.client.command('PTTL', 'test:tts:key-ttl');
+  assert.ok(ttl > 0 && ttl <= 60, `PTTL 应在有效期内：${ttl}`);
+
+  await delay(90);
+  assert.equal(await store.get('key-ttl'), null);
+  assert.equal(await store.readAudio('key-ttl.wav'), null);
+});
+
+test('多个实例共享条目、删除与合成占用', async () => {
+  const first = await createStore();
+  const second = await createStore();
+
+  const stored = await first.set('shared', { audioUrl: '/audio/s.mp3', duration: 2 }, writeAudio('synth-2.mp3', 'ID3-two'));
+  assert.equal(stored.audioUrl, '/audio/shared.mp3');
+  assert.deepEqual(await second.get('shared'), stored);
+  assert.equal((await second.readAudio('shared.mp3')).buffer.toString(), 'ID3-two');
+
+  // 同一键只有一个实例能占用合成权；未持有锁的实例释放时不删除他人的锁。
+  assert.equal(await first.claim('pending', 5_000), true);
+  assert.equal(await second.claim('pending', 5_000), false);
+  await second.release('pending');
+  assert.equal(await second.claim('pending', 5_000), false);
+  await first.release('pending');
+  assert.equal(await second.claim('pending', 5_000), true);
+  await second.release('pending');
+
+  await second.delete('shared');
+  assert.equal(await first.get('shared'), null);
+  assert.equal(await first.readAudio('shared.mp3'), null);
+});
@@ -0,0 +1,73 @@
+/**
+ * @file semanticTimelines.test.js
+ * @description 服务端的语义触发词典与 `deriveSemanticTimelines` 是 `@stickbot/core` 的手工副本，
+ *              这里转译 core 的 TypeScript 源码后比对词典与若干输入的输出，任何一端漂移都会失败。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import ts from 'typescript';
+import { DEFAULT_SEMANTIC_DICTIONARY, deriveSemanticTimelines } from '../src/realtime/semanticTimelines.js';
+
+/**
+ * 把 core 的 TypeScript 源码转译为 ESM 后导入，无需先构建 dist。模块只有类型导入，转译后没有依赖。
+ * @returns {Promise<Record<string, any>>} 模块导出。
+ */
+const loadCore = async () => {
+  const source = fs.readFileSync(
+    new URL('../../packages/stickbot-core/src/emotion/semantic-triggers.ts', import.meta.url),
+    'utf8',
+  );
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2020 },
+  });
+  return import(`data:text/javascript;base64,${Buffer.from(outputText).toString('base64')}`);
+};
+
+const core = await loadCore();
+
+/** @type {Array<{ name: string, text: string, words?: Array<{ text: string, tStart: number, tEnd: number }>, dictionary?: any[] }>} */
+const CASES = [
+  { name: '中文标点与笑声，无逐词时间轴', text: '哈哈，你今天怎么样？真棒！' },
+  { name: '英文大小写与多个标点', text: 'LOL that is great! Really?? xD' },
+  {
+    name: '逐词时间轴对齐多字触发词，标点按字符位置估算',
+    text: '呵呵 好的！ 明天见？',
+    words: [
+      { text: '呵呵', tStart: 0, tEnd: 0.4 },
+      { text: '好的', tStart: 0.5, tEnd: 0.9 },
+      { text: '明天见', tStart: 1.2, tEnd: 1.8 },
+    ],
+  },
+  {
+    name: '触发词只出现在文本中时回退到字符位置',
+    text: 'lmao okay',
+    words: [{ text: 'okay', tStart: 0.6, tEnd: 1.1 }],
+  },
+  {
+    name: '自定义词典：强度与持续时间被限制在范围内',
+    text: 'wave hello, WAVE again',
+    dictionary: [
+      { key: 'wave', timeline: 'gesture', terms: ['wave'], intensity: 1.4, sustain: 0.1 },
+      { key: 'blink', timeline: 'emote', terms: ['hello', ''] },
+      { key: 'ignored', timeline: 'pose', terms: ['again'] },
+    ],
+  },
+  { name: '空文本', text: '' },
+];
+
+test('默认词典与 core 一致', () => {
+  assert.deepEqual(DEFAULT_SEMANTIC_DICTIONARY, core.DEFAULT_SEMANTIC_DICTIONARY);
+});
+
+for (const { name, text, words, dictionary } of CASES) {
+  test(`deriveSemanticTimelines 与 core 输出一致：${name}`, () => {
+    const expected = core.deriveSemanticTimelines(text, null, words, dictionary);
+    const actual = deriveSemanticTimelines(text, words, dictionary);
+    assert.deepEqual(actual, expected);
+    if (text) {
+      assert.ok(actual.emoteTimeline.length + actual.gestureTimeline.length > 0, '用例应至少触发一个关键帧');
+    }
+  });
+}
@@ -0,0 +1,147 @@
+/**
+ * @file synthQueue.test.js
+ * @description SynthQueue：并发槽位、有界队列的拒绝、优先级与同优先级的提交顺序、插队与取消，
+ *              以及按任务 ID 轮询状态与已结束任务的保留期。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SYNTH_PRIORITY, SynthJobCancelledError, SynthQueue } from '../src/tts/SynthQueue.js';
+
+/**
+ * 创建由测试控制结束时机的合成函数。
+ * @param {string} name - 任务名，记录在执行顺序中。
+ * @param {string[]} order - 执行顺序记录。
+ * @returns {{ run: () => Promise<string>, finish: () => void, fail: (error: Error) => void }} 执行函数与结束控制。
+ */
+const deferred = (name, order) => {
+  let finish = () => {};
+  let fail = () => {};
+  const run = () =>
+    new Promise((resolve, reject) => {
+      order.push(name);
+      finish = () => resolve(name);
+      fail = reject;
+    });
+  return { run, finish: () => finish(), fail: (error) => fail(error) };
+};
+
+/** 等待已排队的微任务执行完。 */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test('槽位占满后排队，队列达到 maxDepth 时拒绝新任务', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const order = [];
+  const queue = new SynthQueue({ concurrency: 1, maxDepth: 2, jobTtlMs: 60_000 });
+  const first = deferred('first', order);
+  const running = queue.enqueue(first.run);
+  const queued = [queue.enqueue(deferred('a', order).run), queue.enqueue(deferred('b', order).run)];
+  assert.ok(queued.every(Boolean));
+  assert.equal(queue.enqueue(deferred('c', order).run), null);
+  assert.deepEqual(queue.stats(), { depth: 2, running: 1, maxDepth: 2, rejected: 1, avgWaitMs: 0, maxWaitMs: 0 });
+
+  await flush();
+  assert.equal(running.status, 'running');
+  assert.deepEqual(queued.map((job) => queue.position(job.id)), [1, 2]);
+  first.finish();
+  assert.equal(await running.promise, 'first');
+  await flush();
+  assert.deepEqual(order, ['first', 'a']);
+  assert.equal(queue.position(queued[1].id), 1);
+  // 有空位后可以继续入队。
+  assert.ok(queue.enqueue(deferred('d', order).run));
+});
+
+test('高优先级先出队，同优先级按提交顺序，promote 可以插队，cancel 移出队列', async () => {
+  const order = [];
+  const queue = new SynthQueue({ concurrency: 1, maxDepth: 10, jobTtlMs: 60_000 });
+  const blocker = deferred('blocker', order);
+  queue.enqueue(blocker.run);
+  const jobs = {};
+  for (const [name, priority] of [
+    ['low', SYNTH_PRIORITY.LOW],
+    ['normal-1', undefined],
+    ['segment', SYNTH_PRIORITY.SEGMENT],
+    ['normal-2', SYNTH_PRIORITY.NORMAL],
+    ['normal-3', SYNTH_PRIORITY.NORMAL],
+    ['cancelled', SYNTH_PRIORITY.NORMAL],
+  ]) {
+    jobs[name] = queue.enqueue(async () => order.push(name), { priority });
+  }
+  assert.equal(jobs['normal-1'].priority, SYNTH_PRIORITY.NORMAL);
+  assert.deepEqual(
+    ['segment', 'normal-1', 'normal-2', 'normal-3', 'cancelled', 'low'].map((name) => queue.position(jobs[name].id)),
+    [1, 2, 3, 4, 5, 6],
+  );
+
+  queue.promote(jobs['normal-3'].id, SYNTH_PRIORITY.SEGMENT);
+  // 降低优先级被忽略。
+  queue.promote(jobs.segment.id, SYNTH_PRIORITY.LOW);
+  assert.equal(queue.position(jobs['normal-3'].id), 2);
+  assert.equal(queue.cancel(jobs.cancelled.id), true);
+  assert.equal(queue.cancel(jobs.cancelled.id), false);
+  await assert.rejects(jobs.cancelled.promise, SynthJobCancelledError);
+  assert.equal(queue.get(jobs.cancelled.id).status, 'cancelled');
+  assert.equal(queue.position(jobs.low.id), 5);
+
+  await flush();
+  blocker.finish();
+  await Promise.all(['segment', 'normal-3', 'normal-1', 'normal-2', 'low'].map((name) => jobs[name].promise));
+  assert.deepEqual(order, ['blocker', 'segment', 'normal-3', 'normal-1', 'normal-2', 'low']);
+  assert.equal(queue.cancel(jobs.low.id), false);
+});
+
+test('轮询任务状态与结果，失败记录错误，已结束任务超过 jobTtlMs 后清理', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000 });
+  const order = [];
+  const queue = new SynthQueue({ concurrency: 1, maxDepth: 5, jobTtlMs: 30_000 });
+  const ok = deferred('ok', order);
+  const bad = deferred('bad', order);
+  const okJob = queue.enqueue(ok.run, { meta: { provider: 'espeak' } });
+  const badJob = queue.enqueue(bad.run);
+
+  assert.equal(queue.get(badJob.id).status, 'queued');
+  assert.equal(queue.get(badJob.id).startedAt, null);
+  assert.deepEqual(queue.get(okJob.id).meta, { provider: 'espeak' });
+  await flush();
+
+  t.mock.timers.tick(400);
+  ok.finish();
+  await okJob.promise;
+  await flush();
+  const polled = queue.get(okJob.id);
+  assert.equal(polled.status, 'done');
+  assert.equal(polled.result, 'ok');
+  assert.equal(polled.finishedAt, 1_400);
+  assert.equal(queue.get(badJob.id).status, 'running');
+  assert.equal(queue.get(badJob.id).startedAt - queue.get(badJob.id).createdAt, 400);
+
+  t.mock.timers.tick(500);
+  bad.fail(new Error('espeak 退出码 1'));
+  await assert.rejects(badJob.promise, /退出码/);
+  assert.equal(queue.get(badJob.id).status, 'failed');
+  assert.equal(queue.get(badJob.id).error, 'espeak 退出码 1');
+  assert.equal(queue.stats().maxWaitMs, 400);
+  assert.equal(queue.stats().avgWaitMs, 200);
+
+  // 当前时间 1_900：ok 结束于 1_400，bad 结束于 1_900。
+  t.mock.timers.tick(29_500);
+  assert.equal(queue.sweep(), 0);
+  t.mock.timers.tick(1);
+  assert.equal(queue.sweep(), 1);
+  assert.equal(queue.get(okJob.id), undefined);
+  assert.ok(queue.get(badJob.id));
+  t.mock.timers.tick(500);
+  assert.equal(queue.sweep(), 1);
+  assert.equal(queue.get('unknown'), undefined);
+});
+
+test('concurrency 为 0 时不限并发，maxDepth 不生效', async () => {
+  const order = [];
+  const queue = new SynthQueue({ concurrency: 0, maxDepth: 0, jobTtlMs: 1_000 });
+  const jobs = ['a', 'b', 'c'].map((name) => queue.enqueue(deferred(name, order).run));
+  assert.ok(jobs.every(Boolean));
+  await flush();
+  assert.deepEqual(order, ['a', 'b', 'c']);
+  assert.equal(queue.stats().running, 3);
+});
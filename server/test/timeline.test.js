@@ -0,0 +1,127 @@
+/**
+ * @file timeline.test.js
+ * @description 协同发音时间轴：相邻口型的前瞻/延续混合、短促双唇闭合的补足，以及关闭后与阶跃采样一致。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_VISEME_CONFIG, mapPhonemeToViseme } from '../src/tts/mapping.js';
+import { accumulateSegments, generateTimeline } from '../src/tts/utils/timeline.js';
+
+const COARTICULATION = DEFAULT_VISEME_CONFIG.coarticulation;
+
+/**
+ * 构造合成用的音素片段。
+ * @param {Array<[string, number]>} items - 音素与时长（毫秒）。
+ * @returns {ReturnType<typeof accumulateSegments>} 累计时间轴。
+ */
+const buildSegments = (items) =>
+  accumulateSegments(
+    items.map(([phoneme, durationMs]) => ({
+      phoneme,
+      durationMs,
+      ...mapPhonemeToViseme(phoneme, DEFAULT_VISEME_CONFIG),
+    })),
+  );
+
+/**
+ * 引入协同发音之前的阶跃采样：每帧直接取当前时刻所在片段的 mouth 值。
+ * @param {Array<{ start: number, end: number, mouth: number, visemeId: number, phoneme: string }>} cumulative - 累计片段。
+ * @param {number} totalDuration - 总时长（秒）。
+ * @param {number} sampleRate - 采样率（Hz）。
+ * @returns {Array<{ t: number, v: number, visemeId: number, phoneme: string }>} 关键帧。
+ */
+const stepTimeline = (cumulative, totalDuration, sampleRate) => {
+  const frames = [];
+  const step = 1 / sampleRate;
+  const frameCount = Math.ceil(totalDuration / step);
+  let pointer = 0;
+  for (let i = 0; i <= frameCount; i += 1) {
+    const time = Math.min(i * step, totalDuration);
+    while (pointer < cumulative.length - 1 && time > cumulative[pointer].end) {
+      pointer += 1;
+    }
+    const segment = cumulative[pointer];
+    frames.push({ t: time, v: segment.mouth, visemeId: segment.visemeId, phoneme: segment.phoneme });
+  }
+  return frames;
+};
+
+const frameAt = (frames, time) => frames.find((frame) => Math.abs(frame.t - time) < 1e-9);
+
+const assertClose = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `期望 ${expected}，实际 ${actual}`);
+};
+
+test('相邻口型按前瞻与延续曲线混合', () => {
+  const { cumulative, totalDuration } = buildSegments([
+    ['a', 200],
+    ['i', 200],
+  ]);
+  const frames = generateTimeline(cumulative, totalDuration, 100, COARTICULATION);
+  const [open, spread] = cumulative;
+  const dominanceOpen = COARTICULATION.dominance[open.visemeId];
+  const dominanceSpread = COARTICULATION.dominance[spread.visemeId];
+
+  // 远离边界时只有当前片段参与，保持原值。
+  assertClose(frameAt(frames, 0.05).v, open.mouth);
+  assertClose(frameAt(frames, 0.38).v, spread.mouth);
+
+  // 边界前 10ms：后一个口型按 exp(-Δt/attack) 提前产生影响。
+  const attackWeight = dominanceSpread * Math.exp(-10 / COARTICULATION.attackMs);
+  const beforeExpected = (dominanceOpen * open.mouth + attackWeight * spread.mouth) / (dominanceOpen + attackWeight);
+  assertClose(frameAt(frames, 0.19).v, beforeExpected);
+
+  // 边界后 10ms：前一个口型按 exp(-Δt/release) 逐渐消退。
+  const releaseWeight = dominanceOpen * Math.exp(-10 / COARTICULATION.releaseMs);
+  const afterExpected = (releaseWeight * open.mouth + dominanceSpread * spread.mouth) / (releaseWeight + dominanceSpread);
+  assertClose(frameAt(frames, 0.21).v, afterExpected);
+
+  // 过渡段单调收拢，visemeId 仍跟随当前时刻所在的音素。
+  const transition = frames.filter((frame) => frame.t >= 0.1 && frame.t <= 0.3);
+  for (let i = 1; i < transition.length; i += 1) {
+    assert.ok(transition[i].v <= transition[i - 1].v + 1e-9);
+  }
+  assert.equal(frameAt(frames, 0.19).visemeId, open.visemeId);
+  assert.equal(frameAt(frames, 0.21).visemeId, spread.visemeId);
+  assert.ok(frameAt(frames, 0.19).shape.lipWidth > open.shape.lipWidth);
+});
+
+test('短于 minClosureMs 的双唇闭合仍完整闭口', () => {
+  const { cumulative, totalDuration } = buildSegments([
+    ['a', 150],
+    ['p', 10],
+    ['a', 150],
+  ]);
+  const closure = cumulative[1];
+  const frames = generateTimeline(cumulative, totalDuration, 100, { ...COARTICULATION, minClosureMs: 30 });
+
+  const closed = frames.filter((frame) => frame.v === closure.mouth);
+  assert.ok(closed.length >= 3, `闭口帧数不足：${closed.length}`);
+  for (const frame of closed) {
+    assert.equal(frame.visemeId, closure.visemeId);
+    assert.deepEqual(frame.shape, closure.shape);
+    assert.ok(frame.t >= 0.14 - 1e-9 && frame.t <= 0.17 + 1e-9);
+  }
+
+  // 不作为闭合口型时会被两侧元音同化，看不到闭唇。
+  const blended = generateTimeline(cumulative, totalDuration, 100, { ...COARTICULATION, closureVisemes: [] });
+  assert.ok(Math.min(...blended.map((frame) => frame.v)) > closure.mouth + 0.1);
+});
+
+test('enabled: false 与阶跃采样一致', () => {
+  const { cumulative, totalDuration } = buildSegments([
+    ['p', 40],
+    ['a', 120],
+    ['t', 15],
+    ['i', 90],
+    ['u', 75],
+  ]);
+  const frames = generateTimeline(cumulative, totalDuration, 60, { ...COARTICULATION, enabled: false });
+  const expected = stepTimeline(cumulative, totalDuration, 60);
+  assert.deepEqual(
+    frames.map(({ t, v, visemeId, phoneme }) => ({ t, v, visemeId, phoneme })),
+    expected,
+  );
+  assert.deepEqual(frames, generateTimeline(cumulative, totalDuration, 60));
+});
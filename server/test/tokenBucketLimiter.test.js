@@ -0,0 +1,88 @@
+/**
+ * @file tokenBucketLimiter.test.js
+ * @description TokenBucketLimiter：突发上限、按速率补充令牌、`Retry-After` 与 `RateLimit-*` 取值、客户端隔离与淘汰。
+ *              时间通过模拟的 `Date` 推进。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenBucketLimiter } from '../src/ratelimit/TokenBucketLimiter.js';
+
+test('耗尽容量后拒绝，按 refillPerSec 补充令牌并给出 Retry-After', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const limiter = new TokenBucketLimiter({ capacity: 3, refillPerSec: 0.5 });
+
+  assert.deepEqual(limiter.consume('ip:1'), { allowed: true, limit: 3, remaining: 2, resetSec: 2, retryAfterSec: 0 });
+  assert.equal(limiter.consume('ip:1').remaining, 1);
+  assert.deepEqual(limiter.consume('ip:1'), { allowed: true, limit: 3, remaining: 0, resetSec: 6, retryAfterSec: 0 });
+
+  // 每秒补充 0.5 个令牌，距下一个令牌还需 2 秒。
+  assert.deepEqual(limiter.consume('ip:1'), { allowed: false, limit: 3, remaining: 0, resetSec: 6, retryAfterSec: 2 });
+  t.mock.timers.tick(1000);
+  const halfway = limiter.consume('ip:1');
+  assert.equal(halfway.allowed, false);
+  assert.equal(halfway.retryAfterSec, 1);
+
+  t.mock.timers.tick(1000);
+  assert.equal(limiter.consume('ip:1').allowed, true);
+  assert.equal(limiter.consume('ip:1').allowed, false);
+
+  // 长时间空闲后最多补满到容量。
+  t.mock.timers.tick(60_000);
+  const refilled = limiter.consume('ip:1');
+  assert.equal(refilled.allowed, true);
+  assert.equal(refilled.remaining, 2);
+});
+
+test('Retry-After 至少为 1 秒，cost 大于剩余令牌时按差额计算', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new TokenBucketLimiter({ capacity: 10, refillPerSec: 20 });
+  assert.equal(limiter.consume('key:a', { cost: 10 }).allowed, true);
+  const rejected = limiter.consume('key:a');
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.retryAfterSec, 1);
+
+  const slow = new TokenBucketLimiter({ capacity: 5, refillPerSec: 1 });
+  assert.equal(slow.consume('key:b', { cost: 2 }).remaining, 3);
+  const expensive = slow.consume('key:b', { cost: 8 });
+  assert.equal(expensive.allowed, false);
+  assert.equal(expensive.retryAfterSec, 5);
+  // 被拒绝的请求不扣减令牌。
+  assert.equal(slow.consume('key:b', { cost: 3 }).allowed, true);
+});
+
+test('客户端互不影响，按 key 覆盖桶参数，未配置速率时不限流', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new TokenBucketLimiter({ capacity: 1, refillPerSec: 1 });
+  assert.equal(limiter.consume('ip:1').allowed, true);
+  assert.equal(limiter.consume('ip:1').allowed, false);
+  assert.equal(limiter.consume('ip:2').allowed, true);
+
+  const perKey = limiter.consume('key:team', { capacity: 5, refillPerSec: 5 });
+  assert.equal(perKey.limit, 5);
+  assert.equal(perKey.remaining, 4);
+
+  const unlimited = new TokenBucketLimiter({ capacity: 0, refillPerSec: 0 });
+  for (let i = 0; i < 100; i += 1) {
+    assert.equal(unlimited.consume('ip:1').allowed, true);
+  }
+  assert.equal(unlimited.size, 0);
+});
+
+test('超过 maxClients 时淘汰最久未访问的客户端，sweep 移除已补满的桶', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = new TokenBucketLimiter({ capacity: 2, refillPerSec: 1, maxClients: 2 });
+  limiter.consume('a');
+  limiter.consume('b');
+  limiter.consume('a');
+  limiter.consume('c');
+  assert.deepEqual([...limiter.buckets.keys()], ['a', 'c']);
+
+  t.mock.timers.tick(1000);
+  // c 只消耗过 1 个令牌，1 秒后已补满；a 消耗了 2 个，仍差 1 个。
+  assert.equal(limiter.sweep(), 1);
+  assert.deepEqual([...limiter.buckets.keys()], ['a']);
+  t.mock.timers.tick(1000);
+  assert.equal(limiter.sweep(), 1);
+  assert.equal(limiter.size, 0);
+});
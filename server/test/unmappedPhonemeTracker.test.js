@@ -0,0 +1,81 @@
+/**
+ * @file unmappedPhonemeTracker.test.js
+ * @description 兜底音素统计：`countUnmappedPhonemes` 只计入按 `default` 处理的音素，
+ *              UnmappedPhonemeTracker 按档案与音素累计、记录 provider 与出现时间，条目达到上限后计入 `dropped`。
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_VISEME_CONFIG, countUnmappedPhonemes, mapPhonemeToViseme, mergeVisemeConfig } from '../src/tts/mapping.js';
+import { UnmappedPhonemeTracker } from '../src/tts/UnmappedPhonemeTracker.js';
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+
+test('countUnmappedPhonemes 只统计落到 default 的音素，空白音素忽略', () => {
+  const phonemes = ['p', 'a', ' q ', 'q', 'x#', '_', '', '  ', 'default'];
+  assert.deepEqual(countUnmappedPhonemes(phonemes, DEFAULT_VISEME_CONFIG), { q: 2, 'x#': 1 });
+  const fallback = mapPhonemeToViseme('q', DEFAULT_VISEME_CONFIG);
+  assert.equal(fallback.visemeId, DEFAULT_VISEME_CONFIG.phonemeToViseme.default);
+
+  // 档案补充映射后不再计入。
+  const profile = mergeVisemeConfig(DEFAULT_VISEME_CONFIG, { phonemeToViseme: { q: 4 } });
+  assert.deepEqual(countUnmappedPhonemes(phonemes, profile), { 'x#': 1 });
+  assert.deepEqual(countUnmappedPhonemes(['p', 'a'], DEFAULT_VISEME_CONFIG), {});
+});
+
+test('按档案与音素累计次数，记录 provider 与首次、最近出现时间', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const tracker = new UnmappedPhonemeTracker();
+  assert.equal(tracker.record('default', 'espeak', { q: 2, 'x#': 1 }), 3);
+  t.mock.timers.tick(60_000);
+  assert.equal(tracker.record('default', 'azure', { q: 1, 'viseme-30': 4 }), 5);
+  assert.equal(tracker.record('en', 'espeak', { q: 1, bad: -1, nan: Number.NaN, zero: 0 }), 1);
+  assert.equal(tracker.record('en', 'espeak', undefined), 0);
+  assert.equal(tracker.record('en', 'espeak', {}), 0);
+
+  const report = tracker.report();
+  assert.equal(report.since, new Date(NOW).toISOString());
+  assert.equal(report.total, 9);
+  assert.equal(report.distinct, 4);
+  assert.equal(report.dropped, 0);
+  assert.deepEqual(report.phonemes.map((entry) => [entry.profile, entry.phoneme, entry.count]), [
+    ['default', 'viseme-30', 4],
+    ['default', 'q', 3],
+    ['en', 'q', 1],
+    ['default', 'x#', 1],
+  ]);
+  assert.deepEqual(report.phonemes[1], {
+    profile: 'default',
+    phoneme: 'q',
+    count: 3,
+    providers: ['espeak', 'azure'],
+    firstSeenAt: new Date(NOW).toISOString(),
+    lastSeenAt: new Date(NOW + 60_000).toISOString(),
+  });
+});
+
+test('按档案过滤并限制条目数', () => {
+  const tracker = new UnmappedPhonemeTracker();
+  tracker.record('default', 'espeak', { q: 3, w: 2 });
+  tracker.record('en', 'espeak', { q: 5 });
+  assert.deepEqual(tracker.report({ profile: 'default' }).phonemes.map((entry) => entry.phoneme), ['q', 'w']);
+  assert.deepEqual(tracker.report({ profile: 'default', limit: 1 }).phonemes.map((entry) => entry.phoneme), ['q']);
+  // 过滤只影响条目，总数仍为全部档案之和。
+  assert.equal(tracker.report({ profile: 'ja' }).total, 10);
+  assert.deepEqual(tracker.report({ profile: 'ja' }).phonemes, []);
+});
+
+test('条目达到 maxEntries 后新音素只计入 total 与 dropped，已有条目继续累计', () => {
+  const tracker = new UnmappedPhonemeTracker({ maxEntries: 2 });
+  assert.equal(tracker.record('default', 'espeak', { a1: 1, a2: 1, a3: 2 }), 4);
+  assert.equal(tracker.record('en', 'espeak', { a1: 5 }), 5);
+  tracker.record('default', 'espeak', { a1: 1 });
+  assert.equal(tracker.size, 2);
+  const report = tracker.report();
+  assert.equal(report.total, 10);
+  assert.equal(report.dropped, 7);
+  assert.deepEqual(report.phonemes.map((entry) => [entry.phoneme, entry.count]), [
+    ['a1', 2],
+    ['a2', 1],
+  ]);
+});
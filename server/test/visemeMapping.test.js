@@ -0,0 +1,160 @@
+/**
+ * @file visemeMapping.test.js
+ * @description 口型映射文件校验：默认映射与仓库自带档案通过校验，格式错误、取值越界与引用未定义口型的文件被拒绝，
+ *              `loadVisemeConfig` 与 `VisemeProfileRegistry` 遇到这类文件时回退或跳过。
+ */
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_VISEME_CONFIG, loadVisemeConfig, validateVisemeConfig } from '../src/tts/mapping.js';
+import { VisemeProfileRegistry } from '../src/tts/VisemeProfileRegistry.js';
+
+const PROFILE_DIR = fileURLToPath(new URL('../visemes/', import.meta.url));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stickbot-visemes-'));
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * 校验映射文件并返回出错的字段路径。
+ * @param {unknown} raw - 映射文件内容。
+ * @param {import('../src/tts/mapping.js').VisemeConfig} [base] - 基础配置。
+ * @returns {string[]} 字段路径。
+ */
+const issuePaths = (raw, base = DEFAULT_VISEME_CONFIG) => validateVisemeConfig(raw, base).map((issue) => issue.path);
+
+/**
+ * 在临时目录写入 JSON 文件。
+ * @param {string} dir - 目录。
+ * @param {string} name - 文件名。
+ * @param {unknown} content - 内容，字符串原样写入。
+ * @returns {string} 文件路径。
+ */
+const writeJson = (dir, name, content) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+};
+
+test('默认映射、空文件与仓库自带的档案都通过校验', () => {
+  assert.deepEqual(validateVisemeConfig({}, DEFAULT_VISEME_CONFIG), []);
+  assert.deepEqual(validateVisemeConfig(DEFAULT_VISEME_CONFIG, DEFAULT_VISEME_CONFIG), []);
+  for (const file of fs.readdirSync(PROFILE_DIR).filter((name) => name.endsWith('.json'))) {
+    const profile = JSON.parse(fs.readFileSync(path.join(PROFILE_DIR, file), 'utf-8'));
+    assert.deepEqual(validateVisemeConfig(profile, DEFAULT_VISEME_CONFIG), [], file);
+  }
+});
+
+test('根节点或映射字段类型错误时只报告类型问题', () => {
+  for (const raw of [null, [], 'text', 42]) {
+    assert.deepEqual(validateVisemeConfig(raw, DEFAULT_VISEME_CONFIG), [{ path: '', message: '映射文件必须是 JSON 对象。' }]);
+  }
+  assert.deepEqual(issuePaths({ phonemeToViseme: [], visemeShapes: 'wide', visemeToMouth: { 3: 5 } }), [
+    'phonemeToViseme',
+    'visemeShapes',
+  ]);
+});
+
+test('口型编号、mouth 值与多通道口型逐条报告，路径指向出错字段', () => {
+  const issues = validateVisemeConfig(
+    {
+      visemeToMouth: { 3: 1.4, big: 0.5 },
+      phonemeToViseme: { th: 12, x: -1, y: '2' },
+      visemeShapes: { 9: { smile: 0.5, lipRound: 2 }, 11: { lipWidth: 0.5 }, 4: 'round' },
+      visemeMeta: { 2: { label: '齿龈' } },
+    },
+    DEFAULT_VISEME_CONFIG,
+  );
+  assert.deepEqual(
+    issues.map((issue) => issue.path),
+    [
+      'visemeToMouth.3',
+      'visemeToMouth.big',
+      'phonemeToViseme.th',
+      'phonemeToViseme.x',
+      'visemeShapes.4',
+      'visemeShapes.9.lipRound',
+      'visemeShapes.9.smile',
+      'visemeShapes.11',
+      'visemeMeta.2',
+    ],
+  );
+  const byPath = Object.fromEntries(issues.map((issue) => [issue.path, issue.message]));
+  assert.equal(byPath['visemeToMouth.3'], 'mouth 值 1.4 超出 0-1 范围。');
+  assert.equal(byPath['phonemeToViseme.th'], '口型编号 12 未在 visemeToMouth 中定义。');
+  assert.equal(byPath['phonemeToViseme.x'], '口型编号 -1 必须是非负整数。');
+  assert.match(byPath['visemeShapes.9.smile'], /^未知通道/);
+});
+
+test('缺少 default 或 _、Azure 音素未映射、协同发音参数非法时报告', () => {
+  const base = { ...DEFAULT_VISEME_CONFIG, phonemeToViseme: { p: 0, a: 8 } };
+  assert.deepEqual(issuePaths({}, base).slice(0, 2), ['phonemeToViseme.default', 'phonemeToViseme._']);
+
+  assert.deepEqual(issuePaths({ azureVisemes: { 30: 'zz', x: 'a', 2: '' } }), ['azureVisemes.2', 'azureVisemes.30', 'azureVisemes.x']);
+  assert.deepEqual(
+    issuePaths({
+      coarticulation: {
+        enabled: 'yes',
+        attackMs: -5,
+        defaultDominance: 1.5,
+        dominance: { 12: 0.5, 3: 2 },
+        closureVisemes: [0, 12],
+      },
+    }),
+    [
+      'coarticulation.enabled',
+      'coarticulation.attackMs',
+      'coarticulation.defaultDominance',
+      'coarticulation.dominance.3',
+      'coarticulation.dominance.12',
+      'coarticulation.closureVisemes[1]',
+    ],
+  );
+  assert.deepEqual(issuePaths({ coarticulation: { closureVisemes: 0 } }), ['coarticulation.closureVisemes']);
+});
+
+test('loadVisemeConfig 遇到无法解析或校验失败的文件时告警并使用默认配置', (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', (message) => warnings.push(String(message)));
+
+  assert.equal(loadVisemeConfig(writeJson(tmpDir, 'broken.json', '{ "phonemeToViseme": '), DEFAULT_VISEME_CONFIG), DEFAULT_VISEME_CONFIG);
+  assert.equal(loadVisemeConfig(path.join(tmpDir, 'missing.json'), DEFAULT_VISEME_CONFIG), DEFAULT_VISEME_CONFIG);
+  const invalid = writeJson(tmpDir, 'invalid.json', { phonemeToViseme: { th: 12 } });
+  assert.equal(loadVisemeConfig(invalid, DEFAULT_VISEME_CONFIG), DEFAULT_VISEME_CONFIG);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[2], /phonemeToViseme\.th: 口型编号 12 未在 visemeToMouth 中定义/);
+
+  const valid = writeJson(tmpDir, 'valid.json', { phonemeToViseme: { th: 1 }, visemeShapes: { 9: { lipRound: 0.9 } } });
+  const config = loadVisemeConfig(valid, DEFAULT_VISEME_CONFIG);
+  assert.equal(config.phonemeToViseme.th, 1);
+  assert.deepEqual(config.visemeShapes[9], { ...DEFAULT_VISEME_CONFIG.visemeShapes[9], lipRound: 0.9 });
+  assert.equal(warnings.length, 3);
+});
+
+test('VisemeProfileRegistry 跳过格式错误的档案并记录原因，其余档案照常加载', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const dir = path.join(tmpDir, 'profiles');
+  writeJson(dir, 'broken.json', '{');
+  writeJson(dir, 'fr.json', { languages: 'fr', phonemeToViseme: { R: 3 } });
+  writeJson(dir, 'de.json', { languages: ['de-DE'], visemeToMouth: { 4: -0.1 } });
+  writeJson(dir, 'ko.json', { languages: ['ko'], phonemeToViseme: { eu: 6 } });
+
+  const registry = new VisemeProfileRegistry({ dir, base: DEFAULT_VISEME_CONFIG });
+  assert.deepEqual(
+    registry.invalid.map((entry) => [entry.file, entry.issues.map((issue) => issue.path)]),
+    [
+      ['broken.json', ['']],
+      ['de.json', ['visemeToMouth.4']],
+      ['fr.json', ['languages']],
+    ],
+  );
+  assert.deepEqual(Array.from(registry.profiles.keys()), ['default', 'ko']);
+  assert.equal(registry.find('ko-KR')?.config.phonemeToViseme.eu, 6);
+  assert.equal(registry.find('de'), null);
+});
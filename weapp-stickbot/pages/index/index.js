@@ -4,10 +4,18 @@
  */
 
 const { AutoGainProcessor, DEFAULT_AUTO_GAIN_CONFIG } = require('../../utils/auto-gain');
+const { createNdjsonParser } = require('../../utils/ndjson');
+const {
+  FALLBACK_VISEME_SHAPES,
+  NEUTRAL_SHAPE,
+  decodeMouthTimeline,
+  mixShapes,
+} = require('../../utils/viseme-shapes');
 
 const DEFAULT_SERVER_ORIGIN = 'http://localhost:8787';
 const RENDER_MODES = ['Vector', 'Sprite'];
 const PROVIDER_LABELS = ['espeak', 'azure'];
+const VOICE_GENDER_LABELS = { male: '男声', female: '女声', neutral: '中性' };
 const TIMER_INTERVAL = 66; // 约 15 FPS，对应 60~80Hz 插值节奏
 const AUTO_GAIN_STORAGE_KEY = 'stickbot:auto-gain';
 const ROLE_STORAGE_KEY = 'stickbot:role-profile';
@@ -414,18 +422,44 @@ function buildRoleMeta(role, options = {}) {
   return parts.join(' · ');
 }
 
+/**
+ * 确定绘制用的多通道口型：优先使用时间轴提供的口型，否则按口型编号推断，主题的 `roundedViseme` 总是圆唇。
+ * @param {{ jawOpen: number, lipWidth: number, lipRound: number, teethVisible: number }|null} shape - 时间轴口型。
+ * @param {number} mouth - mouth 值。
+ * @param {number} visemeId - 口型编号。
+ * @param {number} roundedViseme - 主题指定的圆唇口型编号。
+ * @returns {{ jawOpen: number, lipWidth: number, lipRound: number, teethVisible: number }} 口型。
+ */
+function resolveMouthShape(shape, mouth, visemeId, roundedViseme) {
+  if (shape) {
+    return shape;
+  }
+  const rounded = Math.round(visemeId);
+  const inferred = FALLBACK_VISEME_SHAPES[rounded] || NEUTRAL_SHAPE;
+  if (rounded === roundedViseme) {
+    return {
+      jawOpen: mouth,
+      lipWidth: Math.min(inferred.lipWidth, 0.3),
+      lipRound: 1,
+      teethVisible: inferred.teethVisible,
+    };
+  }
+  return { jawOpen: mouth, ...inferred };
+}
+
 /**
  * 线性插值 mouth 时间轴。
- * @param {{ t: number, v: number, visemeId: number }[]} timeline - mouth 时间轴。
+ * @param {{ t: number, v: number, visemeId: number }[]|{ format: string, frames: number[][] }} timeline - mouth 时间轴，支持紧凑格式。
  * @param {number} time - 当前播放进度（秒）。
- * @returns {{ value: number, visemeId: number }} mouth 帧。
+ * @returns {{ value: number, visemeId: number, shape: Object|null }} mouth 帧，时间轴无多通道口型时 `shape` 为 null。
  */
 function interpolateTimeline(timeline, time) {
-  if (!timeline || timeline.length === 0) {
-    return { value: 0.1, visemeId: 0 };
+  timeline = decodeMouthTimeline(timeline);
+  if (timeline.length === 0) {
+    return { value: 0.1, visemeId: 0, shape: null };
   }
   if (time <= timeline[0].t) {
-    return { value: timeline[0].v, visemeId: timeline[0].visemeId };
+    return { value: timeline[0].v, visemeId: timeline[0].visemeId, shape: timeline[0].shape || null };
   }
   for (let i = 1; i < timeline.length; i += 1) {
     const prev = timeline[i - 1];
@@ -435,11 +469,11 @@ function interpolateTimeline(timeline, time) {
       const ratio = (time - prev.t) / span;
       const value = prev.v + (next.v - prev.v) * ratio;
       const visemeId = ratio > 0.5 ? next.visemeId : prev.visemeId;
-      return { value, visemeId };
+      return { value, visemeId, shape: mixShapes(prev.shape, next.shape, ratio) };
     }
   }
   const last = timeline[timeline.length - 1];
-  return { value: last.v, visemeId: last.visemeId };
+  return { value: last.v, visemeId: last.visemeId, shape: last.shape || null };
 }
 
 /**
@@ -505,6 +539,8 @@ Page({
     text: '你好，我是 stickbot，大嘴巴头准备就绪！',
     providers: PROVIDER_LABELS,
     providerIndex: 0,
+    voiceNames: ['跟随角色'],
+    voiceIndex: 0,
     renderModes: RENDER_MODES,
     renderModeIndex: 0,
     themeNames: getThemePickerNames(),
@@ -539,7 +575,13 @@ Page({
     this.autoGainProcessor = null;
     this.wordTimeline = [];
     this.wordIndex = -1;
+    this.segmentQueue = [];
+    this.segmentPlaying = false;
+    this.streamTask = null;
+    this.playbackSession = 0;
     this.roles = [];
+    this.voiceCatalog = [];
+    this.voiceIds = [''];
     this.activeRole = sanitizeRole(DEFAULT_ROLE, 'default');
     this.expressionPreset = { ...DEFAULT_EXPRESSION };
     this.themeResolved = resolveThemeFromRegistry(defaultThemeId);
@@ -573,7 +615,10 @@ Page({
     });
     this.innerAudio.onEnded(() => {
       this.stopTimelineLoop();
-      this.resetMouth();
+      this.segmentPlaying = false;
+      if (!this.playNextSegment()) {
+        this.resetMouth();
+      }
     });
     this.innerAudio.onError((err) => {
       console.error('播放失败', err);
@@ -583,6 +628,7 @@ Page({
 
     this.drawAvatar();
     this.fetchProviders();
+    this.fetchVoices();
 
     let storedRoleId = '';
     try {
@@ -779,6 +825,14 @@ Page({
    */
   onProviderChange(event) {
     this.setData({ providerIndex: Number(event.detail.value) });
+    this.updateVoiceOptions();
+  },
+  /**
+   * 切换音色，首项“跟随角色”表示使用角色档案中的 voice。
+   * @param {WechatMiniprogram.PickerChange} event - 选择事件。
+   */
+  onVoiceChange(event) {
+    this.setData({ voiceIndex: Number(event.detail.value) });
   },
   /**
    * 切换渲染模式。
@@ -833,38 +887,98 @@ Page({
     }
     this.stopPlayback();
     wx.showLoading({ title: '合成中...' });
-    this.requestTts(text)
-      .then((result) => {
-        if (!result.audioUrl) {
-          wx.showToast({ title: '未返回音频', icon: 'none' });
-          return;
+    const session = this.playbackSession;
+    let receivedSegments = 0;
+    const handleSegment = (segment) => {
+      if (session !== this.playbackSession) {
+        return;
+      }
+      receivedSegments += 1;
+      if (receivedSegments === 1) {
+        wx.hideLoading();
+      }
+      this.enqueueSegment(segment);
+    };
+    // 优先使用流式接口逐段播放，旧版服务端不支持时回退到整段请求。
+    this.requestTtsStream(text, handleSegment)
+      .catch((error) => {
+        if (receivedSegments > 0 || session !== this.playbackSession) {
+          throw error;
         }
-        this.timeline = result.mouthTimeline || [];
-        this.wordTimeline = normalizeWordTimeline(result.wordTimeline || []);
-        this.wordIndex = -1;
-        this.setData({ currentWord: '' });
-        this.prepareAutoGain();
-        this.innerAudio.src = this.resolveServerUrl(result.audioUrl);
-        this.innerAudio.play();
+        console.warn('流式 TTS 不可用，改为整段请求', error);
+        return this.requestTts(text).then((result) => {
+          if (!result.audioUrl) {
+            wx.showToast({ title: '未返回音频', icon: 'none' });
+            return;
+          }
+          handleSegment(result);
+        });
       })
       .catch((error) => {
+        if (session !== this.playbackSession) {
+          return;
+        }
         console.error('请求 TTS 失败', error);
         wx.showToast({ title: 'TTS 请求失败', icon: 'none' });
       })
       .finally(() => {
-        wx.hideLoading();
+        if (session === this.playbackSession) {
+          this.streamTask = null;
+          wx.hideLoading();
+        }
       });
   },
+  /**
+   * 将一段合成结果加入播放队列，当前空闲时立即播放。
+   * @param {{ audioUrl: string, mouthTimeline?: any[], wordTimeline?: any[] }} segment - `/tts` 结果或流式 `segment` 事件。
+   */
+  enqueueSegment(segment) {
+    if (!segment || !segment.audioUrl) {
+      return;
+    }
+    this.segmentQueue.push(segment);
+    if (!this.segmentPlaying) {
+      this.playNextSegment();
+    }
+  },
+  /**
+   * 播放队列中的下一段。
+   * @returns {boolean} 是否有可播放的片段。
+   */
+  playNextSegment() {
+    const next = this.segmentQueue.shift();
+    if (!next) {
+      return false;
+    }
+    this.segmentPlaying = true;
+    this.timeline = decodeMouthTimeline(next.mouthTimeline);
+    this.wordTimeline = normalizeWordTimeline(next.wordTimeline || []);
+    this.wordIndex = -1;
+    this.setData({ currentWord: '' });
+    this.prepareAutoGain();
+    this.innerAudio.src = this.resolveServerUrl(next.audioUrl);
+    this.innerAudio.play();
+    return true;
+  },
   /**
    * 点击“停止”。
    */
   onStop() {
     this.stopPlayback();
+    wx.hideLoading();
   },
   /**
    * 停止音频与时间轴。
    */
   stopPlayback() {
+    // 递增会话号，使已发出请求的迟到回调失效。
+    this.playbackSession = (this.playbackSession || 0) + 1;
+    if (this.streamTask) {
+      this.streamTask.abort();
+      this.streamTask = null;
+    }
+    this.segmentQueue = [];
+    this.segmentPlaying = false;
     this.stopTimelineLoop();
     if (this.innerAudio && !this.innerAudio.paused) {
       this.innerAudio.stop();
@@ -876,6 +990,7 @@ Page({
    */
   resetMouth() {
     this.setData({ mouth: 0.1, mouthDisplay: '0.10', visemeId: 0, currentWord: '' });
+    this.mouthShape = null;
     this.wordTimeline = [];
     this.wordIndex = -1;
     this.drawAvatar();
@@ -957,6 +1072,7 @@ Page({
       roleDescription: sanitized.description || DEFAULT_ROLE.description,
     });
     this.applyActiveTheme({ roleThemeId: sanitized.theme, deferDraw: true });
+    this.updateVoiceOptions();
     this.drawAvatar();
     if (persist) {
       try {
@@ -985,24 +1101,19 @@ Page({
     return this.expressionPreset || DEFAULT_EXPRESSION;
   },
   /**
-   * 调用服务端 `/tts`。
+   * 调用服务端 `POST /tts`，以 JSON 请求体传参避免长文本超出 URL 限制。
+   * 请求紧凑时间轴以减少传输量，播放前由 `decodeMouthTimeline` 还原。
    * @param {string} text - 待合成文本。
    * @returns {Promise<{ audioUrl: string, mouthTimeline: { t: number, v: number, visemeId: number }[] }>} 结果。
    */
   requestTts(text) {
-    const provider = this.data.providers[this.data.providerIndex];
     const origin = this.getServerOrigin();
-    const payload = {
-      text,
-      provider,
-    };
-    if (this.activeRole?.voice) {
-      payload.voice = this.activeRole.voice;
-    }
+    const payload = this.buildTtsPayload(text);
     return new Promise((resolve, reject) => {
       wx.request({
-        url: `${origin}/tts`,
-        method: 'GET',
+        url: `${origin}/tts?timeline=compact`,
+        method: 'POST',
+        header: { 'Content-Type': 'application/json' },
         data: payload,
         success: (res) => {
           if (res.statusCode >= 200 && res.statusCode < 300) {
@@ -1015,6 +1126,78 @@ Page({
       });
     });
   },
+  /**
+   * 调用服务端 `POST /tts/stream`，服务端切分文本后逐段推送 NDJSON 事件，每收到一段即回调。
+   * 基础库不支持分块接收时，会在请求完成后一次性解析完整响应。
+   * @param {string} text - 待合成文本。
+   * @param {(segment: { index: number, offset: number, audioUrl: string, mouthTimeline: any[], wordTimeline?: any[] }) => void} onSegment - 分段回调。
+   * @returns {Promise<{ segmentCount: number }>} 全部分段推送完毕。
+   */
+  requestTtsStream(text, onSegment) {
+    const origin = this.getServerOrigin();
+    const payload = this.buildTtsPayload(text);
+    return new Promise((resolve, reject) => {
+      let segmentCount = 0;
+      let streamError = null;
+      let chunked = false;
+      const parser = createNdjsonParser((event) => {
+        if (event.type === 'start') {
+          segmentCount = Number(event.segmentCount) || 0;
+        } else if (event.type === 'segment') {
+          onSegment(event);
+        } else if (event.type === 'error') {
+          streamError = new Error(event.detail || event.message || '流式合成失败');
+        }
+      });
+      const task = wx.request({
+        url: `${origin}/tts/stream?timeline=compact`,
+        method: 'POST',
+        header: { 'Content-Type': 'application/json' },
+        data: payload,
+        responseType: 'arraybuffer',
+        enableChunked: true,
+        success: (res) => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`HTTP ${res.statusCode}`));
+            return;
+          }
+          if (!chunked && res.data) {
+            parser.push(res.data);
+          }
+          parser.flush();
+          if (streamError) {
+            reject(streamError);
+          } else {
+            resolve({ segmentCount });
+          }
+        },
+        fail: reject,
+      });
+      if (task && typeof task.onChunkReceived === 'function') {
+        task.onChunkReceived((res) => {
+          chunked = true;
+          parser.push(res.data);
+        });
+      }
+      this.streamTask = task;
+    });
+  },
+  /**
+   * 组装 `/tts` 系列接口的请求体。
+   * @param {string} text - 待合成文本。
+   * @returns {{ text: string, provider: string, voice?: string }} 请求体。
+   */
+  buildTtsPayload(text) {
+    const payload = {
+      text,
+      provider: this.data.providers[this.data.providerIndex],
+    };
+    const voice = this.voiceIds[this.data.voiceIndex] || this.activeRole?.voice;
+    if (voice) {
+      payload.voice = voice;
+    }
+    return payload;
+  },
   /**
    * 获取服务端地址，可在 data.serverOrigin 中覆盖。
    * @returns {string} 服务端基础 URL。
@@ -1050,10 +1233,16 @@ Page({
       if (hasMouthTimeline) {
         const frame = interpolateTimeline(this.timeline, elapsed);
         let value = frame.value;
+        let shape = frame.shape;
         if (this.autoGainProcessor) {
-          value = this.autoGainProcessor.apply(elapsed, value).value;
+          const { value: scaled, gain } = this.autoGainProcessor.apply(elapsed, value);
+          value = scaled;
+          // 张口高度由 jawOpen 决定，增益需同时作用于该通道。
+          if (shape) {
+            shape = { ...shape, jawOpen: Math.max(0, Math.min(1, shape.jawOpen * gain)) };
+          }
         }
-        this.updateMouthFrame(value, frame.visemeId);
+        this.updateMouthFrame(value, frame.visemeId, shape);
       }
       if (hasWordTimeline) {
         const currentWord = getWordAtTime(this.wordTimeline, elapsed);
@@ -1093,9 +1282,11 @@ Page({
    * 更新 mouth 并重绘。
    * @param {number} value - mouth 值。
    * @param {number} visemeId - 口型编号。
+   * @param {Object|null} [shape] - 多通道口型，缺省时按口型编号推断。
    */
-  updateMouthFrame(value, visemeId) {
+  updateMouthFrame(value, visemeId, shape = null) {
     const clamped = Math.max(0, Math.min(1, value));
+    this.mouthShape = shape;
     this.setData({
       mouth: clamped,
       mouthDisplay: clamped.toFixed(2),
@@ -1199,18 +1390,23 @@ Page({
     const headTheme = theme.head;
     const eyeTheme = theme.eye;
     const expression = this.getExpression();
+    const { jawOpen, lipWidth, lipRound, teethVisible } = resolveMouthShape(
+      this.mouthShape || null,
+      mouth,
+      visemeId,
+      mouthTheme.roundedViseme,
+    );
     const nodOffset = Math.sin(Date.now() / 1000 * 1.6) * (expression.headNodAmp ?? 0) * 14;
-    const headY = -150 - mouth * 8 + nodOffset;
+    const headY = -150 - jawOpen * 8 + nodOffset;
     const headRadius = 48;
 
     const mouthWidthBase = 70 * mouthTheme.widthScale;
     const mouthScale = clamp(expression.mouthOpenScale ?? 1, 0.5, 2.5);
-    const mouthHeightBase = (8 + mouth * 48) * mouthTheme.heightScale;
+    const mouthHeightBase = (8 + jawOpen * 48) * mouthTheme.heightScale;
     const mouthHeight = mouthHeightBase * mouthScale;
-    const roundedViseme = mouthTheme.roundedViseme;
-    const rounded = Math.round(visemeId) === roundedViseme;
     const tensionFactor = clamp(1 - (expression.lipTension ?? 0) * 0.35, 0.5, 1.4);
-    const widthFactor = (rounded ? 0.65 : 1) * tensionFactor;
+    // lipWidth 0.5 为原始宽度；圆唇时嘴角向内收拢，完全圆唇约为原宽度的 65%。
+    const widthFactor = (0.7 + lipWidth * 0.6) * (1 - lipRound * 0.35) * tensionFactor;
     const mouthWidth = mouthWidthBase * widthFactor;
 
     ctx.setLineWidth(headTheme.lineWidth);
@@ -1237,7 +1433,8 @@ Page({
     const cornerCurve = clamp((mouthTheme.cornerCurveBase ?? 0) + (expression.cornerCurve ?? 0), -1.2, 1.2);
     const lipTopY = headY + 18 - cornerCurve * 10;
     const lipBottomY = lipTopY + mouthHeight + cornerCurve * 16;
-    const controlOffset = mouthHeight * 0.7 * (1 + cornerCurve * 0.4);
+    // 圆唇时上下唇弧度更大，整体接近椭圆。
+    const controlOffset = mouthHeight * 0.7 * (1 + cornerCurve * 0.4) * (1 + lipRound * 0.3);
 
     ctx.setLineWidth(mouthTheme.lineWidth);
     ctx.setStrokeStyle(mouthTheme.stroke);
@@ -1259,13 +1456,13 @@ Page({
     ctx.closePath();
     ctx.fill();
 
-    if (mouthHeight > 12 * mouthTheme.heightScale) {
+    if (mouthHeight > 12 * mouthTheme.heightScale && teethVisible > 0.05) {
       ctx.setFillStyle(mouthTheme.toothFill);
       const widthRatio = mouthWidthBase === 0 ? 1 : clamp(mouthWidth / mouthWidthBase, 0.6, 1.6);
       const estimatedCount = Math.max(1, Math.round(mouthTheme.toothCount * mouthTheme.toothScale * widthRatio));
       const toothCount = Math.max(1, estimatedCount);
       const toothWidth = (mouthWidth * 1.8) / toothCount / 2;
-      const toothHeight = Math.min(12 * mouthTheme.heightScale, mouthHeight * 0.4);
+      const toothHeight = Math.min(12 * mouthTheme.heightScale, mouthHeight * 0.4) * teethVisible;
       for (let i = 0; i < toothCount; i += 1) {
         const ratio = toothCount === 1 ? 0 : (i / (toothCount - 1)) * 2 - 1;
         const x = toothCount === 1 ? 0 : ratio * mouthWidth * 0.7;
@@ -1273,12 +1470,14 @@ Page({
       }
     }
 
-    if (rounded && mouthTheme.highlightWidth > 0) {
+    if (lipRound > 0.3 && mouthTheme.highlightWidth > 0) {
+      ctx.setGlobalAlpha(clamp((lipRound - 0.3) / 0.5, 0, 1));
       ctx.setStrokeStyle(mouthTheme.highlightStroke);
       ctx.setLineWidth(mouthTheme.highlightWidth);
       ctx.beginPath();
       ctx.ellipse(0, (lipTopY + lipBottomY) / 2, mouthWidth * 0.7, mouthHeight * 0.4, 0, 0, Math.PI * 2);
       ctx.stroke();
+      ctx.setGlobalAlpha(1);
     }
   },
   /**
@@ -1329,10 +1528,43 @@ Page({
       success: (res) => {
         const list = Array.isArray(res.data?.providers) ? res.data.providers : PROVIDER_LABELS;
         this.setData({ providers: list, providerIndex: 0 });
+        this.updateVoiceOptions();
       },
       fail: () => {
         console.warn('获取 provider 列表失败');
       },
     });
   },
+  /**
+   * 拉取服务端音色列表（`GET /voices`）。
+   */
+  fetchVoices() {
+    const origin = this.getServerOrigin();
+    wx.request({
+      url: `${origin}/voices`,
+      success: (res) => {
+        this.voiceCatalog = Array.isArray(res.data?.voices) ? res.data.voices : [];
+        this.updateVoiceOptions();
+      },
+      fail: () => {
+        console.warn('获取音色列表失败');
+      },
+    });
+  },
+  /**
+   * 按当前 provider 刷新音色选项，已选音色不在新列表中时回到“跟随角色”。
+   */
+  updateVoiceOptions() {
+    const provider = this.data.providers[this.data.providerIndex];
+    const previous = this.voiceIds[this.data.voiceIndex] || '';
+    const voices = (this.voiceCatalog || []).filter((voice) => voice.provider === provider);
+    const roleVoice = this.activeRole?.voice;
+    this.voiceIds = ['', ...voices.map((voice) => voice.id)];
+    const voiceNames = [
+      roleVoice ? `跟随角色（${roleVoice}）` : '跟随角色',
+      ...voices.map((voice) => [voice.name, voice.language, VOICE_GENDER_LABELS[voice.gender]].filter(Boolean).join(' · ')),
+    ];
+    const voiceIndex = Math.max(0, this.voiceIds.indexOf(previous));
+    this.setData({ voiceNames, voiceIndex });
+  },
 });
@@ -0,0 +1,82 @@
+/**
+ * 将 UTF-8 字节解码为字符串。部分基础库缺少 TextDecoder，这里手动实现。
+ * @param {Uint8Array} bytes - 完整的 UTF-8 字节序列。
+ * @returns {string} 解码结果。
+ */
+const decodeUtf8 = (bytes) => {
+  if (typeof TextDecoder === 'function') {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+  let result = '';
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let codePoint = byte;
+    let extra = 0;
+    if (byte >= 0xf0) {
+      codePoint = byte & 0x07;
+      extra = 3;
+    } else if (byte >= 0xe0) {
+      codePoint = byte & 0x0f;
+      extra = 2;
+    } else if (byte >= 0xc0) {
+      codePoint = byte & 0x1f;
+      extra = 1;
+    }
+    for (let j = 1; j <= extra; j += 1) {
+      codePoint = (codePoint << 6) | ((bytes[i + j] || 0) & 0x3f);
+    }
+    result += String.fromCodePoint(codePoint);
+    i += extra + 1;
+  }
+  return result;
+};
+
+/**
+ * 创建 NDJSON 增量解析器，用于消费服务端 `/tts/stream` 的分块响应。
+ * 换行符 0x0A 不会出现在多字节字符内部，因此按字节切行即可安全处理跨块截断的中文。
+ * @param {(event: any) => void} onEvent - 每解析出一行 JSON 时回调。
+ * @returns {{ push: (chunk: ArrayBuffer) => void, flush: () => void }} 解析器。
+ */
+const createNdjsonParser = (onEvent) => {
+  let pending = new Uint8Array(0);
+
+  const emitLine = (bytes) => {
+    const line = decodeUtf8(bytes).trim();
+    if (!line) {
+      return;
+    }
+    try {
+      onEvent(JSON.parse(line));
+    } catch (error) {
+      console.warn('解析流式事件失败', error);
+    }
+  };
+
+  return {
+    push(chunk) {
+      const incoming = new Uint8Array(chunk);
+      const merged = new Uint8Array(pending.length + incoming.length);
+      merged.set(pending, 0);
+      merged.set(incoming, pending.length);
+      let start = 0;
+      for (let i = 0; i < merged.length; i += 1) {
+        if (merged[i] === 0x0a) {
+          emitLine(merged.subarray(start, i));
+          start = i + 1;
+        }
+      }
+      pending = merged.slice(start);
+    },
+    flush() {
+      if (pending.length > 0) {
+        emitLine(pending);
+        pending = new Uint8Array(0);
+      }
+    },
+  };
+};
+
+module.exports = {
+  createNdjsonParser,
+};
@@ -0,0 +1,78 @@
+/**
+ * @file viseme-shapes.js
+ * @description 多通道口型的通道顺序、默认唇形与紧凑时间轴解码。取值须与服务端默认口型配置一致，
+ *              `server/test/clientVisemeShapes.test.js` 会逐项比对。
+ */
+
+/** 多通道口型的通道名，顺序与紧凑时间轴中的位置一致。 */
+const SHAPE_CHANNELS = ['jawOpen', 'lipWidth', 'lipRound', 'teethVisible'];
+
+/**
+ * 时间轴未携带多通道口型时按口型编号推断的唇形，与服务端默认口型配置一致。
+ */
+const FALLBACK_VISEME_SHAPES = {
+  0: { lipWidth: 0.5, lipRound: 0.1, teethVisible: 0 },
+  1: { lipWidth: 0.55, lipRound: 0, teethVisible: 0.9 },
+  2: { lipWidth: 0.6, lipRound: 0, teethVisible: 0.8 },
+  3: { lipWidth: 0.4, lipRound: 0.5, teethVisible: 0.5 },
+  4: { lipWidth: 0.55, lipRound: 0.1, teethVisible: 0.4 },
+  5: { lipWidth: 0.3, lipRound: 0.8, teethVisible: 0.2 },
+  6: { lipWidth: 0.9, lipRound: 0, teethVisible: 0.7 },
+  7: { lipWidth: 0.75, lipRound: 0, teethVisible: 0.5 },
+  8: { lipWidth: 0.6, lipRound: 0.05, teethVisible: 0.3 },
+  9: { lipWidth: 0.2, lipRound: 1, teethVisible: 0 },
+};
+
+/** 未知口型编号使用的中性唇形，与服务端口型配置一致。 */
+const NEUTRAL_SHAPE = { lipWidth: 0.5, lipRound: 0, teethVisible: 0 };
+
+/**
+ * 将服务端 `?timeline=compact` 返回的关键帧还原为逐帧结构，逐帧数组原样返回。
+ * @param {{ t: number, v: number, visemeId: number }[]|{ format: string, phonemes?: string[], frames: number[][] }|null} timeline - mouth 时间轴。
+ * @returns {{ t: number, v: number, visemeId: number, phoneme?: string, shape?: Object }[]} 逐帧时间轴。
+ */
+function decodeMouthTimeline(timeline) {
+  if (Array.isArray(timeline)) {
+    return timeline;
+  }
+  if (!timeline || timeline.format !== 'keyframes' || !Array.isArray(timeline.frames)) {
+    return [];
+  }
+  const phonemes = Array.isArray(timeline.phonemes) ? timeline.phonemes : [];
+  return timeline.frames.map((frame) => {
+    const point = { t: frame[0], v: frame[1], visemeId: frame[2], phoneme: phonemes[frame[3]] || '' };
+    if (frame.length >= 4 + SHAPE_CHANNELS.length) {
+      point.shape = {};
+      SHAPE_CHANNELS.forEach((channel, index) => {
+        point.shape[channel] = frame[4 + index];
+      });
+    }
+    return point;
+  });
+}
+
+/**
+ * 在两个多通道口型之间线性插值，任一为空时返回另一个。
+ * @param {Object|undefined} from - 起点口型。
+ * @param {Object|undefined} to - 终点口型。
+ * @param {number} ratio - 插值比例。
+ * @returns {Object|null} 插值结果。
+ */
+function mixShapes(from, to, ratio) {
+  if (!from || !to) {
+    return to || from || null;
+  }
+  const mixed = {};
+  SHAPE_CHANNELS.forEach((channel) => {
+    mixed[channel] = from[channel] + (to[channel] - from[channel]) * ratio;
+  });
+  return mixed;
+}
+
+module.exports = {
+  SHAPE_CHANNELS,
+  FALLBACK_VISEME_SHAPES,
+  NEUTRAL_SHAPE,
+  decodeMouthTimeline,
+  mixShapes,
+};
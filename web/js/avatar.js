@@ -3,6 +3,8 @@
  * @description 绘制 stickbot 火柴人，头部采用“大嘴巴”造型，可在矢量与 Sprite 两种模式之间切换。
  */
 
+import { FALLBACK_VISEME_SHAPES, NEUTRAL_SHAPE } from './viseme-shapes.js';
+
 /**
  * @typedef {Object} AvatarConfig
  * @property {[number, number]} blinkIntervalRange - 眨眼间隔范围（秒）。
@@ -87,6 +89,10 @@ const BASE_THEME = {
 /** 默认主题。 */
 export const DEFAULT_THEME = BASE_THEME;
 
+/**
+ * @typedef {import('./viseme-shapes.js').VisemeShape} VisemeShape
+ */
+
 const resolveTheme = (theme) => {
   if (!theme) {
     return JSON.parse(JSON.stringify(BASE_THEME));
@@ -215,6 +221,10 @@ export class BigMouthAvatar {
     this.targetViseme = 0;
     /** @type {string} */
     this.currentPhoneme = 'idle';
+    /** @type {VisemeShape} */
+    this.currentShape = { jawOpen: 0.1, ...FALLBACK_VISEME_SHAPES[0] };
+    /** @type {VisemeShape} */
+    this.targetShape = { ...this.currentShape };
 
     /** @type {number|null} */
     this.rafId = null;
@@ -267,13 +277,34 @@ export class BigMouthAvatar {
   }
 
   /**
-   * 更新目标 mouth 帧。
-   * @param {{ value: number, visemeId: number, phoneme?: string }} frame - mouth 帧数据。
+   * 更新目标 mouth 帧。帧未携带多通道口型时按口型编号推断唇形。
+   * @param {{ value: number, visemeId: number, phoneme?: string, shape?: VisemeShape|null }} frame - mouth 帧数据。
    */
   setMouthFrame(frame) {
     this.targetMouth = Math.min(1, Math.max(0, frame.value));
     this.targetViseme = frame.visemeId ?? 0;
     this.currentPhoneme = frame.phoneme || 'unknown';
+    const shape = frame.shape || this.inferShape(this.targetViseme);
+    this.targetShape = {
+      jawOpen: clamp(pickNumber(frame.shape?.jawOpen, this.targetMouth), 0, 1),
+      lipWidth: clamp(pickNumber(shape.lipWidth, NEUTRAL_SHAPE.lipWidth), 0, 1),
+      lipRound: clamp(pickNumber(shape.lipRound, NEUTRAL_SHAPE.lipRound), 0, 1),
+      teethVisible: clamp(pickNumber(shape.teethVisible, NEUTRAL_SHAPE.teethVisible), 0, 1),
+    };
+  }
+
+  /**
+   * 按口型编号推断唇形，主题的 `roundedViseme` 对应的口型总是圆唇。
+   * @param {number} visemeId - 口型编号。
+   * @returns {{ lipWidth: number, lipRound: number, teethVisible: number }} 唇形。
+   */
+  inferShape(visemeId) {
+    const rounded = Math.round(visemeId);
+    const shape = FALLBACK_VISEME_SHAPES[rounded] || NEUTRAL_SHAPE;
+    if (rounded === this.theme.mouth.roundedViseme) {
+      return { ...shape, lipWidth: Math.min(shape.lipWidth, 0.3), lipRound: 1 };
+    }
+    return shape;
   }
 
   /**
@@ -385,6 +416,9 @@ export class BigMouthAvatar {
     const blendFactor = 1 - Math.pow(1 - smoothing, delta * 60);
     this.currentMouth += (this.targetMouth - this.currentMouth) * blendFactor;
     this.currentViseme += (this.targetViseme - this.currentViseme) * blendFactor;
+    for (const channel of Object.keys(this.currentShape)) {
+      this.currentShape[channel] += (this.targetShape[channel] - this.currentShape[channel]) * blendFactor;
+    }
 
     const now = timestamp / 1000;
     if (now >= this.nextBlinkTime) {
@@ -475,16 +509,17 @@ export class BigMouthAvatar {
     const headTheme = theme.head;
     const eyeTheme = theme.eye;
 
+    const { jawOpen, lipWidth, lipRound, teethVisible } = this.currentShape;
     const nodOffset = Math.sin(performance.now() / 1000 * (1.2 + this.expression.headNodAmp * 2.4)) * (6 + this.expression.headNodAmp * 12);
-    const headY = -150 - this.currentMouth * 8 + nodOffset;
+    const headY = -150 - jawOpen * 8 + nodOffset;
     const headRadius = 48;
     const mouthWidthBase = 70 * mouthTheme.widthScale;
     const mouthScale = clamp(this.expression.mouthOpenScale, 0.5, 2.5);
-    const mouthHeight = (8 + this.currentMouth * 48) * mouthTheme.heightScale * mouthScale;
-    const visemeRounded = Math.round(this.currentViseme);
-    const roundedLip = visemeRounded === mouthTheme.roundedViseme;
+    const mouthHeight = (8 + jawOpen * 48) * mouthTheme.heightScale * mouthScale;
     const tensionFactor = clamp(1 - this.expression.lipTension * 0.35, 0.6, 1.4);
-    const mouthWidth = mouthWidthBase * (roundedLip ? 0.65 : 1) * tensionFactor;
+    // lipWidth 0.5 为原始宽度；圆唇时嘴角向内收拢，完全圆唇约为原宽度的 65%。
+    const shapeFactor = (0.7 + lipWidth * 0.6) * (1 - lipRound * 0.35);
+    const mouthWidth = mouthWidthBase * shapeFactor * tensionFactor;
 
     ctx.lineWidth = headTheme.lineWidth;
     ctx.strokeStyle = headTheme.stroke;
@@ -509,7 +544,8 @@ export class BigMouthAvatar {
     const cornerBias = clamp(mouthTheme.cornerCurveBase + this.expression.cornerCurve, -1.2, 1.2);
     const lipTopY = headY + 18 - cornerBias * 10;
     const lipBottomY = lipTopY + mouthHeight + cornerBias * 16;
-    const controlOffset = mouthHeight * 0.7 * (1 + cornerBias * 0.4);
+    // 圆唇时上下唇弧度更大，整体接近椭圆。
+    const controlOffset = mouthHeight * 0.7 * (1 + cornerBias * 0.4) * (1 + lipRound * 0.3);
 
     ctx.lineWidth = mouthTheme.lineWidth;
     ctx.strokeStyle = mouthTheme.stroke;
@@ -546,13 +582,13 @@ export class BigMouthAvatar {
     ctx.closePath();
     ctx.fill();
 
-    if (mouthHeight > 12 * mouthTheme.heightScale) {
+    if (mouthHeight > 12 * mouthTheme.heightScale && teethVisible > 0.05) {
       ctx.fillStyle = mouthTheme.toothFill;
       const widthRatio = mouthWidthBase === 0 ? 1 : clamp(mouthWidth / mouthWidthBase, 0.6, 1.6);
       const estimatedCount = Math.max(1, Math.round(mouthTheme.toothCount * mouthTheme.toothScale * widthRatio));
       const toothCount = Math.max(1, estimatedCount);
       const toothWidth = (mouthWidth * 1.8) / toothCount / 2;
-      const toothHeight = Math.min(12 * mouthTheme.heightScale, mouthHeight * 0.4);
+      const toothHeight = Math.min(12 * mouthTheme.heightScale, mouthHeight * 0.4) * teethVisible;
       for (let i = 0; i < toothCount; i += 1) {
         const ratio = toothCount === 1 ? 0 : (i / (toothCount - 1)) * 2 - 1;
         const x = toothCount === 1 ? 0 : ratio * mouthWidth * 0.7;
@@ -560,7 +596,8 @@ export class BigMouthAvatar {
       }
     }
 
-    if (roundedLip && mouthTheme.highlightWidth > 0) {
+    if (lipRound > 0.3 && mouthTheme.highlightWidth > 0) {
+      ctx.globalAlpha = clamp((lipRound - 0.3) / 0.5, 0, 1);
       ctx.strokeStyle = mouthTheme.highlightStroke;
       ctx.lineWidth = mouthTheme.highlightWidth;
       ctx.beginPath();
@@ -5,20 +5,22 @@
  */
 
 import { AutoGainProcessor, DEFAULT_AUTO_GAIN_CONFIG } from './auto-gain.js';
+import { decodeMouthTimeline, mixShapes } from './viseme-shapes.js';
+
+export { decodeMouthTimeline };
+
+/**
+ * @typedef {import('./viseme-shapes.js').VisemeShape} VisemeShape
+ * @typedef {import('./viseme-shapes.js').TimelinePoint} TimelinePoint
+ * @typedef {import('./viseme-shapes.js').CompactTimeline} CompactTimeline
+ */
 
 /**
  * @typedef {Object} MouthFrame
  * @property {number} value - mouth 数值，范围 [0,1]。
  * @property {number} visemeId - 当前口型编号。
  * @property {string} phoneme - 来源音素或事件标识。
- */
-
-/**
- * @typedef {Object} TimelinePoint
- * @property {number} t - 时间（秒）。
- * @property {number} v - mouth 值。
- * @property {number} visemeId - 口型编号。
- * @property {string} [phoneme] - 可选音素标签。
+ * @property {VisemeShape|null} [shape] - 服务端时间轴提供的多通道口型，其他驱动源为 null。
  */
 
 /**
@@ -87,7 +89,7 @@ export class MouthSignal {
     /** @type {Set<MouthSubscriber>} */
     this.subscribers = new Set();
     /** @type {MouthFrame} */
-    this.frame = { value: SIGNAL_CONFIG.minValue, visemeId: 0, phoneme: 'idle' };
+    this.frame = { value: SIGNAL_CONFIG.minValue, visemeId: 0, phoneme: 'idle', shape: null };
     /** @type {number|null} */
     this.rafId = null;
     /** @type {number} */
@@ -117,14 +119,16 @@ export class MouthSignal {
 
   /**
    * 直接设置 mouth 帧，常用于外部插值结果。
+   * 未传 `shape` 时：只更新数值（如衰减）则保留当前口型，切换了 `visemeId` 则清空，由渲染端按编号推断。
    * @param {Partial<MouthFrame>} patch - 要更新的字段。
    */
   setFrame(patch) {
     const value = patch.value ?? this.frame.value;
     const visemeId = patch.visemeId ?? this.frame.visemeId;
     const phoneme = patch.phoneme ?? this.frame.phoneme;
+    const shape = 'shape' in patch ? patch.shape ?? null : patch.visemeId === undefined ? this.frame.shape : null;
     const clamped = Math.max(SIGNAL_CONFIG.minValue, Math.min(1, value));
-    this.frame = { value: clamped, visemeId, phoneme };
+    this.frame = { value: clamped, visemeId, phoneme, shape };
     this.emit();
   }
 
@@ -244,8 +248,8 @@ export class MouthSignal {
    */
   playTimeline(timeline, clock) {
     const autoGain = this.autoGainEnabled ? this.autoGainConfig : null;
-    this.timelinePlayback = new TimelinePlayback(timeline, clock, (value, visemeId, phoneme) => {
-      this.setFrame({ value, visemeId, phoneme });
+    this.timelinePlayback = new TimelinePlayback(timeline, clock, (value, visemeId, phoneme, shape) => {
+      this.setFrame({ value, visemeId, phoneme, shape });
     }, autoGain);
   }
 
@@ -287,12 +291,13 @@ export class MouthSignal {
  */
 class TimelinePlayback {
   /**
-   * @param {TimelinePoint[]} timeline - mouth 时间轴。
+   * @param {TimelinePoint[]|CompactTimeline} timeline - mouth 时间轴，支持紧凑格式。
    * @param {() => number} clock - 播放进度函数，返回秒。
-   * @param {(value: number, visemeId: number, phoneme: string) => void} onFrame - 帧更新回调。
+   * @param {(value: number, visemeId: number, phoneme: string, shape: VisemeShape|null) => void} onFrame - 帧更新回调。
    * @param {{ windowSec?: number, targetRMS?: number, floor?: number, ceil?: number, smoothing?: number }|null} autoGain - 自动增益配置。
    */
   constructor(timeline, clock, onFrame, autoGain = null) {
+    timeline = decodeMouthTimeline(timeline);
     this.timeline = timeline;
     this.clock = clock;
     this.onFrame = onFrame;
@@ -307,7 +312,7 @@ class TimelinePlayback {
    */
   update() {
     if (this.timeline.length === 0) {
-      this.onFrame(SIGNAL_CONFIG.minValue, 0, 'idle');
+      this.onFrame(SIGNAL_CONFIG.minValue, 0, 'idle', null);
       return true;
     }
     const time = this.clock();
@@ -316,7 +321,7 @@ class TimelinePlayback {
     }
     if (time >= this.duration) {
       const last = this.timeline[this.timeline.length - 1];
-      this.onFrame(last.v, last.visemeId, last.phoneme || 'tail');
+      this.onFrame(last.v, last.visemeId, last.phoneme || 'tail', last.shape ?? null);
       return true;
     }
     while (this.index < this.timeline.length && this.timeline[this.index].t < time) {
@@ -329,10 +334,16 @@ class TimelinePlayback {
     let value = prev.v + (next.v - prev.v) * ratio;
     const visemeId = ratio > 0.5 ? next.visemeId : prev.visemeId;
     const phoneme = ratio > 0.5 ? (next.phoneme || 'blend') : (prev.phoneme || 'blend');
+    let shape = mixShapes(prev.shape, next.shape, ratio);
     if (this.autoGain) {
-      value = this.autoGain.apply(time, value).value;
+      const { value: scaled, gain } = this.autoGain.apply(time, value);
+      value = scaled;
+      // 张口高度由 jawOpen 决定，增益需同时作用于该通道。
+      if (shape) {
+        shape = { ...shape, jawOpen: Math.min(1, Math.max(0, shape.jawOpen * gain)) };
+      }
     }
-    this.onFrame(value, visemeId, phoneme);
+    this.onFrame(value, visemeId, phoneme, shape);
     return false;
   }
 
@@ -427,9 +438,10 @@ export const speakWithWebSpeech = (utterance, signal) => {
 };
 
 /**
- * 请求服务端 `/tts` 接口，返回 JSON 结果。
+ * 请求服务端 `/tts` 接口，返回 JSON 结果。使用 `POST` + JSON 请求体，避免长文本超出 URL 长度限制。
+ * 以 `?timeline=compact` 请求紧凑时间轴，返回前还原为逐帧数组。
  * @param {string} text - 合成文本。
- * @param {{ voice?: string, rate?: number, provider?: string, abortSignal?: AbortSignal, segmentIndex?: number, segmentCount?: number, segmentId?: string }} options - 请求参数。
+ * @param {{ voice?: string, rate?: number, pitch?: number, ssml?: string, provider?: string, abortSignal?: AbortSignal, segmentIndex?: number, segmentCount?: number, segmentId?: string }} options - 请求参数，提供 `ssml` 时服务端优先使用 SSML。
  * @returns {Promise<{
  *   audioUrl: string,
  *   mouthTimeline: TimelinePoint[],
@@ -440,22 +452,138 @@ export const speakWithWebSpeech = (utterance, signal) => {
  * }>} 结果。
 */
 export const requestServerTts = async (text, options = {}) => {
-  const params = new URLSearchParams({ text });
-  if (options.voice) params.set('voice', options.voice);
-  if (options.rate) params.set('rate', String(options.rate));
-  if (options.provider) params.set('provider', options.provider);
-  if (Number.isFinite(options.segmentIndex)) params.set('segmentIndex', String(options.segmentIndex));
-  if (Number.isFinite(options.segmentCount)) params.set('segmentCount', String(options.segmentCount));
-  if (options.segmentId) params.set('segmentId', options.segmentId);
-  const response = await fetch(resolveServerUrl(`/tts?${params.toString()}`), {
-    method: 'GET',
+  const response = await fetch(resolveServerUrl('/tts?timeline=compact'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildTtsRequestBody(text, options)),
     signal: options.abortSignal,
   });
   if (!response.ok) {
     throw new Error(`TTS 请求失败：${response.status}`);
   }
   const data = await response.json();
-  return data;
+  return { ...data, mouthTimeline: decodeMouthTimeline(data.mouthTimeline) };
+};
+
+/**
+ * 组装 `/tts` 系列接口的 JSON 请求体。
+ * @param {string} text - 合成文本。
+ * @param {{ voice?: string, rate?: number, pitch?: number, ssml?: string, provider?: string, segmentIndex?: number, segmentCount?: number, segmentId?: string }} options - 请求参数。
+ * @returns {Record<string, string|number>} 请求体。
+ */
+const buildTtsRequestBody = (text, options = {}) => {
+  const body = { text };
+  if (options.ssml) body.ssml = options.ssml;
+  if (options.voice) body.voice = options.voice;
+  if (options.rate) body.rate = options.rate;
+  if (Number.isFinite(options.pitch)) body.pitch = options.pitch;
+  if (options.provider) body.provider = options.provider;
+  if (Number.isFinite(options.segmentIndex)) body.segmentIndex = options.segmentIndex;
+  if (Number.isFinite(options.segmentCount)) body.segmentCount = options.segmentCount;
+  if (options.segmentId) body.segmentId = options.segmentId;
+  return body;
+};
+
+/**
+ * 请求服务端 `/tts/stream` 流式接口。服务端负责切分文本，并以 NDJSON 逐段推送合成结果。
+ * 函数在收到 `start` 事件后返回，`segments[i]` 为第 i 段结果的 Promise，对应段推送后立即 resolve，
+ * 可直接作为 `TimelinePlayer` 的分段获取函数使用。
+ * @param {string} text - 合成文本。
+ * @param {{ voice?: string, rate?: number, pitch?: number, provider?: string, abortSignal?: AbortSignal, segmentMinChars?: number, segmentMaxChars?: number }} options - 请求参数。
+ * @returns {Promise<{
+ *   segmentCount: number,
+ *   texts: string[],
+ *   segments: Promise<{ audioUrl: string, mouthTimeline: TimelinePoint[], wordTimeline?: { tStart: number, tEnd: number, text: string }[], duration: number, offset: number }>[],
+ *   done: Promise<void>,
+ * }>} 流式会话。
+ */
+export const requestServerTtsStream = async (text, options = {}) => {
+  const body = buildTtsRequestBody(text, options);
+  if (Number.isFinite(options.segmentMinChars)) body.segmentMinChars = options.segmentMinChars;
+  if (Number.isFinite(options.segmentMaxChars)) body.segmentMaxChars = options.segmentMaxChars;
+  const response = await fetch(resolveServerUrl('/tts/stream?timeline=compact'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: options.abortSignal,
+  });
+  if (!response.ok || !response.body) {
+    throw new Error(`TTS 流式请求失败：${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+  const readEvent = async () => {
+    while (true) {
+      const newlineIndex = buffer.indexOf('\n');
+      if (newlineIndex >= 0) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) {
+          return JSON.parse(line);
+        }
+        continue;
+      }
+      if (finished) {
+        const rest = buffer.trim();
+        buffer = '';
+        return rest ? JSON.parse(rest) : null;
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        finished = true;
+        buffer += decoder.decode();
+      } else {
+        buffer += decoder.decode(value, { stream: true });
+      }
+    }
+  };
+
+  const first = await readEvent();
+  if (!first || first.type !== 'start') {
+    throw new Error(first?.type === 'error' ? first.detail || first.message : '流式响应缺少 start 事件');
+  }
+  const segmentCount = Math.max(0, Number(first.segmentCount) || 0);
+  const deferred = Array.from({ length: segmentCount }, () => {
+    const entry = {};
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // 由调用方按需 await，这里先吞掉未处理的拒绝，避免控制台噪声。
+    entry.promise.catch(() => {});
+    return entry;
+  });
+
+  const done = (async () => {
+    try {
+      let event;
+      while ((event = await readEvent())) {
+        if (event.type === 'segment') {
+          deferred[event.index]?.resolve({ ...event, mouthTimeline: decodeMouthTimeline(event.mouthTimeline) });
+        } else if (event.type === 'error') {
+          throw new Error(event.detail || event.message || '流式合成失败');
+        } else if (event.type === 'end') {
+          break;
+        }
+      }
+      const pendingError = new Error('流式响应提前结束');
+      deferred.forEach((entry) => entry.reject(pendingError));
+    } catch (error) {
+      deferred.forEach((entry) => entry.reject(error));
+      throw error;
+    }
+  })();
+  done.catch(() => {});
+
+  return {
+    segmentCount,
+    texts: Array.isArray(first.segments) ? first.segments : [],
+    segments: deferred.map((entry) => entry.promise),
+    done,
+  };
 };
 
 /**
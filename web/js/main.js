@@ -9,11 +9,13 @@ import {
   speakWithWebSpeech,
   generatePlaceholderTimeline,
   requestServerTts,
+  requestServerTtsStream,
   playWithAnalyser,
   resolveServerUrl,
 } from './lipsync.js';
 import { DEFAULT_AUTO_GAIN_CONFIG } from './auto-gain.js';
 import { MouthCapture } from './mouth-capture.js';
+import { RealtimeChannel } from './realtime.js';
 
 /**
  * DOM 引用。
@@ -30,6 +32,8 @@ const pitchDisplay = document.getElementById('pitch-display');
 const mouthProgress = /** @type {HTMLProgressElement} */ (document.getElementById('mouth-progress'));
 const providerSelect = /** @type {HTMLSelectElement} */ (document.getElementById('tts-provider'));
 const providerHint = document.getElementById('provider-hint');
+const voiceSelect = /** @type {HTMLSelectElement} */ (document.getElementById('voice-select'));
+const voiceHint = document.getElementById('voice-hint');
 const renderSelect = /** @type {HTMLSelectElement} */ (document.getElementById('render-mode'));
 const roleSelect = /** @type {HTMLSelectElement} */ (document.getElementById('role-select'));
 const themeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('theme-select'));
@@ -745,6 +749,7 @@ const TIMELINE_PREFS = (() => {
     segmentMinChars: 80,
     segmentMaxChars: 220,
     segmentMode: 'auto',
+    segmentTransport: 'stream',
     latencyCompensation: {
       enabled: true,
       thresholdMs: 160,
@@ -791,11 +796,16 @@ const TIMELINE_PREFS = (() => {
     typeof overrides.segmentMode === 'string' && overrides.segmentMode
       ? overrides.segmentMode
       : defaults.segmentMode;
+  const segmentTransport =
+    typeof overrides.segmentTransport === 'string' && overrides.segmentTransport
+      ? overrides.segmentTransport
+      : defaults.segmentTransport;
   return {
     prefetchThreshold: threshold,
     segmentMinChars: minChars,
     segmentMaxChars: maxChars,
     segmentMode: segmentMode.toLowerCase(),
+    segmentTransport: segmentTransport.toLowerCase(),
     latencyCompensation,
   };
 })();
@@ -937,6 +947,7 @@ const applyRole = async (role, options = {}) => {
 
   applyExpressionPreset(activeRole.preset);
   applyThemeFromState();
+  populateVoiceSelect();
 
   if (renderSelect) {
     renderSelect.value = activeRole.renderMode;
@@ -2264,6 +2275,54 @@ function stopCurrentPlayback() {
   });
 }
 
+/**
+ * 实时会话：URL 携带 `?session=<id>` 时加入服务端 `/ws` 会话，`role=operator` 的页面点击播放会把文本推送给所有观众。
+ */
+const realtimeChannel = (() => {
+  const params = new URLSearchParams(window.location.search);
+  const sessionId = params.get('session');
+  if (!sessionId) {
+    return null;
+  }
+  const channel = new RealtimeChannel({
+    sessionId,
+    role: params.get('role') === 'operator' ? 'operator' : 'viewer',
+    mouthSignal,
+    onStatus: (message) => overlayInfo(message),
+    onChunkStart: (chunk, clock) => {
+      audioDriving = true;
+      setServerWordTimeline(Array.isArray(chunk.wordTimeline) ? chunk.wordTimeline : []);
+      if (activeWordTimeline.length > 0) {
+        startWordHighlight(clock);
+      }
+      updateDiagnosticsState({
+        syncSource: '实时会话',
+        timeline: { total: 0, prepared: 0, prefetched: 0, current: chunk.seq, status: '播放中' },
+        extraInfo: `片段 #${chunk.seq}：${chunk.text}`,
+      });
+    },
+    onIdle: () => {
+      audioDriving = false;
+      stopWordHighlight();
+    },
+    onCue: (cues) => {
+      // 将服务端语义关键帧叠加到当前角色的表情预设上。
+      const base = activeRole?.preset || {};
+      const smile = cues.smileBoost || 0;
+      const brow = cues.browLift || 0;
+      const nod = cues.headNod || 0;
+      applyExpressionPreset({
+        ...base,
+        cornerCurve: Math.min(0.8, (base.cornerCurve || 0) + smile * 0.5),
+        eyeBlinkBias: Math.max(-0.6, (base.eyeBlinkBias || 0) - brow * 0.4),
+        headNodAmp: Math.min(0.9, (base.headNodAmp || 0) + nod * 0.6),
+      });
+    },
+  });
+  channel.connect();
+  return channel;
+})();
+
 // 滑条即时更新数值显示
 rateSlider.addEventListener('input', () => {
   rateDisplay.textContent = rateSlider.value;
@@ -2390,6 +2449,14 @@ playButton.addEventListener('click', async () => {
     return;
   }
 
+  if (realtimeChannel?.role === 'operator') {
+    stopCurrentPlayback();
+    const espeakRate = Math.max(80, Math.round(170 * parseFloat(rateSlider.value)));
+    const sent = realtimeChannel.speak(text, { provider: providerSelect.value, rate: espeakRate, voice: resolveSelectedVoice() });
+    overlayInfo(sent ? '已推送到实时会话，等待服务端合成...' : '实时会话尚未连接，请稍后重试。');
+    return;
+  }
+
   stopCurrentPlayback();
   prepareTimelineWithPlugins(text);
   playButton.disabled = true;
@@ -2412,13 +2479,34 @@ playButton.addEventListener('click', async () => {
     const baseRequestOptions = {
       provider,
       rate: espeakRate,
-      voice: activeRole?.voice,
+      voice: resolveSelectedVoice(),
       abortSignal: currentAbort.signal,
     };
 
     let initialResult = null;
+    /** @type {Promise<any>[]|null} */
+    let streamedSegments = null;
 
-    if (useSegmentedPlayback) {
+    if (TIMELINE_PREFS.segmentMode !== 'off' && TIMELINE_PREFS.segmentTransport === 'stream') {
+      try {
+        const stream = await requestServerTtsStream(text, {
+          ...baseRequestOptions,
+          segmentMinChars: TIMELINE_PREFS.segmentMinChars,
+          segmentMaxChars: TIMELINE_PREFS.segmentMaxChars,
+        });
+        if (stream.segmentCount > 0) {
+          initialResult = await stream.segments[0];
+          streamedSegments = stream.segments.slice(1);
+          useSegmentedPlayback = stream.segmentCount > 1;
+        }
+      } catch (error) {
+        console.warn('流式 TTS 请求失败，将改为逐段请求。', error);
+        initialResult = null;
+        streamedSegments = null;
+      }
+    }
+
+    if (useSegmentedPlayback && !streamedSegments) {
       try {
         initialResult = await requestServerTts(activeSegments[0], {
           ...baseRequestOptions,
@@ -2462,16 +2550,18 @@ playButton.addEventListener('click', async () => {
     ) {
       const aggregatedWordTimeline = [];
       setServerWordTimeline([]);
-      const fetchers = useSegmentedPlayback
-        ? activeSegments.slice(1).map((segmentText, index) => () =>
-            requestServerTts(segmentText, {
-              ...baseRequestOptions,
-              segmentIndex: index + 1,
-              segmentCount: activeSegments.length,
-              segmentId: `seg-${index + 2}-of-${activeSegments.length}`,
-            }),
-          )
-        : [];
+      const fetchers = streamedSegments
+        ? streamedSegments.map((segmentPromise) => () => segmentPromise)
+        : useSegmentedPlayback
+          ? activeSegments.slice(1).map((segmentText, index) => () =>
+              requestServerTts(segmentText, {
+                ...baseRequestOptions,
+                segmentIndex: index + 1,
+                segmentCount: activeSegments.length,
+                segmentId: `seg-${index + 2}-of-${activeSegments.length}`,
+              }),
+            )
+          : [];
       overlayInfo(useSegmentedPlayback ? '使用分段时间轴驱动口型。' : '使用服务端时间轴驱动口型。');
       updateDiagnosticsState({
         syncSource: useSegmentedPlayback ? '分段时间轴' : '服务端时间轴',
@@ -2601,6 +2691,11 @@ playButton.addEventListener('click', async () => {
 // 停止按钮
 stopButton.addEventListener('click', () => {
   stopCurrentPlayback();
+  if (realtimeChannel?.role === 'operator') {
+    realtimeChannel.cancel();
+  } else if (realtimeChannel) {
+    realtimeChannel.stopLocal();
+  }
 });
 
 // 页面隐藏时自动停止，避免后台播放
@@ -2639,22 +2734,92 @@ async function initProviderAvailability() {
     const response = await fetch(resolveServerUrl('/'));
     const data = await response.json();
     const available = Array.isArray(data.providers) ? data.providers : [];
-    const azureOption = providerSelect.querySelector('option[value="azure"]');
-    if (azureOption && !available.includes('azure')) {
-      azureOption.disabled = true;
-      if (providerSelect.value === 'azure') {
-        providerSelect.value = 'espeak';
-      }
-      if (providerHint) {
-        providerHint.textContent = 'Azure 未启用，请在 .env 配置密钥后重启服务端。';
+    const disabledNames = [];
+    for (const option of Array.from(providerSelect.options)) {
+      if (option.value !== 'espeak' && !available.includes(option.value)) {
+        option.disabled = true;
+        disabledNames.push(option.textContent.replace(/（.*$/, ''));
       }
     }
+    if (providerSelect.selectedOptions[0]?.disabled) {
+      providerSelect.value = 'espeak';
+      populateVoiceSelect();
+    }
+    if (providerHint && disabledNames.length > 0) {
+      providerHint.textContent = `${disabledNames.join('、')} 未启用，请在 .env 完成配置后重启服务端。`;
+    }
   } catch (error) {
     console.warn('获取 provider 列表失败：', error);
   }
 }
 
+/** @type {{ id: string, name: string, language: string | null, gender: string | null, provider: string }[]} */
+let voiceCatalog = [];
+
+const VOICE_GENDER_LABELS = { male: '男声', female: '女声', neutral: '中性' };
+
+/**
+ * 按当前 provider 刷新音色下拉框。首项为“跟随角色”，选中时使用角色档案中的 voice；
+ * 已选音色在新列表中不存在时回到首项。
+ */
+function populateVoiceSelect() {
+  if (!voiceSelect) {
+    return;
+  }
+  const previous = voiceSelect.value;
+  const provider = providerSelect.value;
+  voiceSelect.innerHTML = '';
+  const followOption = document.createElement('option');
+  followOption.value = '';
+  followOption.textContent = activeRole?.voice ? `跟随角色（${activeRole.voice}）` : '跟随角色';
+  voiceSelect.appendChild(followOption);
+  for (const voice of voiceCatalog) {
+    if (voice.provider !== provider) {
+      continue;
+    }
+    const option = document.createElement('option');
+    option.value = voice.id;
+    option.textContent = [voice.name, voice.language, VOICE_GENDER_LABELS[voice.gender]].filter(Boolean).join(' · ');
+    voiceSelect.appendChild(option);
+  }
+  voiceSelect.value = Array.from(voiceSelect.options).some((option) => option.value === previous) ? previous : '';
+}
+
+/**
+ * 从服务端加载音色列表。
+ */
+async function loadVoiceCatalog() {
+  try {
+    const response = await fetch(resolveServerUrl('/voices'));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    voiceCatalog = Array.isArray(data?.voices) ? data.voices : [];
+    if (voiceHint && voiceCatalog.length === 0) {
+      voiceHint.textContent = '服务端未返回可用音色，将使用角色默认音色。';
+    }
+  } catch (error) {
+    console.warn('获取音色列表失败：', error);
+    if (voiceHint) {
+      voiceHint.textContent = '音色列表加载失败，将使用角色默认音色。';
+    }
+  }
+  populateVoiceSelect();
+}
+
+/**
+ * 本次合成使用的音色：音色下拉框优先，未选择时使用角色档案中的 voice。
+ * @returns {string | undefined} 音色 ID。
+ */
+function resolveSelectedVoice() {
+  return voiceSelect?.value || activeRole?.voice || undefined;
+}
+
+providerSelect.addEventListener('change', () => populateVoiceSelect());
+
 initProviderAvailability();
+loadVoiceCatalog();
 
 loadRoles().catch((error) => {
   console.warn('[stickbot] 初始化角色档案失败', error);
@@ -0,0 +1,338 @@
+/**
+ * @module realtime
+ * @description 实时会话客户端：通过 WebSocket 加入服务端 `/ws` 会话，操作者推送文本或 LLM token，
+ *              所有观众按服务端下发的 `startAt` 对齐播放音频与 mouth/emote/gesture 时间轴。
+ */
+
+import { resolveServerUrl } from './lipsync.js';
+
+/**
+ * @typedef {Object} RealtimeChunk
+ * @property {number} seq - 片段序号。
+ * @property {string} text - 片段文本。
+ * @property {string} audioUrl - 音频地址。
+ * @property {number} duration - 音频时长（秒）。
+ * @property {import('./lipsync.js').TimelinePoint[]} mouthTimeline - mouth 时间轴。
+ * @property {Array<{ tStart: number, tEnd: number, text: string }>} wordTimeline - 逐词时间轴。
+ * @property {Array<{ t: number, k: string, v: number }>} emoteTimeline - 表情关键帧。
+ * @property {Array<{ t: number, k: string, v: number }>} gestureTimeline - 手势关键帧。
+ * @property {number} startAt - 服务端时钟下的开播时间（epoch 毫秒）。
+ */
+
+/**
+ * @typedef {Object} RealtimeChannelOptions
+ * @property {string} sessionId - 会话 ID。
+ * @property {'operator' | 'viewer'} [role] - 角色，默认观众。
+ * @property {import('./lipsync.js').MouthSignal} mouthSignal - mouth 控制器。
+ * @property {(chunk: RealtimeChunk, clock: () => number) => void} [onChunkStart] - 片段开播回调。
+ * @property {() => void} [onIdle] - 所有排期片段播完后回调。
+ * @property {(cues: Record<string, number>) => void} [onCue] - 每帧的表情/手势强度。
+ * @property {(message: string) => void} [onStatus] - 状态文案。
+ */
+
+/** 音频进度与会话时钟偏差超过该值时强制校正（秒）。 */
+const DRIFT_TOLERANCE_SEC = 0.25;
+const RECONNECT_DELAY_MS = 2000;
+
+/**
+ * 对关键帧做线性插值，按键名分别采样。
+ * @param {Array<{ t: number, k: string, v: number }>} frames - 关键帧。
+ * @param {number} time - 片段内时间（秒）。
+ * @returns {Record<string, number>} 键到强度的映射。
+ */
+export const sampleKeyframes = (frames, time) => {
+  /** @type {Record<string, { prev?: { t: number, v: number }, next?: { t: number, v: number } }>} */
+  const spans = {};
+  for (const frame of Array.isArray(frames) ? frames : []) {
+    const span = spans[frame.k] || (spans[frame.k] = {});
+    if (frame.t <= time) {
+      span.prev = frame;
+    } else if (!span.next) {
+      span.next = frame;
+    }
+  }
+  /** @type {Record<string, number>} */
+  const result = {};
+  for (const [key, { prev, next }] of Object.entries(spans)) {
+    if (prev && next) {
+      const ratio = (time - prev.t) / Math.max(next.t - prev.t, 1e-6);
+      result[key] = prev.v + (next.v - prev.v) * ratio;
+    } else {
+      result[key] = prev ? prev.v : 0;
+    }
+  }
+  return result;
+};
+
+/**
+ * 实时会话通道。
+ */
+export class RealtimeChannel {
+  /**
+   * @param {RealtimeChannelOptions} options - 通道配置。
+   */
+  constructor(options) {
+    this.sessionId = options.sessionId;
+    this.role = options.role === 'operator' ? 'operator' : 'viewer';
+    this.mouthSignal = options.mouthSignal;
+    this.onChunkStart = options.onChunkStart || (() => {});
+    this.onIdle = options.onIdle || (() => {});
+    this.onCue = options.onCue || (() => {});
+    this.onStatus = options.onStatus || (() => {});
+    /** @type {WebSocket|null} */
+    this.socket = null;
+    /** 服务端时钟减本地时钟（毫秒），通过 ping/pong 估算。 */
+    this.clockOffset = 0;
+    this.bestRtt = Infinity;
+    /** @type {Array<{ chunk: RealtimeChunk, audio: HTMLAudioElement, timer: number }>} */
+    this.scheduled = [];
+    /** @type {{ chunk: RealtimeChunk, audio: HTMLAudioElement } | null} */
+    this.current = null;
+    this.rafId = null;
+    this.closed = false;
+  }
+
+  /**
+   * 服务端时钟下的当前时间（毫秒）。
+   * @returns {number} epoch 毫秒。
+   */
+  now() {
+    return Date.now() + this.clockOffset;
+  }
+
+  /**
+   * 建立 WebSocket 连接，断线后自动重连。
+   */
+  connect() {
+    this.closed = false;
+    const url = new URL(resolveServerUrl('/ws'));
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.searchParams.set('session', this.sessionId);
+    url.searchParams.set('role', this.role);
+    const socket = new WebSocket(url.toString());
+    this.socket = socket;
+    socket.addEventListener('open', () => {
+      this.onStatus(`已加入实时会话 ${this.sessionId}（${this.role === 'operator' ? '操作者' : '观众'}）`);
+      for (let i = 0; i < 3; i += 1) {
+        window.setTimeout(() => this.send({ type: 'ping', clientTime: Date.now() }), i * 300);
+      }
+    });
+    socket.addEventListener('message', (event) => {
+      try {
+        this.handleMessage(JSON.parse(String(event.data)));
+      } catch (error) {
+        console.warn('[stickbot] 解析实时消息失败', error);
+      }
+    });
+    socket.addEventListener('close', () => {
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+      if (!this.closed) {
+        this.onStatus('实时会话连接断开，稍后重连...');
+        window.setTimeout(() => {
+          if (!this.closed) {
+            this.connect();
+          }
+        }, RECONNECT_DELAY_MS);
+      }
+    });
+  }
+
+  /**
+   * 发送消息，未连接时返回 false。
+   * @param {Record<string, any>} message - 消息对象。
+   * @returns {boolean} 是否已发送。
+   */
+  send(message) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * 推送整段文本（仅操作者）。
+   * @param {string} text - 文本。
+   * @param {{ voice?: string, rate?: number, pitch?: number, provider?: string }} [options] - 合成参数。
+   * @returns {boolean} 是否已发送。
+   */
+  speak(text, options = {}) {
+    return this.send({ type: 'speak', text, ...options });
+  }
+
+  /**
+   * 推送 LLM token，服务端在句末标点处自动合成（仅操作者）。
+   * @param {string} text - token 文本。
+   * @param {{ voice?: string, rate?: number, pitch?: number, provider?: string }} [options] - 合成参数，仅首个 token 生效。
+   * @returns {boolean} 是否已发送。
+   */
+  pushToken(text, options = {}) {
+    return this.send({ type: 'token', text, ...options });
+  }
+
+  /**
+   * 结束一轮 token 流，合成剩余文本。
+   * @returns {boolean} 是否已发送。
+   */
+  flush() {
+    return this.send({ type: 'flush' });
+  }
+
+  /**
+   * 取消会话中尚未播放的片段，所有观众同步停止。
+   * @returns {boolean} 是否已发送。
+   */
+  cancel() {
+    return this.send({ type: 'cancel' });
+  }
+
+  /**
+   * 关闭通道并停止本地播放。
+   */
+  close() {
+    this.closed = true;
+    this.stopLocal();
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * 处理服务端消息。
+   * @param {Record<string, any>} message - 消息对象。
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'pong': {
+        if (!Number.isFinite(message.clientTime) || !Number.isFinite(message.serverTime)) {
+          return;
+        }
+        const received = Date.now();
+        const rtt = received - message.clientTime;
+        // 取往返最短的一次估算时钟偏差，误差不超过 RTT/2。
+        if (rtt <= this.bestRtt) {
+          this.bestRtt = rtt;
+          this.clockOffset = message.serverTime - (message.clientTime + rtt / 2);
+        }
+        return;
+      }
+      case 'joined':
+      case 'presence': {
+        const members = message.members || {};
+        this.onStatus(`实时会话 ${message.sessionId}：操作者 ${members.operators ?? 0}，观众 ${members.viewers ?? 0}`);
+        return;
+      }
+      case 'chunk':
+        this.schedule(message);
+        return;
+      case 'cancel':
+        this.stopLocal();
+        this.onStatus('操作者已取消播放。');
+        return;
+      case 'error':
+        this.onStatus(`实时会话错误：${message.message}`);
+        return;
+      default:
+    }
+  }
+
+  /**
+   * 按服务端 `startAt` 排期一个片段。
+   * @param {RealtimeChunk} chunk - 片段。
+   */
+  schedule(chunk) {
+    const audio = new Audio(resolveServerUrl(chunk.audioUrl));
+    audio.preload = 'auto';
+    const delay = Math.max(0, chunk.startAt - this.now());
+    const entry = { chunk, audio, timer: 0 };
+    entry.timer = window.setTimeout(() => {
+      this.scheduled = this.scheduled.filter((item) => item !== entry);
+      this.startChunk(chunk, audio);
+    }, delay);
+    this.scheduled.push(entry);
+  }
+
+  /**
+   * 开始播放片段。晚加入的观众会从当前会话时间对应的位置开始。
+   * @param {RealtimeChunk} chunk - 片段。
+   * @param {HTMLAudioElement} audio - 预加载的音频。
+   */
+  startChunk(chunk, audio) {
+    if (this.current) {
+      this.current.audio.pause();
+    }
+    this.current = { chunk, audio };
+    const clock = () => (this.now() - chunk.startAt) / 1000;
+    const offset = clock();
+    if (offset > 0.05 && Number.isFinite(chunk.duration) && offset < chunk.duration) {
+      audio.currentTime = offset;
+    }
+    audio.play().catch((error) => {
+      // 浏览器阻止自动播放时仍按会话时钟驱动口型，保证画面与其他观众同步。
+      console.warn('[stickbot] 实时片段音频播放失败', error);
+    });
+    this.mouthSignal.start();
+    this.mouthSignal.playTimeline(Array.isArray(chunk.mouthTimeline) ? chunk.mouthTimeline : [], clock);
+    this.onChunkStart(chunk, clock);
+    this.startCueLoop();
+  }
+
+  /**
+   * 每帧采样表情/手势关键帧并校正音频漂移，片段播完后进入空闲。
+   */
+  startCueLoop() {
+    if (this.rafId !== null) {
+      return;
+    }
+    const step = () => {
+      this.rafId = null;
+      const current = this.current;
+      if (!current) {
+        return;
+      }
+      const time = (this.now() - current.chunk.startAt) / 1000;
+      if (time >= (current.chunk.duration || 0)) {
+        this.current = null;
+        this.onCue({});
+        if (this.scheduled.length === 0) {
+          this.mouthSignal.stop();
+          this.onIdle();
+        }
+        return;
+      }
+      if (!current.audio.paused && Math.abs(current.audio.currentTime - time) > DRIFT_TOLERANCE_SEC) {
+        current.audio.currentTime = Math.max(0, time);
+      }
+      this.onCue({
+        ...sampleKeyframes(current.chunk.emoteTimeline, time),
+        ...sampleKeyframes(current.chunk.gestureTimeline, time),
+      });
+      this.rafId = window.requestAnimationFrame(step);
+    };
+    this.rafId = window.requestAnimationFrame(step);
+  }
+
+  /**
+   * 停止本地播放并清空排期，不影响其他观众。
+   */
+  stopLocal() {
+    for (const entry of this.scheduled) {
+      window.clearTimeout(entry.timer);
+    }
+    this.scheduled = [];
+    if (this.current) {
+      this.current.audio.pause();
+      this.current = null;
+    }
+    if (this.rafId !== null) {
+      window.cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+    }
+    this.onCue({});
+    this.mouthSignal.stop();
+    this.onIdle();
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * @module viseme-shapes
+ * @description 多通道口型的通道顺序、默认唇形与紧凑时间轴解码，供头像绘制与时间轴播放共用。
+ *              取值须与服务端默认口型配置一致，`server/test/clientVisemeShapes.test.js` 会逐项比对。
+ */
+
+/**
+ * @typedef {Object} VisemeShape
+ * @property {number} jawOpen - 下颌张开程度（0-1），决定嘴部张开高度。
+ * @property {number} lipWidth - 嘴唇横向宽度（0-1），0.5 为自然宽度。
+ * @property {number} lipRound - 圆唇程度（0-1）。
+ * @property {number} teethVisible - 牙齿露出程度（0-1）。
+ */
+
+/**
+ * @typedef {Object} TimelinePoint
+ * @property {number} t - 时间（秒）。
+ * @property {number} v - mouth 值。
+ * @property {number} visemeId - 口型编号。
+ * @property {string} [phoneme] - 可选音素标签。
+ * @property {VisemeShape} [shape] - 可选多通道口型。
+ */
+
+/**
+ * @typedef {Object} CompactTimeline
+ * @property {'keyframes'} format - 编码格式。
+ * @property {number} tolerance - 服务端压缩时允许的 mouth 值误差。
+ * @property {number} frameCount - 压缩前的帧数。
+ * @property {string[]} phonemes - 音素字典。
+ * @property {number[][]} frames - 关键帧 `[t, v, visemeId, 音素下标]`，带多通道口型时追加 `jawOpen, lipWidth, lipRound, teethVisible`。
+ */
+
+/** 多通道口型的通道名，顺序与紧凑时间轴中的位置一致。 */
+export const SHAPE_CHANNELS = ['jawOpen', 'lipWidth', 'lipRound', 'teethVisible'];
+
+/**
+ * 时间轴未携带多通道口型（Web Speech、音量包络、旧版服务端）时按口型编号推断的唇形，与服务端默认口型配置一致。
+ * `jawOpen` 由 mouth 数值决定，不在此列出。
+ */
+export const FALLBACK_VISEME_SHAPES = {
+  0: { lipWidth: 0.5, lipRound: 0.1, teethVisible: 0 },
+  1: { lipWidth: 0.55, lipRound: 0, teethVisible: 0.9 },
+  2: { lipWidth: 0.6, lipRound: 0, teethVisible: 0.8 },
+  3: { lipWidth: 0.4, lipRound: 0.5, teethVisible: 0.5 },
+  4: { lipWidth: 0.55, lipRound: 0.1, teethVisible: 0.4 },
+  5: { lipWidth: 0.3, lipRound: 0.8, teethVisible: 0.2 },
+  6: { lipWidth: 0.9, lipRound: 0, teethVisible: 0.7 },
+  7: { lipWidth: 0.75, lipRound: 0, teethVisible: 0.5 },
+  8: { lipWidth: 0.6, lipRound: 0.05, teethVisible: 0.3 },
+  9: { lipWidth: 0.2, lipRound: 1, teethVisible: 0 },
+};
+
+/** 未知口型编号使用的中性唇形，与服务端口型配置一致。 */
+export const NEUTRAL_SHAPE = { lipWidth: 0.5, lipRound: 0, teethVisible: 0 };
+
+/**
+ * 将服务端 `?timeline=compact` 返回的关键帧还原为 {@link TimelinePoint} 数组，逐帧数组原样返回。
+ * 关键帧之间由播放端线性插值，与逐帧时间轴的误差不超过 `tolerance`。
+ * @param {TimelinePoint[]|CompactTimeline|null|undefined} timeline - 逐帧或紧凑格式的时间轴。
+ * @returns {TimelinePoint[]} 时间轴。
+ */
+export const decodeMouthTimeline = (timeline) => {
+  if (Array.isArray(timeline)) {
+    return timeline;
+  }
+  if (!timeline || timeline.format !== 'keyframes' || !Array.isArray(timeline.frames)) {
+    return [];
+  }
+  const phonemes = Array.isArray(timeline.phonemes) ? timeline.phonemes : [];
+  return timeline.frames.map(([t, v, visemeId, phonemeIndex, ...channels]) => {
+    const point = { t, v, visemeId, phoneme: phonemes[phonemeIndex] ?? '' };
+    if (channels.length >= SHAPE_CHANNELS.length) {
+      point.shape = Object.fromEntries(SHAPE_CHANNELS.map((channel, index) => [channel, channels[index]]));
+    }
+    return point;
+  });
+};
+
+/**
+ * 在两个多通道口型之间线性插值，任一为空时返回另一个。
+ * @param {VisemeShape|undefined} from - 起点口型。
+ * @param {VisemeShape|undefined} to - 终点口型。
+ * @param {number} ratio - 插值比例（0-1）。
+ * @returns {VisemeShape|null} 插值结果，两者都为空时返回 null。
+ */
+export const mixShapes = (from, to, ratio) => {
+  if (!from || !to) {
+    return to ?? from ?? null;
+  }
+  return Object.fromEntries(
+    SHAPE_CHANNELS.map((channel) => [channel, from[channel] + (to[channel] - from[channel]) * ratio]),
+  );
+};